@@ -20,6 +20,7 @@ $ScriptsDir = "$ClaudeDir\scripts"
 $BackupDir = "$ClaudeDir\backups\file-size-guard-$(Get-Date -Format 'yyyyMMdd-HHmmss')"
 $SettingsFile = "$ClaudeDir\settings.json"
 $CkConfig = "$ClaudeDir\.ck.json"
+$ModulesFile = 'modules.txt'  # Files of src\hooks\file-size-guard\, one per line
 
 function Write-Banner {
     Write-Host ""
@@ -71,6 +72,7 @@ function Install-Hooks {
         # Local install
         Copy-Item "$ScriptPath\src\hooks\file-size-guard.cjs" $HooksDir
         Copy-Item "$ScriptPath\src\hooks\file-size-guard\*.cjs" "$HooksDir\file-size-guard\"
+        Copy-Item "$ScriptPath\src\hooks\file-size-guard\$ModulesFile" "$HooksDir\file-size-guard\"
         Copy-Item "$ScriptPath\src\scripts\file-size-guard-toggle.ps1" $ScriptsDir
         Copy-Item "$ScriptPath\src\scripts\file-size-guard-auto-repair.ps1" $ScriptsDir
     } else {
@@ -79,12 +81,14 @@ function Install-Hooks {
 
         $files = @(
             @{ Url = "$RawUrl/src/hooks/file-size-guard.cjs"; Dest = "$HooksDir\file-size-guard.cjs" }
-            @{ Url = "$RawUrl/src/hooks/file-size-guard/line-counter.cjs"; Dest = "$HooksDir\file-size-guard\line-counter.cjs" }
-            @{ Url = "$RawUrl/src/hooks/file-size-guard/threshold-checker.cjs"; Dest = "$HooksDir\file-size-guard\threshold-checker.cjs" }
-            @{ Url = "$RawUrl/src/hooks/file-size-guard/suggestion-generator.cjs"; Dest = "$HooksDir\file-size-guard\suggestion-generator.cjs" }
             @{ Url = "$RawUrl/src/scripts/file-size-guard-toggle.ps1"; Dest = "$ScriptsDir\file-size-guard-toggle.ps1" }
             @{ Url = "$RawUrl/src/scripts/file-size-guard-auto-repair.ps1"; Dest = "$ScriptsDir\file-size-guard-auto-repair.ps1" }
         )
+        $manifest = "$HooksDir\file-size-guard\$ModulesFile"
+        Invoke-WebRequest -Uri "$RawUrl/src/hooks/file-size-guard/$ModulesFile" -OutFile $manifest -UseBasicParsing
+        foreach ($module in Get-Content $manifest | Where-Object { $_ }) {
+            $files += @{ Url = "$RawUrl/src/hooks/file-size-guard/$module"; Dest = "$HooksDir\file-size-guard\$module" }
+        }
 
         foreach ($file in $files) {
             Invoke-WebRequest -Uri $file.Url -OutFile $file.Dest -UseBasicParsing
@@ -96,61 +100,11 @@ function Install-Hooks {
 
 function Register-Hook {
     Write-Host "`nRegistering hook..." -ForegroundColor Blue
-
-    if (-not (Test-Path $SettingsFile)) {
-        '{"hooks":{}}' | Out-File -FilePath $SettingsFile -Encoding utf8
-    }
-
-    $nodeScript = @"
-const fs = require('fs');
-const settingsPath = '$($SettingsFile -replace '\\', '\\\\')';
-let s = {};
-try { s = JSON.parse(fs.readFileSync(settingsPath, 'utf-8')); } catch(e) { s = {hooks:{}}; }
-s.hooks = s.hooks || {};
-s.hooks.PreToolUse = s.hooks.PreToolUse || [];
-const cmd = 'node %USERPROFILE%\\.claude\\hooks\\file-size-guard.cjs';
-const exists = s.hooks.PreToolUse.some(e => e.hooks?.some(h => h.command === cmd));
-if (!exists) {
-  let m = s.hooks.PreToolUse.find(e => e.matcher === 'Edit|Write');
-  if (!m) { m = {matcher:'Edit|Write',hooks:[]}; s.hooks.PreToolUse.push(m); }
-  m.hooks.push({type:'command',command:cmd});
-  fs.writeFileSync(settingsPath, JSON.stringify(s, null, 2));
-  console.log('Hook registered');
-} else { console.log('Hook already exists'); }
-"@
-
-    & node -e $nodeScript
+    # settings.json entries, and the global config with defaults when missing
+    & node "$HooksDir\file-size-guard.cjs" register
     Write-Host "✓ Hook registered" -ForegroundColor Green
 }
 
-function Set-CkConfig {
-    Write-Host "`nConfiguring defaults..." -ForegroundColor Blue
-
-    $nodeScript = @"
-const fs = require('fs');
-const ckPath = '$($CkConfig -replace '\\', '\\\\')';
-let c = {};
-try { c = JSON.parse(fs.readFileSync(ckPath, 'utf-8')); } catch(e) {}
-if (!c.fileSizeGuard) {
-  c.fileSizeGuard = {
-    enabled: true,
-    warnThreshold: 120,
-    blockThreshold: 200,
-    excludePatterns: [
-      'package-lock\\.json$','pnpm-lock\\.yaml$','yarn\\.lock$',
-      '\\.min\\.(js|css)$','\\.d\\.ts$','\\.json$','\\.yaml$',
-      '\\.yml$','\\.md$','\\.sh$','__fixtures__/','__snapshots__/'
-    ]
-  };
-  fs.writeFileSync(ckPath, JSON.stringify(c, null, 2));
-  console.log('Config created');
-} else { console.log('Config exists'); }
-"@
-
-    & node -e $nodeScript
-    Write-Host "✓ Configuration done" -ForegroundColor Green
-}
-
 function Install-Recovery {
     Write-Host "`nInstalling auto-repair system..." -ForegroundColor Blue
     # Auto-repair script is already installed by Install-Hooks
@@ -185,6 +139,5 @@ Test-Node
 New-Backup
 Install-Hooks
 Register-Hook
-Set-CkConfig
 Install-Recovery
 Write-Summary
@@ -24,6 +24,7 @@ HOOKS_DIR="$CLAUDE_DIR/hooks"
 SCRIPTS_DIR="$CLAUDE_DIR/scripts"
 BACKUP_DIR="$CLAUDE_DIR/backups/file-size-guard-$(date +%Y%m%d-%H%M%S)"
 SETTINGS_FILE="$CLAUDE_DIR/settings.json"
+MODULES_FILE="modules.txt"  # Files of src/hooks/file-size-guard/, one per line
 CK_CONFIG="$CLAUDE_DIR/.ck.json"
 
 print_banner() {
@@ -68,15 +69,16 @@ install_hooks() {
   SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
   if [ -d "$SCRIPT_DIR/src" ]; then
     cp "$SCRIPT_DIR/src/hooks/file-size-guard.cjs" "$HOOKS_DIR/"
-    cp "$SCRIPT_DIR/src/hooks/file-size-guard/"*.cjs "$HOOKS_DIR/file-size-guard/"
+    cp "$SCRIPT_DIR/src/hooks/file-size-guard/"*.cjs "$SCRIPT_DIR/src/hooks/file-size-guard/$MODULES_FILE" "$HOOKS_DIR/file-size-guard/"
     cp "$SCRIPT_DIR/src/scripts/file-size-guard-toggle.sh" "$SCRIPTS_DIR/"
     cp "$SCRIPT_DIR/src/scripts/file-size-guard-auto-repair.sh" "$SCRIPTS_DIR/"
   else
     echo "  Downloading from $RAW_URL..."
     curl -fsSL "$RAW_URL/src/hooks/file-size-guard.cjs" -o "$HOOKS_DIR/file-size-guard.cjs"
-    curl -fsSL "$RAW_URL/src/hooks/file-size-guard/line-counter.cjs" -o "$HOOKS_DIR/file-size-guard/line-counter.cjs"
-    curl -fsSL "$RAW_URL/src/hooks/file-size-guard/threshold-checker.cjs" -o "$HOOKS_DIR/file-size-guard/threshold-checker.cjs"
-    curl -fsSL "$RAW_URL/src/hooks/file-size-guard/suggestion-generator.cjs" -o "$HOOKS_DIR/file-size-guard/suggestion-generator.cjs"
+    curl -fsSL "$RAW_URL/src/hooks/file-size-guard/$MODULES_FILE" -o "$HOOKS_DIR/file-size-guard/$MODULES_FILE"
+    while read -r module; do
+      curl -fsSL "$RAW_URL/src/hooks/file-size-guard/${module}" -o "$HOOKS_DIR/file-size-guard/${module}"
+    done < "$HOOKS_DIR/file-size-guard/$MODULES_FILE"
     curl -fsSL "$RAW_URL/src/scripts/file-size-guard-toggle.sh" -o "$SCRIPTS_DIR/file-size-guard-toggle.sh"
     curl -fsSL "$RAW_URL/src/scripts/file-size-guard-auto-repair.sh" -o "$SCRIPTS_DIR/file-size-guard-auto-repair.sh"
   fi
@@ -87,53 +89,11 @@ install_hooks() {
 
 register_hook() {
   echo -e "\n${BLUE}Registering hook...${NC}"
-  [ ! -f "$SETTINGS_FILE" ] && echo '{"hooks":{}}' > "$SETTINGS_FILE"
-
-  node -e "
-const fs = require('fs');
-const settingsPath = '$SETTINGS_FILE';
-let s = {};
-try { s = JSON.parse(fs.readFileSync(settingsPath, 'utf-8')); } catch(e) { s = {hooks:{}}; }
-s.hooks = s.hooks || {};
-s.hooks.PreToolUse = s.hooks.PreToolUse || [];
-const cmd = 'node \$HOME/.claude/hooks/file-size-guard.cjs';
-const exists = s.hooks.PreToolUse.some(e => e.hooks?.some(h => h.command === cmd));
-if (!exists) {
-  let m = s.hooks.PreToolUse.find(e => e.matcher === 'Edit|Write');
-  if (!m) { m = {matcher:'Edit|Write',hooks:[]}; s.hooks.PreToolUse.push(m); }
-  m.hooks.push({type:'command',command:cmd});
-  fs.writeFileSync(settingsPath, JSON.stringify(s, null, 2));
-  console.log('Hook registered');
-} else { console.log('Hook already exists'); }
-"
+  # settings.json entries, and the global config with defaults when missing
+  node "$HOOKS_DIR/file-size-guard.cjs" register
   echo -e "${GREEN}✓${NC} Hook registered"
 }
 
-configure_ck() {
-  echo -e "\n${BLUE}Configuring defaults...${NC}"
-  node -e "
-const fs = require('fs');
-const ckPath = '$CK_CONFIG';
-let c = {};
-try { c = JSON.parse(fs.readFileSync(ckPath, 'utf-8')); } catch(e) {}
-if (!c.fileSizeGuard) {
-  c.fileSizeGuard = {
-    enabled: true,
-    warnThreshold: 120,
-    blockThreshold: 200,
-    excludePatterns: [
-      'package-lock\\\\.json\$','pnpm-lock\\\\.yaml\$','yarn\\\\.lock\$',
-      '\\\\.min\\\\.(js|css)\$','\\\\.d\\\\.ts\$','\\\\.json\$','\\\\.yaml\$',
-      '\\\\.yml\$','\\\\.md\$','\\\\.sh\$','__fixtures__/','__snapshots__/'
-    ]
-  };
-  fs.writeFileSync(ckPath, JSON.stringify(c, null, 2));
-  console.log('Config created');
-} else { console.log('Config exists'); }
-"
-  echo -e "${GREEN}✓${NC} Configuration done"
-}
-
 install_recovery() {
   echo -e "\n${BLUE}Installing auto-repair system...${NC}"
   # Auto-repair is already installed by install_hooks()
@@ -150,13 +110,18 @@ verify_installation() {
     errors=$((errors + 1))
   fi
 
-  # Check module files
-  for module in line-counter threshold-checker suggestion-generator; do
-    if [ ! -f "$HOOKS_DIR/file-size-guard/${module}.cjs" ]; then
-      echo -e "${RED}✗${NC} Missing: file-size-guard/${module}.cjs"
-      errors=$((errors + 1))
-    fi
-  done
+  # Check module files (listed in the installed manifest)
+  if [ ! -f "$HOOKS_DIR/file-size-guard/$MODULES_FILE" ]; then
+    echo -e "${RED}✗${NC} Missing: file-size-guard/$MODULES_FILE"
+    errors=$((errors + 1))
+  else
+    while read -r module; do
+      if [ ! -f "$HOOKS_DIR/file-size-guard/${module}" ]; then
+        echo -e "${RED}✗${NC} Missing: file-size-guard/${module}"
+        errors=$((errors + 1))
+      fi
+    done < "$HOOKS_DIR/file-size-guard/$MODULES_FILE"
+  fi
 
   # Check scripts
   if [ ! -f "$SCRIPTS_DIR/file-size-guard-toggle.sh" ]; then
@@ -207,7 +172,6 @@ main() {
   create_backup
   install_hooks
   register_hook
-  configure_ck
   install_recovery
   verify_installation || exit 1
   print_summary
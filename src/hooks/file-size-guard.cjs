@@ -2,26 +2,53 @@
 /**
  * file-size-guard.cjs - Prevent large files through micro-extract pattern
  *
- * Hook for PreToolUse (Edit|Write) that:
+ * Hook for PreToolUse (Edit|MultiEdit|Write|NotebookEdit, plus Bash when
+ * bashPolicy is on) that:
  * 1. Checks current file size before edit
  * 2. Estimates size after edit
- * 3. Warns at warnThreshold (default 120 lines)
- * 4. Blocks at blockThreshold (default 200 lines)
+ * 3. Warns at warnThreshold (default 120 lines), asks the human to approve
+ *    at askThreshold (optional) or, with mode "ask", instead of blocking
+ * 4. Blocks at blockThreshold (default 200 lines), except files recorded in
+ *    .file-size-guard-baseline.json, which may not grow past their recorded size
+ * Bash commands are checked by the files they write (heredocs, redirections,
+ * tee, sed -i, cp/mv ...), per bashPolicy (see bash-check.cjs).
+ *
+ * An optional sessionBudget limits growth across all files of a session
+ * (see session-budget.cjs).
+ *
+ * Decisions can be logged to a JSONL file (eventLog, see event-log.cjs) and
+ * summarized with `file-size-guard.cjs stats`.
+ *
+ * Registered for PostToolUse (Edit|MultiEdit|Write) too: re-counts the file
+ * after the edit and warns when it crossed a threshold the estimate missed
+ * (see post-tool-audit.cjs).
  *
  * Philosophy: Prevent refactoring by enforcing modular code from the start.
  * Uses micro-extract pattern: extract NEW code to NEW files, don't modify existing.
  *
- * Exit Codes:
+ * Exit Codes (outputFormat "text", the default):
  * - 0: Operation allowed (with optional warning message)
  * - 2: Operation blocked (file too large)
+ * With outputFormat "json" the hook always exits 0 and prints a PreToolUse
+ * response on stdout: permissionDecision "deny" for blocks, only
+ * additionalContext for warnings (see hook-output.cjs).
+ * "Ask" results are always printed as JSON with permissionDecision "ask".
  *
- * Configuration (.ck.json or .claude/.ck.json):
+ * Configuration (merged: ~/.claude/.ck.json < every .ck.json / .claude/.ck.json
+ * from the git root down to the edited file < FILE_SIZE_GUARD_* env):
  * {
  *   "fileSizeGuard": {
  *     "enabled": true,
  *     "warnThreshold": 120,
+ *     "askThreshold": 180,
  *     "blockThreshold": 200,
- *     "excludePatterns": ["pattern1", "pattern2"]
+ *     "countMode": "physical",
+ *     "legacyPolicy": "allow-shrink",
+ *     "maxLineLength": { "warn": 300, "block": 1000 },
+ *     "outputFormat": "text",
+ *     "messages": { "block": "{file}: {estimated}/{limit} - see docs/ARCHITECTURE.md" },
+ *     "excludePatterns": ["pattern1", "pattern2"],
+ *     "rules": [{ "glob": "migrations/**", "blockThreshold": 1000 }]
  *   }
  * }
  *
@@ -31,44 +58,13 @@
  */
 
 const fs = require('fs');
-const path = require('path');
-const os = require('os');
 
-const { countLines, estimateLinesAfterEdit, estimateLinesForWrite } = require('./file-size-guard/line-counter.cjs');
-const { checkThreshold, shouldExclude, getThresholdConfig, getFileOverride, isWhitelisted } = require('./file-size-guard/threshold-checker.cjs');
-const { formatWarningMessage, formatBlockMessage } = require('./file-size-guard/suggestion-generator.cjs');
-
-/**
- * Load .ck.json config from multiple locations
- * Priority: local project > global
- */
-function loadCkConfig() {
-  const searchPaths = [
-    path.join(process.cwd(), '.claude', '.ck.json'),
-    path.join(process.cwd(), '.ck.json'),
-    path.join(os.homedir(), '.claude', '.ck.json')
-  ];
-
-  for (const configPath of searchPaths) {
-    try {
-      if (fs.existsSync(configPath)) {
-        return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-      }
-    } catch (e) {
-      // Continue to next path
-    }
-  }
-  return {};
-}
-
-/**
- * Resolve file path (handle relative paths)
- */
-function resolveFilePath(filePath) {
-  if (!filePath) return null;
-  if (path.isAbsolute(filePath)) return filePath;
-  return path.join(process.cwd(), filePath);
-}
+const { checkToolCall } = require('./file-size-guard/tool-check.cjs');
+const { checkBashCommand } = require('./file-size-guard/bash-check.cjs');
+const { emitResult } = require('./file-size-guard/hook-output.cjs');
+const { savePendingEstimate, auditToolCall, emitAudit } = require('./file-size-guard/post-tool-audit.cjs');
+const { applySessionBudget } = require('./file-size-guard/session-budget.cjs');
+const { logDecision } = require('./file-size-guard/event-log.cjs');
 
 /**
  * Main hook logic
@@ -89,107 +85,34 @@ function main() {
       process.exit(0); // Fail-open for parse errors
     }
 
-    // Load config
-    const ckConfig = loadCkConfig();
-    const fileSizeGuard = ckConfig.fileSizeGuard || {};
-
-    // Check if hook is enabled (default: true)
-    if (fileSizeGuard.enabled === false) {
-      process.exit(0);
+    // After the tool ran: compare the real file with the estimate
+    if (data.hook_event_name === 'PostToolUse') {
+      process.exit(emitAudit(auditToolCall(data)));
     }
 
-    // Get threshold config (use let for potential file-level override)
-    let config = getThresholdConfig(ckConfig);
-
-    // Extract tool info
+    // Extract tool info (cwd: session working directory from the payload)
     const toolName = data.tool_name || '';
     const toolInput = data.tool_input || {};
-
-    // Get file path based on tool
-    let filePath = null;
-    let estimatedLines = 0;
-    let currentLines = 0;
-
-    if (toolName === 'Edit') {
-      filePath = resolveFilePath(toolInput.file_path);
-      if (!filePath) process.exit(0);
-
-      const result = estimateLinesAfterEdit(
-        filePath,
-        toolInput.old_string || '',
-        toolInput.new_string || '',
-        toolInput.replace_all || false
-      );
-      currentLines = result.currentLines;
-      estimatedLines = result.estimatedLines;
-    } else if (toolName === 'Write') {
-      filePath = resolveFilePath(toolInput.file_path);
-      if (!filePath) process.exit(0);
-
-      // For Write, check if file exists (update vs create)
-      const existing = countLines(filePath);
-      currentLines = existing.lines;
-
-      // Estimate based on content being written
-      estimatedLines = estimateLinesForWrite(toolInput.content || '');
-    } else {
-      // Not Edit or Write, allow
-      process.exit(0);
-    }
-
-    // Check exclusions
-    if (shouldExclude(filePath, config.excludePatterns)) {
-      process.exit(0);
-    }
-
-    // Check whitelist paths (from config)
-    if (isWhitelisted(filePath, config.whitelistPaths)) {
+    const cwd = data.cwd || process.cwd();
+
+    // Check the file the tool changes (Bash: every file the command writes);
+    // null = nothing to report, allow
+    const fileChecked = toolName === 'Bash'
+      ? checkBashCommand(toolInput.command, cwd)
+      : checkToolCall(toolName, toolInput, cwd);
+    if (!fileChecked) {
       process.exit(0);
     }
 
-    // Check file-level override (inline comment)
-    const fileOverride = getFileOverride(filePath);
-    if (fileOverride) {
-      if (fileOverride.disabled) {
-        process.exit(0); // File has @file-size-guard: disabled
-      }
-      if (fileOverride.maxLines) {
-        // Use file-specific max-lines as block threshold
-        config = {
-          ...config,
-          warnThreshold: Math.min(config.warnThreshold, fileOverride.maxLines - 30),
-          blockThreshold: fileOverride.maxLines
-        };
-      }
-    }
+    // Count the edit against the session's growth budget (sessionBudget)
+    const checked = applySessionBudget(data, fileChecked);
 
-    // Check thresholds
-    const thresholdResult = checkThreshold(estimatedLines, config);
+    // Keep the estimate for the PostToolUse audit, and log the decision (eventLog)
+    savePendingEstimate(data, checked);
+    logDecision(data, checked);
 
-    if (thresholdResult.status === 'block') {
-      // Block operation
-      console.error(formatBlockMessage(
-        filePath,
-        currentLines,
-        estimatedLines,
-        config.blockThreshold
-      ));
-      process.exit(2);
-    }
-
-    if (thresholdResult.status === 'warn') {
-      // Warn but allow
-      console.error(formatWarningMessage(
-        filePath,
-        currentLines,
-        estimatedLines,
-        config.warnThreshold
-      ));
-      process.exit(0);
-    }
-
-    // OK - allow operation
-    process.exit(0);
+    // Report (stderr text or PreToolUse JSON, per outputFormat); 'ok' is silent
+    process.exit(emitResult(checked.result, checked.config.outputFormat));
 
   } catch (error) {
     // Fail-open for unexpected errors
@@ -198,4 +121,9 @@ function main() {
   }
 }
 
-main();
+// CLI mode: `node file-size-guard.cjs <command> [args]` (see cli.cjs)
+if (process.argv.length > 2) {
+  require('./file-size-guard/cli.cjs').run(process.argv.slice(2));
+} else {
+  main();
+}
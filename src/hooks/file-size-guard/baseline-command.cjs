@@ -0,0 +1,64 @@
+/**
+ * baseline-command.cjs - `baseline [dir]`: record oversized files
+ *
+ * Scans the project files under dir (see file-walker.cjs), checks each one
+ * like the hook would (see file-evaluator.cjs) and writes the files at or
+ * over their block threshold to the baseline (see baseline.cjs). Entries
+ * outside dir are kept, so packages can be baselined one at a time.
+ */
+
+const path = require('path');
+
+const { findProjectRoot } = require('./config-discovery.cjs');
+const { createEvaluator } = require('./file-evaluator.cjs');
+const { listProjectFiles } = require('./file-walker.cjs');
+const { relativeTo } = require('./glob-matcher.cjs');
+const { readBaseline, writeBaseline, getBaselinePath } = require('./baseline.cjs');
+
+/**
+ * Record oversized files under dir, keeping entries outside dir
+ * Returns { rootDir, baselinePath, recorded: [{ key, lines }] }
+ */
+function createBaseline(dir, options = {}) {
+  const target = path.resolve(dir);
+  const rootDir = findProjectRoot(target, options.cwd);
+  // Re-measure every file (line counts only), ignoring the ceilings being replaced
+  const evaluateFile = createEvaluator({ ...options, useBaseline: false, useLimits: false });
+
+  const files = {};
+  for (const [key, lines] of Object.entries(readBaseline(rootDir)?.files || {})) {
+    const inside = path.join(rootDir, key) === target || relativeTo(path.join(rootDir, key), target) !== null;
+    if (!inside) files[key] = lines;
+  }
+
+  const recorded = [];
+  for (const filePath of listProjectFiles(target)) {
+    const result = evaluateFile(filePath);
+    const key = relativeTo(filePath, rootDir);
+    // Over the limit, whether the file would be blocked or asked about (mode "ask")
+    if (result.skipped || result.lines < result.config.blockThreshold || !key) continue;
+    files[key] = result.lines;
+    recorded.push({ key, lines: result.lines });
+  }
+
+  writeBaseline(rootDir, files);
+  return { rootDir, baselinePath: getBaselinePath(rootDir), recorded };
+}
+
+/**
+ * baseline [dir] - CLI command
+ */
+function baselineCommand(args) {
+  const { baselinePath, recorded } = createBaseline(args[0] || '.');
+
+  for (const { key, lines } of recorded) {
+    console.log(`${String(lines).padStart(6)}  ${key}`);
+  }
+  console.log(`Recorded ${recorded.length} oversized file(s) in ${baselinePath}`);
+  return 0;
+}
+
+module.exports = {
+  baselineCommand,
+  createBaseline
+};
@@ -0,0 +1,100 @@
+/**
+ * baseline.cjs - Size baseline for adopting the guard on existing codebases
+ *
+ * `baseline [dir]` (see baseline-command.cjs) records every file already at or
+ * over its block threshold in <project root>/.file-size-guard-baseline.json:
+ *   { "version": 1, "files": { "src/legacy/big.ts": 612 } }
+ *
+ * The hook treats a recorded size as that file's ceiling: edits may not grow
+ * it past the ceiling, and the ceiling ratchets down whenever the file gets
+ * smaller (the entry is dropped once the file is back under the limit).
+ * Sizes use the file's countMode at the time they are recorded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { relativeTo } = require('./glob-matcher.cjs');
+
+const BASELINE_FILE = '.file-size-guard-baseline.json';
+const BASELINE_VERSION = 1;
+
+/**
+ * Baseline file location for a project root
+ */
+function getBaselinePath(rootDir) {
+  return path.join(rootDir, BASELINE_FILE);
+}
+
+/**
+ * Read the baseline, null if missing or invalid
+ */
+function readBaseline(rootDir) {
+  try {
+    const baseline = JSON.parse(fs.readFileSync(getBaselinePath(rootDir), 'utf-8'));
+    if (!baseline || typeof baseline.files !== 'object' || Array.isArray(baseline.files)) return null;
+    return baseline;
+  } catch {
+    return null; // Missing or invalid - no baseline
+  }
+}
+
+/**
+ * Write baseline entries (sorted, so diffs stay small)
+ */
+function writeBaseline(rootDir, files) {
+  const sorted = {};
+  for (const key of Object.keys(files).sort()) sorted[key] = files[key];
+  fs.writeFileSync(
+    getBaselinePath(rootDir),
+    JSON.stringify({ version: BASELINE_VERSION, files: sorted }, null, 2) + '\n'
+  );
+}
+
+/**
+ * Recorded ceiling for a file, or undefined
+ */
+function getBaselineCeiling(rootDir, filePath) {
+  const baseline = readBaseline(rootDir);
+  const key = relativeTo(filePath, rootDir);
+  const ceiling = key && baseline ? baseline.files[key] : undefined;
+  return typeof ceiling === 'number' ? ceiling : undefined;
+}
+
+/**
+ * Lower a file's ceiling to lines (drop it once under blockThreshold)
+ * Returns true when the baseline changed; never raises a ceiling
+ */
+function ratchetBaseline(rootDir, filePath, lines, blockThreshold) {
+  const baseline = readBaseline(rootDir);
+  const key = relativeTo(filePath, rootDir);
+  const ceiling = key && baseline ? baseline.files[key] : undefined;
+  if (typeof ceiling !== 'number' || lines >= ceiling) return false;
+
+  if (lines < blockThreshold) delete baseline.files[key];
+  else baseline.files[key] = lines;
+
+  try {
+    writeBaseline(rootDir, baseline.files);
+    return true;
+  } catch {
+    return false; // Read-only checkout - keep the old ceiling
+  }
+}
+
+/**
+ * Explain a file's ceiling for hook messages
+ */
+function describeBaseline(ceiling, unit = 'lines') {
+  return `Baselined file: may not grow past ${ceiling} ${unit} (${BASELINE_FILE}; the ceiling drops as the file shrinks)`;
+}
+
+module.exports = {
+  readBaseline,
+  writeBaseline,
+  getBaselinePath,
+  getBaselineCeiling,
+  ratchetBaseline,
+  describeBaseline,
+  BASELINE_FILE
+};
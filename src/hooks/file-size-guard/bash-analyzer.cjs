@@ -0,0 +1,114 @@
+/**
+ * bash-analyzer.cjs - Files a Bash command writes to, and what it writes
+ *
+ * After a block, `cat > file <<EOF`, `sed -i`, `tee` or `echo >>` write the
+ * same code around the Edit/Write check. Writes found in a command:
+ * - redirections:  > >| &> (overwrite), >> &>> (append)
+ * - tee [-a] files
+ * - sed -i / perl -i in-place edits
+ * - cp / mv onto files git tracks (content: the source file)
+ * - python -c / node -e scripts calling open(..., 'w'), write_text,
+ *   writeFileSync, appendFileSync ...
+ *
+ * Content is known for heredocs, here-strings, echo, printf without
+ * placeholders, cat of existing files and cp/mv sources; otherwise it is
+ * undefined and the file's size is taken as unchanged. Paths depending on
+ * variables or globs are skipped; `cd dir` is followed for relative paths.
+ * sed/perl -i, cp/mv and inline scripts are read in bash-writers.cjs.
+ *
+ * bashPolicy (fileSizeGuard.bashPolicy):
+ * - off:     Bash commands are not checked (default)
+ * - warn:    over-limit Bash writes only warn
+ * - enforce: Bash writes are checked like Write/Edit (block, ask, warn)
+ */
+
+const os = require('os');
+
+const { parseCommands } = require('./shell-tokenizer.cjs');
+const { commandParts, operands, resolveWord, outputOf, inputOf } = require('./shell-words.cjs');
+const { inPlaceTargets, copyWrites, scriptWrites } = require('./bash-writers.cjs');
+
+const BASH_POLICIES = ['warn', 'enforce', 'off'];
+const DEFAULT_BASH_POLICY = 'off';
+
+// Stdout redirections: operator → append
+const OUTPUT_REDIRECTS = { '>': false, '>|': false, '&>': false, '>>': true, '&>>': true };
+
+/**
+ * Validate bashPolicy, falling back to off
+ */
+function normalizeBashPolicy(policy) {
+  return BASH_POLICIES.includes(policy) ? policy : DEFAULT_BASH_POLICY;
+}
+
+/**
+ * Writes of one command: [{ filePath, kind, content, append }]
+ */
+function commandWrites(commands, index, cwd) {
+  const { name, args } = commandParts(commands[index].words);
+  const writes = [];
+  const add = (word, kind, content, append = false) => {
+    const filePath = resolveWord(word, cwd);
+    if (filePath) writes.push({ filePath, kind, content, append });
+  };
+
+  for (const redirect of commands[index].redirects) {
+    if (!(redirect.op in OUTPUT_REDIRECTS) || (redirect.fd !== null && redirect.fd !== 1)) continue;
+    const heredoc = commands[index].redirects.some(r => r.body !== null);
+    add(redirect.target, heredoc ? 'heredoc' : 'redirect', outputOf(commands, index, cwd), OUTPUT_REDIRECTS[redirect.op]);
+  }
+
+  switch (name) {
+    case 'tee': {
+      const append = args.some(arg => arg.value === '-a' || arg.value === '--append');
+      const content = inputOf(commands, index, cwd);
+      operands(args).forEach(file => add(file, 'tee', content, append));
+      break;
+    }
+    case 'sed':
+    case 'perl':
+      inPlaceTargets(name, args).forEach(file => add(file, `${name} -i`, undefined));
+      break;
+    case 'cp':
+    case 'mv':
+    case 'install':
+      writes.push(...copyWrites(name, args, cwd));
+      break;
+    default:
+      writes.push(...scriptWrites(name, args, cwd));
+  }
+  return writes;
+}
+
+/**
+ * Files a Bash command writes to, in order: [{ filePath, kind, content, append }]
+ * (content undefined when it cannot be known; paths absolute, from cwd)
+ */
+function findBashWrites(command, cwd) {
+  if (typeof command !== 'string' || !command.trim()) return [];
+  let commands;
+  try {
+    commands = parseCommands(command);
+  } catch {
+    return []; // Fail-open: unparsable command
+  }
+
+  const writes = [];
+  let dir = cwd;
+  commands.forEach((current, index) => {
+    const { name, args } = commandParts(current.words);
+    if (name === 'cd') {
+      // Follow `cd dir` for later relative paths (an unknown target loses track)
+      dir = args.length ? resolveWord(args[0], dir) : os.homedir();
+      return;
+    }
+    writes.push(...commandWrites(commands, index, dir));
+  });
+  return writes;
+}
+
+module.exports = {
+  findBashWrites,
+  normalizeBashPolicy,
+  BASH_POLICIES
+};
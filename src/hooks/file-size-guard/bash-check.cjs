@@ -0,0 +1,80 @@
+/**
+ * bash-check.cjs - Check the files a Bash command writes
+ *
+ * Each write found by bash-analyzer.cjs is checked like a Write (content
+ * known) or as leaving the file's size unchanged (content unknown, so a file
+ * already over the limit follows its legacyPolicy). The strongest result is
+ * reported, explaining which command wrote the file. bashPolicy "off" (the
+ * default) skips Bash commands; with "warn" results that would block or ask
+ * only warn; "enforce" keeps them (per file, from its config). A Bash
+ * command is never approved: warnings only add context (see hook-output.cjs),
+ * so the rest of the command still goes through Claude Code's permissions.
+ */
+
+const { findBashWrites } = require('./bash-analyzer.cjs');
+const { checkToolCall } = require('./tool-check.cjs');
+const { BASH_WRITE } = require('./tool-estimator.cjs');
+const { STATUS_ORDER } = require('./content-limits.cjs');
+
+/**
+ * "Bash heredoc (append)", "Bash sed -i (content unknown - size taken as unchanged)"
+ */
+function describeWrite(write) {
+  const details = [
+    write.append ? 'append' : null,
+    write.content === undefined ? 'content unknown - size taken as unchanged' : null
+  ].filter(Boolean);
+  return `Bash ${write.kind}${details.length ? ` (${details.join(', ')})` : ''}`;
+}
+
+/**
+ * Explain the Bash write, and downgrade block/ask to warn under bashPolicy "warn"
+ */
+function applyBashPolicy({ result, config }, write) {
+  const stopped = result.status === 'block' || result.status === 'ask';
+  const downgrade = stopped && config.bashPolicy !== 'enforce';
+  const notes = [
+    `Written by ${describeWrite(write)} - use Edit/Write, and extract new code to new files instead of writing around the guard`,
+    downgrade ? `Would ${result.status === 'ask' ? 'ask' : 'block'} - bashPolicy "${config.bashPolicy}" only warns` : null,
+    result.metrics.note
+  ];
+
+  return {
+    config,
+    result: {
+      ...result,
+      status: downgrade ? 'warn' : result.status,
+      threshold: downgrade ? config.warnThreshold : result.threshold,
+      metrics: {
+        ...result.metrics,
+        note: notes.filter(Boolean).join('\n'),
+        bash: write.kind,
+        override: downgrade ? `bashPolicy ${config.bashPolicy}` : result.metrics.override
+      }
+    }
+  };
+}
+
+/**
+ * Check a Bash command's writes: null (nothing to report) or { result, config }
+ */
+function checkBashCommand(command, cwd) {
+  let strongest = null;
+  for (const write of findBashWrites(command, cwd)) {
+    const checked = checkToolCall(BASH_WRITE, {
+      file_path: write.filePath,
+      content: write.content,
+      append: write.append
+    }, cwd);
+    if (!checked) continue;
+
+    const applied = applyBashPolicy(checked, write);
+    const rank = STATUS_ORDER.indexOf(applied.result.status);
+    if (!strongest || rank > STATUS_ORDER.indexOf(strongest.result.status)) strongest = applied;
+  }
+  return strongest;
+}
+
+module.exports = {
+  checkBashCommand
+};
@@ -0,0 +1,117 @@
+/**
+ * bash-writers.cjs - Writes of commands that name their target files as arguments
+ *
+ * - sed -i / perl -i in-place edits (content unknown)
+ * - cp / mv / install onto files tracked by git (content: the source file;
+ *   new or untracked targets are left alone)
+ * - python -c / node -e scripts calling open(..., 'w'), write_text,
+ *   writeFileSync, appendFileSync ... (content unknown)
+ *
+ * Redirections, heredocs and tee are handled in bash-analyzer.cjs.
+ */
+
+const path = require('path');
+
+const { operands, resolveWord, readSmallFile, isDirectory } = require('./shell-words.cjs');
+const { isTracked } = require('./git-utils.cjs');
+
+// File writes in inline scripts: [pattern (group 2: path), append?]
+const SCRIPT_WRITES = {
+  python: [
+    [/\bopen\(\s*(['"])([^'"]+)\1\s*,\s*(?:mode\s*=\s*)?['"]([^'"]*[wax][^'"]*)['"]/g, match => match[3].includes('a')],
+    [/\bPath\(\s*(['"])([^'"]+)\1\s*\)\s*\.write_(?:text|bytes)\(/g, () => false]
+  ],
+  node: [
+    [/\b(?:writeFileSync|writeFile|createWriteStream)\(\s*(['"`])([^'"`]+)\1/g, () => false],
+    [/\b(?:appendFileSync|appendFile)\(\s*(['"`])([^'"`]+)\1/g, () => true]
+  ]
+};
+
+/**
+ * Files edited in place: sed -i / perl -i (the script comes from -e/-f, or
+ * is the first operand)
+ */
+function inPlaceTargets(name, args) {
+  const scriptFlags = name === 'perl' ? 'eE' : 'ef';
+  let inPlace = false;
+  let script = false;
+  const files = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const { value } = args[i];
+    if (value === '--') {
+      files.push(...args.slice(i + 1));
+      break;
+    }
+    if (value.startsWith('--')) {
+      if (value.startsWith('--in-place')) inPlace = true;
+      if (/^--(?:expression|file)(?:=|$)/.test(value)) script = true;
+      if (value === '--expression' || value === '--file') i++;
+    } else if (value.startsWith('-') && value.length > 1) {
+      // Option clusters: -i.bak, -ni, -pi, -pe 'script', -es/a/b/
+      for (let c = 1; c < value.length; c++) {
+        if (value[c] === 'i') {
+          inPlace = true;
+          break;
+        }
+        if (scriptFlags.includes(value[c])) {
+          script = true;
+          if (c === value.length - 1) i++;
+          break;
+        }
+      }
+    } else {
+      files.push(args[i]);
+    }
+  }
+  if (!inPlace) return [];
+  return script ? files : files.slice(1);
+}
+
+/**
+ * Tracked files cp / mv / install overwrite, with the sources' content
+ * (`cp a b`, `cp a b c dir/`, `cp -t dir a b`)
+ */
+function copyWrites(name, args, cwd) {
+  const files = operands(args, ['-t', '--target-directory', '-m', '--mode', '-S', '--suffix']);
+  const targetOption = args.findIndex(arg => arg.value === '-t' || arg.value === '--target-directory');
+  const dest = targetOption !== -1 ? args[targetOption + 1] : files.pop();
+  const destPath = resolveWord(dest, cwd);
+  if (!destPath) return [];
+
+  const intoDir = targetOption !== -1 || files.length > 1 || dest.value.endsWith('/') || isDirectory(destPath);
+  return files.flatMap(source => {
+    const sourcePath = resolveWord(source, cwd);
+    if (intoDir && !sourcePath) return [];
+    const filePath = intoDir ? path.join(destPath, path.basename(sourcePath)) : destPath;
+    if (!isTracked(filePath)) return [];
+    return [{ filePath, kind: name, content: sourcePath ? readSmallFile(sourcePath) : undefined, append: false }];
+  });
+}
+
+/**
+ * Writes in python -c / node -e scripts
+ */
+function scriptWrites(name, args, cwd) {
+  const language = /^python[\d.]*$/.test(name || '') ? 'python' : name === 'node' ? 'node' : null;
+  if (!language) return [];
+  const flags = language === 'python' ? ['-c'] : ['-e', '--eval', '-p', '--print'];
+  const flagIndex = args.findIndex(arg => flags.includes(arg.value));
+  const script = flagIndex === -1 ? null : args[flagIndex + 1]?.value;
+  if (!script) return [];
+
+  const writes = [];
+  for (const [pattern, isAppend] of SCRIPT_WRITES[language]) {
+    for (const match of script.matchAll(pattern)) {
+      const filePath = resolveWord({ value: match[2], dynamic: false }, cwd);
+      if (filePath) writes.push({ filePath, kind: `${name} ${args[flagIndex].value}`, content: undefined, append: isAppend(match) });
+    }
+  }
+  return writes;
+}
+
+module.exports = {
+  inPlaceTargets,
+  copyWrites,
+  scriptWrites
+};
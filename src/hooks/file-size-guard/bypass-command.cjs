@@ -0,0 +1,83 @@
+/**
+ * bypass-command.cjs - `bypass` command: grant, list and revoke bypasses
+ *
+ * Usage:
+ *   bypass <path|glob> --for 30m|2h|1d [--edits N] --reason "why"
+ *   bypass <path|glob> --edits N --reason "why"
+ *   bypass --list
+ *   bypass --revoke <id>|all
+ *
+ * A duration or an edit count is required (both: whichever runs out first),
+ * and so is the reason. See bypass-grants.cjs for how the hook uses grants.
+ */
+
+const { parseDuration, readGrants, addGrant, revokeGrants, describeGrant } = require('./bypass-grants.cjs');
+
+const USAGE = 'Usage: file-size-guard bypass <path|glob> (--for 30m|2h|1d | --edits N) --reason "why" | --list | --revoke <id>|all';
+
+/**
+ * Value after a --flag, or undefined
+ */
+function optionValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Print the active grants (expired ones are removed on the way)
+ */
+function listGrants() {
+  const grants = readGrants();
+  if (!grants.length) {
+    console.log('No active bypass grants');
+    return 0;
+  }
+  grants.forEach(grant => console.log(describeGrant(grant)));
+  return 0;
+}
+
+/**
+ * bypass - CLI command
+ */
+function bypassCommand(args = []) {
+  if (args.includes('--list')) return listGrants();
+
+  const revoke = optionValue(args, '--revoke');
+  if (revoke !== undefined) {
+    const id = parseInt(revoke, 10);
+    if (revoke !== 'all' && !(id > 0)) {
+      console.error(USAGE);
+      return 1;
+    }
+    const removed = revokeGrants(revoke === 'all' ? null : [id]);
+    console.log(`Revoked ${removed} bypass grant(s)`);
+    return 0;
+  }
+
+  const glob = args[0];
+  const duration = optionValue(args, '--for');
+  const durationMs = duration === undefined ? null : parseDuration(duration);
+  const editsValue = optionValue(args, '--edits');
+  const edits = editsValue === undefined ? null : parseInt(editsValue, 10);
+  const reason = (optionValue(args, '--reason') || '').trim();
+
+  const problems = [
+    !glob || glob.startsWith('--') ? 'a path or glob is required' : null,
+    duration !== undefined && durationMs === null ? `invalid duration "${duration}" (use 30m, 2h or 1d)` : null,
+    editsValue !== undefined && !(edits > 0) ? `invalid edit count "${editsValue}"` : null,
+    duration === undefined && editsValue === undefined ? '--for or --edits is required' : null,
+    !reason ? '--reason is required' : null
+  ].filter(Boolean);
+  if (problems.length) {
+    console.error(`${problems.join('; ')}\n${USAGE}`);
+    return 1;
+  }
+
+  const grant = addGrant({ glob, baseDir: process.cwd(), reason, durationMs, edits });
+  console.log(`Granted bypass ${describeGrant(grant)}`);
+  return 0;
+}
+
+module.exports = {
+  bypassCommand
+};
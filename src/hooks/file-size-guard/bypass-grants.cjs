@@ -0,0 +1,125 @@
+/**
+ * bypass-grants.cjs - Time-boxed, scoped exceptions to the limits
+ *
+ * `bypass <path|glob> --for 30m|--edits 3 --reason "..."` (see
+ * bypass-command.cjs) stores a grant in bypass-grants.json in the state
+ * directory (see state-store.cjs):
+ *   { id, glob, baseDir, reason, created, expires, editsLeft }
+ * The glob is matched like config patterns (see glob-matcher.cjs), relative
+ * to the directory the command ran in; a directory covers everything in it.
+ *
+ * When an edit to a matching file would be blocked or put to the human
+ * (size, content or function limits), the newest matching grant lets it
+ * through instead; the session budget counts the edit but never stops it.
+ * Only those edits use the grant: one of its edits is used up once the edit
+ * has run (after Edit/MultiEdit/Write, see post-tool-audit.cjs; before
+ * other tools), and each use is appended with the grant's reason to
+ * bypass-log.jsonl in the state directory, whether or not eventLog is on.
+ * Grants past their expiry or out of edits are removed whenever the grants
+ * are read.
+ */
+
+const { readState, writeState, getStatePath } = require('./state-store.cjs');
+const { matchGlob } = require('./glob-matcher.cjs');
+const { appendLogEntry } = require('./event-log.cjs');
+
+const GRANTS_FILE = 'bypass-grants.json';
+const BYPASS_LOG = 'bypass-log.jsonl';
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * "30m", "2h", "1d" → milliseconds, or null
+ */
+function parseDuration(text) {
+  const match = /^(\d+)([mhd])$/.exec(String(text || '').trim());
+  return match && Number(match[1]) > 0 ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * Whether a grant can still be used
+ */
+function isActive(grant, now = Date.now()) {
+  return (grant.expires === null || grant.expires > now) && (grant.editsLeft === null || grant.editsLeft > 0);
+}
+
+/**
+ * Active grants, removing used-up and expired ones from the store
+ */
+function readGrants(now = Date.now()) {
+  const grants = readState(GRANTS_FILE, { grants: [] }).grants || [];
+  const active = grants.filter(grant => isActive(grant, now));
+  if (active.length !== grants.length) writeState(GRANTS_FILE, { grants: active });
+  return active;
+}
+
+/**
+ * Store a grant: { glob, baseDir, reason, durationMs, edits } → the grant
+ */
+function addGrant({ glob, baseDir, reason, durationMs = null, edits = null }, now = Date.now()) {
+  const grants = readGrants(now);
+  const grant = {
+    id: Math.max(0, ...grants.map(existing => existing.id)) + 1,
+    glob,
+    baseDir,
+    reason,
+    created: new Date(now).toISOString(),
+    expires: durationMs ? now + durationMs : null,
+    editsLeft: edits
+  };
+  writeState(GRANTS_FILE, { grants: [...grants, grant] });
+  return grant;
+}
+
+/**
+ * Remove grants by id (all when ids is null); returns how many were removed
+ */
+function revokeGrants(ids = null) {
+  const grants = readGrants();
+  const kept = ids === null ? [] : grants.filter(grant => !ids.includes(grant.id));
+  writeState(GRANTS_FILE, { grants: kept });
+  return grants.length - kept.length;
+}
+
+/**
+ * Newest active grant covering filePath, or null (nothing is used up)
+ */
+function findGrant(filePath, now = Date.now()) {
+  return [...readGrants(now)].reverse().find(grant => matchGlob(filePath, grant.glob, grant.baseDir)) || null;
+}
+
+/**
+ * Use a grant for an edit that ran: one edit off its count, and the use logged
+ * use: { id, reason, path, tool, decision, session } (decision: the status overridden)
+ */
+function useGrant(use, now = Date.now()) {
+  const grants = readGrants(now);
+  const grant = grants.find(candidate => candidate.id === use.id);
+  if (grant && grant.editsLeft !== null) {
+    grant.editsLeft--;
+    writeState(GRANTS_FILE, { grants: grants.filter(candidate => isActive(candidate, now)) });
+  }
+  appendLogEntry(getStatePath(BYPASS_LOG), { time: new Date(now).toISOString(), ...use });
+}
+
+/**
+ * "#2 src/legacy/** - 25m left, 2 edits left: hotfix for release"
+ */
+function describeGrant(grant, now = Date.now()) {
+  const limits = [
+    grant.expires !== null ? `${Math.max(1, Math.ceil((grant.expires - now) / DURATION_UNITS.m))}m left` : null,
+    grant.editsLeft !== null ? `${grant.editsLeft} edit${grant.editsLeft === 1 ? '' : 's'} left` : null
+  ].filter(Boolean);
+  return `#${grant.id} ${grant.glob} (in ${grant.baseDir}) - ${limits.join(', ')}: ${grant.reason}`;
+}
+
+module.exports = {
+  parseDuration,
+  readGrants,
+  addGrant,
+  revokeGrants,
+  findGrant,
+  useGrant,
+  describeGrant,
+  GRANTS_FILE,
+  BYPASS_LOG
+};
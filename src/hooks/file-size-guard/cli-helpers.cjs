@@ -0,0 +1,48 @@
+/**
+ * cli-helpers.cjs - Output and path helpers shared by the CLI commands
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Print a "label: value" line aligned like the toggle script's status output
+ */
+function printField(label, value) {
+  console.log(`${(label + ':').padEnd(16)}${value}`);
+}
+
+/**
+ * Directory config discovery starts from: the path itself if it is a directory
+ */
+function configDirFor(target) {
+  try {
+    if (fs.statSync(target).isDirectory()) return target;
+  } catch {
+    // Not created yet - treat as a file
+  }
+  return path.dirname(target);
+}
+
+/**
+ * Shorten a path under the home directory to ~/...
+ */
+function shortPath(source) {
+  const home = os.homedir();
+  return source.startsWith(home + path.sep) ? '~' + source.slice(home.length) : source;
+}
+
+/**
+ * Label for the layer a value came from
+ */
+function formatSource(source) {
+  return source ? `(${shortPath(source)})` : '(default)';
+}
+
+module.exports = {
+  printField,
+  configDirFor,
+  shortPath,
+  formatSource
+};
@@ -0,0 +1,82 @@
+/**
+ * cli.cjs - Command-line entry for file-size-guard
+ *
+ * Usage: node file-size-guard.cjs <command> [args]
+ *
+ * Commands:
+ * - register        Register the hook in ~/.claude/settings.json (and create
+ *                   the global config when missing)
+ * - enable, disable Switch the guard on or off in ~/.claude/.ck.json
+ * - status [path]   Show whether the guard is enabled and the thresholds
+ *                   that apply in a directory (merged config)
+ * - explain <path>  Show which rule and thresholds apply to a file
+ * - config [path]   Show the effective config (for a file or directory) and
+ *                   where each value came from
+ * - baseline [dir]  Record files already over the limit as their own ceiling
+ * - scan [paths]    Report files over the limits (--format text|json|sarif)
+ * - pre-commit      Check the staged version of changed files (git hook)
+ * - install-pre-commit  Add the pre-commit check to .git/hooks/pre-commit
+ * - uninstall-pre-commit [--all]  Remove it again (--all: from every repo
+ *                   it was installed in)
+ * - stats [dir] [--days N]  Summarize the event log (eventLog)
+ * - bypass <path|glob> (--for 30m | --edits N) --reason "why"
+ *                   Let edits to matching files past the limits for a while
+ *                   (--list, --revoke <id>|all)
+ * - accuracy [--reset]  Show how close pre-edit estimates were to the real
+ *                   size (recorded by the PostToolUse audit)
+ *
+ * Without a command, file-size-guard.cjs runs as a hook (reads stdin).
+ */
+
+const { baselineCommand } = require('./baseline-command.cjs');
+const { scanCommand } = require('./scan-command.cjs');
+const { preCommitCommand } = require('./precommit-command.cjs');
+const { installPreCommitCommand } = require('./precommit-installer.cjs');
+const { uninstallPreCommitCommand } = require('./precommit-uninstaller.cjs');
+const { accuracyCommand } = require('./estimate-accuracy.cjs');
+const { statsCommand } = require('./stats-command.cjs');
+const { bypassCommand } = require('./bypass-command.cjs');
+const { statusCommand } = require('./status-command.cjs');
+const { explainCommand, configCommand } = require('./config-command.cjs');
+const { registerCommand, enableCommand, disableCommand } = require('./hook-registration.cjs');
+
+const COMMANDS = {
+  register: registerCommand,
+  enable: enableCommand,
+  disable: disableCommand,
+  status: statusCommand,
+  explain: explainCommand,
+  config: configCommand,
+  baseline: baselineCommand,
+  scan: scanCommand,
+  'pre-commit': preCommitCommand,
+  'install-pre-commit': installPreCommitCommand,
+  'uninstall-pre-commit': uninstallPreCommitCommand,
+  stats: statsCommand,
+  bypass: bypassCommand,
+  accuracy: accuracyCommand
+};
+
+/**
+ * Run a CLI command and exit with its status code
+ */
+function run(argv) {
+  const [command, ...args] = argv;
+  const handler = COMMANDS[command];
+
+  if (!handler) {
+    console.error(`Usage: file-size-guard <${Object.keys(COMMANDS).join('|')}> [args]`);
+    process.exit(1);
+  }
+
+  try {
+    process.exit(handler(args));
+  } catch (error) {
+    console.error(`file-size-guard ${command} failed - ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  run
+};
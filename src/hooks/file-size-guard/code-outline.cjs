@@ -0,0 +1,191 @@
+/**
+ * code-outline.cjs - Top-level functions, classes and types of a source file
+ *
+ * Lightweight, not a real parser: works on comment-stripped lines (see
+ * comment-stripper.cjs, strings blanked so braces inside them don't count)
+ * - JS/TS, Rust, Go: declarations matched at bracket depth 0, each running
+ *   until its brackets close again
+ * - Python: def/class at column 0 (with decorators), running until the next
+ *   line at column 0
+ *
+ * Each symbol: { name, kind, startLine, endLine, lines, exported }
+ * kind: 'function' | 'class' | 'type' | 'variable'
+ */
+
+const { stripComments } = require('./comment-stripper.cjs');
+const { getLanguageSyntax } = require('./language-syntax.cjs');
+
+const JS_IDENT = '[A-Za-z_$][\\w$]*';
+
+// Declaration patterns per language, tried in order (group 1: export marker, group 2: name)
+const DECLARATIONS = {
+  javascript: [
+    { kind: 'class', pattern: new RegExp(`^(export\\s+(?:default\\s+)?)?(?:abstract\\s+)?class\\s+(${JS_IDENT})`) },
+    { kind: 'function', pattern: new RegExp(`^(export\\s+(?:default\\s+)?)?(?:async\\s+)?function\\s*\\*?\\s*(${JS_IDENT})`) },
+    {
+      kind: 'function',
+      pattern: new RegExp(`^(export\\s+)?(?:const|let|var)\\s+(${JS_IDENT})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*(?::[^=]+)?=>|${JS_IDENT}\\s*=>)`)
+    },
+    { kind: 'type', pattern: new RegExp(`^(export\\s+)?(?:declare\\s+)?(?:interface|type|enum|const\\s+enum)\\s+(${JS_IDENT})`) },
+    { kind: 'variable', pattern: new RegExp(`^(export\\s+)?(?:const|let|var)\\s+(${JS_IDENT})`) }
+  ],
+  rust: [
+    { kind: 'function', pattern: /^(pub(?:\([^)]*\))?\s+)?(?:const\s+|async\s+|unsafe\s+|extern\s+"_*"\s+)*fn\s+(\w+)/ },
+    { kind: 'type', pattern: /^(pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|union|type)\s+(\w+)/ },
+    { kind: 'class', pattern: /^()(?:unsafe\s+)?impl\b(?:\s*<[^>]*>)?\s+(?:[\w:<>, ]+\s+for\s+)?(\w+)/ },
+    { kind: 'class', pattern: /^(pub(?:\([^)]*\))?\s+)?mod\s+(\w+)/ },
+    { kind: 'variable', pattern: /^(pub(?:\([^)]*\))?\s+)?(?:const|static)\s+(?:mut\s+)?(\w+)/ }
+  ],
+  go: [
+    { kind: 'function', pattern: /^()func\s+(?:\([^)]*\)\s*)?(\w+)/ },
+    { kind: 'type', pattern: /^()type\s+(\w+)/ },
+    { kind: 'variable', pattern: /^()(?:var|const)\s+(\w+)/ }
+  ],
+  python: [
+    { kind: 'function', pattern: /^()(?:async\s+)?def\s+(\w+)/ },
+    { kind: 'class', pattern: /^()class\s+(\w+)/ }
+  ]
+};
+
+// A line ending like this, or a next line starting like this, continues the declaration
+const CONTINUATION = /(?:=>|[=,:+\-*/|&?(<])$/;
+const LEADING_CONTINUATION = /^(?:=>|[|&.?:])/;
+
+/**
+ * Whether a symbol is visible outside its file
+ */
+function isExported(language, name, marker) {
+  if (language === 'go') return /^[A-Z]/.test(name);
+  if (language === 'python') return !name.startsWith('_');
+  return Boolean(marker && marker.trim());
+}
+
+/**
+ * Match a top-level declaration on a trimmed line
+ */
+function matchDeclaration(language, line) {
+  for (const { kind, pattern } of DECLARATIONS[language]) {
+    const match = pattern.exec(line);
+    if (match) return { name: match[2], kind, exported: isExported(language, match[2], match[1]) };
+  }
+  return null;
+}
+
+/**
+ * Net change in bracket depth over a line
+ */
+function depthChange(line) {
+  let delta = 0;
+  for (const ch of line) {
+    if (ch === '{' || ch === '(' || ch === '[') delta++;
+    else if (ch === '}' || ch === ')' || ch === ']') delta--;
+  }
+  return delta;
+}
+
+/**
+ * Outline brace languages (JS/TS, Rust, Go)
+ */
+function outlineBraces(lines, language) {
+  const symbols = [];
+  let depth = 0;
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!current && depth === 0 && trimmed) {
+      const declaration = matchDeclaration(language, trimmed);
+      if (declaration) current = { ...declaration, startLine: index + 1, opened: false };
+    }
+    depth = Math.max(0, depth + depthChange(line));
+    if (!current) return;
+
+    if (depth > 0) {
+      current.opened = true;
+    } else if (current.opened ||
+               !(CONTINUATION.test(trimmed) || LEADING_CONTINUATION.test((lines[index + 1] || '').trim()))) {
+      const { opened, ...symbol } = current;
+      // Multi-line signatures ('const f = (\n  a\n) => ...') match on the joined text
+      const joined = lines.slice(symbol.startLine - 1, index + 1).map(l => l.trim()).join(' ');
+      symbols.push({ ...symbol, kind: matchDeclaration(language, joined)?.kind || symbol.kind, endLine: index + 1 });
+      current = null;
+    }
+  });
+
+  return symbols;
+}
+
+/**
+ * Outline Python by indentation
+ */
+function outlinePython(lines) {
+  const symbols = [];
+  let current = null;
+  let decoratorStart = null;
+  let lastCode = 0;
+
+  const close = () => {
+    if (current) symbols.push({ ...current, endLine: lastCode });
+    current = null;
+  };
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const topLevel = !/^\s/.test(line);
+    if (topLevel) {
+      const declaration = matchDeclaration('python', line.trim());
+      if (!/^[)\]}]/.test(line)) close(); // A closing bracket ends a multi-line signature
+      if (line.startsWith('@')) {
+        decoratorStart = decoratorStart ?? index + 1;
+      } else {
+        if (declaration) current = { ...declaration, startLine: decoratorStart ?? index + 1 };
+        decoratorStart = null;
+      }
+    }
+    lastCode = index + 1;
+  });
+  close();
+
+  return symbols;
+}
+
+/**
+ * Names listed in `module.exports = { ... }` (CommonJS)
+ */
+function commonJsExports(lines) {
+  const start = lines.findIndex(line => /^module\.exports\s*=\s*\{/.test(line.trim()));
+  if (start === -1) return new Set();
+
+  const names = new Set();
+  for (const line of lines.slice(start)) {
+    const body = line.replace(/^\s*module\.exports\s*=\s*\{/, '');
+    for (const match of body.matchAll(/([A-Za-z_$][\w$]*)\s*(?=[,:}]|$)/g)) names.add(match[1]);
+    if (line.includes('}')) break;
+  }
+  return names;
+}
+
+/**
+ * Outline a file's top-level symbols, or null for unsupported languages
+ */
+function outlineCode(content, filePath) {
+  const syntax = getLanguageSyntax(filePath);
+  const language = syntax && DECLARATIONS[syntax.name] ? syntax.name : null;
+  if (!language) return null;
+
+  const lines = stripComments(content, syntax);
+  const symbols = language === 'python' ? outlinePython(lines) : outlineBraces(lines, language);
+
+  const cjsExports = language === 'javascript' ? commonJsExports(lines) : new Set();
+  return symbols.map(symbol => ({
+    ...symbol,
+    lines: symbol.endLine - symbol.startLine + 1,
+    exported: symbol.exported || cjsExports.has(symbol.name)
+  }));
+}
+
+module.exports = {
+  outlineCode,
+  matchDeclaration,
+  depthChange
+};
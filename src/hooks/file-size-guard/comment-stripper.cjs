@@ -0,0 +1,176 @@
+/**
+ * comment-stripper.cjs - Remove comments from source code, line by line
+ *
+ * A small per-language tokenizer (see language-syntax.cjs) that walks the
+ * source once and returns one entry per physical line with:
+ * - comments removed (line, block, nested block, Python docstrings)
+ * - string contents blanked to '_' (quotes kept), so braces or comment
+ *   markers inside strings never confuse later passes
+ *
+ * Not a full parser: it only needs to be right about what is a comment.
+ */
+
+const { getLanguageSyntax } = require('./language-syntax.cjs');
+
+// '/' after one of these starts a regex literal rather than a division
+const REGEX_PREFIX_CHARS = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_PREFIX_KEYWORD = /(?:^|[^\w$])(?:return|typeof|instanceof|case|do|else|in|of|void|yield|await|delete|throw|new)\s*$/;
+
+// Rust: 'a' / '\n' / '\u{1F600}' are char literals, 'a alone is a lifetime
+const RUST_CHAR_LITERAL = /'(?:\\(?:u\{[0-9a-fA-F]{1,6}\}|x[0-9a-fA-F]{2}|.)|[^\\'\n])'/y;
+const RUST_RAW_STRING = /b?r(#*)"/y;
+
+const SHELL_COMMENT_BOUNDARY = /[\s;|&()]/;
+
+/**
+ * Match a sticky regex at index, returns the match or null
+ */
+function matchAt(regex, text, index) {
+  regex.lastIndex = index;
+  return regex.exec(text);
+}
+
+/**
+ * Find the end of a JS regex literal starting at index ('/'), or -1
+ */
+function findRegexEnd(text, index) {
+  let inClass = false;
+  for (let j = index + 1; j < text.length && text[j] !== '\n'; j++) {
+    const c = text[j];
+    if (c === '\\') j++;
+    else if (c === '[') inClass = true;
+    else if (c === ']') inClass = false;
+    else if (c === '/' && !inClass) return j;
+  }
+  return -1;
+}
+
+/**
+ * Strip comments from content
+ * @param {string} content - Source text
+ * @param {string|object} fileOrSyntax - File path (syntax looked up by extension) or syntax object
+ * @returns {string[]|null} Code per line, or null for unsupported languages
+ */
+function stripComments(content, fileOrSyntax) {
+  const syntax = typeof fileOrSyntax === 'string' ? getLanguageSyntax(fileOrSyntax) : fileOrSyntax;
+  if (!syntax) return null;
+
+  const text = content || '';
+  const lines = [];
+  const [blockOpen, blockClose] = syntax.blockComment || [];
+  let out = '';
+  let state = 'code';
+  let depth = 0;
+  let str = null; // { close, raw, multiline, doc }
+  let prevSignificant = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '\n') {
+      lines.push(out);
+      out = '';
+      if (state === 'string' && !str.multiline) state = 'code';
+      i++;
+      continue;
+    }
+
+    if (state === 'block') {
+      if (syntax.nestedComments && text.startsWith(blockOpen, i)) {
+        depth++;
+        i += blockOpen.length;
+      } else if (text.startsWith(blockClose, i)) {
+        depth--;
+        i += blockClose.length;
+        if (depth === 0) state = 'code';
+      } else {
+        i++;
+      }
+      continue;
+    }
+
+    if (state === 'string') {
+      if (!str.raw && ch === '\\') {
+        if (!str.doc) out += '_';
+        i += text[i + 1] === '\n' ? 1 : 2;
+      } else if (text.startsWith(str.close, i)) {
+        if (!str.doc) out += str.close;
+        prevSignificant = str.close[str.close.length - 1];
+        state = 'code';
+        i += str.close.length;
+      } else {
+        if (!str.doc && !/\s/.test(ch)) out += '_';
+        i++;
+      }
+      continue;
+    }
+
+    // Line comments (shell: '#' only at a word boundary)
+    const lineComment = syntax.lineComment.find(token => text.startsWith(token, i));
+    if (lineComment && !(syntax.wordComments && i > 0 && !SHELL_COMMENT_BOUNDARY.test(text[i - 1]))) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+      continue;
+    }
+
+    if (blockOpen && text.startsWith(blockOpen, i)) {
+      state = 'block';
+      depth = 1;
+      i += blockOpen.length;
+      continue;
+    }
+
+    if (syntax.rawStrings && (ch === 'r' || ch === 'b') && !/[\w$]/.test(text[i - 1] || '')) {
+      const raw = matchAt(RUST_RAW_STRING, text, i);
+      if (raw) {
+        out += raw[0];
+        str = { close: '"' + raw[1], raw: true, multiline: true, doc: false };
+        state = 'string';
+        i += raw[0].length;
+        continue;
+      }
+    }
+
+    if (syntax.charLiterals && ch === "'") {
+      const literal = matchAt(RUST_CHAR_LITERAL, text, i);
+      out += literal ? "'_'" : "'";
+      prevSignificant = "'";
+      i += literal ? literal[0].length : 1;
+      continue;
+    }
+
+    const quote = syntax.strings.find(s => text.startsWith(s.quote, i));
+    if (quote) {
+      const doc = Boolean(syntax.docstrings && quote.quote.length === 3 && out.trim() === '');
+      if (!doc) out += quote.quote;
+      str = { close: quote.quote, raw: Boolean(quote.raw), multiline: Boolean(quote.multiline), doc };
+      state = 'string';
+      i += quote.quote.length;
+      continue;
+    }
+
+    if (syntax.regexLiterals && ch === '/' &&
+        (REGEX_PREFIX_CHARS.includes(prevSignificant) || prevSignificant === '' ||
+         REGEX_PREFIX_KEYWORD.test(out))) {
+      const end = findRegexEnd(text, i);
+      if (end !== -1) {
+        out += '/_/';
+        prevSignificant = '/';
+        i = end + 1;
+        continue;
+      }
+    }
+
+    out += ch;
+    if (!/\s/.test(ch)) prevSignificant = ch;
+    i++;
+  }
+
+  lines.push(out);
+  return lines;
+}
+
+module.exports = {
+  stripComments
+};
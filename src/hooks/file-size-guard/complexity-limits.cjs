@@ -0,0 +1,122 @@
+/**
+ * complexity-limits.cjs - Function-length, nesting-depth and function-count limits
+ *
+ * A 180-line file made of one 170-line function passes the line check, so
+ * optional limits (global or per rule) look at the functions in the content
+ * after the edit (JS/TS, Python, Rust, Go - see function-scanner.cjs):
+ *   "maxFunctionLines":    { "warn": 50, "block": 100 }  lines of one function
+ *   "maxNestingDepth":     { "warn": 4, "block": 6 }     block nesting inside a function
+ *   "maxFunctionsPerFile": { "warn": 25, "block": 50 }   functions and methods in the file
+ *
+ * Levels work like the content limits (see content-limits.cjs): a plain
+ * number is a block level, mode "ask" asks instead of blocking, and a
+ * function already over a block level before the edit only blocks when the
+ * edit makes it worse. The worst functions are reported by name and line
+ * range. Unsupported languages and unreadable code are not checked (fail-open).
+ */
+
+const { findFunctions } = require('./function-scanner.cjs');
+const { normalizeLimit, evaluateLevels, describeLevel } = require('./content-limits.cjs');
+
+const COMPLEXITY_KEYS = ['maxFunctionLines', 'maxNestingDepth', 'maxFunctionsPerFile'];
+const MAX_SCAN_BYTES = 1024 * 1024;
+const MAX_REPORTED_FUNCTIONS = 5;
+
+// Result statuses from weakest to strongest (findings are only warn/ask/block)
+const SEVERITY = ['warn', 'ask', 'block'];
+
+// Per-function limits: the measured field and its explanation
+const FUNCTION_LIMITS = {
+  maxFunctionLines: {
+    field: 'lines',
+    summary: (fn, finding) => `function ${fn.name} ${finding.value} lines (limit ${finding.level})`,
+    message: (fn, finding) => `${formatFunction(fn)}: ${finding.value} lines ${describeLevel(finding)} - split it into smaller functions`
+  },
+  maxNestingDepth: {
+    field: 'depth',
+    summary: (fn, finding) => `function ${fn.name} nesting depth ${finding.value} (limit ${finding.level})`,
+    message: (fn, finding) => `${formatFunction(fn)}: nesting depth ${finding.value} ${describeLevel(finding)} - return early or extract the inner blocks`
+  }
+};
+
+/**
+ * "Function parseConfig (lines 40-215)"
+ */
+function formatFunction(fn) {
+  return `Function ${fn.name} (lines ${fn.startLine}-${fn.endLine})`;
+}
+
+/**
+ * All limits from a config section: { maxFunctionLines, maxNestingDepth, maxFunctionsPerFile }
+ */
+function normalizeComplexityLimits(section = {}) {
+  return Object.fromEntries(COMPLEXITY_KEYS.map(key => [key, normalizeLimit(key, section[key])]));
+}
+
+/**
+ * Functions of content, or null when it cannot be scanned
+ */
+function scanFunctions(content, filePath) {
+  if (typeof content !== 'string' || content.length > MAX_SCAN_BYTES) return null;
+  try {
+    return findFunctions(content, filePath);
+  } catch {
+    return null; // Fail-open: no complexity findings
+  }
+}
+
+/**
+ * Check the functions in content after an edit against the limits in config
+ * Returns findings: [{ key, value, status, level, preexisting, function?, summary, message }]
+ */
+function checkComplexity(config, filePath, estimatedContent, currentContent = '') {
+  if (!COMPLEXITY_KEYS.some(key => config[key])) return [];
+  const after = scanFunctions(estimatedContent, filePath);
+  if (!after) return [];
+  const before = scanFunctions(currentContent || '', filePath) || [];
+
+  // Largest value a same-named function had before the edit (-1 if new)
+  const previous = (name, field) => before
+    .filter(fn => fn.name === name)
+    .reduce((max, fn) => Math.max(max, fn[field]), -1);
+
+  const functionFindings = [];
+  for (const [key, { field, summary, message }] of Object.entries(FUNCTION_LIMITS)) {
+    if (!config[key]) continue;
+    for (const fn of after) {
+      const evaluation = evaluateLevels(fn[field], config[key], config, () => fn[field] > previous(fn.name, field));
+      if (!evaluation) continue;
+      const finding = { key, value: fn[field], ...evaluation };
+      functionFindings.push({
+        ...finding,
+        function: { name: fn.name, startLine: fn.startLine, endLine: fn.endLine },
+        summary: summary(fn, finding),
+        message: message(fn, finding)
+      });
+    }
+  }
+
+  // Worst first: blocks before warnings, then the largest values
+  const findings = functionFindings
+    .sort((a, b) => SEVERITY.indexOf(b.status) - SEVERITY.indexOf(a.status) || b.value - a.value)
+    .slice(0, MAX_REPORTED_FUNCTIONS);
+
+  if (config.maxFunctionsPerFile) {
+    const evaluation = evaluateLevels(after.length, config.maxFunctionsPerFile, config, () => after.length > before.length);
+    if (evaluation) {
+      const finding = { key: 'maxFunctionsPerFile', value: after.length, ...evaluation };
+      findings.push({
+        ...finding,
+        summary: `${after.length} functions (limit ${finding.level})`,
+        message: `Functions: ${after.length} in this file ${describeLevel(finding)} - move a group of related ones to a new module`
+      });
+    }
+  }
+  return findings;
+}
+
+module.exports = {
+  checkComplexity,
+  normalizeComplexityLimits,
+  COMPLEXITY_KEYS
+};
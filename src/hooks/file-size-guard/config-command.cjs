@@ -0,0 +1,124 @@
+/**
+ * config-command.cjs - `explain` and `config`: show the settings that apply
+ *
+ * explain <path>: the rule, thresholds, limits and skip reason for one file.
+ * config [path]: the merged config for a file or directory and the layer
+ * each value came from.
+ */
+
+const path = require('path');
+
+const { loadConfigWithSources, LIST_KEYS } = require('./config-loader.cjs');
+const {
+  getThresholdConfig, shouldExclude, isWhitelisted, getFileOverride, applyFileOverride, DEFAULT_EXCLUDE_PATTERNS
+} = require('./threshold-checker.cjs');
+const { getAskThreshold, describeBands, describeThresholdProblems } = require('./threshold-bands.cjs');
+const { resolveRule, applyRule } = require('./rule-resolver.cjs');
+const { describeLimitLevels } = require('./content-limits.cjs');
+const { COMPLEXITY_KEYS } = require('./complexity-limits.cjs');
+const { detectSkippedFile } = require('./content-sniffer.cjs');
+const { getLargeFileSize, formatSize } = require('./large-files.cjs');
+const { describeSessionBudget } = require('./session-budget.cjs');
+const { describeLegacyPatterns } = require('./legacy-patterns.cjs');
+const { printField, configDirFor, shortPath, formatSource } = require('./cli-helpers.cjs');
+
+/**
+ * explain <path> - show the effective limits for one file
+ */
+function explainCommand(args) {
+  if (!args[0]) {
+    console.error('Usage: file-size-guard explain <path>');
+    return 1;
+  }
+
+  const filePath = path.resolve(args[0]);
+  const { config: ckConfig, bases, rootDir } = loadConfigWithSources(path.dirname(filePath));
+  const baseConfig = getThresholdConfig(ckConfig, rootDir, bases);
+  const config = applyRule(baseConfig, resolveRule(filePath, baseConfig.rules, rootDir));
+  const override = getFileOverride(filePath);
+  const skippedFile = detectSkippedFile(filePath, rootDir, { detectGenerated: config.detectGenerated });
+  const largeFileSize = getLargeFileSize(filePath, config.largeFileBytes);
+
+  printField('Path', filePath);
+  printField('Rule', config.rule || '(none - global thresholds)');
+  printField('warnThreshold', config.warnThreshold);
+  printField('askThreshold', getAskThreshold(config) ?? 'off');
+  printField('blockThreshold', config.blockThreshold);
+  printField('mode', config.mode);
+  printField('Bands', describeBands(applyFileOverride(config, override)));
+  describeThresholdProblems(config).forEach(problem => printField('Warning', problem));
+  printField('countMode', config.countMode);
+  printField('legacyPolicy', config.legacyPolicy.name);
+  printField('Content limits', describeLimitLevels(config));
+  printField('Complexity', describeLimitLevels(config, COMPLEXITY_KEYS));
+  printField('Large files', `over ${formatSize(config.largeFileBytes)}: ${config.largeFilePolicy}` +
+    (largeFileSize !== null ? ` (this file: ${formatSize(largeFileSize)})` : ''));
+  printField('Session budget', describeSessionBudget(config.sessionBudget));
+  if (ckConfig.fileSizeGuard?.enabled === false) printField('Skipped', 'guard disabled');
+  else if (shouldExclude(filePath, config.excludePatterns, rootDir)) printField('Skipped', 'matches excludePatterns');
+  else if (isWhitelisted(filePath, config.whitelistPaths, rootDir)) printField('Skipped', 'matches whitelistPaths');
+  else if (skippedFile) printField('Skipped', `${skippedFile.reason} file (${skippedFile.detail})`);
+  else if (override?.disabled) printField('Skipped', 'disabled by its @file-size-guard comment');
+  else if (override?.maxLines) printField('Override', `@file-size-guard: max-lines=${override.maxLines}`);
+  return 0;
+}
+
+/**
+ * Print one list setting, one item per line with its source
+ */
+function printList(key, items = [], sources = []) {
+  console.log(`${key}:`);
+  if (key === 'excludePatterns') console.log(`  (${DEFAULT_EXCLUDE_PATTERNS.length} built-in defaults)`);
+  else if (!items.length) console.log('  (none)');
+  items.forEach((item, index) => {
+    const label = typeof item === 'string' ? item : JSON.stringify(item);
+    console.log(`  ${label}  ${formatSource(sources[index])}`);
+  });
+}
+
+/**
+ * config [path] - show the merged config and the layer each value came from
+ */
+function configCommand(args) {
+  const target = path.resolve(args[0] || '.');
+  const { config: ckConfig, sources, bases, layers, rootDir } = loadConfigWithSources(configDirFor(target));
+  const fileSizeGuard = ckConfig.fileSizeGuard || {};
+  const effective = getThresholdConfig(ckConfig, rootDir, bases);
+  const values = {
+    enabled: fileSizeGuard.enabled !== false,
+    warnThreshold: effective.warnThreshold,
+    blockThreshold: effective.blockThreshold,
+    countMode: effective.countMode,
+    legacyPolicy: effective.legacyPolicy.name,
+    extendDefaults: fileSizeGuard.extendDefaults !== false
+  };
+  // Keys without a built-in default (shown only when set)
+  for (const [key, value] of Object.entries(fileSizeGuard)) {
+    if (!(key in values) && !LIST_KEYS.includes(key)) values[key] = value;
+  }
+
+  printField('Project root', rootDir);
+  console.log('Layers (lowest priority first):');
+  if (!layers.length) console.log('  (none - built-in defaults)');
+  layers.forEach((layer, index) => console.log(`  ${index + 1}. ${shortPath(layer.source)}`));
+  console.log('');
+
+  for (const [key, value] of Object.entries(values)) {
+    const shown = typeof value === 'object' ? JSON.stringify(value) : value;
+    printField(key, `${shown}  ${formatSource(sources[`fileSizeGuard.${key}`])}`);
+  }
+  if (values.extendDefaults === false && Array.isArray(fileSizeGuard.excludePatterns)) {
+    printList('excludePatterns (replacing defaults)', fileSizeGuard.excludePatterns, sources['fileSizeGuard.excludePatterns']);
+  } else {
+    printList('excludePatterns', fileSizeGuard.excludePatterns, sources['fileSizeGuard.excludePatterns']);
+  }
+  printList('whitelistPaths', fileSizeGuard.whitelistPaths, sources['fileSizeGuard.whitelistPaths']);
+  printList('rules', fileSizeGuard.rules, sources['fileSizeGuard.rules']);
+  describeLegacyPatterns(fileSizeGuard, sources, formatSource).forEach(problem => printField('Warning', problem));
+  return 0;
+}
+
+module.exports = {
+  explainCommand,
+  configCommand
+};
@@ -0,0 +1,77 @@
+/**
+ * config-discovery.cjs - Find the .ck.json files that apply to a path
+ *
+ * Walks up from the edited file's directory to the project root (the nearest
+ * directory containing .git), collecting <dir>/.ck.json and
+ * <dir>/.claude/.ck.json on the way, so each package in a monorepo can own
+ * its limits. Outside a git repository the walk stops at the working directory.
+ *
+ * Files are returned lowest priority first: global, then root → deepest dir.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Nearest directory at or above startDir containing .git, or null
+ */
+function findGitRoot(startDir) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    if (fs.existsSync(path.join(dir, '.git'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Check if dir is parent or inside it
+ */
+function isInside(dir, parent) {
+  const relative = path.relative(parent, dir);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Project root for a directory: git root, else cwd (when inside it), else dir itself
+ */
+function findProjectRoot(startDir, cwd = process.cwd()) {
+  const dir = path.resolve(startDir);
+  const gitRoot = findGitRoot(dir);
+  if (gitRoot) return gitRoot;
+  return isInside(dir, path.resolve(cwd)) ? path.resolve(cwd) : dir;
+}
+
+/**
+ * Config files for startDir, lowest priority first
+ * @returns {{rootDir: string, files: Array<{path: string, baseDir: string}>}}
+ *   baseDir is the directory the file's globs resolve against
+ */
+function getConfigFiles(startDir = process.cwd(), cwd = process.cwd()) {
+  const rootDir = findProjectRoot(startDir, cwd);
+  const dirs = [];
+  for (let dir = path.resolve(startDir); ; dir = path.dirname(dir)) {
+    dirs.unshift(dir);
+    if (dir === rootDir || dir === path.dirname(dir)) break;
+  }
+
+  const files = [{ path: path.join(os.homedir(), '.claude', '.ck.json'), baseDir: rootDir }];
+  for (const dir of dirs) {
+    files.push(
+      { path: path.join(dir, '.ck.json'), baseDir: dir },
+      { path: path.join(dir, '.claude', '.ck.json'), baseDir: dir }
+    );
+  }
+
+  // Walking through $HOME: its .claude/.ck.json is the global file, keep it once
+  const unique = files.filter((file, index) => files.findIndex(f => f.path === file.path) === index);
+  return { rootDir, files: unique };
+}
+
+module.exports = {
+  getConfigFiles,
+  findProjectRoot,
+  findGitRoot
+};
@@ -0,0 +1,154 @@
+/**
+ * config-loader.cjs - Load layered .ck.json configuration
+ *
+ * Layers are deep-merged, later layers winning:
+ * 1. ~/.claude/.ck.json                  (global)
+ * 2. .ck.json and .claude/.ck.json in each directory from the project root
+ *    down to the edited file (see config-discovery.cjs)
+ * 3. FILE_SIZE_GUARD_* env variables     (FILE_SIZE_GUARD_WARN_THRESHOLD=150)
+ *
+ * Objects merge key by key; scalars and other arrays are replaced.
+ * Pattern lists (excludePatterns, whitelistPaths, rules) are appended to the
+ * lower layers' lists, unless the layer sets "extends": false.
+ *
+ * Every merged value remembers the layer it came from (see `config` command),
+ * and the directory its paths resolve against (per item for lists): the
+ * config file's directory, or the project root for global and env layers.
+ */
+
+const fs = require('fs');
+
+const { getConfigFiles } = require('./config-discovery.cjs');
+
+const ENV_PREFIX = 'FILE_SIZE_GUARD_';
+
+// fileSizeGuard lists that extend across layers
+const LIST_KEYS = ['excludePatterns', 'whitelistPaths', 'rules'];
+const LIST_PATHS = LIST_KEYS.map(key => `fileSizeGuard.${key}`);
+
+/**
+ * Read a JSON config file, null if missing or invalid
+ */
+function readConfigFile(configPath) {
+  try {
+    if (!fs.existsSync(configPath)) return null;
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    return config && typeof config === 'object' && !Array.isArray(config) ? config : null;
+  } catch {
+    return null; // Unreadable or invalid JSON - skip the layer
+  }
+}
+
+/**
+ * Parse an env value: JSON literals (numbers, booleans, arrays), else a string
+ */
+function parseEnvValue(raw, key) {
+  const text = raw.trim();
+  let value = raw;
+  if (/^(true|false|null|-?\d+(\.\d+)?)$/.test(text) || /^[[{]/.test(text)) {
+    try {
+      value = JSON.parse(text);
+    } catch {
+      value = raw;
+    }
+  }
+  // Comma-separated lists: FILE_SIZE_GUARD_EXCLUDE_PATTERNS="*.gen.ts,vendor"
+  if (LIST_KEYS.includes(key) && typeof value === 'string') {
+    value = value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+/**
+ * FILE_SIZE_GUARD_* variables as layers (one per variable, sorted by name)
+ */
+function readEnvLayers(env = process.env) {
+  return Object.keys(env)
+    .filter(name => name.startsWith(ENV_PREFIX) && name.length > ENV_PREFIX.length)
+    .sort()
+    .map(name => {
+      const key = name.slice(ENV_PREFIX.length).toLowerCase()
+        .replace(/_+([a-z0-9])/g, (_, ch) => ch.toUpperCase());
+      return { source: `$${name}`, config: { fileSizeGuard: { [key]: parseEnvValue(env[name], key) } } };
+    });
+}
+
+/**
+ * All config layers that exist for startDir, lowest priority first
+ * @returns {{rootDir: string, layers: Array<{source, baseDir, config}>}}
+ */
+function loadConfigLayers(startDir = process.cwd(), { env = process.env, cwd = process.cwd() } = {}) {
+  const { rootDir, files } = getConfigFiles(startDir, cwd);
+  const fileLayers = files
+    .map(file => ({ source: file.path, baseDir: file.baseDir, config: readConfigFile(file.path) }))
+    .filter(layer => layer.config);
+  const envLayers = readEnvLayers(env).map(layer => ({ ...layer, baseDir: rootDir }));
+  return { rootDir, layers: [...fileLayers, ...envLayers] };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge one layer into target, recording sources and base dirs by
+ * dotted key path (lists record one source and one base dir per item)
+ */
+function mergeInto(target, values, layer, state, prefix = '') {
+  for (const [key, value] of Object.entries(values)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) target[key] = {};
+      mergeInto(target[key], value, layer, state, keyPath);
+    } else if (Array.isArray(value)) {
+      const append = layer.extendLists && LIST_PATHS.includes(keyPath) && Array.isArray(target[key]);
+      target[key] = append ? [...target[key], ...value] : [...value];
+      state.sources[keyPath] = [...(append ? state.sources[keyPath] : []), ...value.map(() => layer.source)];
+      state.bases[keyPath] = [...(append ? state.bases[keyPath] : []), ...value.map(() => layer.baseDir)];
+    } else {
+      target[key] = value;
+      state.sources[keyPath] = layer.source;
+      state.bases[keyPath] = layer.baseDir;
+    }
+  }
+}
+
+/**
+ * Merge layers into { config, sources, bases }
+ */
+function mergeLayers(layers) {
+  const config = {};
+  const state = { sources: {}, bases: {} };
+  for (const layer of layers) {
+    const extendLists = layer.config.fileSizeGuard?.extends !== false;
+    mergeInto(config, layer.config, { ...layer, extendLists }, state);
+  }
+  return { config, ...state };
+}
+
+/**
+ * Load the merged config for a directory with provenance:
+ * { config, sources, bases, layers, rootDir }
+ */
+function loadConfigWithSources(startDir = process.cwd(), options = {}) {
+  const { rootDir, layers } = loadConfigLayers(startDir, options);
+  return { ...mergeLayers(layers), layers, rootDir };
+}
+
+/**
+ * Load the merged .ck.json config that applies to startDir
+ */
+function loadCkConfig(startDir = process.cwd(), options = {}) {
+  return loadConfigWithSources(startDir, options).config;
+}
+
+module.exports = {
+  loadCkConfig,
+  loadConfigWithSources,
+  loadConfigLayers,
+  mergeLayers,
+  readEnvLayers,
+  ENV_PREFIX,
+  LIST_KEYS
+};
@@ -0,0 +1,186 @@
+/**
+ * content-limits.cjs - Byte-size and line-length limits next to line counts
+ *
+ * A short file can still be huge: minified code, or inline SVG, base64 or
+ * JSON pasted into source. Optional limits (global or per rule), each with
+ * its own warn and block levels (a plain number is a block level):
+ *   "maxBytes":      { "warn": 40000, "block": 100000 }         UTF-8 size of the file
+ *   "maxLineLength": { "warn": 300, "block": 1000 }             longest line, in characters
+ *   "maxLongLines":  { "length": 200, "warn": 10, "block": 50 } lines longer than length
+ *
+ * Limits are checked against the content after the edit and apply when a
+ * value goes over a level. A block level the file already exceeded before
+ * the edit only blocks edits that make it worse (more bytes, more or longer
+ * over-long lines); the rest get a warning. mode "ask" asks instead of
+ * blocking, as for line counts. A rule may turn a limit off with null.
+ */
+
+const { overLimitStatus } = require('./threshold-bands.cjs');
+
+const LIMIT_KEYS = ['maxBytes', 'maxLineLength', 'maxLongLines'];
+const DEFAULT_LONG_LINE_LENGTH = 200;
+
+// Result statuses from weakest to strongest
+const STATUS_ORDER = ['ok', 'legacy', 'baseline', 'warn', 'ask', 'block'];
+
+const isLevel = value => Number.isInteger(value) && value > 0;
+const formatNumber = value => value.toLocaleString('en-US');
+
+/**
+ * Normalize one limit to { warn, block[, length] } (null when unset or invalid)
+ */
+function normalizeLimit(key, value) {
+  if (isLevel(value)) value = { block: value };
+  if (!value || typeof value !== 'object') return null;
+
+  const limit = {
+    warn: isLevel(value.warn) ? value.warn : null,
+    block: isLevel(value.block) ? value.block : null
+  };
+  if (limit.warn === null && limit.block === null) return null;
+  if (key === 'maxLongLines') limit.length = isLevel(value.length) ? value.length : DEFAULT_LONG_LINE_LENGTH;
+  return limit;
+}
+
+/**
+ * All limits from a config section: { maxBytes, maxLineLength, maxLongLines }
+ */
+function normalizeContentLimits(section = {}) {
+  return Object.fromEntries(LIMIT_KEYS.map(key => [key, normalizeLimit(key, section[key])]));
+}
+
+/**
+ * Byte size and line lengths of content
+ */
+function profileContent(content) {
+  return {
+    bytes: Buffer.byteLength(content, 'utf-8'),
+    lengths: content.split('\n').map(line => line.length - (line.endsWith('\r') ? 1 : 0))
+  };
+}
+
+// Per limit: value compared with the levels, and how far over a level the
+// content is (compared before/after the edit to tell if it got worse)
+const MEASURES = {
+  maxBytes: {
+    value: profile => profile.bytes,
+    excess: (profile, level) => (profile.bytes > level ? profile.bytes : 0)
+  },
+  maxLineLength: {
+    value: profile => profile.lengths.reduce((max, length) => Math.max(max, length), 0),
+    excess: (profile, level) => profile.lengths.reduce((sum, length) => (length > level ? sum + length : sum), 0)
+  },
+  maxLongLines: {
+    value: (profile, limit) => profile.lengths.filter(length => length > limit.length).length,
+    excess: (profile, level, limit) => MEASURES.maxLongLines.value(profile, limit)
+  }
+};
+
+/**
+ * Where a value stands against a limit's levels: { status, level, preexisting },
+ * or null when under both. worse(level) tells whether the edit made things
+ * worse at the block level (if not, an existing violation only warns)
+ */
+function evaluateLevels(value, limit, config, worse) {
+  if (limit.block !== null && value > limit.block) {
+    const madeWorse = worse(limit.block);
+    return { status: madeWorse ? overLimitStatus(config) : 'warn', level: limit.block, preexisting: !madeWorse };
+  }
+  if (limit.warn !== null && value > limit.warn) return { status: 'warn', level: limit.warn, preexisting: false };
+  return null;
+}
+
+/**
+ * Level part of an explanation: "(block over 1,000)"
+ */
+function describeLevel(finding) {
+  return finding.preexisting
+    ? `(over the block level ${formatNumber(finding.level)} before this edit too - not made worse)`
+    : `(${finding.status} over ${formatNumber(finding.level)})`;
+}
+
+/**
+ * Short form for one-line reasons: "longest line 4,812 characters (limit 1,000)"
+ */
+function summarizeFinding(finding) {
+  const limit = `(limit ${formatNumber(finding.level)})`;
+  if (finding.key === 'maxBytes') return `${formatNumber(finding.value)} bytes ${limit}`;
+  if (finding.key === 'maxLineLength') return `longest line ${formatNumber(finding.value)} characters ${limit}`;
+  return `${formatNumber(finding.value)} long lines ${limit}`;
+}
+
+/**
+ * Explanation line for one finding
+ */
+function describeFinding(finding, limit) {
+  const value = formatNumber(finding.value);
+  switch (finding.key) {
+    case 'maxBytes':
+      return `Size: ${value} bytes after the edit ${describeLevel(finding)} - move large inline data (SVG, base64, JSON) to its own file and load it`;
+    case 'maxLineLength':
+      return `Longest line: ${value} characters at line ${finding.line} ${describeLevel(finding)} - keep minified code and data blobs out of source files`;
+    default:
+      return `Long lines: ${value} lines over ${formatNumber(limit.length)} characters ${describeLevel(finding)} - wrap them, or move the data to its own file`;
+  }
+}
+
+/**
+ * Check content after an edit against the limits in config
+ * Returns findings: [{ key, value, status, level, preexisting, line?, summary, message }]
+ */
+function checkContentLimits(config, estimatedContent, currentContent = '') {
+  const keys = LIMIT_KEYS.filter(key => config[key]);
+  if (!keys.length || typeof estimatedContent !== 'string') return [];
+
+  const after = profileContent(estimatedContent);
+  const before = profileContent(currentContent || '');
+  const findings = [];
+
+  for (const key of keys) {
+    const limit = config[key];
+    const measure = MEASURES[key];
+    const value = measure.value(after, limit);
+    const evaluation = evaluateLevels(value, limit, config,
+      level => measure.excess(after, level, limit) > measure.excess(before, level, limit));
+    if (!evaluation) continue;
+
+    const finding = { key, value, ...evaluation };
+    if (key === 'maxLineLength') finding.line = after.lengths.indexOf(value) + 1;
+    findings.push({ ...finding, summary: summarizeFinding(finding), message: describeFinding(finding, limit) });
+  }
+  return findings;
+}
+
+/**
+ * Stronger of a line-count status and the findings' statuses
+ */
+function strongestStatus(status, findings = []) {
+  return findings.reduce(
+    (strongest, finding) => (STATUS_ORDER.indexOf(finding.status) > STATUS_ORDER.indexOf(strongest) ? finding.status : strongest),
+    status
+  );
+}
+
+/**
+ * Configured levels, e.g. "maxBytes warn 40000 / block 100000; maxLongLines (200 chars) block 50"
+ */
+function describeLimitLevels(config, keys = LIMIT_KEYS) {
+  const described = keys.filter(key => config[key]).map(key => {
+    const { warn, block, length } = config[key];
+    const levels = [warn !== null ? `warn ${warn}` : null, block !== null ? `block ${block}` : null].filter(Boolean);
+    return `${key}${length ? ` (${length} chars)` : ''} ${levels.join(' / ')}`;
+  });
+  return described.length ? described.join('; ') : 'off';
+}
+
+module.exports = {
+  checkContentLimits,
+  normalizeContentLimits,
+  normalizeLimit,
+  evaluateLevels,
+  describeLevel,
+  strongestStatus,
+  describeLimitLevels,
+  LIMIT_KEYS,
+  STATUS_ORDER
+};
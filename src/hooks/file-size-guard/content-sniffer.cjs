@@ -0,0 +1,93 @@
+/**
+ * content-sniffer.cjs - Binary and generated files detected by content
+ *
+ * Extensions alone (BINARY_EXTENSIONS in line-counter.cjs) miss extensionless
+ * or oddly named binaries, and generated code should be fixed in its
+ * generator, not split by hand. Such files are skipped, with the reason:
+ * - binary:    a NUL byte, or more than 10% invalid UTF-8, in the first 8 KB
+ * - generated: a comment starting with one of the markers below in the
+ *              first 20 lines, or linguist-generated / -diff / binary in
+ *              .gitattributes (see git-attributes.cjs)
+ *
+ * Markers are read from the file as it is on disk, before the edit, so an
+ * edit cannot exempt a file by adding one. "detectGenerated": false turns
+ * the generated-file checks off (binary sniffing always applies).
+ */
+
+const fs = require('fs');
+
+const { getAttributeSkip } = require('./git-attributes.cjs');
+
+const SNIFF_BYTES = 8192;
+const MAX_INVALID_RATIO = 0.1;
+const MARKER_LINES = 20;
+
+// Generated-file markers, at the start of a comment ('// @generated', '# Code generated by ...')
+const COMMENT_START = String.raw`^\s*(?:\/\/+|#+|\/\*+|\*+|<!--|--|;+)\s*`;
+const GENERATED_MARKERS = [
+  { name: '@generated', pattern: new RegExp(`${COMMENT_START}@generated\\b`) },
+  { name: 'Code generated by', pattern: new RegExp(`${COMMENT_START}Code generated\\b`) },
+  { name: 'DO NOT EDIT', pattern: new RegExp(`${COMMENT_START}DO NOT EDIT\\b`) }
+];
+
+/**
+ * Whether a buffer looks binary (NUL bytes or mostly invalid UTF-8)
+ */
+function isBinaryBuffer(buffer) {
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  if (!sample.length) return false;
+  if (sample.includes(0)) return true;
+
+  // stream: a character cut at the end of the sample is not invalid
+  const text = new TextDecoder('utf-8').decode(sample, { stream: true });
+  const invalid = (text.match(/\uFFFD/g) || []).length;
+  return invalid / sample.length > MAX_INVALID_RATIO;
+}
+
+/**
+ * First generated-file marker in the header of text, or null
+ */
+function findGeneratedMarker(text) {
+  const header = text.slice(0, SNIFF_BYTES).split('\n', MARKER_LINES);
+  const marker = GENERATED_MARKERS.find(({ pattern }) => header.some(line => pattern.test(line)));
+  return marker ? marker.name : null;
+}
+
+/**
+ * First SNIFF_BYTES of a file (null if missing or unreadable)
+ */
+function readSample(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0));
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Why a file is skipped as binary or generated, or null
+ * sample: the file's content (Buffer or string) instead of reading it from disk
+ * options.detectGenerated: false to check for binary content only
+ * Returns { reason: 'binary' | 'generated', detail }
+ */
+function detectSkippedFile(filePath, rootDir, options = {}) {
+  const sample = options.sample !== undefined ? options.sample : readSample(filePath);
+  const buffer = typeof sample === 'string' ? Buffer.from(sample.slice(0, SNIFF_BYTES)) : sample;
+  if (buffer && isBinaryBuffer(buffer)) return { reason: 'binary', detail: 'binary content' };
+  if (options.detectGenerated === false) return null;
+
+  const marker = buffer ? findGeneratedMarker(buffer.toString('utf-8')) : null;
+  if (marker) return { reason: 'generated', detail: `${marker} marker` };
+  return getAttributeSkip(filePath, rootDir);
+}
+
+module.exports = {
+  detectSkippedFile,
+  isBinaryBuffer,
+  findGeneratedMarker
+};
@@ -0,0 +1,48 @@
+/**
+ * decision-notes.cjs - Explanations attached to a tool check's result
+ *
+ * - statusNote: why an over-limit edit was blocked, put to the human or
+ *   allowed (baseline ceiling, legacyPolicy)
+ * - describeOverride: what let an edit past the plain thresholds, for the
+ *   event log (legacyPolicy, baseline, inline max-lines)
+ */
+
+const { describeLegacyPolicy } = require('./legacy-policy.cjs');
+const { describeBaseline } = require('./baseline.cjs');
+const { getCountUnit } = require('./line-metrics.cjs');
+
+/**
+ * Note for a result status ('' when there is nothing to add)
+ */
+function statusNote(status, config, currentLines, estimatedLines) {
+  const unit = getCountUnit(config.countMode);
+  switch (status) {
+    case 'block':
+    case 'ask':
+      if (estimatedLines < config.blockThreshold) return '';
+      return [
+        config.baseline !== undefined ? describeBaseline(config.baseline, unit) : null,
+        currentLines >= config.blockThreshold ? describeLegacyPolicy(config.legacyPolicy, unit) : null
+      ].filter(Boolean).join('\n');
+    case 'baseline':
+      return describeBaseline(config.baseline, unit);
+    case 'legacy':
+      return `Already over the limit - edit allowed by legacyPolicy: ${config.legacyPolicy.name}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * What let the edit past the plain thresholds, or null
+ */
+function describeOverride(status, config, fileOverride) {
+  if (status === 'legacy') return `legacyPolicy ${config.legacyPolicy.name}`;
+  if (status === 'baseline') return `baseline ${config.baseline}`;
+  return fileOverride?.maxLines ? `@file-size-guard: max-lines=${fileOverride.maxLines}` : null;
+}
+
+module.exports = {
+  statusNote,
+  describeOverride
+};
@@ -0,0 +1,107 @@
+/**
+ * edit-simulator.cjs - Apply Edit-style replacements exactly like the editor tool
+ *
+ * Mirrors the Edit tool's rules instead of estimating a line delta:
+ * - old_string must exist in the file (otherwise: not-found)
+ * - without replace_all, old_string must be unique (otherwise: ambiguous)
+ * - empty old_string only creates content for a new/empty file
+ *
+ * Line counts follow `wc -l`, plus one for a final line without a newline.
+ */
+
+// Simulation result statuses
+const EDIT_STATUS = {
+  OK: 'ok',
+  NOT_FOUND: 'not-found',
+  AMBIGUOUS: 'ambiguous'
+};
+
+/**
+ * Count lines in content exactly (trailing newline does not add a line)
+ */
+function countContentLines(content) {
+  if (!content) return 0;
+
+  let newlines = 0;
+  let index = content.indexOf('\n');
+  while (index !== -1) {
+    newlines++;
+    index = content.indexOf('\n', index + 1);
+  }
+  return content.endsWith('\n') ? newlines : newlines + 1;
+}
+
+/**
+ * Count non-overlapping occurrences of needle (stops early at limit)
+ */
+function countOccurrences(content, needle, limit = Infinity) {
+  let count = 0;
+  let index = content.indexOf(needle);
+  while (index !== -1 && count < limit) {
+    count++;
+    index = content.indexOf(needle, index + needle.length);
+  }
+  return count;
+}
+
+/**
+ * Apply one replacement to content
+ * @returns {{status: string, content: string, occurrences: number}}
+ */
+function simulateEdit(content, oldString, newString, replaceAll = false) {
+  const current = content || '';
+  const next = newString || '';
+
+  // Empty old_string: create file content (only valid for new/empty files)
+  if (!oldString) {
+    if (current) return { status: EDIT_STATUS.NOT_FOUND, content: current, occurrences: 0 };
+    return { status: EDIT_STATUS.OK, content: next, occurrences: 1 };
+  }
+
+  const occurrences = countOccurrences(current, oldString, replaceAll ? Infinity : 2);
+  if (occurrences === 0) {
+    return { status: EDIT_STATUS.NOT_FOUND, content: current, occurrences };
+  }
+  if (occurrences > 1 && !replaceAll) {
+    return { status: EDIT_STATUS.AMBIGUOUS, content: current, occurrences };
+  }
+
+  if (replaceAll) {
+    // Replacer function: '$' in new_string is literal, and no split() array of pieces
+    return { status: EDIT_STATUS.OK, content: current.replaceAll(oldString, () => next), occurrences };
+  }
+
+  const index = current.indexOf(oldString);
+  return {
+    status: EDIT_STATUS.OK,
+    content: current.slice(0, index) + next + current.slice(index + oldString.length),
+    occurrences
+  };
+}
+
+/**
+ * Apply a list of edits in order (MultiEdit semantics: all or nothing)
+ * @returns {{status: string, content: string, failedEdit: number|null}}
+ */
+function simulateEdits(content, edits = []) {
+  let current = content || '';
+
+  for (let i = 0; i < edits.length; i++) {
+    const edit = edits[i] || {};
+    const result = simulateEdit(current, edit.old_string, edit.new_string, edit.replace_all);
+    if (result.status !== EDIT_STATUS.OK) {
+      return { status: result.status, content: content || '', failedEdit: i };
+    }
+    current = result.content;
+  }
+
+  return { status: EDIT_STATUS.OK, content: current, failedEdit: null };
+}
+
+module.exports = {
+  simulateEdit,
+  simulateEdits,
+  countContentLines,
+  countOccurrences,
+  EDIT_STATUS
+};
@@ -0,0 +1,115 @@
+/**
+ * estimate-accuracy.cjs - How far pre-edit estimates were from the real size
+ *
+ * The PostToolUse audit (see post-tool-audit.cjs) re-counts each edited file
+ * and records the difference from the estimate made before the edit in
+ * estimate-accuracy.json in the state directory (see state-store.cjs):
+ *   { version, samples, exact, totalError, maxError,
+ *     tools: { Edit: { samples, exact, totalError } }, misses: [...] }
+ * Errors are absolute differences in the file's countMode; misses keeps the
+ * last MAX_MISSES estimates that were off, to show what went wrong. Samples
+ * are added under the state file's lock (updateState), so audits running
+ * side by side all count.
+ * `node file-size-guard.cjs accuracy` prints the summary.
+ */
+
+const { readState, updateState, removeState, getStatePath } = require('./state-store.cjs');
+
+const ACCURACY_FILE = 'estimate-accuracy.json';
+const ACCURACY_VERSION = 1;
+const MAX_MISSES = 20;
+
+/**
+ * Empty counters for the whole record or one tool
+ */
+function createCounters() {
+  return { samples: 0, exact: 0, totalError: 0 };
+}
+
+/**
+ * The accuracy record, an empty one when missing or from another version
+ */
+function validAccuracy(record) {
+  if (!record || record.version !== ACCURACY_VERSION) {
+    return { version: ACCURACY_VERSION, ...createCounters(), maxError: 0, tools: {}, misses: [] };
+  }
+  return record;
+}
+
+/**
+ * Read the accuracy record (an empty one when missing or invalid)
+ */
+function readAccuracy() {
+  return validAccuracy(readState(ACCURACY_FILE));
+}
+
+/**
+ * Add one audited edit: { toolName, filePath, countMode, estimatedLines, actualLines }
+ * (null when the record could not be updated)
+ */
+function recordAccuracy(sample, now = new Date()) {
+  return updateState(ACCURACY_FILE, current => addSample(validAccuracy(current), sample, now));
+}
+
+/**
+ * Record with one sample added (modified in place)
+ */
+function addSample(record, sample, now) {
+  const error = Math.abs(sample.actualLines - sample.estimatedLines);
+  const tool = record.tools[sample.toolName] || createCounters();
+
+  for (const counters of [record, tool]) {
+    counters.samples++;
+    counters.totalError += error;
+    if (error === 0) counters.exact++;
+  }
+  record.tools[sample.toolName] = tool;
+  record.maxError = Math.max(record.maxError, error);
+  if (error > 0) {
+    record.misses = [...record.misses, { time: now.toISOString(), ...sample }].slice(-MAX_MISSES);
+  }
+  return record;
+}
+
+/**
+ * "40/42 exact (95%), mean error 0.12"
+ */
+function describeCounters({ samples, exact, totalError }) {
+  const percent = Math.round((exact / samples) * 100);
+  return `${exact}/${samples} exact (${percent}%), mean error ${Number((totalError / samples).toFixed(2))}`;
+}
+
+/**
+ * accuracy [--reset] - print how accurate the audited estimates were
+ */
+function accuracyCommand(args = []) {
+  if (args.includes('--reset')) {
+    removeState(ACCURACY_FILE);
+    console.log(`Cleared ${getStatePath(ACCURACY_FILE)}`);
+    return 0;
+  }
+
+  const record = readAccuracy();
+  if (!record.samples) {
+    console.log('No audited edits yet (the PostToolUse audit records them after each Edit/MultiEdit/Write)');
+    return 0;
+  }
+  console.log(`Audited edits: ${describeCounters(record)}, max error ${record.maxError}`);
+  for (const [toolName, counters] of Object.entries(record.tools)) {
+    console.log(`  ${toolName.padEnd(10)} ${describeCounters(counters)}`);
+  }
+  if (record.misses.length) {
+    console.log('Recent misses:');
+    for (const miss of record.misses) {
+      console.log(`  ${miss.time}  ${miss.toolName}  ${miss.filePath}: estimated ${miss.estimatedLines}, actual ${miss.actualLines} (${miss.countMode})`);
+    }
+  }
+  return 0;
+}
+
+module.exports = {
+  recordAccuracy,
+  readAccuracy,
+  accuracyCommand,
+  ACCURACY_FILE
+};
@@ -0,0 +1,174 @@
+/**
+ * event-log.cjs - Opt-in JSONL log of the hook's decisions
+ *
+ * fileSizeGuard.eventLog (off by default):
+ *   true, or { "location": "home", "maxBytes": 1048576, "maxFiles": 3 }
+ * - location: home    - events.jsonl in the state directory (see state-store.cjs)
+ *             project - .claude/file-size-guard/events.jsonl under the project
+ *                       root (ignored for git by a .gitignore next to it, which
+ *                       leaves suggestion templates there tracked)
+ * - maxBytes: the log is rotated to events.1.jsonl ... once it reaches this size
+ * - maxFiles: rotated logs kept (the oldest is deleted)
+ *
+ * One line per checked tool call:
+ *   { time, session, tool, root, path, currentLines, estimatedLines,
+ *     countMode, rule, decision, cause, override, bash }
+ * root is the project root and path is relative to it when inside it (the
+ * home log is shared by every project, so `stats` reads one project's
+ * events by root); decision is the
+ * status (ok, warn, ask, block, legacy, baseline); override names what let
+ * the edit past the plain thresholds (legacyPolicy, baseline, max-lines,
+ * a bypass grant with its reason ...).
+ * `node file-size-guard.cjs stats` summarizes the log (see stats-command.cjs).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { getStatePath } = require('./state-store.cjs');
+const { relativeTo } = require('./glob-matcher.cjs');
+
+const LOG_LOCATIONS = ['home', 'project'];
+const LOG_FILE = 'events.jsonl';
+const PROJECT_LOG_DIR = path.join('.claude', 'file-size-guard');
+const DEFAULT_LOG_MAX_BYTES = 1024 * 1024;
+const DEFAULT_LOG_MAX_FILES = 3;
+
+/**
+ * Normalize eventLog: null (off) or { location, maxBytes, maxFiles }
+ */
+function normalizeEventLog(section) {
+  if (section !== true && (!section || typeof section !== 'object' || section.enabled === false)) return null;
+  const options = section === true ? {} : section;
+  return {
+    location: LOG_LOCATIONS.includes(options.location) ? options.location : 'home',
+    maxBytes: Number.isInteger(options.maxBytes) && options.maxBytes > 0 ? options.maxBytes : DEFAULT_LOG_MAX_BYTES,
+    maxFiles: Number.isInteger(options.maxFiles) && options.maxFiles >= 0 ? options.maxFiles : DEFAULT_LOG_MAX_FILES
+  };
+}
+
+/**
+ * Log file for a location ('home' or 'project' with the project root)
+ */
+function getLogPath(location, rootDir) {
+  return location === 'project' && rootDir
+    ? path.join(rootDir, PROJECT_LOG_DIR, LOG_FILE)
+    : getStatePath(LOG_FILE);
+}
+
+/**
+ * events.jsonl → events.1.jsonl (index 0 is the live log)
+ */
+function rotatedPath(logPath, index) {
+  return index === 0 ? logPath : logPath.replace(/\.jsonl$/, `.${index}.jsonl`);
+}
+
+/**
+ * Shift events.jsonl → events.1.jsonl → ... once it reached maxBytes
+ */
+function rotateLog(logPath, { maxBytes, maxFiles }) {
+  try {
+    if (fs.statSync(logPath).size < maxBytes) return;
+  } catch {
+    return; // No log yet
+  }
+  for (let index = maxFiles; index >= 0; index--) {
+    try {
+      if (index === maxFiles) fs.unlinkSync(rotatedPath(logPath, index));
+      else fs.renameSync(rotatedPath(logPath, index), rotatedPath(logPath, index + 1));
+    } catch {
+      // Not rotated that far yet
+    }
+  }
+}
+
+/**
+ * Log entry for a checked tool call (data: the hook payload)
+ */
+function createEvent(data, { result }) {
+  const { metrics = {} } = result;
+  return {
+    time: new Date().toISOString(),
+    session: data.session_id || null,
+    tool: data.tool_name || null,
+    root: metrics.rootDir || null,
+    path: relativeTo(result.filePath, metrics.rootDir) || result.filePath,
+    currentLines: result.currentLines,
+    estimatedLines: result.estimatedLines,
+    countMode: metrics.countMode,
+    rule: metrics.rule || null,
+    decision: result.status,
+    cause: metrics.cause || null,
+    override: metrics.override || null,
+    ...(metrics.bash ? { bash: metrics.bash } : {})
+  };
+}
+
+/**
+ * Append one entry to a JSONL log, rotating it first ({ maxBytes, maxFiles })
+ */
+function appendLogEntry(logPath, entry, options = normalizeEventLog(true)) {
+  try {
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    rotateLog(logPath, options);
+    fs.appendFileSync(logPath, JSON.stringify(entry) + '\n');
+  } catch {
+    // Fail-open: an unwritable log never stops an edit
+  }
+}
+
+/**
+ * Keep project logs out of git (a .gitignore next to them, ignoring itself too)
+ */
+function ignoreLogs(logDir) {
+  try {
+    fs.mkdirSync(logDir, { recursive: true });
+    fs.writeFileSync(path.join(logDir, '.gitignore'), 'events*.jsonl\n.gitignore\n', { flag: 'wx' });
+  } catch {
+    // Already there, or unwritable (the log write fails open too)
+  }
+}
+
+/**
+ * Append a checked tool call to the event log, when eventLog is on
+ */
+function logDecision(data, checked) {
+  const options = checked.config.eventLog;
+  if (!options) return;
+  const logPath = getLogPath(options.location, checked.result.metrics?.rootDir);
+  if (options.location === 'project') ignoreLogs(path.dirname(logPath));
+  appendLogEntry(logPath, createEvent(data, checked), options);
+}
+
+/**
+ * Events from a log and its rotated files, oldest first (bad lines skipped)
+ */
+function readEvents(logPath, maxFiles = DEFAULT_LOG_MAX_FILES) {
+  const events = [];
+  for (let index = maxFiles; index >= 0; index--) {
+    let text;
+    try {
+      text = fs.readFileSync(rotatedPath(logPath, index), 'utf-8');
+    } catch {
+      continue;
+    }
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        // Truncated line from an interrupted write
+      }
+    }
+  }
+  return events;
+}
+
+module.exports = {
+  normalizeEventLog,
+  getLogPath,
+  logDecision,
+  appendLogEntry,
+  readEvents,
+  LOG_LOCATIONS
+};
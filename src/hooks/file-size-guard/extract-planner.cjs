@@ -0,0 +1,177 @@
+/**
+ * extract-planner.cjs - Concrete micro-extract plan for an oversized file
+ *
+ * From the file's outline (see code-outline.cjs) it lists the largest
+ * top-level symbols and proposes groups to move out, largest first:
+ * - each sizeable class (with its same-named struct/type, for Rust impls)
+ * - the remaining types/interfaces together ('<file>-types')
+ * - functions sharing a leading word ('parseX', 'parseY' → '<file>-parse'),
+ *   or a sizeable function on its own (named after the function)
+ * Destination names follow the file's naming style (kebab-case, snake_case,
+ * camelCase or PascalCase) and keep its extension.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { outlineCode } = require('./code-outline.cjs');
+
+const MIN_GROUP_LINES = 10;
+const MAX_SYMBOLS = 5;
+const MAX_GROUPS = 3;
+const MAX_PLAN_BYTES = 1024 * 1024;
+
+// Naming style for single-word file names, per language
+const DEFAULT_STYLES = { '.py': 'snake', '.rs': 'snake', '.go': 'snake' };
+
+/**
+ * Split an identifier or file name into lowercase words
+ */
+function splitWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * Naming style of a file's base name: 'kebab' | 'snake' | 'camel' | 'pascal'
+ */
+function detectNamingStyle(baseName, ext = '') {
+  if (baseName.includes('-')) return 'kebab';
+  if (baseName.includes('_')) return 'snake';
+  if (/^[A-Z]/.test(baseName)) return 'pascal';
+  if (/[a-z][A-Z]/.test(baseName)) return 'camel';
+  return DEFAULT_STYLES[ext.toLowerCase()] || 'kebab';
+}
+
+/**
+ * Join words in a naming style
+ */
+function formatName(words, style) {
+  const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+  switch (style) {
+    case 'snake': return words.join('_');
+    case 'pascal': return words.map(capitalize).join('');
+    case 'camel': return words.map((word, i) => (i ? capitalize(word) : word)).join('');
+    default: return words.join('-');
+  }
+}
+
+/**
+ * Candidate groups (words name the destination file) before ranking
+ */
+function collectGroups(symbols, baseWords) {
+  const groups = [];
+  const byKind = kind => symbols.filter(symbol => symbol.kind === kind);
+  const grouped = new Set();
+
+  for (const cls of byKind('class')) {
+    const members = symbols.filter(s => s.name === cls.name && (s.kind === 'class' || s.kind === 'type'));
+    members.forEach(member => grouped.add(member));
+    groups.push({ words: splitWords(cls.name), symbols: members });
+  }
+
+  const types = byKind('type').filter(symbol => !grouped.has(symbol));
+  if (types.length) groups.push({ words: [...baseWords, 'types'], symbols: types });
+
+  const byPrefix = new Map();
+  for (const fn of byKind('function')) {
+    const prefix = splitWords(fn.name)[0] || fn.name;
+    byPrefix.set(prefix, [...(byPrefix.get(prefix) || []), fn]);
+  }
+  for (const [prefix, functions] of byPrefix) {
+    if (functions.length > 1) {
+      // 'globX' functions in glob-matcher go to glob-matcher-core, not glob-matcher-glob
+      const words = baseWords.includes(prefix) ? [...baseWords, 'core'] : [...baseWords, prefix];
+      groups.push({ words, symbols: functions });
+    } else {
+      groups.push({ words: splitWords(functions[0].name), symbols: functions });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Plan extractions from a file's content
+ * Returns { symbols, groups: [{ file, symbols, lines }] }, or null when the
+ * language is not supported or nothing sizeable is found
+ */
+function planExtraction(filePath, content) {
+  const symbols = outlineCode(content, filePath);
+  if (!symbols || !symbols.length) return null;
+
+  const ext = path.extname(filePath);
+  const baseName = path.basename(filePath, ext);
+  const style = detectNamingStyle(baseName, ext);
+  const ownName = baseName.toLowerCase();
+
+  const groups = collectGroups(symbols, splitWords(baseName))
+    .map(group => ({
+      file: formatName(group.words, style) + ext,
+      symbols: group.symbols.sort((a, b) => a.startLine - b.startLine),
+      lines: group.symbols.reduce((sum, symbol) => sum + symbol.lines, 0)
+    }))
+    .filter(group => group.lines >= MIN_GROUP_LINES && path.basename(group.file, ext).toLowerCase() !== ownName)
+    .sort((a, b) => b.lines - a.lines)
+    .slice(0, MAX_GROUPS);
+
+  const largest = symbols
+    .filter(symbol => symbol.kind !== 'variable' || symbol.lines >= MIN_GROUP_LINES)
+    .sort((a, b) => b.lines - a.lines)
+    .slice(0, MAX_SYMBOLS);
+
+  return largest.length ? { symbols: largest, groups } : null;
+}
+
+/**
+ * Plan extractions for a file on disk (null if unreadable or too large)
+ */
+function planForFile(filePath) {
+  try {
+    if (fs.statSync(filePath).size > MAX_PLAN_BYTES) return null;
+    return planExtraction(filePath, fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * "function parseConfig (lines 40-95, 56 lines, exported)"
+ */
+function formatSymbol(symbol) {
+  const exported = symbol.exported ? ', exported' : '';
+  return `${symbol.kind} ${symbol.name} (lines ${symbol.startLine}-${symbol.endLine}, ${symbol.lines} lines${exported})`;
+}
+
+/**
+ * "config-parse.ts ← parseRules, parseLimits (48 lines)"
+ */
+function formatGroup(group) {
+  return `${group.file} ← ${group.symbols.map(symbol => symbol.name).join(', ')} (${group.lines} lines)`;
+}
+
+/**
+ * Plan as message lines; heading styles the section titles (e.g. a color)
+ */
+function describePlan(plan, heading = text => text) {
+  const lines = [heading('Largest top-level symbols:'), ...plan.symbols.map(symbol => `  - ${formatSymbol(symbol)}`)];
+  if (plan.groups.length) {
+    lines.push('', heading('Suggested extractions:'), ...plan.groups.map((group, i) => `  ${i + 1}. ${formatGroup(group)}`));
+  }
+  return lines;
+}
+
+module.exports = {
+  planExtraction,
+  planForFile,
+  describePlan,
+  formatSymbol,
+  formatGroup,
+  detectNamingStyle,
+  formatName,
+  splitWords
+};
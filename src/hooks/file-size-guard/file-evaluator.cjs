@@ -0,0 +1,132 @@
+/**
+ * file-evaluator.cjs - Check files the way the hook checks edits
+ *
+ * Shared by whole-repo commands (baseline, scan, pre-commit): for each file
+ * (on disk, or given content such as a staged blob) it loads the config
+ * layers of the file's directory (cached per directory), applies rules,
+ * exclusions, whitelist, binary/generated detection, inline overrides and
+ * baseline ceilings, then counts lines and checks the content and function limits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { loadConfigWithSources } = require('./config-loader.cjs');
+const {
+  getThresholdConfig, shouldExclude, isWhitelisted, getFileOverride, parseFileOverride, applyFileOverride, checkThreshold
+} = require('./threshold-checker.cjs');
+const { resolveRule, applyRule } = require('./rule-resolver.cjs');
+const { measureFile, measureText } = require('./tool-estimator.cjs');
+const { isBinaryFile } = require('./line-counter.cjs');
+const { readBaseline } = require('./baseline.cjs');
+const { relativeTo } = require('./glob-matcher.cjs');
+const { detectSkippedFile } = require('./content-sniffer.cjs');
+const { getLargeFileSize, checkLargeFile } = require('./large-files.cjs');
+const { checkContentLimits, strongestStatus, LIMIT_KEYS } = require('./content-limits.cjs');
+const { checkComplexity, COMPLEXITY_KEYS } = require('./complexity-limits.cjs');
+
+/**
+ * Content and function limit findings for a file, as in the hook (empty when no limit is set)
+ * previousContent: () => content before (e.g. in HEAD), so existing violations only warn
+ */
+function checkLimits(config, filePath, content, previousContent) {
+  if (![...LIMIT_KEYS, ...COMPLEXITY_KEYS].some(key => config[key])) return [];
+  try {
+    const text = content ?? fs.readFileSync(filePath, 'utf-8');
+    const before = previousContent?.() || '';
+    return [...checkContentLimits(config, text, before), ...checkComplexity(config, filePath, text, before)];
+  } catch {
+    return []; // Fail-open: unreadable files get line counts only
+  }
+}
+
+/**
+ * Create an evaluator
+ * options.cwd:          working directory for config discovery
+ * options.useBaseline:  honour .file-size-guard-baseline.json ceilings (default true)
+ * options.useLimits:    check content and function limits too (default true)
+ * Returns evaluateFile(filePath, content?, { previousContent? }) →
+ *   { filePath, rootDir, config, skipped, skipDetail, lines, physical, lineStatus, limits, status }
+ *   content: text to check instead of the file on disk (e.g. a staged blob)
+ *   lineStatus: status from the line count alone; limits: content/function limit findings
+ *   skipped: null | 'disabled' | 'excluded' | 'whitelisted' | 'override' | 'binary' | 'generated' | 'large' | 'unreadable'
+ *   skipDetail: why a file is binary or generated ('@generated marker', '.gitattributes: -diff')
+ *   status:  'ok' | 'warn' | 'ask' | 'block' | 'baseline' (null when skipped), the stronger of both
+ *   Files over largeFileBytes are skipped, blocked or counted in chunks per largeFilePolicy
+ *   (and never read whole for content or function limits)
+ */
+function createEvaluator(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const useBaseline = options.useBaseline !== false;
+  const useLimits = options.useLimits !== false;
+  const configCache = new Map();
+  const baselineCache = new Map();
+
+  function baselineCeiling(rootDir, filePath) {
+    if (!baselineCache.has(rootDir)) baselineCache.set(rootDir, readBaseline(rootDir)?.files || {});
+    const ceiling = baselineCache.get(rootDir)[relativeTo(filePath, rootDir)];
+    return typeof ceiling === 'number' ? ceiling : undefined;
+  }
+
+  function loadDirConfig(dir) {
+    if (!configCache.has(dir)) {
+      const loaded = loadConfigWithSources(dir, { cwd });
+      configCache.set(dir, {
+        ...loaded,
+        thresholds: getThresholdConfig(loaded.config, loaded.rootDir, loaded.bases)
+      });
+    }
+    return configCache.get(dir);
+  }
+
+  return function evaluateFile(filePath, content, fileOptions = {}) {
+    const { config: ckConfig, thresholds, rootDir } = loadDirConfig(path.dirname(filePath));
+    let config = applyRule(thresholds, resolveRule(filePath, thresholds.rules, rootDir));
+    const result = { filePath, rootDir, config, skipped: null, lines: 0, physical: 0, status: null };
+    const onDisk = content === undefined;
+
+    if (ckConfig.fileSizeGuard?.enabled === false) return { ...result, skipped: 'disabled' };
+    if (shouldExclude(filePath, config.excludePatterns, rootDir)) return { ...result, skipped: 'excluded' };
+    if (isWhitelisted(filePath, config.whitelistPaths, rootDir)) return { ...result, skipped: 'whitelisted' };
+    if (!onDisk && isBinaryFile(filePath)) return { ...result, skipped: 'binary' };
+    const detected = detectSkippedFile(filePath, rootDir, {
+      detectGenerated: config.detectGenerated,
+      ...(onDisk ? {} : { sample: content })
+    });
+    if (detected) return { ...result, skipped: detected.reason, skipDetail: detected.detail };
+
+    const largeFileSize = onDisk ? getLargeFileSize(filePath, config.largeFileBytes) : null;
+    if (largeFileSize !== null && config.largeFilePolicy === 'skip') return { ...result, skipped: 'large' };
+
+    const override = onDisk ? getFileOverride(filePath) : parseFileOverride(content);
+    if (override?.disabled) return { ...result, skipped: 'override' };
+    config = applyFileOverride(config, override);
+    const ceiling = useBaseline ? baselineCeiling(rootDir, filePath) : undefined;
+    if (ceiling !== undefined) config = { ...config, baseline: ceiling };
+
+    const measured = onDisk
+      ? measureFile(filePath, config.countMode, config.largeFileBytes)
+      : measureText(filePath, content, config.countMode);
+    if (measured.isBinary) return { ...result, config, skipped: 'binary' };
+    if (onDisk && (measured.error || !measured.exists)) return { ...result, config, skipped: 'unreadable' };
+
+    const lineStatus = checkThreshold(measured.lines, config).status;
+    const limits = [
+      ...checkLargeFile(config, largeFileSize),
+      ...(useLimits && largeFileSize === null ? checkLimits(config, filePath, content, fileOptions.previousContent) : [])
+    ];
+    return {
+      ...result,
+      config,
+      lines: measured.lines,
+      physical: measured.physical,
+      lineStatus,
+      limits,
+      status: strongestStatus(lineStatus, limits)
+    };
+  };
+}
+
+module.exports = {
+  createEvaluator
+};
@@ -0,0 +1,79 @@
+/**
+ * file-override.cjs - File-level overrides from inline comments
+ *
+ * A `@file-size-guard:` comment near the top of a file (// or #) followed
+ * by `max-lines=<n>` raises that file's block threshold to n; followed by
+ * `disabled` it skips the file. The directive must be in the first 4KB.
+ */
+
+const fs = require('fs');
+
+// Override directives must appear in the first 4KB (~50 lines)
+const OVERRIDE_SCAN_BYTES = 4096;
+
+/**
+ * Parse file-level override from an inline comment in the file
+ *
+ * Optimized: Only reads first 4KB (enough for ~50 lines)
+ */
+function getFileOverride(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+
+    // Check if it's a regular file (not symlink, directory, etc.)
+    const stats = fs.lstatSync(filePath);
+    if (!stats.isFile()) return null;
+
+    // Read only first 4KB for performance (directive must be near top)
+    const fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(OVERRIDE_SCAN_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, OVERRIDE_SCAN_BYTES, 0);
+    fs.closeSync(fd);
+
+    if (bytesRead === 0) return null;
+
+    // Convert buffer to string, handling potential encoding issues
+    return parseFileOverride(buffer.slice(0, bytesRead).toString('utf-8'));
+  } catch {
+    return null; // Fail-safe: return null on any error
+  }
+}
+
+/**
+ * Parse the override directive from the start of file content
+ * (used directly for content not on disk, e.g. staged blobs)
+ */
+function parseFileOverride(content) {
+  // Match both // and # comment styles
+  const match = (content || '').slice(0, OVERRIDE_SCAN_BYTES)
+    .match(/@file-size-guard:\s*(max-lines=(\d+)|disabled)/i);
+
+  if (match) {
+    if (match[1].toLowerCase() === 'disabled') {
+      return { disabled: true };
+    }
+    if (match[2]) {
+      return { maxLines: parseInt(match[2], 10) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a max-lines override: it becomes the block threshold, and the warn
+ * threshold moves to 30 lines below it if that is lower
+ */
+function applyFileOverride(config, override) {
+  if (!override?.maxLines) return config;
+  return {
+    ...config,
+    warnThreshold: Math.min(config.warnThreshold, override.maxLines - 30),
+    blockThreshold: override.maxLines
+  };
+}
+
+module.exports = {
+  getFileOverride,
+  parseFileOverride,
+  applyFileOverride
+};
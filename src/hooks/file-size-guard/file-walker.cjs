@@ -0,0 +1,88 @@
+/**
+ * file-walker.cjs - List the files of a project for whole-repo commands
+ *
+ * Uses `git ls-files` (tracked + untracked, honouring every .gitignore) when
+ * the directory is inside a git work tree, and falls back to a directory walk
+ * that skips .git, node_modules and the patterns of the top-level .gitignore.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runGit, splitNul } = require('./git-utils.cjs');
+const { compilePatternList, matchPatternList } = require('./glob-matcher.cjs');
+
+// Never descended into by the fallback walk
+const SKIPPED_DIRS = new Set(['.git', 'node_modules']);
+
+/**
+ * Files under dir according to git, or null when git is unavailable
+ */
+function listGitFiles(dir) {
+  const output = runGit(['ls-files', '-z', '--cached', '--others', '--exclude-standard'], dir);
+  return output === null ? null : splitNul(output).map(file => path.join(dir, file));
+}
+
+/**
+ * Read dir/.gitignore as compiled patterns ('/x' is anchored to dir)
+ */
+function readGitignore(dir) {
+  let lines;
+  try {
+    lines = fs.readFileSync(path.join(dir, '.gitignore'), 'utf-8').split(/\r?\n/);
+  } catch {
+    return [];
+  }
+
+  const patterns = lines
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      const body = negate ? line.slice(1) : line;
+      const anchored = body.startsWith('/') ? path.join(dir, body).replace(/\\/g, '/') : body;
+      return (negate ? '!' : '') + anchored;
+    });
+  return compilePatternList(patterns, dir);
+}
+
+/**
+ * Recursively list regular files under dir, skipping ignored paths
+ */
+function walkFiles(dir) {
+  const ignore = readGitignore(dir);
+  const files = [];
+  const pending = [dir];
+
+  while (pending.length) {
+    const current = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      continue; // Unreadable directory
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      if (SKIPPED_DIRS.has(entry.name) || matchPatternList(fullPath, ignore, dir)) continue;
+      if (entry.isDirectory()) pending.push(fullPath);
+      else if (entry.isFile()) files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * All project files under dir (absolute paths, sorted)
+ */
+function listProjectFiles(dir) {
+  const root = path.resolve(dir);
+  const files = listGitFiles(root) || walkFiles(root);
+  return files.sort();
+}
+
+module.exports = {
+  listProjectFiles,
+  listGitFiles,
+  walkFiles
+};
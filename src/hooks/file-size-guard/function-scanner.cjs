@@ -0,0 +1,198 @@
+/**
+ * function-scanner.cjs - Functions at any depth, with their length and nesting
+ *
+ * Like code-outline.cjs, a heuristic over comment-stripped lines (strings
+ * blanked), not a parser:
+ * - JS/TS: function declarations, function/arrow assignments and
+ *   properties, class and object methods (anonymous callbacks are not listed)
+ * - Rust: fn items, including methods in impl blocks
+ * - Go: func declarations and methods
+ * - Python: def at any indentation
+ *
+ * Each function: { name, startLine, endLine, lines, depth }
+ * depth is the deepest block nesting inside the body, the body itself being
+ * 0: `if (a) { for (...) { ... } }` is 2. In JS/TS only statement blocks
+ * count (not object literals); in Python, lines ending in ':'.
+ */
+
+const { stripComments } = require('./comment-stripper.cjs');
+const { getLanguageSyntax } = require('./language-syntax.cjs');
+const { depthChange } = require('./code-outline.cjs');
+
+const JS_IDENT = '[A-Za-z_$][\\w$]*';
+const JS_MODIFIERS = '(?:(?:public|private|protected|static|async|get|set|override|abstract|readonly)\\s+)*';
+const JS_METHOD = new RegExp(`^${JS_MODIFIERS}\\*?\\s*(${JS_IDENT})\\s*(?:<[^>]*>)?\\s*\\([^()]*\\)\\s*(?::[^=;]+)?$`);
+
+// Signature patterns (group 1: name), matched on the text up to the first '{' or ';'
+const SIGNATURES = {
+  javascript: [
+    new RegExp(`^(?:export\\s+(?:default\\s+)?)?(?:async\\s+)?function\\s*\\*?\\s*(${JS_IDENT})\\s*[(<]`),
+    new RegExp(`^(?:export\\s+)?(?:const|let|var)\\s+(${JS_IDENT})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|[^=]*=>)`),
+    new RegExp(`^${JS_MODIFIERS}(${JS_IDENT})\\s*[:=]\\s*(?:async\\s+)?(?:function\\b|[^=]*=>)`)
+  ],
+  rust: [/^(?:pub(?:\([^)]*\))?\s+)?(?:(?:const|async|unsafe)\s+|extern\s+"[^"]*"\s+)*fn\s+(\w+)/],
+  go: [/^func\s+(?:\([^)]*\)\s*)?(\w+)/]
+};
+
+// Statement keywords that look like method signatures ('if (a) {')
+const NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'function', 'await', 'typeof', 'new']);
+
+const PYTHON_DEF = /^(?:async\s+)?def\s+(\w+)/;
+const MAX_SIGNATURE_LINES = 10;
+
+/**
+ * Index of the first '{' or ';' outside parentheses/brackets (-1 if none),
+ * so destructured parameters ('({ title }) =>') stay part of the signature
+ */
+function findSignatureEnd(text) {
+  let open = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '(' || ch === '[') open++;
+    else if (ch === ')' || ch === ']') open = Math.max(0, open - 1);
+    else if (open === 0 && (ch === '{' || ch === ';')) return i;
+  }
+  return -1;
+}
+
+/**
+ * Name of a function whose signature starts at lines[index], or null
+ */
+function matchSignature(language, lines, index) {
+  const joined = lines.slice(index, index + MAX_SIGNATURE_LINES).map(line => line.trim()).join(' ');
+  const cut = findSignatureEnd(joined);
+  const head = (cut === -1 ? joined : joined.slice(0, cut)).trim();
+
+  for (const pattern of SIGNATURES[language]) {
+    const match = pattern.exec(head);
+    if (match) return match[1];
+  }
+  if (language !== 'javascript' || joined[cut] !== '{') return null;
+  const method = JS_METHOD.exec(head);
+  return method && !NOT_METHODS.has(method[1]) ? method[1] : null;
+}
+
+/**
+ * Whether a '{' opens a statement block (counted for nesting)
+ */
+function isBlockBrace(language, before) {
+  if (language !== 'javascript') return true; // Rust/Go: every brace is a block or a struct literal
+  return /(?:\)|=>|\b(?:else|try|finally|do))$/.test(before);
+}
+
+/**
+ * Scan brace languages (JS/TS, Rust, Go) with a bracket stack
+ */
+function scanBraces(lines, language) {
+  const functions = [];
+  const open = []; // functions whose body is open, innermost last
+  const stack = []; // open brackets: { block }
+  let blockDepth = 0;
+  let pending = null; // signature seen, body not opened yet
+  let lastCode = '';
+
+  lines.forEach((line, index) => {
+    if (!pending && line.trim()) {
+      const name = matchSignature(language, lines, index);
+      if (name) pending = { name, startLine: index + 1, level: stack.length, expires: index + MAX_SIGNATURE_LINES };
+    }
+
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '{' || ch === '(' || ch === '[') {
+        const before = line.slice(0, i).trim() || lastCode;
+        const isBody = pending && stack.length === pending.level &&
+          (ch === '{' || (ch === '(' && before.endsWith('=>'))); // '=> (' bodies (JSX)
+        const block = ch === '{' && !isBody && isBlockBrace(language, before);
+        stack.push({ block });
+        if (block) {
+          blockDepth++;
+          open.forEach(fn => { fn.depth = Math.max(fn.depth, blockDepth - fn.base); });
+        }
+        if (isBody) {
+          open.push({ name: pending.name, startLine: pending.startLine, bodyLevel: stack.length, base: blockDepth, depth: 0 });
+          pending = null;
+        }
+      } else if (ch === '}' || ch === ')' || ch === ']') {
+        if (stack.pop()?.block) blockDepth--;
+        while (open.length && stack.length < open[open.length - 1].bodyLevel) {
+          const { name, startLine, depth } = open.pop();
+          functions.push({ name, startLine, endLine: index + 1, lines: index - startLine + 2, depth });
+        }
+        if (pending && stack.length < pending.level) pending = null;
+      } else if (ch === ';' && pending && stack.length === pending.level) {
+        pending = null; // Declaration without a body (overload, trait fn, expression arrow)
+      }
+    }
+
+    if (line.trim()) lastCode = line.trim();
+    if (pending && index >= pending.expires) pending = null;
+  });
+
+  return functions.sort((a, b) => a.startLine - b.startLine);
+}
+
+/**
+ * Join physical lines into logical ones (open brackets continue a line)
+ */
+function logicalLines(lines) {
+  const logical = [];
+  let open = 0;
+  lines.forEach((line, index) => {
+    if (open > 0) {
+      const current = logical[logical.length - 1];
+      current.end = index;
+      current.text += ` ${line.trim()}`;
+    } else if (line.trim()) {
+      logical.push({ start: index, end: index, indent: line.length - line.trimStart().length, text: line.trim() });
+    } else {
+      return;
+    }
+    open = Math.max(0, open + depthChange(line));
+  });
+  return logical;
+}
+
+/**
+ * Scan Python by indentation
+ */
+function scanPython(lines) {
+  const logical = logicalLines(lines);
+  const functions = [];
+
+  logical.forEach((def, i) => {
+    const match = PYTHON_DEF.exec(def.text);
+    if (!match) return;
+
+    let end = def.end;
+    let depth = 0;
+    const openers = []; // indents of enclosing block lines inside the body
+    for (let j = i + 1; j < logical.length && logical[j].indent > def.indent; j++) {
+      const line = logical[j];
+      while (openers.length && openers[openers.length - 1] >= line.indent) openers.pop();
+      depth = Math.max(depth, openers.length);
+      if (line.text.endsWith(':')) openers.push(line.indent);
+      end = line.end;
+    }
+    functions.push({ name: match[1], startLine: def.start + 1, endLine: end + 1, lines: end - def.start + 1, depth });
+  });
+
+  return functions;
+}
+
+/**
+ * Functions of a file's content, or null for unsupported languages
+ */
+function findFunctions(content, filePath) {
+  const syntax = getLanguageSyntax(filePath);
+  const language = syntax?.name;
+  if (language !== 'python' && !SIGNATURES[language]) return null;
+
+  const lines = stripComments(content, syntax);
+  return language === 'python' ? scanPython(lines) : scanBraces(lines, language);
+}
+
+module.exports = {
+  findFunctions,
+  matchSignature
+};
@@ -0,0 +1,111 @@
+/**
+ * git-attributes.cjs - Generated/binary files declared in .gitattributes
+ *
+ *   dist/** linguist-generated
+ *   *.pb.go linguist-generated=true
+ *   *.snap -diff
+ *   *.dat binary
+ *
+ * Every .gitattributes from the project root down to the file's directory is
+ * read (deeper files and later lines win, as in git). Patterns follow the
+ * pattern syntax of glob-matcher.cjs relative to their file's directory; a
+ * leading '/' anchors them there. Macros other than `binary` are not expanded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { compilePattern, relativeTo } = require('./glob-matcher.cjs');
+
+// Parsed .gitattributes per directory (a hook run checks a single file)
+const attributesCache = new Map();
+
+/**
+ * Parse one attribute token: 'attr' → true, '-attr' → false, 'attr=v' → 'v',
+ * '!attr' → null (unspecified again)
+ */
+function parseToken(token) {
+  if (token.startsWith('-')) return [token.slice(1), false];
+  if (token.startsWith('!')) return [token.slice(1), null];
+  const eq = token.indexOf('=');
+  return eq === -1 ? [token, true] : [token.slice(0, eq), token.slice(eq + 1)];
+}
+
+/**
+ * Rules of a directory's .gitattributes: [{ compiled, attributes }]
+ */
+function readAttributes(dir) {
+  if (attributesCache.has(dir)) return attributesCache.get(dir);
+
+  let rules = [];
+  try {
+    rules = fs.readFileSync(path.join(dir, '.gitattributes'), 'utf-8')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => {
+        const [pattern, ...tokens] = line.split(/\s+/);
+        const anchored = pattern.startsWith('/') ? path.join(dir, pattern).replace(/\\/g, '/') : pattern;
+        const attributes = Object.fromEntries(tokens.flatMap(token => {
+          // binary is the built-in macro for -diff -merge -text
+          if (token === 'binary') return [['binary', true], ['diff', false], ['merge', false], ['text', false]];
+          return [parseToken(token)];
+        }));
+        return { compiled: compilePattern(anchored, dir), attributes };
+      })
+      .filter(rule => rule.compiled);
+  } catch {
+    // No .gitattributes in this directory
+  }
+
+  attributesCache.set(dir, rules);
+  return rules;
+}
+
+/**
+ * Directories whose .gitattributes apply to a file, outermost first
+ */
+function attributeDirs(filePath, rootDir) {
+  const fileDir = path.dirname(filePath);
+  const relative = rootDir ? relativeTo(fileDir, rootDir) : null;
+  if (relative === null) return rootDir && path.resolve(fileDir) === path.resolve(rootDir) ? [rootDir] : [fileDir];
+
+  const dirs = [rootDir];
+  let current = rootDir;
+  for (const segment of relative.split('/')) {
+    current = path.join(current, segment);
+    dirs.push(current);
+  }
+  return dirs;
+}
+
+/**
+ * Attributes set for a file: { 'linguist-generated': true, diff: false, ... }
+ */
+function getAttributes(filePath, rootDir) {
+  const attributes = {};
+  for (const dir of attributeDirs(filePath, rootDir)) {
+    for (const rule of readAttributes(dir)) {
+      if (rule.compiled.test(filePath)) Object.assign(attributes, rule.attributes);
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Why .gitattributes marks a file as generated or binary, or null
+ * Returns { reason: 'generated' | 'binary', detail }
+ */
+function getAttributeSkip(filePath, rootDir) {
+  const attributes = getAttributes(filePath, rootDir);
+  const generated = attributes['linguist-generated'];
+  if (generated === true || generated === 'true') return { reason: 'generated', detail: '.gitattributes: linguist-generated' };
+  if (attributes.binary === true) return { reason: 'binary', detail: '.gitattributes: binary' };
+  if (attributes.diff === false) return { reason: 'generated', detail: '.gitattributes: -diff' };
+  return null;
+}
+
+module.exports = {
+  getAttributeSkip,
+  getAttributes
+};
@@ -0,0 +1,83 @@
+/**
+ * git-utils.cjs - Small synchronous git helpers
+ *
+ * Every helper returns null instead of throwing when git is missing or the
+ * directory is not inside a work tree, so callers can fall back quietly.
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const GIT_TIMEOUT_MS = 30000;
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Run git in cwd, returning stdout (Buffer when raw) or null on failure
+ */
+function runGit(args, cwd, raw = false) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: raw ? 'buffer' : 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: GIT_MAX_BUFFER
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split NUL-separated git output (-z) into entries
+ */
+function splitNul(output) {
+  return output ? output.split('\0').filter(Boolean) : [];
+}
+
+/**
+ * Top-level directory of the work tree containing cwd, or null
+ */
+function getWorkTreeRoot(cwd = process.cwd()) {
+  const output = runGit(['rev-parse', '--show-toplevel'], cwd);
+  return output ? path.resolve(output.trim()) : null;
+}
+
+/**
+ * Files added, copied, modified or renamed in the index (paths relative to rootDir)
+ */
+function listStagedFiles(rootDir) {
+  return splitNul(runGit(['diff', '--cached', '--name-only', '--diff-filter=ACMR', '-z'], rootDir));
+}
+
+/**
+ * Content of a blob ('HEAD:src/x.ts', ':src/x.ts' for the index) as a Buffer, or null
+ */
+function readBlob(rootDir, spec) {
+  return runGit(['show', spec], rootDir, true);
+}
+
+/**
+ * Whether a file is tracked by git (false outside a work tree)
+ */
+function isTracked(filePath) {
+  return runGit(['ls-files', '--error-unmatch', '--', path.basename(filePath)], path.dirname(filePath)) !== null;
+}
+
+/**
+ * Directory git runs hooks from (honours core.hooksPath), or null
+ */
+function getHooksDir(cwd = process.cwd()) {
+  const output = runGit(['rev-parse', '--git-path', 'hooks'], cwd);
+  return output ? path.resolve(cwd, output.trim()) : null;
+}
+
+module.exports = {
+  runGit,
+  splitNul,
+  getWorkTreeRoot,
+  listStagedFiles,
+  readBlob,
+  isTracked,
+  getHooksDir
+};
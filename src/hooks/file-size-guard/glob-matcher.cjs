@@ -0,0 +1,151 @@
+/**
+ * glob-matcher.cjs - Dependency-free glob matching for config patterns
+ *
+ * Supported syntax:
+ * - **      any number of path segments (including none)
+ * - *       any characters except '/'
+ * - ?       one character except '/'
+ * - {a,b}   either alternative (may nest: {src,lib/{a,b}})
+ * - !glob   negation in pattern lists (last matching pattern wins)
+ * - re:...  regular expression, tested against the absolute path (only
+ *           with the prefix: 'app/(auth)/**' and 'c++/**' are globs)
+ *
+ * Globs are matched against '/'-separated paths relative to a base dir
+ * (the project root), with .gitignore-style semantics:
+ * - a pattern without '/' matches a file or directory name at any depth
+ *   ('*.rs', 'lib' - but not 'calibration.ts')
+ * - a pattern matching a directory matches everything inside it
+ * - a pattern starting with '/' is an absolute filesystem path
+ *
+ * The glob → RegExp translation and specificity live in glob-syntax.cjs.
+ */
+
+const path = require('path');
+
+const { globToSource, globToRegExp, globSpecificity, compareSpecificity } = require('./glob-syntax.cjs');
+
+/**
+ * Safely create RegExp from string, returns null if invalid
+ */
+function safeRegExp(pattern) {
+  try {
+    return new RegExp(pattern);
+  } catch {
+    return null; // Invalid regex, skip it
+  }
+}
+
+/**
+ * Normalize a path to '/' separators
+ */
+function toPosix(filePath) {
+  return (filePath || '').replace(/\\/g, '/');
+}
+
+/**
+ * Path of filePath relative to baseDir, or null when outside baseDir
+ */
+function relativeTo(filePath, baseDir) {
+  const relative = toPosix(path.relative(baseDir, filePath));
+  if (!relative || relative.startsWith('../') || relative === '..' || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative;
+}
+
+/**
+ * Check if a pattern is an absolute filesystem path ('/x', 'C:/x')
+ */
+function isAbsolutePattern(pattern) {
+  return pattern.startsWith('/') || /^[a-zA-Z]:\//.test(pattern);
+}
+
+/**
+ * Build the RegExp used to match paths against a glob
+ * (name-anywhere for slash-less globs, directory contents included)
+ */
+function buildGlobMatcher(glob) {
+  const pattern = toPosix(glob).replace(/^\.\//, '').replace(/\/+$/, '');
+  const anywhere = !pattern.includes('/');
+  return {
+    absolute: isAbsolutePattern(pattern),
+    regex: new RegExp(`^${anywhere ? '(?:.*/)?' : ''}${globToSource(pattern)}(?:/.*)?$`)
+  };
+}
+
+/**
+ * Check if an absolute file path matches a glob relative to baseDir
+ */
+function matchGlob(filePath, glob, baseDir = process.cwd()) {
+  const matcher = buildGlobMatcher(glob);
+  const target = matcher.absolute ? toPosix(filePath) : relativeTo(filePath, baseDir);
+  return target !== null && matcher.regex.test(target);
+}
+
+/**
+ * Compile one pattern list entry into { pattern, negate, test(filePath) }
+ * Accepts RegExp objects, 're:' regex strings and globs
+ * Returns null for empty or invalid patterns
+ */
+function compilePattern(pattern, baseDir = process.cwd()) {
+  if (pattern instanceof RegExp) {
+    return { pattern: String(pattern), negate: false, test: filePath => pattern.test(toPosix(filePath)) };
+  }
+  if (typeof pattern !== 'string' || !pattern.trim()) return null;
+
+  let text = pattern.trim();
+  const negate = text.startsWith('!');
+  if (negate) text = text.slice(1);
+
+  if (text.startsWith('re:')) {
+    const regex = safeRegExp(text.slice(3));
+    return regex ? { pattern, negate, test: filePath => regex.test(toPosix(filePath)) } : null;
+  }
+
+  const matcher = buildGlobMatcher(text);
+  return {
+    pattern,
+    negate,
+    test: filePath => {
+      const target = matcher.absolute ? toPosix(filePath) : relativeTo(filePath, baseDir);
+      return target !== null && matcher.regex.test(target);
+    }
+  };
+}
+
+/**
+ * Compile a pattern list, dropping invalid entries
+ * itemBaseDirs optionally gives each entry its own base dir (its config file's dir)
+ */
+function compilePatternList(patterns = [], baseDir = process.cwd(), itemBaseDirs = []) {
+  return patterns
+    .map((pattern, index) => (pattern && typeof pattern.test === 'function' && 'negate' in pattern)
+      ? pattern
+      : compilePattern(pattern, itemBaseDirs[index] || baseDir))
+    .filter(Boolean);
+}
+
+/**
+ * Check a path against a pattern list - the last matching pattern wins,
+ * so a later '!pattern' re-includes what an earlier pattern matched
+ */
+function matchPatternList(filePath, patterns = [], baseDir = process.cwd()) {
+  let matched = false;
+  for (const compiled of compilePatternList(patterns, baseDir)) {
+    if (compiled.test(filePath)) matched = !compiled.negate;
+  }
+  return matched;
+}
+
+module.exports = {
+  matchGlob,
+  matchPatternList,
+  compilePattern,
+  compilePatternList,
+  globToRegExp,
+  safeRegExp,
+  globSpecificity,
+  compareSpecificity,
+  relativeTo,
+  toPosix
+};
@@ -0,0 +1,130 @@
+/**
+ * glob-syntax.cjs - Glob pattern syntax: translation to RegExp, and specificity
+ *
+ * Translates the glob syntax described in glob-matcher.cjs (**, *, ?, nested
+ * {a,b}) to RegExp source, with no knowledge of paths or base dirs, and
+ * ranks globs by how specific they are (for rule resolution).
+ */
+
+const WILDCARD_CHARS = /[*?{]/;
+
+/**
+ * Escape a literal string for use in a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the '}' closing the brace group opened at index, or -1
+ */
+function findBraceEnd(glob, index) {
+  let depth = 0;
+  for (let i = index; i < glob.length; i++) {
+    if (glob[i] === '{') depth++;
+    else if (glob[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split a brace group body on top-level commas
+ */
+function splitAlternatives(body) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of body) {
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    if (ch === '{') depth++;
+    else if (ch === '}') depth--;
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Convert a glob pattern to (unanchored) RegExp source
+ */
+function globToSource(glob) {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // '**/' matches zero or more directories, trailing '**' matches everything
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 3;
+      } else {
+        source += '.*';
+        i += 2;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+      i++;
+    } else if (ch === '?') {
+      source += '[^/]';
+      i++;
+    } else if (ch === '{' && findBraceEnd(glob, i) !== -1) {
+      const end = findBraceEnd(glob, i);
+      source += `(?:${splitAlternatives(glob.slice(i + 1, end)).map(globToSource).join('|')})`;
+      i = end + 1;
+    } else {
+      source += escapeRegExp(ch);
+      i++;
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Convert a glob pattern to an anchored RegExp (whole-string match)
+ */
+function globToRegExp(glob) {
+  return new RegExp(`^${globToSource(glob)}$`);
+}
+
+/**
+ * Specificity of a glob as [literalSegments, partialSegments, literalChars]
+ * More literal path segments beat wildcard segments ('src/x/*.ts' > 'src/*.ts')
+ */
+function globSpecificity(glob) {
+  const segments = glob.replace(/\\/g, '/').split('/').filter(Boolean);
+  let literal = 0;
+  let partial = 0;
+  let chars = 0;
+
+  for (const segment of segments) {
+    if (segment === '**') continue;
+    if (WILDCARD_CHARS.test(segment)) partial++;
+    else literal++;
+    chars += segment.replace(/[*?{},]/g, '').length;
+  }
+
+  return [literal, partial, chars];
+}
+
+/**
+ * Compare two specificity tuples (positive if a is more specific)
+ */
+function compareSpecificity(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+module.exports = {
+  globToSource,
+  globToRegExp,
+  globSpecificity,
+  compareSpecificity
+};
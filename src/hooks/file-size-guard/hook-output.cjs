@@ -0,0 +1,178 @@
+/**
+ * hook-output.cjs - Report a check result to Claude Code
+ *
+ * outputFormat (fileSizeGuard.outputFormat):
+ * - text (default): colored message on stderr, exit 2 to block / 0 to allow
+ * - json: PreToolUse response on stdout, always exit 0
+ *     { hookSpecificOutput: { hookEventName, permissionDecision,
+ *       permissionDecisionReason, additionalContext } }
+ *   permissionDecision is 'deny' for blocks, with a one-line plain-text reason;
+ *   additionalContext carries the micro-extract suggestion. Warnings,
+ *   baselined and legacy edits carry no decision at all - only
+ *   additionalContext, the reason followed by the suggestion - so they reach
+ *   the model without approving the tool call past Claude Code's own
+ *   permission prompt.
+ *
+ * 'ask' results (askThreshold / mode "ask") have no exit-code equivalent and
+ * are always reported as JSON with permissionDecision 'ask', whatever the format.
+ *
+ * Results decided by the session budget (see session-budget.cjs) are not about
+ * the file's own size: text output is their reason and the session summary.
+ *
+ * Project templates (fileSizeGuard.messages, see message-templates.cjs)
+ * replace the stderr message and additionalContext.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { generateSuggestion, formatEstimatedCount, formatWarningMessage, formatBlockMessage } = require('./suggestion-generator.cjs');
+const { getCountUnit } = require('./line-metrics.cjs');
+const { describePlan } = require('./extract-planner.cjs');
+const { composeMessage } = require('./message-templates.cjs');
+
+const OUTPUT_FORMATS = ['text', 'json'];
+const DEFAULT_OUTPUT_FORMAT = 'text';
+
+// Permission decision per check status; the others only add context
+const DECISIONS = {
+  block: 'deny',
+  ask: 'ask'
+};
+
+// Statuses reported to Claude Code ('ok' produces no output)
+const REPORTED_STATUSES = ['block', 'ask', 'warn', 'baseline', 'legacy'];
+
+/**
+ * Normalize outputFormat (unknown values fall back to text)
+ */
+function normalizeOutputFormat(format) {
+  return OUTPUT_FORMATS.includes(format) ? format : DEFAULT_OUTPUT_FORMAT;
+}
+
+// Reasons for results decided by the content or function limits
+// (see content-limits.cjs and complexity-limits.cjs)
+const CONTENT_REASONS = {
+  block: ['File content limit exceeded', 'Split the code or move the data out, then retry.'],
+  ask: ['File content approval needed', 'Approve to continue, or reject and split the code or move the data out.'],
+  warn: ['File content warning', 'Consider splitting the code or moving the data out.']
+};
+
+// Reasons for results decided by the session budget (see session-budget.cjs)
+const BUDGET_REASONS = {
+  block: ['Session budget exceeded', 'Consolidate the code added this session, or ask the human to raise the budget.'],
+  ask: ['Session budget approval needed', 'Approve to continue, or reject and consolidate the code added this session.'],
+  warn: ['Session budget warning', 'Consider consolidating the code added this session before adding more.']
+};
+
+/**
+ * One-line plain-text reason for a result
+ * result: { status, filePath, estimatedLines, threshold, metrics }
+ * metrics.cause 'content' (with metrics.limits) reports the content or function limits,
+ * 'budget' the session budget
+ */
+function formatReason(result) {
+  const { status, filePath, estimatedLines, threshold, metrics = {} } = result;
+  if (metrics.cause === 'budget') {
+    const [title, action] = BUDGET_REASONS[status];
+    const summary = metrics.limits.filter(finding => finding.key.startsWith('sessionBudget.')).map(finding => finding.summary).join(', ');
+    return `${title}: ${summary} (editing ${filePath}). ${action}`;
+  }
+  if (metrics.cause === 'content') {
+    const [title, action] = CONTENT_REASONS[status];
+    const summary = metrics.limits.filter(finding => finding.status === status).map(finding => finding.summary).join(', ');
+    return `${title}: ${filePath} has ${summary} after the edit. ${action}`;
+  }
+  const after = formatEstimatedCount(estimatedLines, metrics);
+  const limit = `${threshold} ${getCountUnit(metrics.countMode)}`;
+
+  if (status === 'block') {
+    return `File size limit exceeded: ${filePath} would have ${after} (limit ${limit}). ` +
+      'Extract new code to a separate file, then retry.';
+  }
+  if (status === 'ask') {
+    return `File size approval needed: ${filePath} would have ${after} (ask threshold ${limit}). ` +
+      'Approve to continue, or reject and extract new code to a separate file.';
+  }
+  return `File size warning: ${filePath} will have ${after} (threshold ${limit}). ` +
+    'Consider extracting new code to a separate file.';
+}
+
+/**
+ * Micro-extract suggestion as plain text for additionalContext
+ * (the extraction plan in metrics.plan, when there is one, replaces the generic files)
+ */
+function formatAdditionalContext(result) {
+  const { filePath, currentLines, estimatedLines, metrics = {} } = result;
+  const suggestion = generateSuggestion(filePath, currentLines, estimatedLines, { rootDir: metrics.rootDir });
+  const lines = [
+    ...(metrics.note ? [metrics.note, ''] : []),
+    'Use the MICRO-EXTRACT pattern (extract NEW code to NEW files):',
+    ...suggestion.steps.map((step, i) => `${i + 1}. ${step}`)
+  ];
+  if (metrics.plan) return [...lines, ...describePlan(metrics.plan)].join('\n');
+  if (suggestion.newFiles.length) {
+    lines.push(`Suggested new files: ${suggestion.newFiles.map(f => path.basename(f)).join(', ')}`);
+  }
+  if ((result.status === 'block' || result.status === 'ask') && suggestion.example) {
+    lines.push(`Example:${suggestion.example}`);
+  }
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * PreToolUse JSON response for a result
+ * (no permissionDecision unless the edit is denied or put to the human)
+ */
+function buildHookResponse(result) {
+  const decision = DECISIONS[result.status];
+  const context = composeMessage(result, formatAdditionalContext(result));
+  if (!decision) {
+    return {
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        additionalContext: `${formatReason(result)}\n\n${context}`
+      }
+    };
+  }
+  return {
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: decision,
+      permissionDecisionReason: formatReason(result),
+      additionalContext: context
+    }
+  };
+}
+
+/**
+ * Write the result in the given format, returning the hook's exit code
+ */
+function emitResult(result, format = DEFAULT_OUTPUT_FORMAT) {
+  if (!REPORTED_STATUSES.includes(result.status)) return 0;
+
+  if (normalizeOutputFormat(format) === 'json' || result.status === 'ask') {
+    fs.writeSync(1, JSON.stringify(buildHookResponse(result)) + '\n'); // Sync: the hook exits right after
+    return 0;
+  }
+
+  const { status, filePath, currentLines, estimatedLines, threshold, metrics } = result;
+  if (metrics.cause === 'budget') {
+    // Not about this file's size: the reason and the session summary, without extract suggestions
+    console.error(composeMessage(result, `${formatReason(result)}\n\n${metrics.note}`));
+    return status === 'block' ? 2 : 0;
+  }
+  const formatMessage = status === 'block' ? formatBlockMessage : formatWarningMessage;
+  console.error(composeMessage(result, formatMessage(filePath, currentLines, estimatedLines, threshold, metrics)));
+  return status === 'block' ? 2 : 0;
+}
+
+module.exports = {
+  emitResult,
+  buildHookResponse,
+  formatReason,
+  formatAdditionalContext,
+  normalizeOutputFormat,
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_FORMAT
+};
@@ -0,0 +1,178 @@
+/**
+ * hook-registration.cjs - `register`, `enable`, `disable`: set the hook up for Claude Code
+ *
+ * register: adds the hook to ~/.claude/settings.json for PreToolUse (checks
+ * edits before they run) and PostToolUse (audits the file after), dropping
+ * registrations under another matcher. Bash is only matched when the global
+ * bashPolicy is warn or enforce, so every shell command does not start the
+ * hook for users who left it off; run `register` again after changing it.
+ * It also creates the
+ * fileSizeGuard section of ~/.claude/.ck.json with the defaults when missing
+ * (an existing one gets its unprefixed regex patterns rewritten with 're:',
+ * see legacy-patterns.cjs).
+ * enable / disable: set fileSizeGuard.enabled in ~/.claude/.ck.json.
+ *
+ * The install, update, toggle and auto-repair scripts all call these, so
+ * settings.json is edited in one place. Files that exist but are not valid
+ * JSON are left alone (the command fails).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { shortPath } = require('./cli-helpers.cjs');
+const { migrateLegacyPatterns } = require('./legacy-patterns.cjs');
+const { normalizeBashPolicy } = require('./bash-analyzer.cjs');
+
+const HOOK_COMMAND = process.platform === 'win32'
+  ? 'node %USERPROFILE%\\.claude\\hooks\\file-size-guard.cjs'
+  : 'node $HOME/.claude/hooks/file-size-guard.cjs';
+const HOOK_MATCHERS = {
+  PreToolUse: 'Edit|MultiEdit|Write|NotebookEdit',
+  PostToolUse: 'Edit|MultiEdit|Write'
+};
+
+// fileSizeGuard section written by `register` when the global config has none
+const DEFAULT_SECTION = {
+  enabled: true,
+  warnThreshold: 120,
+  blockThreshold: 200,
+  excludePatterns: [
+    'package-lock.json', 'pnpm-lock.yaml', 'yarn.lock',
+    '*.min.{js,css}', '*.d.ts', '*.json', '*.{yaml,yml}',
+    '*.md', '*.sh', '__fixtures__/', '__snapshots__/'
+  ]
+};
+
+const claudePath = name => path.join(os.homedir(), '.claude', name);
+
+/**
+ * Matchers per hook event, adding Bash to PreToolUse when bashPolicy is on
+ */
+function hookMatchers(fileSizeGuard = {}) {
+  if (normalizeBashPolicy(fileSizeGuard.bashPolicy) === 'off') return HOOK_MATCHERS;
+  return { ...HOOK_MATCHERS, PreToolUse: `${HOOK_MATCHERS.PreToolUse}|Bash` };
+}
+
+/**
+ * Parsed JSON file, or {} when it does not exist
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`${shortPath(filePath)} is not valid JSON - fix it first (${error.message})`);
+  }
+}
+
+/**
+ * Write value as indented JSON, creating the directory
+ */
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Whether settings.json runs the hook for Bash (true when it cannot be read)
+ */
+function isBashRegistered() {
+  try {
+    return (readJson(claudePath('settings.json')).hooks?.PreToolUse || []).some(entry =>
+      entry.matcher?.split('|').includes('Bash') && entry.hooks?.some(hook => hook.command?.includes('file-size-guard')));
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Register command for each hook event in settings (modified in place),
+ * returning whether anything changed
+ */
+function addHookEntries(settings, command = HOOK_COMMAND, matchers = HOOK_MATCHERS) {
+  settings.hooks = settings.hooks || {};
+  let changed = false;
+
+  for (const [event, matcher] of Object.entries(matchers)) {
+    const entries = settings.hooks[event] || [];
+    if (entries.some(entry => entry.matcher === matcher && entry.hooks?.some(hook => hook.command === command))) continue;
+
+    // Drop registrations under another matcher (e.g. an older Edit|Write)
+    entries.forEach(entry => { if (entry.hooks) entry.hooks = entry.hooks.filter(hook => hook.command !== command); });
+    settings.hooks[event] = entries.filter(entry => !entry.hooks || entry.hooks.length > 0);
+    let target = settings.hooks[event].find(entry => entry.matcher === matcher);
+    if (!target) {
+      target = { matcher, hooks: [] };
+      settings.hooks[event].push(target);
+    }
+    target.hooks.push({ type: 'command', command });
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * register - CLI command
+ */
+function registerCommand() {
+  const configPath = claudePath('.ck.json');
+  const config = readJson(configPath);
+  const settingsPath = claudePath('settings.json');
+  const settings = readJson(settingsPath);
+  if (addHookEntries(settings, HOOK_COMMAND, hookMatchers(config.fileSizeGuard))) {
+    writeJson(settingsPath, settings);
+    console.log('✅ Hook registered in settings.json');
+  } else {
+    console.log('ℹ️  Hook already registered');
+  }
+
+  if (!config.fileSizeGuard) {
+    writeJson(configPath, { ...config, fileSizeGuard: DEFAULT_SECTION });
+    console.log(`✅ Config created in ${shortPath(configPath)}`);
+    return 0;
+  }
+  const { fileSizeGuard, migrated } = migrateLegacyPatterns(config.fileSizeGuard);
+  if (migrated) {
+    writeJson(configPath, { ...config, fileSizeGuard });
+    console.log(`✅ Prefixed ${migrated} regex pattern(s) with re: in ${shortPath(configPath)}`);
+  }
+  return 0;
+}
+
+/**
+ * Set fileSizeGuard.enabled in the global config
+ */
+function setEnabled(enabled) {
+  const configPath = claudePath('.ck.json');
+  const config = readJson(configPath);
+  writeJson(configPath, { ...config, fileSizeGuard: { ...config.fileSizeGuard, enabled } });
+  console.log(enabled ? '✅ file-size-guard ENABLED' : '❌ file-size-guard DISABLED');
+  return 0;
+}
+
+/**
+ * enable - CLI command
+ */
+function enableCommand() {
+  return setEnabled(true);
+}
+
+/**
+ * disable - CLI command
+ */
+function disableCommand() {
+  return setEnabled(false);
+}
+
+module.exports = {
+  registerCommand,
+  enableCommand,
+  disableCommand,
+  addHookEntries,
+  hookMatchers,
+  isBashRegistered,
+  HOOK_COMMAND,
+  HOOK_MATCHERS
+};
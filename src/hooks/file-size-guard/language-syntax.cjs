@@ -0,0 +1,108 @@
+/**
+ * language-syntax.cjs - Comment and string syntax per language family
+ *
+ * Used by the comment stripper to tell code from comments:
+ * - lineComment:  tokens that start a comment running to end of line
+ * - blockComment: [open, close] pairs (nested for Rust/Swift/Kotlin)
+ * - strings:      quote tokens, longest first; multiline ones span lines
+ */
+
+const path = require('path');
+
+const C_FAMILY = {
+  name: 'c-family',
+  lineComment: ['//'],
+  blockComment: ['/*', '*/'],
+  nestedComments: false,
+  strings: [
+    { quote: '"""', multiline: true },
+    { quote: '"' },
+    { quote: "'" }
+  ]
+};
+
+const SYNTAX = {
+  javascript: {
+    name: 'javascript',
+    lineComment: ['//'],
+    blockComment: ['/*', '*/'],
+    nestedComments: false,
+    regexLiterals: true,
+    strings: [
+      { quote: '`', multiline: true },
+      { quote: '"' },
+      { quote: "'" }
+    ]
+  },
+  python: {
+    name: 'python',
+    lineComment: ['#'],
+    blockComment: null,
+    docstrings: true,
+    strings: [
+      { quote: '"""', multiline: true },
+      { quote: "'''", multiline: true },
+      { quote: '"' },
+      { quote: "'" }
+    ]
+  },
+  rust: {
+    name: 'rust',
+    lineComment: ['//'],
+    blockComment: ['/*', '*/'],
+    nestedComments: true,
+    charLiterals: true,
+    rawStrings: true,
+    strings: [{ quote: '"', multiline: true }]
+  },
+  go: {
+    name: 'go',
+    lineComment: ['//'],
+    blockComment: ['/*', '*/'],
+    nestedComments: false,
+    strings: [
+      { quote: '`', multiline: true, raw: true },
+      { quote: '"' },
+      { quote: "'" }
+    ]
+  },
+  shell: {
+    name: 'shell',
+    lineComment: ['#'],
+    blockComment: null,
+    wordComments: true, // '#' only starts a comment at a word boundary
+    strings: [
+      { quote: '"', multiline: true },
+      { quote: "'", multiline: true, raw: true }
+    ]
+  },
+  c: C_FAMILY,
+  nested: { ...C_FAMILY, name: 'c-family-nested', nestedComments: true }
+};
+
+// Extension → syntax key
+const EXTENSION_SYNTAX = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'javascript', '.tsx': 'javascript', '.mts': 'javascript', '.cts': 'javascript',
+  '.py': 'python', '.pyi': 'python',
+  '.rs': 'rust',
+  '.go': 'go',
+  '.sh': 'shell', '.bash': 'shell', '.zsh': 'shell',
+  '.c': 'c', '.h': 'c', '.cc': 'c', '.cpp': 'c', '.cxx': 'c', '.hpp': 'c', '.hh': 'c',
+  '.java': 'c', '.cs': 'c', '.scala': 'c', '.dart': 'c', '.m': 'c', '.mm': 'c',
+  '.kt': 'nested', '.kts': 'nested', '.swift': 'nested'
+};
+
+/**
+ * Get comment/string syntax for a file, or null if the language is unknown
+ */
+function getLanguageSyntax(filePath) {
+  const key = EXTENSION_SYNTAX[path.extname(filePath || '').toLowerCase()];
+  return key ? SYNTAX[key] : null;
+}
+
+module.exports = {
+  getLanguageSyntax,
+  SYNTAX,
+  EXTENSION_SYNTAX
+};
@@ -0,0 +1,78 @@
+/**
+ * large-files.cjs - Byte cap for files too large to read on every edit
+ *
+ * Reading a 50 MB SQL dump or log into memory (and copying it to simulate
+ * an edit) slows down every hook run, and the hook runs in the agent's
+ * critical path. Files over largeFileBytes (default 5 MB) are handled by
+ * largeFilePolicy:
+ * - count: counted and edit-simulated in chunks (see stream-counter.cjs),
+ *          in physical lines; content and function limits are not checked
+ * - skip:  edits are allowed without checking
+ * - block: edits are blocked as over the limit (asked, with mode "ask")
+ */
+
+const fs = require('fs');
+
+const { overLimitStatus } = require('./threshold-bands.cjs');
+
+const DEFAULT_LARGE_FILE_BYTES = 5 * 1024 * 1024;
+const LARGE_FILE_POLICIES = ['count', 'skip', 'block'];
+const DEFAULT_LARGE_FILE_POLICY = 'count';
+
+/**
+ * Byte cap and policy from a config section: { largeFileBytes, largeFilePolicy }
+ */
+function normalizeLargeFiles(section = {}) {
+  const bytes = section.largeFileBytes;
+  return {
+    largeFileBytes: Number.isInteger(bytes) && bytes > 0 ? bytes : DEFAULT_LARGE_FILE_BYTES,
+    largeFilePolicy: LARGE_FILE_POLICIES.includes(section.largeFilePolicy) ? section.largeFilePolicy : DEFAULT_LARGE_FILE_POLICY
+  };
+}
+
+/**
+ * Size of a regular file over the cap, or null (missing, small, not a file)
+ */
+function getLargeFileSize(filePath, largeFileBytes = DEFAULT_LARGE_FILE_BYTES) {
+  try {
+    const stats = fs.lstatSync(filePath);
+    return stats.isFile() && stats.size > largeFileBytes ? stats.size : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * "52.4 MB"
+ */
+function formatSize(bytes) {
+  const mb = bytes / (1024 * 1024);
+  return mb >= 1 ? `${Number(mb.toFixed(1))} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Findings for a large file under largeFilePolicy "block" (same shape as
+ * content-limits.cjs findings, so the hook reports them the same way)
+ */
+function checkLargeFile(config, size) {
+  if (size === null || config.largeFilePolicy !== 'block') return [];
+  const limit = formatSize(config.largeFileBytes);
+  return [{
+    key: 'largeFileBytes',
+    value: size,
+    status: overLimitStatus(config),
+    level: config.largeFileBytes,
+    preexisting: false,
+    summary: `${formatSize(size)} (large file limit ${limit})`,
+    message: `Size: ${formatSize(size)} on disk, over largeFileBytes (${limit}) - largeFilePolicy "block" stops edits to files this large`
+  }];
+}
+
+module.exports = {
+  normalizeLargeFiles,
+  getLargeFileSize,
+  checkLargeFile,
+  formatSize,
+  DEFAULT_LARGE_FILE_BYTES,
+  LARGE_FILE_POLICIES
+};
@@ -0,0 +1,60 @@
+/**
+ * legacy-patterns.cjs - Regex patterns written before the 're:' prefix
+ *
+ * Earlier versions read excludePatterns / whitelistPaths entries such as
+ * '\\.sh$' or 'package-lock\\.json$' as regexes; they are globs now (see
+ * glob-matcher.cjs) and match nothing. Entries that can only be regexes - an
+ * escaped character, a leading '^' or a trailing '$' - are:
+ * - rewritten with the prefix by `register` (run by install.sh / update.sh)
+ *   in the global config
+ * - reported by `status` and `config` wherever else they appear
+ */
+
+const PATTERN_KEYS = ['excludePatterns', 'whitelistPaths'];
+
+// '\\.', '^src/', 'lock$' - never needed in a glob
+const REGEX_ONLY = /\\.|^\^|\$$/;
+
+/**
+ * Whether a pattern list entry is an unprefixed regex
+ */
+function isLegacyRegex(pattern) {
+  if (typeof pattern !== 'string') return false;
+  const text = pattern.startsWith('!') ? pattern.slice(1) : pattern;
+  return !text.startsWith('re:') && REGEX_ONLY.test(text);
+}
+
+/**
+ * fileSizeGuard section with legacy regexes prefixed, and how many were
+ */
+function migrateLegacyPatterns(fileSizeGuard = {}) {
+  let migrated = 0;
+  const result = { ...fileSizeGuard };
+  for (const key of PATTERN_KEYS) {
+    if (!Array.isArray(fileSizeGuard[key])) continue;
+    result[key] = fileSizeGuard[key].map(pattern => {
+      if (!isLegacyRegex(pattern)) return pattern;
+      migrated++;
+      return pattern.startsWith('!') ? `!re:${pattern.slice(1)}` : `re:${pattern}`;
+    });
+  }
+  return { fileSizeGuard: result, migrated };
+}
+
+/**
+ * One warning per legacy regex in the merged section; sources are the
+ * per-item sources from the config loader
+ */
+function describeLegacyPatterns(fileSizeGuard = {}, sources = {}, formatSource = source => source) {
+  return PATTERN_KEYS.flatMap(key => (Array.isArray(fileSizeGuard[key]) ? fileSizeGuard[key] : [])
+    .map((pattern, index) => isLegacyRegex(pattern)
+      ? `${key} "${pattern}" ${formatSource(sources[`fileSizeGuard.${key}`]?.[index])} is read as a glob - prefix regexes with re:`
+      : null)
+    .filter(Boolean));
+}
+
+module.exports = {
+  isLegacyRegex,
+  migrateLegacyPatterns,
+  describeLegacyPatterns
+};
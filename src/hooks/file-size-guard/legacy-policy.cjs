@@ -0,0 +1,61 @@
+/**
+ * legacy-policy.cjs - Grandfather mode for files already over blockThreshold
+ *
+ * legacyPolicy (fileSizeGuard.legacyPolicy, or per rule):
+ * - block-any:            block every edit leaving the file over the limit (default)
+ * - allow-shrink:         allow edits that do not grow a file already over the limit
+ * - allow-delta-up-to N:  also allow growth of at most N lines
+ *
+ * Only files already at or over blockThreshold are grandfathered - an edit
+ * that pushes a file over the limit is always blocked.
+ */
+
+const DEFAULT_LEGACY_POLICY = 'block-any';
+
+// 'allow-delta-up-to 20' (also accepts ':' or '=' before the number)
+const DELTA_POLICY = /^allow-delta-up-to[\s:=]*(\d+)$/;
+
+/**
+ * Parse legacyPolicy into { name, maxDelta } (maxDelta null = block any)
+ * Unknown values fall back to block-any
+ */
+function parseLegacyPolicy(value) {
+  if (value && typeof value === 'object' && 'maxDelta' in value) return value;
+
+  const text = typeof value === 'string' ? value.trim() : '';
+  const delta = text.match(DELTA_POLICY);
+  if (delta) {
+    return { name: `allow-delta-up-to ${delta[1]}`, maxDelta: parseInt(delta[1], 10) };
+  }
+  if (text === 'allow-shrink') {
+    return { name: 'allow-shrink', maxDelta: 0 };
+  }
+  return { name: DEFAULT_LEGACY_POLICY, maxDelta: null };
+}
+
+/**
+ * Check if an over-limit edit is allowed for a file already over the limit
+ */
+function allowsLegacyEdit(policy, currentLines, estimatedLines, blockThreshold) {
+  if (!policy || policy.maxDelta === null) return false;
+  if (currentLines < blockThreshold) return false; // Edit crosses the limit
+  return estimatedLines - currentLines <= policy.maxDelta;
+}
+
+/**
+ * Explain which edits a policy still allows (null for block-any)
+ */
+function describeLegacyPolicy(policy, unit = 'lines') {
+  if (!policy || policy.maxDelta === null) return null;
+  const allowed = policy.maxDelta === 0
+    ? 'Shrinking edits are allowed on this file'
+    : `Shrinking edits, or edits adding at most ${policy.maxDelta} ${unit}, are allowed on this file`;
+  return `${allowed} (legacyPolicy: ${policy.name})`;
+}
+
+module.exports = {
+  parseLegacyPolicy,
+  allowsLegacyEdit,
+  describeLegacyPolicy,
+  DEFAULT_LEGACY_POLICY
+};
@@ -3,13 +3,22 @@
  *
  * Handles various edge cases:
  * - Non-existent files (returns 0)
- * - Binary files (skipped)
+ * - Binary files (skipped, by extension or content - see content-sniffer.cjs)
  * - Empty files (returns 0)
+ * - Files over largeFileBytes (counted in chunks, never held as a string -
+ *   see large-files.cjs, stream-counter.cjs and stream-edits.cjs)
  */
 
 const fs = require('fs');
 const path = require('path');
 
+const { simulateEdit, simulateEdits, EDIT_STATUS } = require('./edit-simulator.cjs');
+const { measureContent } = require('./line-metrics.cjs');
+const { isBinaryBuffer } = require('./content-sniffer.cjs');
+const { getLargeFileSize, DEFAULT_LARGE_FILE_BYTES } = require('./large-files.cjs');
+const { countFileLines, simulateFileEdit } = require('./stream-counter.cjs');
+const { simulateFileEdits } = require('./stream-edits.cjs');
+
 // Binary file extensions to skip
 const BINARY_EXTENSIONS = new Set([
   '.png', '.jpg', '.jpeg', '.gif', '.ico', '.webp', '.svg',
@@ -41,13 +50,13 @@ function isRegularFile(filePath) {
 }
 
 /**
- * Count lines in a file (with optional content return for replace_all estimation)
- * Handles edge cases: non-existent, binary, symlinks, encoding errors
- *
- * Note: For non-existent files, returns lines: 0, exists: false
- * The hook uses estimateLinesForWrite() for new file content separately
+ * Count lines in a file (with optional content return for edit simulation)
+ * Handles edge cases: non-existent (lines: 0, exists: false), binary, symlinks,
+ * encoding errors
+ * `lines` uses countMode (see line-metrics.cjs), `physical` is always raw lines;
+ * files over largeFileBytes are counted in physical lines, without content (large: true)
  */
-function countLines(filePath, returnContent = false) {
+function countLines(filePath, returnContent = false, countMode = 'physical', largeFileBytes = DEFAULT_LARGE_FILE_BYTES) {
   try {
     // Check existence first
     if (!fs.existsSync(filePath)) {
@@ -64,19 +73,28 @@ function countLines(filePath, returnContent = false) {
       return { lines: 0, exists: true, isBinary: true, error: null, content: null };
     }
 
-    // Read file with error handling for encoding issues
-    let content;
+    if (getLargeFileSize(filePath, largeFileBytes) !== null) {
+      const { lines, physical, isBinary } = countFileLines(filePath);
+      return { lines, physical, exists: true, isBinary, error: null, content: null, large: true };
+    }
+
+    // Read as bytes: decoding as UTF-8 never throws, so binaries are sniffed instead
+    let buffer;
     try {
-      content = fs.readFileSync(filePath, 'utf-8');
-    } catch (readError) {
-      // File might have encoding issues, treat as binary
-      return { lines: 0, exists: true, isBinary: true, error: 'encoding-error', content: null };
+      buffer = fs.readFileSync(filePath);
+    } catch {
+      return { lines: 0, exists: true, isBinary: false, error: 'unreadable', content: null };
+    }
+    if (isBinaryBuffer(buffer)) {
+      return { lines: 0, exists: true, isBinary: true, error: null, content: null };
     }
 
-    const lines = content.split('\n').length;
+    const content = buffer.toString('utf-8');
+    const { lines, physical } = measureContent(content, filePath, countMode);
 
     return {
       lines,
+      physical,
       exists: true,
       isBinary: false,
       error: null,
@@ -89,48 +107,90 @@ function countLines(filePath, returnContent = false) {
 
 /**
  * Estimate lines after edit operation
- * Handles both single replacement and replace_all mode
+ * Simulates the replacement on the real file content and counts the result;
+ * status is 'not-found' or 'ambiguous' when the Edit tool would reject it.
+ * Files over largeFileBytes are simulated in chunks (physical lines, no content)
  */
-function estimateLinesAfterEdit(filePath, oldString, newString, replaceAll = false) {
-  // For replace_all, we need the file content to count occurrences
-  const { lines: currentLines, content } = countLines(filePath, replaceAll);
-
-  const oldLines = (oldString || '').split('\n').length;
-  const newLines = (newString || '').split('\n').length;
-  const lineDelta = newLines - oldLines;
-
-  // If replace_all and we have content, count all occurrences
-  if (replaceAll && content && oldString) {
-    const occurrences = content.split(oldString).length - 1;
-    const totalDelta = lineDelta * Math.max(occurrences, 1);
-    return {
-      currentLines,
-      estimatedLines: currentLines + totalDelta,
-      delta: totalDelta,
-      occurrences
-    };
+function estimateLinesAfterEdit(filePath, oldString, newString, replaceAll = false, countMode = 'physical', largeFileBytes = DEFAULT_LARGE_FILE_BYTES) {
+  if (!isBinaryFile(filePath) && getLargeFileSize(filePath, largeFileBytes) !== null) {
+    const result = simulateFileEdit(filePath, oldString, newString, replaceAll);
+    return buildLargeEstimate(result, { occurrences: result.occurrences });
   }
 
-  // Single replacement (default behavior)
+  const current = countLines(filePath, true, countMode, largeFileBytes);
+  const result = simulateEdit(current.content, oldString, newString, replaceAll);
+  return buildEstimate(filePath, current, result, countMode, { occurrences: result.occurrences });
+}
+
+/**
+ * Estimate lines after a MultiEdit operation
+ * Applies each edit in order against an in-memory copy of the file; files
+ * over largeFileBytes are simulated edit by edit in chunks (physical lines)
+ */
+function estimateLinesAfterMultiEdit(filePath, edits = [], countMode = 'physical', largeFileBytes = DEFAULT_LARGE_FILE_BYTES) {
+  if (!isBinaryFile(filePath) && getLargeFileSize(filePath, largeFileBytes) !== null) {
+    const result = simulateFileEdits(filePath, edits);
+    return buildLargeEstimate(result, { edits: edits.length, failedEdit: result.failedEdit });
+  }
+
+  const current = countLines(filePath, true, countMode, largeFileBytes);
+  const result = simulateEdits(current.content, edits);
+  return buildEstimate(filePath, current, result, countMode, {
+    edits: edits.length,
+    failedEdit: result.failedEdit
+  });
+}
+
+/**
+ * Estimate from a chunked simulation (physical lines, no content)
+ */
+function buildLargeEstimate(result, extra) {
+  return {
+    currentLines: result.currentLines,
+    estimatedLines: result.estimatedLines,
+    currentPhysical: result.currentLines,
+    estimatedPhysical: result.estimatedLines,
+    delta: result.estimatedLines - result.currentLines,
+    status: result.status,
+    ...extra,
+    large: true
+  };
+}
+
+/**
+ * Combine current counts with a simulation result
+ * A rejected simulation keeps the current size (nothing would change);
+ * the content before/after is returned for the content limits
+ */
+function buildEstimate(filePath, current, result, countMode, extra) {
+  const next = result.status === EDIT_STATUS.OK
+    ? measureContent(result.content, filePath, countMode)
+    : { lines: current.lines, physical: current.physical || 0 };
+
   return {
-    currentLines,
-    estimatedLines: currentLines + lineDelta,
-    delta: lineDelta,
-    occurrences: 1
+    currentLines: current.lines,
+    estimatedLines: next.lines,
+    currentPhysical: current.physical || 0,
+    estimatedPhysical: next.physical,
+    delta: next.lines - current.lines,
+    status: result.status,
+    currentContent: current.content,
+    estimatedContent: result.content,
+    ...extra
   };
 }
 
 /**
  * Estimate lines for new file (Write tool)
  */
-function estimateLinesForWrite(content) {
-  if (!content) return 0;
-  return content.split('\n').length;
+function estimateLinesForWrite(content, filePath = '', countMode = 'physical') {
+  return measureContent(content || '', filePath, countMode).lines;
 }
 
 module.exports = {
   countLines,
   estimateLinesAfterEdit,
+  estimateLinesAfterMultiEdit,
   estimateLinesForWrite,
   isBinaryFile,
   isRegularFile
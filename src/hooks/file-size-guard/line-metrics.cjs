@@ -0,0 +1,71 @@
+/**
+ * line-metrics.cjs - Line counting modes for thresholds
+ *
+ * countMode (fileSizeGuard.countMode):
+ * - physical: every line, like `wc -l` (default)
+ * - nonBlank: lines with any non-whitespace character
+ * - sloc:     logical lines of code - blank and comment-only lines excluded
+ *             (JS/TS, Python, Rust, Go, shell, C-family; other files fall
+ *             back to nonBlank)
+ */
+
+const { countContentLines } = require('./edit-simulator.cjs');
+const { stripComments } = require('./comment-stripper.cjs');
+
+const COUNT_MODES = ['physical', 'nonBlank', 'sloc'];
+const DEFAULT_COUNT_MODE = 'physical';
+
+// Unit shown in messages for each mode
+const COUNT_MODE_UNITS = {
+  physical: 'lines',
+  nonBlank: 'non-blank lines',
+  sloc: 'code lines'
+};
+
+/**
+ * Validate countMode, falling back to physical
+ */
+function normalizeCountMode(countMode) {
+  return COUNT_MODES.includes(countMode) ? countMode : DEFAULT_COUNT_MODE;
+}
+
+/**
+ * Count lines that contain something other than whitespace
+ */
+function countNonBlankLines(lines) {
+  return lines.reduce((count, line) => (line.trim() ? count + 1 : count), 0);
+}
+
+/**
+ * Count lines in content using the given mode
+ * @param {string} content - File content
+ * @param {string} filePath - Used to pick the language for sloc
+ * @param {string} countMode - physical | nonBlank | sloc
+ * @returns {{lines: number, physical: number}} Counted lines and physical lines
+ */
+function measureContent(content, filePath, countMode = DEFAULT_COUNT_MODE) {
+  const physical = countContentLines(content);
+  const mode = normalizeCountMode(countMode);
+  if (mode === 'physical' || !content) return { lines: physical, physical };
+
+  const codeLines = mode === 'sloc' ? stripComments(content, filePath) : null;
+  return {
+    lines: countNonBlankLines(codeLines || content.split('\n')),
+    physical
+  };
+}
+
+/**
+ * Unit label for messages (e.g. "code lines")
+ */
+function getCountUnit(countMode) {
+  return COUNT_MODE_UNITS[normalizeCountMode(countMode)];
+}
+
+module.exports = {
+  measureContent,
+  normalizeCountMode,
+  getCountUnit,
+  COUNT_MODES,
+  DEFAULT_COUNT_MODE
+};
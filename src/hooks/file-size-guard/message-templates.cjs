@@ -0,0 +1,141 @@
+/**
+ * message-templates.cjs - Project-defined hook messages
+ *
+ * fileSizeGuard.messages (also allowed on rules, merged over the global one):
+ * {
+ *   "block": "{file} is over {limit} {unit}. See docs/ARCHITECTURE.md, then move code to {suggestedFiles}.",
+ *   "warn":  ["{file}: {estimated}/{limit} {unit}.", "Prefer a new module."],
+ *   "ask":   "...",                          (defaults to the block template)
+ *   "docs":  { "path": "docs/ARCHITECTURE.md", "section": "Module layout" },
+ *   "docsOn": ["block", "ask"],              (statuses that include the docs)
+ *   "languages": { "python": { "block": "..." } }
+ * }
+ *
+ * A template replaces the built-in message (stderr text, or additionalContext
+ * with JSON output); warn covers baselined and legacy edits too. The docs
+ * path is relative to the .ck.json that sets it (see project-docs.cjs). Language
+ * keys are suggestion definition ids (see suggestion-registry.cjs).
+ * Placeholders: {file} (relative to the project root) {current} {estimated} {limit} {unit} {rule} {status}
+ * {suggestedFiles} {steps} {note} {docs}. The docs snippet is appended unless
+ * the template places it with {docs}.
+ */
+
+const path = require('path');
+
+const { generateSuggestion, renderTemplate } = require('./suggestion-generator.cjs');
+const { readDocSnippet } = require('./project-docs.cjs');
+const { getCountUnit } = require('./line-metrics.cjs');
+
+const TEMPLATE_KEYS = ['block', 'ask', 'warn'];
+const DEFAULT_DOCS_ON = ['block', 'ask'];
+
+/**
+ * Template text from a string or an array of lines
+ */
+function toTemplate(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value) && value.every(line => typeof line === 'string')) return value.join('\n');
+  return undefined;
+}
+
+/**
+ * Normalize a messages object (invalid entries are dropped); docs paths
+ * resolve against the base dir the config loader recorded for them under
+ * prefix in bases, else baseDir
+ */
+function normalizeMessages(messages, { baseDir, bases = {}, prefix = 'fileSizeGuard.messages', nested = false } = {}) {
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)) return {};
+
+  const normalized = {};
+  for (const key of TEMPLATE_KEYS) {
+    const template = toTemplate(messages[key]);
+    if (template !== undefined) normalized[key] = template;
+  }
+  if (messages.docs !== undefined) {
+    normalized.docs = messages.docs;
+    normalized.docsDir = bases[`${prefix}.docs`] || bases[`${prefix}.docs.path`] || baseDir;
+  }
+  if (Array.isArray(messages.docsOn)) normalized.docsOn = messages.docsOn;
+  if (!nested && messages.languages && typeof messages.languages === 'object') {
+    normalized.languages = {};
+    for (const [id, languageMessages] of Object.entries(messages.languages)) {
+      const languagePrefix = `${prefix}.languages.${id}`;
+      normalized.languages[id] = normalizeMessages(languageMessages, { baseDir, bases, prefix: languagePrefix, nested: true });
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Merge rule messages over the global ones (language entries merge too)
+ */
+function mergeMessages(base = {}, override = {}) {
+  const languages = { ...base.languages };
+  for (const [id, languageMessages] of Object.entries(override.languages || {})) {
+    languages[id] = { ...languages[id], ...languageMessages };
+  }
+  return { ...base, ...override, languages };
+}
+
+/**
+ * Messages for one language: the language's entries over the general ones
+ */
+function resolveMessages(messages = {}, languageId) {
+  const { languages, ...general } = messages;
+  return { ...general, ...(languages?.[languageId] || {}) };
+}
+
+/**
+ * Template for a check status (block/ask/warn; baseline and legacy use warn)
+ */
+function templateFor(messages, status) {
+  if (status === 'block') return messages.block;
+  if (status === 'ask') return messages.ask ?? messages.block;
+  return messages.warn;
+}
+
+/**
+ * Final message text: the project template (or defaultText) plus the docs snippet
+ * result: { status, filePath, currentLines, estimatedLines, threshold, metrics }
+ * metrics: { messages, rule, rootDir, countMode, note, plan }
+ */
+function composeMessage(result, defaultText) {
+  const { status, filePath, currentLines, estimatedLines, threshold, metrics = {} } = result;
+  const rootDir = metrics.rootDir || process.cwd();
+  const suggestion = generateSuggestion(filePath, currentLines, estimatedLines, { rootDir });
+  const messages = resolveMessages(metrics.messages, suggestion.language);
+
+  const docs = (messages.docsOn || DEFAULT_DOCS_ON).includes(status)
+    ? readDocSnippet(rootDir, messages.docs, messages.docsDir)
+    : null;
+  const docsText = docs ? `Project conventions (${docs.source}):\n${docs.text}` : '';
+  const template = templateFor(messages, status);
+  if (!template) return docsText ? `${defaultText.replace(/\n+$/, '')}\n\n${docsText}\n` : defaultText;
+
+  const suggestedFiles = metrics.plan?.groups.length
+    ? metrics.plan.groups.map(group => group.file)
+    : suggestion.newFiles.map(file => path.basename(file));
+  const relativePath = path.relative(rootDir, filePath);
+  const text = renderTemplate(template, {
+    file: relativePath && !relativePath.startsWith('..') ? relativePath : filePath,
+    current: currentLines,
+    estimated: estimatedLines,
+    limit: threshold,
+    unit: getCountUnit(metrics.countMode),
+    rule: metrics.rule || 'none',
+    status,
+    suggestedFiles: suggestedFiles.join(', '),
+    steps: suggestion.steps.map((step, i) => `${i + 1}. ${step}`).join('\n'),
+    note: metrics.note || '',
+    docs: docsText
+  });
+  return template.includes('{docs}') || !docsText ? text : `${text}\n\n${docsText}`;
+}
+
+module.exports = {
+  composeMessage,
+  normalizeMessages,
+  mergeMessages,
+  resolveMessages,
+  templateFor
+};
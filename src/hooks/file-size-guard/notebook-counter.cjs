@@ -0,0 +1,157 @@
+/**
+ * notebook-counter.cjs - Count cells and source lines in Jupyter notebooks
+ *
+ * Notebooks are measured by their cell sources, not by the raw .ipynb JSON
+ * (which is mostly metadata and outputs). NotebookEdit payloads are applied
+ * to an in-memory copy of the cell list to estimate the result:
+ * - replace: swap the source of the target cell
+ * - insert:  add a new cell after the target cell (or at the top)
+ * - delete:  remove the target cell
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { measureContent } = require('./line-metrics.cjs');
+
+/**
+ * Check if path is a Jupyter notebook
+ */
+function isNotebookFile(filePath) {
+  return path.extname(filePath || '').toLowerCase() === '.ipynb';
+}
+
+/**
+ * Normalize cell source (string or array of strings) to a single string
+ */
+function cellSourceToString(source) {
+  if (Array.isArray(source)) return source.join('');
+  return typeof source === 'string' ? source : '';
+}
+
+/**
+ * Count lines in a single cell source (empty cell = 0 lines)
+ * Code cells use the kernel language for sloc; markdown has no code lines
+ */
+function countCellLines(cell, extension, countMode) {
+  const source = cellSourceToString(cell.source);
+  if (cell.cell_type === 'code') return measureContent(source, `cell${extension}`, countMode);
+
+  const counted = measureContent(source, '', countMode);
+  return countMode === 'sloc' ? { lines: 0, physical: counted.physical } : counted;
+}
+
+/**
+ * Parse notebook JSON into { cells, extension }, returns null if invalid
+ */
+function parseNotebook(content) {
+  try {
+    const notebook = JSON.parse(content);
+    if (!Array.isArray(notebook.cells)) return null;
+    return {
+      cells: notebook.cells,
+      extension: notebook.metadata?.language_info?.file_extension || '.py'
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Summarize a cell list as { cells, lines, physical }
+ */
+function summarizeCells(cells, extension = '.py', countMode = 'physical') {
+  return cells.reduce((summary, cell) => {
+    const counted = countCellLines(cell, extension, countMode);
+    summary.lines += counted.lines;
+    summary.physical += counted.physical;
+    return summary;
+  }, { cells: cells.length, lines: 0, physical: 0 });
+}
+
+/**
+ * Count cells and source lines in notebook JSON content
+ */
+function countNotebookContent(content, countMode = 'physical') {
+  const notebook = parseNotebook(content || '');
+  return notebook
+    ? summarizeCells(notebook.cells, notebook.extension, countMode)
+    : { cells: 0, lines: 0, physical: 0 };
+}
+
+/**
+ * Find target cell index by cell_id, falling back to cell_number
+ * Returns -1 when the cell cannot be located
+ */
+function findCellIndex(cells, toolInput) {
+  if (toolInput.cell_id !== undefined && toolInput.cell_id !== null) {
+    const byId = cells.findIndex(cell => cell.id === toolInput.cell_id);
+    if (byId !== -1) return byId;
+  }
+  if (Number.isInteger(toolInput.cell_number)) {
+    return toolInput.cell_number < cells.length ? toolInput.cell_number : -1;
+  }
+  return -1;
+}
+
+/**
+ * Apply a NotebookEdit payload to a cell list (returns a new list)
+ */
+function applyNotebookEdit(cells, toolInput) {
+  const editMode = toolInput.edit_mode || 'replace';
+  const index = findCellIndex(cells, toolInput);
+  const newCell = {
+    cell_type: toolInput.cell_type || 'code',
+    source: toolInput.new_source || ''
+  };
+  const result = cells.slice();
+
+  if (editMode === 'insert') {
+    // Insert after target cell, or at the beginning when no target given
+    result.splice(index + 1, 0, newCell);
+  } else if (editMode === 'delete') {
+    if (index !== -1) result.splice(index, 1);
+  } else if (index !== -1) {
+    result[index] = {
+      ...result[index],
+      source: newCell.source,
+      ...(toolInput.cell_type ? { cell_type: toolInput.cell_type } : {})
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Estimate cells/lines after a NotebookEdit operation
+ */
+function estimateNotebookEdit(notebookPath, toolInput, countMode = 'physical') {
+  let notebook = null;
+  try {
+    if (fs.existsSync(notebookPath)) {
+      notebook = parseNotebook(fs.readFileSync(notebookPath, 'utf-8'));
+    }
+  } catch {
+    notebook = null;
+  }
+
+  const { cells, extension } = notebook || { cells: [], extension: '.py' };
+  const current = summarizeCells(cells, extension, countMode);
+  const estimated = summarizeCells(applyNotebookEdit(cells, toolInput), extension, countMode);
+
+  return {
+    currentLines: current.lines,
+    estimatedLines: estimated.lines,
+    currentPhysical: current.physical,
+    estimatedPhysical: estimated.physical,
+    currentCells: current.cells,
+    estimatedCells: estimated.cells
+  };
+}
+
+module.exports = {
+  isNotebookFile,
+  countNotebookContent,
+  applyNotebookEdit,
+  estimateNotebookEdit
+};
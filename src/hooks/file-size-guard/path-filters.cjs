@@ -0,0 +1,68 @@
+/**
+ * path-filters.cjs - Which files the guard skips by path
+ *
+ * - excludePatterns: DEFAULT_EXCLUDE_PATTERNS (lockfiles, minified and
+ *   generated code, config, docs, tests) plus the project's own
+ * - whitelistPaths: project paths the guard never checks
+ *
+ * Both accept globs and 're:' regexes (see glob-matcher.cjs).
+ */
+
+const { matchPatternList } = require('./glob-matcher.cjs');
+
+// File patterns to exclude from checks ('re:' regexes, see glob-matcher.cjs)
+const DEFAULT_EXCLUDE_PATTERNS = [
+  're:package-lock\\.json$',
+  're:pnpm-lock\\.yaml$',
+  're:yarn\\.lock$',
+  're:Cargo\\.lock$',
+  're:poetry\\.lock$',
+  're:\\.min\\.(js|css)$',
+  're:\\.bundle\\.(js|css)$',
+  're:\\.generated\\.',
+  're:\\.d\\.ts$',
+  're:\\.config\\.(js|ts|cjs|mjs)$',
+  're:tsconfig.*\\.json$',
+  're:\\.eslintrc',
+  're:\\.prettierrc',
+  're:\\.json$',
+  're:\\.yaml$',
+  're:\\.yml$',
+  're:\\.toml$',
+  're:\\.xml$',
+  're:\\.md$',
+  're:\\.mdx$',
+  're:\\.rst$',
+  're:\\.txt$',
+  're:__fixtures__/',
+  're:__snapshots__/',
+  're:\\.snap$',
+  // Test file patterns
+  're:\\.test\\.(ts|tsx|js|jsx|mjs|cjs)$',
+  're:\\.spec\\.(ts|tsx|js|jsx|mjs|cjs)$',
+  're:_test\\.go$',
+  're:test_.*\\.py$',
+  're:.*_test\\.py$'
+];
+
+/**
+ * Check if file path matches the whitelist (globs relative to project root)
+ */
+function isWhitelisted(filePath, whitelistPaths = [], baseDir = process.cwd()) {
+  if (!whitelistPaths.length) return false;
+  return matchPatternList(filePath, whitelistPaths, baseDir);
+}
+
+/**
+ * Check if file should be excluded from size checks
+ * Patterns: RegExp objects, globs, or 're:' regex strings (see glob-matcher.cjs)
+ */
+function shouldExclude(filePath, excludePatterns = DEFAULT_EXCLUDE_PATTERNS, baseDir = process.cwd()) {
+  return matchPatternList(filePath, excludePatterns, baseDir);
+}
+
+module.exports = {
+  shouldExclude,
+  isWhitelisted,
+  DEFAULT_EXCLUDE_PATTERNS
+};
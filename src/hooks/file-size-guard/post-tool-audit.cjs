@@ -0,0 +1,192 @@
+/**
+ * post-tool-audit.cjs - Re-count files after Edit/MultiEdit/Write (PostToolUse)
+ *
+ * The PreToolUse check only predicts the size after an edit. Before the edit
+ * it saves its estimate and thresholds (pending/<key>.json in the state
+ * directory, see state-store.cjs; keyed by tool_use_id). After the tool has
+ * run, the PostToolUse audit counts the real file, records the estimate
+ * error (see estimate-accuracy.cjs) and tells the model when the file ended
+ * up in a higher band than estimated - past warnThreshold, askThreshold or
+ * blockThreshold - because the estimate was off or something else changed
+ * the file in between.
+ *
+ * Files the PreToolUse check skipped (excluded, disabled, binary ...) or
+ * blocked have no saved estimate and are not audited. "audit": false turns
+ * the audit off.
+ *
+ * Baselined files (see baseline.cjs) have their ceiling lowered here, from
+ * the size measured after the edit, the edit is added to the session's
+ * budget usage (see session-budget.cjs), and bypass grants that let the edit
+ * through are used up here (see bypass-grants.cjs) - even with "audit":
+ * false, since an edit the human rejects or the tool fails never reaches
+ * PostToolUse.
+ *
+ * Output (the tool has already run, so nothing is undone):
+ * - text: message on stderr with exit 2, which Claude Code shows to the model
+ * - json: { decision: "block" (over blockThreshold only), reason,
+ *           hookSpecificOutput: { hookEventName: "PostToolUse", additionalContext } }
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const { getToolFilePath, measureFile, AUDITED_TOOLS } = require('./tool-estimator.cjs');
+const { resolveFilePath } = require('./tool-check.cjs');
+const { getBands } = require('./threshold-bands.cjs');
+const { getCountUnit } = require('./line-metrics.cjs');
+const { normalizeOutputFormat } = require('./hook-output.cjs');
+const { readState, writeState, removeState, pruneState } = require('./state-store.cjs');
+const { recordAccuracy } = require('./estimate-accuracy.cjs');
+const { ratchetBaseline } = require('./baseline.cjs');
+const { useGrant } = require('./bypass-grants.cjs');
+const { recordSessionEdit } = require('./session-usage.cjs');
+
+const PENDING_DIR = 'pending';
+const PENDING_MAX_AGE_MS = 24 * 60 * 60 * 1000; // Estimates of edits that never ran
+
+/**
+ * Target file of an audited tool call, or null
+ */
+function auditedFile(data) {
+  if (!AUDITED_TOOLS.includes(data.tool_name)) return null;
+  return resolveFilePath(getToolFilePath(data.tool_name, data.tool_input || {}), data.cwd || process.cwd());
+}
+
+/**
+ * State file for a tool call's estimate (tool_use_id, else session and file)
+ */
+function pendingName(data, filePath) {
+  const key = data.tool_use_id || `${data.session_id || ''}:${filePath}`;
+  return `${PENDING_DIR}/${crypto.createHash('sha1').update(key).digest('hex')}.json`;
+}
+
+/**
+ * Save the PreToolUse estimate for the audit ({ result, config } from checkToolCall)
+ */
+function savePendingEstimate(data, { result, config }) {
+  const filePath = auditedFile(data);
+  const baselined = config.baseline !== undefined;
+  const bypass = result.metrics.bypass || null;
+  const sessionEdit = result.metrics.sessionEdit ? { ...result.metrics.sessionEdit, sessionId: data.session_id } : null;
+  if (!filePath || (config.audit === false && !baselined && !bypass && !sessionEdit) || result.status === 'block') return;
+
+  pruneState(PENDING_DIR, PENDING_MAX_AGE_MS);
+  writeState(pendingName(data, filePath), {
+    toolName: data.tool_name,
+    audit: config.audit !== false,
+    baselineRoot: baselined ? result.metrics.rootDir : null,
+    bypass,
+    sessionEdit,
+    currentLines: result.currentLines,
+    estimatedLines: result.estimatedLines,
+    countMode: config.countMode,
+    largeFileBytes: config.largeFileBytes,
+    warnThreshold: config.warnThreshold,
+    askThreshold: config.askThreshold,
+    blockThreshold: config.blockThreshold,
+    mode: config.mode,
+    outputFormat: config.outputFormat
+  });
+}
+
+/**
+ * Band a size falls into ({ status, from }) for the saved thresholds
+ */
+function bandFor(lines, thresholds) {
+  const bands = getBands(thresholds);
+  const index = bands.findLastIndex(band => lines >= band.from);
+  return { ...bands[index], rank: index };
+}
+
+/**
+ * Audit a PostToolUse payload: null (nothing to check) or
+ * { toolName, filePath, currentLines, estimatedLines, actualLines, band, threshold, crossed, unit, outputFormat }
+ * (band: 'ok', 'warn', 'ask' or 'block' - the band at blockThreshold is 'block' whatever the mode)
+ */
+function auditToolCall(data) {
+  const filePath = auditedFile(data);
+  if (!filePath) return null;
+
+  const name = pendingName(data, filePath);
+  const pending = readState(name);
+  removeState(name);
+  if (!pending) return null;
+  if (pending.bypass) {
+    useGrant({ ...pending.bypass, session: data.session_id || null });
+  }
+
+  const measured = measureFile(filePath, pending.countMode, pending.largeFileBytes);
+  if (!measured.exists || measured.error || measured.isBinary) return null;
+
+  const actualLines = measured.lines;
+  if (pending.baselineRoot) {
+    ratchetBaseline(pending.baselineRoot, filePath, actualLines, pending.blockThreshold);
+  }
+  if (pending.sessionEdit) {
+    recordSessionEdit(pending.sessionEdit.sessionId, filePath, {
+      ...pending.sessionEdit, currentLines: pending.currentLines, lines: actualLines, warnThreshold: pending.warnThreshold
+    });
+  }
+  if (pending.audit === false) return null;
+
+  recordAccuracy({
+    toolName: pending.toolName,
+    filePath,
+    countMode: pending.countMode,
+    estimatedLines: pending.estimatedLines,
+    actualLines
+  });
+
+  const band = bandFor(actualLines, pending);
+  return {
+    toolName: pending.toolName,
+    filePath,
+    currentLines: pending.currentLines,
+    estimatedLines: pending.estimatedLines,
+    actualLines,
+    band: band.from === pending.blockThreshold ? 'block' : band.status,
+    threshold: band.from,
+    crossed: band.rank > bandFor(pending.estimatedLines, pending).rank,
+    unit: getCountUnit(pending.countMode),
+    outputFormat: pending.outputFormat
+  };
+}
+
+/**
+ * Message for an audit whose file crossed a threshold
+ */
+function formatAuditMessage(audit) {
+  const { toolName, filePath, estimatedLines, actualLines, band, threshold, unit } = audit;
+  const action = band === 'block'
+    ? 'Extract code from it to new files before adding more (micro-extract pattern).'
+    : 'Extract new code to new files instead of growing it further.';
+  return `File size audit: ${filePath} has ${actualLines} ${unit} after ${toolName} ` +
+    `(estimated ${estimatedLines}) - at or over the ${band} threshold of ${threshold} ${unit}. ${action}`;
+}
+
+/**
+ * Report an audit, returning the hook's exit code (silent unless a threshold was crossed)
+ */
+function emitAudit(audit) {
+  if (!audit || !audit.crossed) return 0;
+  const message = formatAuditMessage(audit);
+
+  if (normalizeOutputFormat(audit.outputFormat) === 'json') {
+    const response = {
+      ...(audit.band === 'block' ? { decision: 'block', reason: message } : {}),
+      hookSpecificOutput: { hookEventName: 'PostToolUse', additionalContext: message }
+    };
+    fs.writeSync(1, JSON.stringify(response) + '\n'); // Sync: the hook exits right after
+    return 0;
+  }
+  console.error(message);
+  return 2;
+}
+
+module.exports = {
+  savePendingEstimate,
+  auditToolCall,
+  emitAudit,
+  formatAuditMessage,
+  AUDITED_TOOLS
+};
@@ -0,0 +1,100 @@
+/**
+ * precommit-command.cjs - `pre-commit`: check the staged version of each file
+ *
+ * Reads the index blob of every added/modified file (`git show :path`), so
+ * the check matches what is about to be committed rather than the working
+ * tree, and applies the same config, exclusions, whitelist, inline overrides,
+ * baseline ceilings and content/function limits as the hook. Files already
+ * over the limit in HEAD follow legacyPolicy, and limits HEAD already
+ * exceeded only warn unless the commit makes them worse, like edits in the hook.
+ *
+ * Exit code: 1 when any staged file is over the block limit, 0 otherwise
+ * (including outside a git work tree).
+ */
+
+const path = require('path');
+
+const { createEvaluator } = require('./file-evaluator.cjs');
+const { checkThreshold } = require('./threshold-checker.cjs');
+const { strongestStatus } = require('./content-limits.cjs');
+const { measureText } = require('./tool-estimator.cjs');
+const { getWorkTreeRoot, listStagedFiles, readBlob } = require('./git-utils.cjs');
+const { toFinding } = require('./scan-command.cjs');
+const { formatText, createSummary, recordSkipped } = require('./scan-report.cjs');
+
+/**
+ * Content of a file in HEAD (read once, on first call), or null for new files
+ */
+function headContent(rootDir, relPath) {
+  let content;
+  return () => {
+    if (content === undefined) content = readBlob(rootDir, `HEAD:${relPath}`)?.toString('utf-8') ?? null;
+    return content;
+  };
+}
+
+/**
+ * Check staged files, returning { findings, summary } (null outside a work tree)
+ */
+function checkStagedFiles(cwd = process.cwd()) {
+  const rootDir = getWorkTreeRoot(cwd);
+  if (!rootDir) return null;
+
+  const evaluateFile = createEvaluator({ cwd: rootDir });
+  const summary = createSummary();
+  const findings = [];
+
+  for (const relPath of listStagedFiles(rootDir)) {
+    const blob = readBlob(rootDir, `:${relPath}`);
+    if (!blob || blob.includes(0)) continue; // Unreadable or binary blob
+
+    const previousContent = headContent(rootDir, relPath);
+    const result = evaluateFile(path.join(rootDir, relPath), blob.toString('utf-8'), { previousContent });
+    if (result.skipped) {
+      recordSkipped(summary, result.skipped);
+      continue;
+    }
+    summary.scanned++;
+
+    // Shrinking a legacy file is allowed by legacyPolicy, as in the hook
+    if (result.lineStatus === 'block' || result.lineStatus === 'ask') {
+      const previous = previousContent();
+      const previousLines = previous === null ? undefined : measureText(relPath, previous, result.config.countMode).lines;
+      result.lineStatus = checkThreshold(result.lines, result.config, previousLines).status;
+      result.status = strongestStatus(result.lineStatus, result.limits);
+    }
+    if (result.status === 'ok' || result.status === 'legacy') continue;
+
+    summary[result.status]++;
+    findings.push(toFinding(result, rootDir));
+  }
+
+  return { findings, summary };
+}
+
+/**
+ * pre-commit - CLI command (run from .git/hooks/pre-commit)
+ */
+function preCommitCommand() {
+  const report = checkStagedFiles();
+  if (!report) {
+    console.error('file-size-guard pre-commit: not inside a git work tree, skipping');
+    return 0;
+  }
+
+  const { findings, summary } = report;
+  if (!findings.length) return 0;
+
+  console.error(formatText(findings, summary));
+  if (summary.block > 0) {
+    console.error('\nCommit blocked: extract code from the files above into new modules,');
+    console.error('or bypass once with `git commit --no-verify`.');
+    return 1;
+  }
+  return 0;
+}
+
+module.exports = {
+  preCommitCommand,
+  checkStagedFiles
+};
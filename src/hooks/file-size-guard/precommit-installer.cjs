@@ -0,0 +1,156 @@
+/**
+ * precommit-installer.cjs - `install-pre-commit`: wire `pre-commit` into git
+ *
+ * Adds a marked block to the repository's pre-commit hook (honouring
+ * core.hooksPath). An existing hook keeps its content:
+ * - shell hooks (sh, bash ... or no shebang) get the block right after the
+ *   shebang, so a later `exit 0` or `exec` cannot skip it
+ * - other hooks (Python, Node ...) are moved to pre-commit.chained and run
+ *   by a shell wrapper after the block
+ * A block already present is refreshed in place - running the installer
+ * twice is a no-op. The block skips itself when the hook script is gone
+ * (guard uninstalled, checkout moved), so commits never fail because of it.
+ *
+ * Installed hooks are recorded in pre-commit-hooks.json in the state
+ * directory (see state-store.cjs), for `uninstall-pre-commit` (see
+ * precommit-uninstaller.cjs).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { getHooksDir } = require('./git-utils.cjs');
+const { readState, writeState } = require('./state-store.cjs');
+
+const BLOCK_START = '# >>> file-size-guard >>>';
+const BLOCK_END = '# <<< file-size-guard <<<';
+const HOOK_SCRIPT = path.resolve(__dirname, '..', 'file-size-guard.cjs');
+const CHAINED_HOOK = 'pre-commit.chained';
+const SHELLS = ['sh', 'bash', 'dash', 'ksh', 'zsh'];
+const INSTALLS_FILE = 'pre-commit-hooks.json';
+
+/**
+ * Marked shell block that runs the staged-file check (skipped, like the hook
+ * itself fails open, when the script or node is missing)
+ */
+function buildHookBlock(scriptPath = HOOK_SCRIPT) {
+  const script = scriptPath.replace(/\\/g, '/');
+  return [
+    BLOCK_START,
+    `if [ -f "${script}" ] && command -v node >/dev/null 2>&1; then`,
+    `  node "${script}" pre-commit || exit $?`,
+    'fi',
+    BLOCK_END
+  ].join('\n');
+}
+
+/**
+ * Whether hook content runs in a POSIX shell ('#!/bin/sh', '#!/usr/bin/env bash', no shebang)
+ */
+function isShellHook(content) {
+  const match = /^#!\s*(\S+)(?:\s+(\S+))?/.exec(content);
+  if (!match) return true;
+  const program = path.basename(match[1]) === 'env' ? match[2] : path.basename(match[1]);
+  return SHELLS.includes(program);
+}
+
+/**
+ * Insert or refresh the block in existing shell hook content (first, after the shebang)
+ */
+function addHookBlock(content, block) {
+  const start = content.indexOf(BLOCK_START);
+  const end = content.indexOf(BLOCK_END);
+  if (start !== -1 && end > start) {
+    return content.slice(0, start) + block + content.slice(end + BLOCK_END.length);
+  }
+
+  const lines = content.split('\n');
+  const at = lines[0].startsWith('#!') ? 1 : 0;
+  lines.splice(at, 0, ...(at ? [''] : []), block, '');
+  return lines.join('\n');
+}
+
+/**
+ * Shell wrapper running the block, then the original hook moved to CHAINED_HOOK
+ */
+function buildChainWrapper(block) {
+  return `#!/bin/sh\n\n${block}\n\nexec "$(dirname "$0")/${CHAINED_HOOK}" "$@"\n`;
+}
+
+/**
+ * Add hookPath to the record of installed hooks
+ */
+function recordInstall(hookPath) {
+  const hooks = readState(INSTALLS_FILE, { hooks: [] }).hooks || [];
+  if (!hooks.includes(hookPath)) writeState(INSTALLS_FILE, { hooks: [...hooks, hookPath] });
+}
+
+/**
+ * Install the block into <hooks dir>/pre-commit, returning { hookPath, action }
+ * action: 'created' | 'updated' | 'chained' | 'unchanged', or 'conflict' when a
+ * non-shell hook would be chained but CHAINED_HOOK exists (null when not in a git repo)
+ */
+function installPreCommit(cwd = process.cwd()) {
+  const hooksDir = getHooksDir(cwd);
+  if (!hooksDir) return null;
+
+  const hookPath = path.join(hooksDir, 'pre-commit');
+  const block = buildHookBlock();
+  let existing = null;
+  try {
+    existing = fs.readFileSync(hookPath, 'utf-8');
+  } catch {
+    // No hook yet
+  }
+
+  if (existing !== null && !isShellHook(existing)) {
+    const chainedPath = path.join(hooksDir, CHAINED_HOOK);
+    if (fs.existsSync(chainedPath)) return { hookPath, action: 'conflict', chainedPath };
+    fs.renameSync(hookPath, chainedPath);
+    fs.writeFileSync(hookPath, buildChainWrapper(block));
+    fs.chmodSync(hookPath, 0o755);
+    recordInstall(hookPath);
+    return { hookPath, action: 'chained', chainedPath };
+  }
+
+  const content = existing === null ? `#!/bin/sh\n\n${block}\n` : addHookBlock(existing, block);
+  const action = existing === null ? 'created' : content === existing ? 'unchanged' : 'updated';
+  if (action !== 'unchanged') {
+    fs.mkdirSync(hooksDir, { recursive: true });
+    fs.writeFileSync(hookPath, content);
+  }
+  fs.chmodSync(hookPath, 0o755);
+  recordInstall(hookPath);
+  return { hookPath, action };
+}
+
+/**
+ * install-pre-commit - CLI command
+ */
+function installPreCommitCommand() {
+  const result = installPreCommit();
+  if (!result) {
+    console.error('file-size-guard install-pre-commit: not inside a git repository');
+    return 1;
+  }
+  if (result.action === 'conflict') {
+    console.error(`file-size-guard install-pre-commit: ${result.hookPath} is not a shell script and ` +
+      `${result.chainedPath} already exists - add \`node "${HOOK_SCRIPT}" pre-commit\` to the hook by hand`);
+    return 1;
+  }
+  console.log(`Pre-commit hook ${result.action}: ${result.hookPath}` +
+    (result.action === 'chained' ? ` (the existing hook runs after it, from ${result.chainedPath})` : ''));
+  return 0;
+}
+
+module.exports = {
+  installPreCommitCommand,
+  installPreCommit,
+  addHookBlock,
+  buildHookBlock,
+  isShellHook,
+  BLOCK_START,
+  BLOCK_END,
+  CHAINED_HOOK,
+  INSTALLS_FILE
+};
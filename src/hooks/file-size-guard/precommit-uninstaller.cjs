@@ -0,0 +1,82 @@
+/**
+ * precommit-uninstaller.cjs - `uninstall-pre-commit`: take the block out again
+ *
+ * Removes the block install-pre-commit added (see precommit-installer.cjs)
+ * from this repository's pre-commit hook, or with --all from every hook
+ * recorded at install time (uninstall.sh runs that). A chained hook is moved
+ * back into place; a hook with nothing left but its shebang is deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { getHooksDir } = require('./git-utils.cjs');
+const { readState, writeState } = require('./state-store.cjs');
+const { BLOCK_START, BLOCK_END, CHAINED_HOOK, INSTALLS_FILE } = require('./precommit-installer.cjs');
+
+/**
+ * Hook content without the block (the blank lines addHookBlock added go too),
+ * or null when it has none
+ */
+function removeHookBlock(content) {
+  const start = content.indexOf(BLOCK_START);
+  const end = content.indexOf(BLOCK_END);
+  if (start === -1 || end < start) return null;
+  return content.slice(0, start).replace(/\n\n$/, '\n') + content.slice(end + BLOCK_END.length).replace(/^\n\n?/, '');
+}
+
+/**
+ * Take the block out of a pre-commit hook, returning the action taken:
+ * 'restored' (chained hook moved back), 'removed' (nothing else was left in
+ * the hook), 'updated', or 'absent' (no block)
+ */
+function uninstallPreCommit(hookPath) {
+  let content;
+  try {
+    content = fs.readFileSync(hookPath, 'utf-8');
+  } catch {
+    return 'absent';
+  }
+  const remaining = removeHookBlock(content);
+  if (remaining === null) return 'absent';
+
+  const chainedPath = path.join(path.dirname(hookPath), CHAINED_HOOK);
+  if (remaining.includes(`/${CHAINED_HOOK}" "$@"`) && fs.existsSync(chainedPath)) {
+    fs.renameSync(chainedPath, hookPath);
+    return 'restored';
+  }
+  if (!remaining.replace(/^#!.*/, '').trim()) {
+    fs.unlinkSync(hookPath);
+    return 'removed';
+  }
+  fs.writeFileSync(hookPath, remaining);
+  return 'updated';
+}
+
+/**
+ * uninstall-pre-commit [--all] - remove the block from this repository's hook,
+ * or (--all) from every hook it was installed in
+ */
+function uninstallPreCommitCommand(args = []) {
+  const all = args.includes('--all');
+  const hooksDir = all ? null : getHooksDir(process.cwd());
+  if (!all && !hooksDir) {
+    console.error('file-size-guard uninstall-pre-commit: not inside a git repository');
+    return 1;
+  }
+
+  const recorded = readState(INSTALLS_FILE, { hooks: [] }).hooks || [];
+  const hookPaths = all ? recorded : [path.join(hooksDir, 'pre-commit')];
+  for (const hookPath of hookPaths) {
+    const action = uninstallPreCommit(hookPath);
+    if (action !== 'absent' || !all) console.log(`Pre-commit hook ${action}: ${hookPath}`);
+  }
+  writeState(INSTALLS_FILE, { hooks: recorded.filter(hookPath => !hookPaths.includes(hookPath)) });
+  return 0;
+}
+
+module.exports = {
+  uninstallPreCommitCommand,
+  uninstallPreCommit,
+  removeHookBlock
+};
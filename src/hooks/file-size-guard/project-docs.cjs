@@ -0,0 +1,96 @@
+/**
+ * project-docs.cjs - Snippet of a project document for hook messages
+ *
+ * messages.docs points at a project guide so blocked agents get the team's
+ * conventions instead of generic advice:
+ *   "docs": "docs/ARCHITECTURE.md"
+ *   "docs": { "path": "docs/ARCHITECTURE.md", "section": "Module layout", "maxLines": 40 }
+ * The path is relative to the directory of the .ck.json that sets it (the
+ * project root for the global config) and must stay inside the project
+ * root: absolute paths, '../' escapes and symlinks out are ignored. With a
+ * section, only that Markdown heading's content is used (up to the next
+ * heading of the same or a higher level).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_LINES = 40;
+const MAX_DOC_BYTES = 256 * 1024;
+
+/**
+ * Normalize the docs option to { path, section, maxLines } or null
+ */
+function normalizeDocs(docs) {
+  if (typeof docs === 'string' && docs.trim()) docs = { path: docs };
+  if (!docs || typeof docs.path !== 'string' || !docs.path.trim()) return null;
+  return {
+    path: docs.path,
+    section: typeof docs.section === 'string' ? docs.section : null,
+    maxLines: Number.isInteger(docs.maxLines) && docs.maxLines > 0 ? docs.maxLines : DEFAULT_MAX_LINES
+  };
+}
+
+/**
+ * Lines of a Markdown section (heading excluded), or null if not found
+ */
+function extractSection(lines, section) {
+  const wanted = section.trim().toLowerCase();
+  const start = lines.findIndex(line => {
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    return heading && heading[2].toLowerCase() === wanted;
+  });
+  if (start === -1) return null;
+
+  const level = /^#+/.exec(lines[start])[0].length;
+  const end = lines.findIndex((line, i) => i > start && /^#+\s/.test(line) && /^#+/.exec(line)[0].length <= level);
+  return lines.slice(start + 1, end === -1 ? lines.length : end);
+}
+
+/**
+ * Whether filePath is rootDir or inside it
+ */
+function isInside(rootDir, filePath) {
+  const relative = path.relative(rootDir, filePath);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Read the snippet: { source, text } (null if unset, outside rootDir,
+ * unreadable or empty); baseDir is the declaring config's directory
+ */
+function readDocSnippet(rootDir, docs, baseDir = rootDir) {
+  const options = normalizeDocs(docs);
+  if (!options || path.isAbsolute(options.path)) return null;
+
+  let content;
+  try {
+    const docPath = path.resolve(baseDir, options.path);
+    if (!isInside(fs.realpathSync(rootDir), fs.realpathSync(docPath))) return null;
+    if (fs.statSync(docPath).size > MAX_DOC_BYTES) return null;
+    content = fs.readFileSync(docPath, 'utf-8');
+  } catch {
+    return null; // Missing doc - message without it
+  }
+
+  let lines = content.split(/\r?\n/);
+  if (options.section) lines = extractSection(lines, options.section);
+  if (!lines) return null;
+
+  // Trim blank lines at both ends, then cap the length
+  while (lines.length && !lines[0].trim()) lines = lines.slice(1);
+  while (lines.length && !lines[lines.length - 1].trim()) lines = lines.slice(0, -1);
+  if (!lines.length) return null;
+  if (lines.length > options.maxLines) lines = [...lines.slice(0, options.maxLines), `… (see ${options.path})`];
+
+  return {
+    source: options.section ? `${options.path} - ${options.section}` : options.path,
+    text: lines.join('\n')
+  };
+}
+
+module.exports = {
+  readDocSnippet,
+  normalizeDocs,
+  extractSection
+};
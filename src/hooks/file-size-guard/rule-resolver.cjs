@@ -0,0 +1,115 @@
+/**
+ * rule-resolver.cjs - Per-glob threshold profiles (fileSizeGuard.rules)
+ *
+ * Each rule pairs a glob with its own limits:
+ *   { "glob": "src/components/**", "warnThreshold": 150, "blockThreshold": 250 }
+ *   { "glob": "src/legacy/**", "mode": "ask" }
+ *   { "glob": "src/api/**", "messages": { "block": "..." } }
+ *   { "glob": "src/icons/**", "maxBytes": null }
+ *
+ * When several rules match a file, the most specific glob wins (more
+ * literal path segments first); on a tie, the rule listed last wins.
+ * Globs are resolved relative to the directory of the config file that
+ * defines them (the project root for ~/.claude/.ck.json).
+ */
+
+const { matchGlob, globSpecificity, compareSpecificity, relativeTo } = require('./glob-matcher.cjs');
+const { normalizeCountMode } = require('./line-metrics.cjs');
+const { parseLegacyPolicy } = require('./legacy-policy.cjs');
+const { normalizeMode } = require('./threshold-bands.cjs');
+const { normalizeMessages, mergeMessages } = require('./message-templates.cjs');
+const { normalizeLimit, LIMIT_KEYS } = require('./content-limits.cjs');
+const { COMPLEXITY_KEYS } = require('./complexity-limits.cjs');
+const { normalizeLargeFiles } = require('./large-files.cjs');
+
+// Settings a rule may override
+const RULE_KEYS = [
+  'warnThreshold', 'askThreshold', 'blockThreshold', 'mode', 'countMode', 'legacyPolicy', 'messages',
+  'largeFileBytes', 'largeFilePolicy', ...LIMIT_KEYS, ...COMPLEXITY_KEYS
+];
+
+/**
+ * Glob as seen from baseDir, so rules from nested config files compare
+ * by their full depth ('src/**' in packages/api beats '**' at the root)
+ */
+function scopeGlob(glob, ruleDir, baseDir) {
+  const prefix = ruleDir ? relativeTo(ruleDir, baseDir) : null;
+  if (!prefix || glob.startsWith('/')) return glob;
+  return glob.includes('/') ? `${prefix}/${glob}` : `${prefix}/**/${glob}`;
+}
+
+/**
+ * Validate and normalize the rules array from config
+ * Rules without a glob are dropped; each rule resolves against its own
+ * config file's directory (itemBaseDirs) or baseDir
+ */
+function normalizeRules(rules, baseDir = process.cwd(), itemBaseDirs = []) {
+  if (!Array.isArray(rules)) return [];
+
+  return rules
+    .map((rule, index) => ({ rule, ruleDir: itemBaseDirs[index] || baseDir }))
+    .filter(({ rule }) => rule && typeof rule.glob === 'string' && rule.glob.trim())
+    .map(({ rule, ruleDir }, index) => ({
+      ...rule,
+      name: rule.name || rule.glob,
+      index,
+      baseDir: ruleDir,
+      specificity: globSpecificity(scopeGlob(rule.glob, ruleDir, baseDir))
+    }));
+}
+
+/**
+ * Find the most specific rule matching filePath, or null
+ */
+function resolveRule(filePath, rules = [], baseDir = process.cwd()) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!matchGlob(filePath, rule.glob, rule.baseDir || baseDir)) continue;
+    if (!best || compareSpecificity(rule.specificity, best.specificity) >= 0) {
+      best = rule;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Apply a rule's overrides on top of the threshold config
+ */
+function applyRule(config, rule) {
+  if (!rule) return { ...config, rule: null };
+
+  const overrides = {};
+  for (const key of RULE_KEYS) {
+    if (rule[key] !== undefined) overrides[key] = rule[key];
+  }
+  if (overrides.countMode !== undefined) {
+    overrides.countMode = normalizeCountMode(overrides.countMode);
+  }
+  if (overrides.mode !== undefined) {
+    overrides.mode = normalizeMode(overrides.mode);
+  }
+  if (overrides.legacyPolicy !== undefined) {
+    overrides.legacyPolicy = parseLegacyPolicy(overrides.legacyPolicy);
+  }
+  for (const key of [...LIMIT_KEYS, ...COMPLEXITY_KEYS]) {
+    if (overrides[key] !== undefined) overrides[key] = normalizeLimit(key, overrides[key]);
+  }
+  if (overrides.largeFileBytes !== undefined || overrides.largeFilePolicy !== undefined) {
+    Object.assign(overrides, normalizeLargeFiles({ ...config, ...overrides }));
+  }
+  if (overrides.messages !== undefined) {
+    // Rule templates replace the global ones per key; the rest are kept
+    overrides.messages = mergeMessages(config.messages, normalizeMessages(overrides.messages, { baseDir: rule.baseDir }));
+  }
+
+  return { ...config, ...overrides, rule: rule.name };
+}
+
+module.exports = {
+  normalizeRules,
+  resolveRule,
+  applyRule,
+  RULE_KEYS
+};
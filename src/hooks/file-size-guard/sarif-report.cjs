@@ -0,0 +1,101 @@
+/**
+ * sarif-report.cjs - SARIF 2.1.0 format of the `scan` report
+ *
+ * For code-scanning dashboards (GitHub, Azure DevOps...): one result per
+ * finding of scan-report.cjs, at line 1 of the file. Locations are URIs
+ * relative to the repository root (%SRCROOT%, declared in the run's
+ * originalUriBaseIds), as code-scanning uploads expect, whatever directory
+ * the scan ran in; files outside the root get absolute file: URIs.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { describeFinding } = require('./scan-report.cjs');
+const { toPosix } = require('./glob-matcher.cjs');
+
+const TOOL_NAME = 'file-size-guard';
+const TOOL_VERSION = '1.5.0';
+const TOOL_URI = 'https://github.com/hangocduong/claude-file-size-guard';
+
+// SARIF rule per finding status (rule index = position in SARIF_STATUSES)
+const SARIF_RULES = {
+  block: {
+    id: 'file-size/block',
+    level: 'error',
+    description: 'File is at or over the block threshold - extract code to new files'
+  },
+  ask: {
+    id: 'file-size/ask',
+    level: 'warning',
+    description: 'File is over the ask threshold - edits need approval in a session'
+  },
+  warn: {
+    id: 'file-size/warn',
+    level: 'warning',
+    description: 'File is at or over the warn threshold - prefer extracting new code'
+  },
+  baseline: {
+    id: 'file-size/baseline',
+    level: 'note',
+    description: 'File is over the block threshold but within its baseline ceiling'
+  }
+};
+const SARIF_STATUSES = Object.keys(SARIF_RULES);
+
+/**
+ * SARIF artifactLocation of a finding: relative to rootDir, or an absolute
+ * file: URI for files outside it
+ */
+function sarifLocation(findingPath, { cwd, rootDir }) {
+  const filePath = path.resolve(cwd, findingPath);
+  const relative = path.relative(rootDir, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return { uri: pathToFileURL(filePath).href };
+  return { uri: encodeURI(toPosix(relative)).replace(/[?#]/g, encodeURIComponent), uriBaseId: '%SRCROOT%' };
+}
+
+/**
+ * SARIF 2.1.0 log (one result per finding, located at line 1 of the file);
+ * options: { cwd, rootDir } - the scan's cwd and the repository root
+ */
+function formatSarif(findings, summary, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const rootDir = options.rootDir || cwd;
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          version: TOOL_VERSION,
+          informationUri: TOOL_URI,
+          rules: SARIF_STATUSES.map(status => ({
+            id: SARIF_RULES[status].id,
+            shortDescription: { text: SARIF_RULES[status].description },
+            defaultConfiguration: { level: SARIF_RULES[status].level }
+          }))
+        }
+      },
+      originalUriBaseIds: { '%SRCROOT%': { uri: pathToFileURL(rootDir).href.replace(/\/?$/, '/') } },
+      results: findings.map(finding => ({
+        ruleId: SARIF_RULES[finding.status].id,
+        ruleIndex: SARIF_STATUSES.indexOf(finding.status),
+        level: SARIF_RULES[finding.status].level,
+        message: { text: `${finding.path}: ${describeFinding(finding)}` },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: sarifLocation(finding.path, { cwd, rootDir }),
+            region: { startLine: 1 }
+          }
+        }],
+        properties: { lines: finding.lines, countMode: finding.countMode, rule: finding.rule }
+      }))
+    }]
+  };
+  return JSON.stringify(log, null, 2);
+}
+
+module.exports = {
+  formatSarif
+};
@@ -0,0 +1,137 @@
+/**
+ * scan-command.cjs - `scan [paths] [--format text|json|sarif]`
+ *
+ * Checks every project file under the given paths (default: current dir)
+ * with the same config, rules, exclusions and overrides as the hook, and
+ * reports the files over the warn or block limits (see scan-report.cjs).
+ * Directories are listed with `git ls-files` or a .gitignore-aware walk.
+ * Report paths are relative to the cwd (SARIF URIs to the repository root).
+ *
+ * Exit code: 1 when any file is over the block limit (baselined files
+ * within their ceiling do not count), 0 otherwise - usable as a CI gate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { createEvaluator } = require('./file-evaluator.cjs');
+const { listProjectFiles } = require('./file-walker.cjs');
+const { toPosix } = require('./glob-matcher.cjs');
+const { getAskThreshold } = require('./threshold-bands.cjs');
+const { getWorkTreeRoot } = require('./git-utils.cjs');
+const { createSummary, recordSkipped, formatText, formatJson } = require('./scan-report.cjs');
+const { formatSarif } = require('./sarif-report.cjs');
+
+const FORMATTERS = {
+  text: formatText,
+  json: formatJson,
+  sarif: formatSarif
+};
+
+const USAGE = `Usage: file-size-guard scan [paths...] [--format ${Object.keys(FORMATTERS).join('|')}]`;
+
+/**
+ * Parse scan arguments into { paths, format } (null on invalid input)
+ */
+function parseScanArgs(args) {
+  const paths = [];
+  let format = 'text';
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--format') format = args[++i];
+    else if (arg.startsWith('--format=')) format = arg.slice('--format='.length);
+    else if (arg.startsWith('-')) return null;
+    else paths.push(arg);
+  }
+
+  if (!FORMATTERS[format]) return null;
+  return { paths: paths.length ? paths : ['.'], format };
+}
+
+/**
+ * Expand paths into a sorted, de-duplicated file list
+ */
+function collectFiles(paths) {
+  const files = new Set();
+  for (const target of paths.map(p => path.resolve(p))) {
+    let stats;
+    try {
+      stats = fs.statSync(target);
+    } catch {
+      console.error(`file-size-guard scan: skipping missing path ${target}`);
+      continue;
+    }
+    if (stats.isDirectory()) listProjectFiles(target).forEach(file => files.add(file));
+    else files.add(target);
+  }
+  return [...files].sort();
+}
+
+/**
+ * Report entry for an evaluator result (path relative to cwd)
+ */
+function toFinding(result, cwd) {
+  return {
+    path: toPosix(path.relative(cwd, result.filePath)),
+    status: result.status,
+    lines: result.lines,
+    physical: result.physical,
+    countMode: result.config.countMode,
+    warnThreshold: result.config.warnThreshold,
+    askThreshold: getAskThreshold(result.config),
+    blockThreshold: result.config.blockThreshold,
+    baseline: result.config.baseline ?? null,
+    rule: result.config.rule,
+    cause: result.status === result.lineStatus ? 'lines' : 'limits',
+    limits: result.limits.map(finding => finding.summary)
+  };
+}
+
+/**
+ * Scan files, returning { findings, summary }
+ */
+function scanFiles(files, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const evaluateFile = createEvaluator({ cwd });
+  const summary = createSummary();
+  const findings = [];
+
+  for (const filePath of files) {
+    const result = evaluateFile(filePath);
+    if (result.skipped) {
+      recordSkipped(summary, result.skipped);
+      continue;
+    }
+    summary.scanned++;
+    if (result.status === 'ok') continue;
+
+    summary[result.status]++;
+    findings.push(toFinding(result, cwd));
+  }
+
+  return { findings, summary };
+}
+
+/**
+ * scan [paths] [--format] - CLI command
+ */
+function scanCommand(args) {
+  const options = parseScanArgs(args);
+  if (!options) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const cwd = process.cwd();
+  const { findings, summary } = scanFiles(collectFiles(options.paths), { cwd });
+  console.log(FORMATTERS[options.format](findings, summary, { cwd, rootDir: getWorkTreeRoot(cwd) || cwd }));
+  return summary.block > 0 ? 1 : 0;
+}
+
+module.exports = {
+  scanCommand,
+  scanFiles,
+  parseScanArgs,
+  toFinding
+};
@@ -0,0 +1,107 @@
+/**
+ * scan-report.cjs - Report formats for the `scan` command
+ *
+ * - text:  aligned table for terminals
+ * - json:  { version, summary, files[] } for scripts
+ * - sarif: SARIF 2.1.0 for code-scanning dashboards (see sarif-report.cjs)
+ *
+ * Each finding: { path, status, lines, physical, countMode, warnThreshold,
+ * askThreshold, blockThreshold, baseline, rule, cause, limits } - path is
+ * relative to the scan's cwd; cause is 'limits' when a content or function
+ * limit (summaries in limits) rather than the line count decided the status.
+ * 'ask' findings (askThreshold / mode "ask") need no approval outside a
+ * session and are reported like warnings.
+ */
+
+const { getCountUnit } = require('./line-metrics.cjs');
+
+/**
+ * Empty per-status counters for a report (skipped: count per skip reason)
+ */
+function createSummary() {
+  return { scanned: 0, block: 0, ask: 0, warn: 0, baseline: 0, skipped: {} };
+}
+
+/**
+ * Count a file skipped for reason ('excluded', 'generated', 'binary', ...)
+ */
+function recordSkipped(summary, reason) {
+  summary.skipped[reason] = (summary.skipped[reason] || 0) + 1;
+}
+
+/**
+ * "12 file(s) scanned, 4 skipped (3 excluded, 1 generated)"
+ */
+function formatScanned(summary) {
+  const reasons = Object.entries(summary.skipped || {});
+  const skipped = reasons.reduce((sum, [, count]) => sum + count, 0);
+  const details = reasons.map(([reason, count]) => `${count} ${reason}`).join(', ');
+  return `${summary.scanned} file(s) scanned${skipped ? `, ${skipped} skipped (${details})` : ''}`;
+}
+
+/**
+ * Threshold a finding was measured against ('-' when a content or function limit decided it)
+ */
+function findingLimit(finding) {
+  if (finding.cause === 'limits') return '-';
+  if (finding.status === 'warn') return finding.warnThreshold;
+  if (finding.status === 'ask' && finding.lines < finding.blockThreshold) return finding.askThreshold;
+  return finding.blockThreshold;
+}
+
+/**
+ * One-line description of a finding
+ */
+function describeFinding(finding) {
+  const unit = getCountUnit(finding.countMode);
+  if (finding.status === 'baseline') {
+    return `${finding.lines} ${unit} - over the ${finding.blockThreshold} ${unit} limit, within baseline ${finding.baseline}`;
+  }
+  const limits = finding.limits.join('; ');
+  if (finding.cause === 'limits') return `${finding.lines} ${unit} - ${finding.status}: ${limits}`;
+  return `${finding.lines} ${unit} - ${finding.status} threshold is ${findingLimit(finding)}${limits ? `; ${limits}` : ''}`;
+}
+
+/**
+ * Summary line shared by the text format
+ */
+function formatSummary(summary) {
+  const over = summary.block + summary.ask + summary.warn + summary.baseline;
+  return `${over} file(s) over a limit (${summary.block} block, ${summary.ask} ask, ${summary.warn} warn, ` +
+    `${summary.baseline} baselined) - ${formatScanned(summary)}`;
+}
+
+/**
+ * Human-readable table
+ */
+function formatText(findings, summary) {
+  if (!findings.length) return `No files over the limits - ${formatScanned(summary)}`;
+
+  const rows = findings.map(f => [
+    f.status,
+    String(f.lines),
+    String(findingLimit(f)),
+    f.limits.length ? `${f.path} - ${f.limits.join('; ')}` : f.path
+  ]);
+  const header = ['STATUS', 'LINES', 'LIMIT', 'FILE'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const formatRow = ([status, lines, limit, file]) =>
+    `${status.padEnd(widths[0])}  ${lines.padStart(widths[1])}  ${limit.padStart(widths[2])}  ${file}`;
+
+  return [formatRow(header), ...rows.map(formatRow), '', formatSummary(summary)].join('\n');
+}
+
+/**
+ * Machine-readable JSON
+ */
+function formatJson(findings, summary) {
+  return JSON.stringify({ version: 1, summary, files: findings }, null, 2);
+}
+
+module.exports = {
+  createSummary,
+  recordSkipped,
+  describeFinding,
+  formatText,
+  formatJson
+};
@@ -0,0 +1,169 @@
+/**
+ * session-budget.cjs - Growth budget across all files of one session
+ *
+ * Per-file limits do not stop an agent from spreading 2,000 lines over
+ * fifteen new 190-line files. fileSizeGuard.sessionBudget (off unless set):
+ * {
+ *   "maxLinesAdded": 1500,     // lines added across all files
+ *   "maxNewFiles": 10,         // files created
+ *   "maxNearLimitFiles": 3,    // files at or over their warnThreshold
+ *   "action": "warn"           // warn (default), ask or block
+ * }
+ *
+ * Usage is kept per session_id (see session-usage.cjs). The PreToolUse check
+ * tests the budget with the edit's estimated growth added; the usage itself
+ * is recorded once the edit has run, from the size measured after
+ * Edit/MultiEdit/Write (see post-tool-audit.cjs), so edits the human rejects,
+ * failed edits and retries are not counted. Other tools never
+ * reach PostToolUse and are recorded before they run; edits the hook blocks
+ * are not counted. Only edits that add to an exceeded budget get the action -
+ * shrinking a file is never stopped. Bypassed edits (see bypass-grants.cjs)
+ * count towards the budget but are never stopped by it.
+ */
+
+const fs = require('fs');
+
+const { readState } = require('./state-store.cjs');
+const { sessionName, addFileEdit, recordSessionEdit } = require('./session-usage.cjs');
+const { strongestStatus } = require('./content-limits.cjs');
+const { relativeTo } = require('./glob-matcher.cjs');
+const { getCountUnit } = require('./line-metrics.cjs');
+const { AUDITED_TOOLS } = require('./tool-estimator.cjs');
+
+const BUDGET_KEYS = ['maxLinesAdded', 'maxNewFiles', 'maxNearLimitFiles'];
+const BUDGET_ACTIONS = ['warn', 'ask', 'block'];
+const DEFAULT_BUDGET_ACTION = 'warn';
+const MAX_LISTED_FILES = 10;
+
+/**
+ * Normalize sessionBudget: null (off) or { maxLinesAdded, maxNewFiles, maxNearLimitFiles, action }
+ */
+function normalizeSessionBudget(section) {
+  if (!section || typeof section !== 'object') return null;
+  const budget = {};
+  for (const key of BUDGET_KEYS) {
+    budget[key] = Number.isInteger(section[key]) && section[key] > 0 ? section[key] : null;
+  }
+  if (BUDGET_KEYS.every(key => budget[key] === null)) return null;
+  budget.action = BUDGET_ACTIONS.includes(section.action) ? section.action : DEFAULT_BUDGET_ACTION;
+  return budget;
+}
+
+/**
+ * "maxLinesAdded 1500, maxNewFiles 10 (warn)" or "off"
+ */
+function describeSessionBudget(budget) {
+  if (!budget) return 'off';
+  const limits = BUDGET_KEYS.filter(key => budget[key] !== null).map(key => `${key} ${budget[key]}`);
+  return `${limits.join(', ')} (${budget.action})`;
+}
+
+/**
+ * Totals over a session's files, by budget key
+ */
+function sumUsage(files) {
+  const entries = Object.values(files);
+  return {
+    maxLinesAdded: entries.reduce((sum, entry) => sum + entry.added, 0),
+    maxNewFiles: entries.filter(entry => entry.created).length,
+    maxNearLimitFiles: entries.filter(entry => entry.near).length
+  };
+}
+
+// Per budget: finding summary, and whether this edit adds to it
+const BUDGET_USAGE = {
+  maxLinesAdded: { label: (value, unit) => `${value} ${unit} added`, adds: edit => edit.growth > 0 },
+  maxNewFiles: { label: value => `${value} new files`, adds: edit => edit.creates },
+  maxNearLimitFiles: { label: value => `${value} files near the limit`, adds: edit => edit.near && edit.growth > 0 }
+};
+
+/**
+ * "Created this session: src/a.ts (190), src/b.ts (188) and 3 more"
+ */
+function describeCreated(files, rootDir) {
+  const created = Object.entries(files).filter(([, entry]) => entry.created);
+  if (!created.length) return null;
+  const listed = created.slice(0, MAX_LISTED_FILES)
+    .map(([filePath, entry]) => `${relativeTo(filePath, rootDir) || filePath} (${entry.lines})`);
+  const more = created.length - listed.length;
+  return `Created this session: ${listed.join(', ')}${more > 0 ? ` and ${more} more` : ''}`;
+}
+
+/**
+ * Budget findings for an edit (same shape as content-limits.cjs findings)
+ */
+function checkBudget(budget, usage, edit, unit) {
+  return BUDGET_KEYS
+    .filter(key => budget[key] !== null && usage[key] > budget[key] && BUDGET_USAGE[key].adds(edit))
+    .map(key => {
+      const summary = `${BUDGET_USAGE[key].label(usage[key], unit)} this session (budget ${budget[key]})`;
+      return {
+        key: `sessionBudget.${key}`,
+        value: usage[key],
+        status: budget.action,
+        level: budget[key],
+        preexisting: false,
+        summary,
+        message: `Session budget: ${summary} - consolidate, or ask the human to raise sessionBudget.${key}`
+      };
+    });
+}
+
+/**
+ * Check a checked edit against the session budget ({ result, config } from
+ * checkToolCall / checkBashCommand; data: the hook payload). Returns the
+ * same shape, with a stronger status and the session summary when over
+ * budget, and metrics.sessionEdit for the PostToolUse audit to record.
+ */
+function applySessionBudget(data, checked) {
+  const { result, config } = checked;
+  const budget = config.sessionBudget;
+  if (!budget || !data.session_id) return checked;
+
+  const session = readState(sessionName(data.session_id)) || { files: {} };
+  const sessionEdit = { creates: !session.files[result.filePath] && !fs.existsSync(result.filePath) };
+  const estimated = {
+    ...sessionEdit, currentLines: result.currentLines, lines: result.estimatedLines, warnThreshold: config.warnThreshold
+  };
+  const files = addFileEdit(session.files, result.filePath, estimated);
+  const edit = {
+    growth: Math.max(0, result.estimatedLines - result.currentLines),
+    creates: sessionEdit.creates,
+    near: files[result.filePath].near
+  };
+
+  const findings = result.metrics.bypass ? [] : checkBudget(budget, sumUsage(files), edit, getCountUnit(config.countMode));
+  const status = strongestStatus(result.status, findings);
+  if (status !== 'block' && !AUDITED_TOOLS.includes(data.tool_name)) {
+    recordSessionEdit(data.session_id, result.filePath, estimated);
+  }
+  const recorded = { ...result, metrics: { ...result.metrics, sessionEdit } };
+  if (!findings.length) return { config, result: recorded };
+
+  const note = [
+    ...findings.map(finding => finding.message),
+    describeCreated(files, result.metrics.rootDir),
+    result.metrics.note
+  ];
+  return {
+    config,
+    result: {
+      ...recorded,
+      status,
+      metrics: {
+        ...recorded.metrics,
+        note: note.filter(Boolean).join('\n'),
+        limits: [...(result.metrics.limits || []), ...findings],
+        cause: status === result.status ? result.metrics.cause : 'budget'
+      }
+    }
+  };
+}
+
+module.exports = {
+  applySessionBudget,
+  normalizeSessionBudget,
+  describeSessionBudget,
+  BUDGET_KEYS,
+  BUDGET_ACTIONS
+};
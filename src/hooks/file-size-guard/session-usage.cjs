@@ -0,0 +1,55 @@
+/**
+ * session-usage.cjs - What each session has added, for the session budget
+ *
+ * Kept per session_id (from the hook payload) in sessions/<hash>.json in the
+ * state directory (see state-store.cjs), one entry per file:
+ *   { created, added, lines, near }
+ * Sessions not written for a week are pruned.
+ */
+
+const crypto = require('crypto');
+
+const { readState, writeState, pruneState } = require('./state-store.cjs');
+
+const SESSIONS_DIR = 'sessions';
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Session state file for a session_id
+ */
+function sessionName(sessionId) {
+  return `${SESSIONS_DIR}/${crypto.createHash('sha1').update(String(sessionId)).digest('hex')}.json`;
+}
+
+/**
+ * Session files with an edit added: { creates, currentLines, lines (size
+ * after the edit), warnThreshold }
+ */
+function addFileEdit(files, filePath, { creates, currentLines, lines, warnThreshold }) {
+  const previous = files[filePath];
+  return {
+    ...files,
+    [filePath]: {
+      created: Boolean(previous?.created || creates),
+      added: (previous?.added || 0) + Math.max(0, lines - currentLines),
+      lines,
+      near: lines >= warnThreshold
+    }
+  };
+}
+
+/**
+ * Record an edit that ran in the session's usage (see addFileEdit)
+ */
+function recordSessionEdit(sessionId, filePath, edit) {
+  const name = sessionName(sessionId);
+  const session = readState(name) || { files: {} };
+  pruneState(SESSIONS_DIR, SESSION_MAX_AGE_MS);
+  writeState(name, { files: addFileEdit(session.files, filePath, edit) });
+}
+
+module.exports = {
+  sessionName,
+  addFileEdit,
+  recordSessionEdit
+};
@@ -0,0 +1,188 @@
+/**
+ * shell-tokenizer.cjs - Split a Bash command into simple commands
+ *
+ * Enough of the POSIX shell grammar to find where a command writes, not an
+ * interpreter:
+ * - words with quotes and escapes removed ('a b', "x", \ , $'...')
+ * - operators (; && || | & newline) and redirections (> >> &> 2> <<< ...)
+ * - heredoc bodies (<<EOF / <<-'EOF'), attached to their redirection
+ *
+ * Words that depend on the shell at run time (variables, $(...), `...`,
+ * globs) are marked dynamic; callers skip them instead of guessing.
+ *
+ * Returns commands: [{ words: [{ value, dynamic }], redirects: [{ op, fd, target, body }], pipedFrom }]
+ * (pipedFrom: index of the command whose output is piped into this one, or null)
+ */
+
+// Longest first, so '>>' is not read as two '>'
+const OPERATORS = ['&>>', '<<<', '<<-', '>>', '&>', '>|', '>&', '<&', '<<', '&&', '||', '|&', ';;', '>', '<', '|', '&', ';', '(', ')', '\n'];
+const REDIRECTS = new Set(['&>>', '<<<', '<<-', '>>', '&>', '>|', '>&', '<&', '<<', '>', '<']);
+const PIPES = new Set(['|', '|&']);
+const ESCAPES = { n: '\n', t: '\t', '\\': '\\', "'": "'", '"': '"' };
+
+/**
+ * Tokenize a command: [{ type: 'word', value, dynamic } | { type: 'op', value, fd?, body? }]
+ */
+function tokenize(command) {
+  const tokens = [];
+  const heredocs = []; // heredoc operators waiting for their body (after the next newline)
+  let word = null;
+  let i = 0;
+
+  const startWord = () => { if (!word) word = { type: 'word', value: '', dynamic: false, quoted: false }; };
+  const endWord = () => {
+    if (!word) return;
+    const previous = tokens[tokens.length - 1];
+    if (previous?.type === 'op' && (previous.value === '<<' || previous.value === '<<-') && previous.delimiter === undefined) {
+      previous.delimiter = word.value;
+      heredocs.push(previous);
+    }
+    tokens.push({ type: 'word', value: word.value, dynamic: word.dynamic });
+    word = null;
+  };
+
+  // Read heredoc bodies that start after the newline at index
+  const readBodies = (index) => {
+    let position = index + 1;
+    for (const heredoc of heredocs.splice(0)) {
+      const lines = [];
+      while (position <= command.length) {
+        const end = command.indexOf('\n', position);
+        const line = command.slice(position, end === -1 ? command.length : end);
+        position = end === -1 ? command.length + 1 : end + 1;
+        const compared = heredoc.value === '<<-' ? line.replace(/^\t+/, '') : line;
+        if (compared === heredoc.delimiter) break;
+        lines.push(compared);
+      }
+      heredoc.body = lines.length ? `${lines.join('\n')}\n` : '';
+    }
+    return position - 1;
+  };
+
+  while (i < command.length) {
+    const ch = command[i];
+
+    if (ch === ' ' || ch === '\t') {
+      endWord();
+      i++;
+    } else if (ch === '#' && !word) {
+      while (i < command.length && command[i] !== '\n') i++;
+    } else if (ch === '\\') {
+      if (command[i + 1] !== '\n') {
+        startWord();
+        word.value += command[i + 1] ?? '';
+      }
+      i += 2;
+    } else if (ch === "'" || (ch === '$' && command[i + 1] === "'")) {
+      const ansi = ch === '$';
+      const start = ansi ? i + 2 : i + 1;
+      const end = command.indexOf("'", start);
+      const raw = command.slice(start, end === -1 ? command.length : end);
+      startWord();
+      word.value += ansi ? raw.replace(/\\(.)/g, (_, c) => ESCAPES[c] ?? c) : raw;
+      i = end === -1 ? command.length : end + 1;
+    } else if (ch === '"') {
+      startWord();
+      i++;
+      while (i < command.length && command[i] !== '"') {
+        if (command[i] === '\\' && '"\\$`\n'.includes(command[i + 1])) {
+          word.value += command[i + 1];
+          i += 2;
+          continue;
+        }
+        if (command[i] === '$' || command[i] === '`') word.dynamic = true;
+        word.value += command[i++];
+      }
+      i++;
+    } else if (ch === '$' || ch === '`') {
+      // Variables and command substitutions: keep the text, mark the word
+      startWord();
+      word.dynamic = true;
+      const end = skipSubstitution(command, i);
+      word.value += command.slice(i, end);
+      i = end;
+    } else {
+      const op = OPERATORS.find(candidate => command.startsWith(candidate, i));
+      if (!op) {
+        startWord();
+        if ('*?['.includes(ch)) word.dynamic = true;
+        word.value += ch;
+        i++;
+        continue;
+      }
+
+      // A number right before a redirection is its file descriptor (2>err.log)
+      let fd;
+      if (REDIRECTS.has(op) && word && /^\d+$/.test(word.value) && !word.dynamic) {
+        fd = Number(word.value);
+        word = null;
+      }
+      endWord();
+      tokens.push({ type: 'op', value: op, ...(fd !== undefined ? { fd } : {}) });
+      i = op === '\n' && heredocs.length ? readBodies(i) + 1 : i + op.length;
+    }
+  }
+  endWord();
+  return tokens;
+}
+
+/**
+ * End index of a $var, ${...}, $(...) or `...` starting at index
+ */
+function skipSubstitution(command, index) {
+  if (command[index] === '`') {
+    const end = command.indexOf('`', index + 1);
+    return end === -1 ? command.length : end + 1;
+  }
+  const open = command[index + 1];
+  if (open === '(' || open === '{') {
+    const close = open === '(' ? ')' : '}';
+    let depth = 0;
+    for (let i = index + 1; i < command.length; i++) {
+      if (command[i] === open) depth++;
+      else if (command[i] === close && --depth === 0) return i + 1;
+    }
+    return command.length;
+  }
+  const name = /^[A-Za-z_]\w*|^[0-9@*#?$!-]/.exec(command.slice(index + 1));
+  return index + 1 + (name ? name[0].length : 0);
+}
+
+/**
+ * Group tokens into simple commands with their redirections
+ */
+function parseCommands(command) {
+  const commands = [];
+  let current = { words: [], redirects: [], pipedFrom: null };
+  const tokens = tokenize(command);
+
+  const finish = (piped) => {
+    const index = commands.length;
+    if (current.words.length || current.redirects.length) commands.push(current);
+    current = { words: [], redirects: [], pipedFrom: piped && commands.length > index ? index : null };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'word') {
+      current.words.push({ value: token.value, dynamic: token.dynamic });
+    } else if (REDIRECTS.has(token.value)) {
+      const target = tokens[i + 1]?.type === 'word' ? tokens[++i] : null;
+      current.redirects.push({
+        op: token.value,
+        fd: token.fd ?? null,
+        target: target ? { value: target.value, dynamic: target.dynamic } : null,
+        body: token.body ?? null
+      });
+    } else {
+      finish(PIPES.has(token.value));
+    }
+  }
+  finish(false);
+  return commands;
+}
+
+module.exports = {
+  parseCommands,
+  tokenize
+};
@@ -0,0 +1,126 @@
+/**
+ * shell-words.cjs - What a parsed shell command names, reads and prints
+ *
+ * Helpers over shell-tokenizer.cjs commands for bash-analyzer.cjs:
+ * - the command name past wrappers (sudo, env, VAR=value ...) and its operands
+ * - absolute paths of static words (dynamic words and /dev/* are skipped)
+ * - stdout of cat / echo / printf and stdin from heredocs, here-strings,
+ *   `< file` and pipes, when they are known without running anything
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAX_READ_BYTES = 1024 * 1024;
+
+// Prefixes that run the rest of the command (sudo cat > f)
+const WRAPPERS = new Set(['sudo', 'env', 'command', 'exec', 'nohup', 'time', 'nice', '!', '{', '}', 'then', 'do', 'else']);
+
+/**
+ * Text of a small file, or undefined
+ */
+function readSmallFile(filePath) {
+  try {
+    return fs.statSync(filePath).size <= MAX_READ_BYTES ? fs.readFileSync(filePath, 'utf-8') : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Whether a path is an existing directory
+ */
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Absolute path of a static word (null for dynamic words or an unknown cwd)
+ */
+function resolveWord(word, cwd) {
+  if (!word || word.dynamic || !word.value || word.value.startsWith('&')) return null;
+  const value = word.value.replace(/^~(?=\/|$)/, os.homedir());
+  if (path.isAbsolute(value)) return value.startsWith('/dev/') ? null : value;
+  return cwd ? path.join(cwd, value) : null;
+}
+
+/**
+ * Words after wrappers and VAR=value assignments: { name, args }
+ */
+function commandParts(words) {
+  let start = 0;
+  while (start < words.length && (WRAPPERS.has(words[start].value) || /^[A-Za-z_]\w*=/.test(words[start].value))) start++;
+  const [name, ...args] = words.slice(start);
+  return { name: name ? path.basename(name.value) : null, args };
+}
+
+/**
+ * Arguments that are not options ('--' ends options)
+ */
+function operands(args, optionsWithValue = []) {
+  const result = [];
+  let options = true;
+  for (let i = 0; i < args.length; i++) {
+    const { value } = args[i];
+    if (options && value === '--') options = false;
+    else if (options && optionsWithValue.includes(value)) i++;
+    else if (!options || !value.startsWith('-') || value === '-') result.push(args[i]);
+  }
+  return result;
+}
+
+/**
+ * What a command writes to stdout, when it is known
+ */
+function outputOf(commands, index, cwd) {
+  const command = commands[index];
+  const { name, args } = commandParts(command.words);
+  if (args.some(arg => arg.dynamic)) return undefined;
+
+  switch (name) {
+    case 'cat': {
+      const files = operands(args);
+      if (!files.length) return inputOf(commands, index, cwd);
+      const parts = files.map(file => readSmallFile(resolveWord(file, cwd)));
+      return parts.includes(undefined) ? undefined : parts.join('');
+    }
+    case 'echo': {
+      let i = 0;
+      let newline = true;
+      while (/^-[neE]+$/.test(args[i]?.value)) newline = !args[i++].value.includes('n') && newline;
+      return args.slice(i).map(arg => arg.value).join(' ') + (newline ? '\n' : '');
+    }
+    case 'printf':
+      if (args.length !== 1 || args[0].value.includes('%')) return undefined;
+      return args[0].value.replace(/\\([nt\\])/g, (_, c) => ({ n: '\n', t: '\t', '\\': '\\' })[c]);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * What a command reads on stdin, when it is known (heredoc, here-string, pipe)
+ */
+function inputOf(commands, index, cwd) {
+  const command = commands[index];
+  const input = [...command.redirects].reverse().find(redirect => ['<<', '<<-', '<<<', '<'].includes(redirect.op));
+  if (input?.body !== null && input?.body !== undefined) return input.body;
+  if (input?.op === '<<<') return input.target && !input.target.dynamic ? `${input.target.value}\n` : undefined;
+  if (input?.op === '<') return readSmallFile(resolveWord(input.target, cwd));
+  return command.pipedFrom !== null ? outputOf(commands, command.pipedFrom, cwd) : undefined;
+}
+
+module.exports = {
+  commandParts,
+  operands,
+  resolveWord,
+  readSmallFile,
+  isDirectory,
+  outputOf,
+  inputOf
+};
@@ -0,0 +1,149 @@
+/**
+ * state-store.cjs - Small JSON state files kept between hook runs
+ *
+ * Each hook run is a separate process, so anything one run leaves for the
+ * next (the pre-edit estimate the PostToolUse audit compares against, the
+ * estimate accuracy record) lives in ~/.claude/file-size-guard/, or in
+ * CLAUDE_FILE_SIZE_GUARD_STATE_DIR when set (not FILE_SIZE_GUARD_*, which
+ * config-loader.cjs reads as config). State is best-effort: unreadable files
+ * read as missing and failed writes are ignored, so the hook stays fail-open.
+ * Read-modify-write updates (updateState) hold a '<file>.lock' lockfile, so
+ * concurrent runs do not drop each other's changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const STATE_DIR_ENV = 'CLAUDE_FILE_SIZE_GUARD_STATE_DIR';
+const LOCK_RETRIES = 50;
+const LOCK_RETRY_MS = 10;
+// A lock older than this was left by a run that died holding it
+const STALE_LOCK_MS = 5000;
+
+/**
+ * State directory (not created until something is written)
+ */
+function getStateDir(env = process.env) {
+  return env[STATE_DIR_ENV] || path.join(os.homedir(), '.claude', 'file-size-guard');
+}
+
+/**
+ * Path of a state file (name may include a subdirectory: 'pending/abc.json')
+ */
+function getStatePath(name, env = process.env) {
+  return path.join(getStateDir(env), name);
+}
+
+/**
+ * Read a JSON state file, fallback when missing or invalid
+ */
+function readState(name, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(getStatePath(name), 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON state file (through a temp file, so concurrent hook runs never
+ * read half a file); false when it could not be written
+ */
+function writeState(name, value) {
+  const filePath = getStatePath(name);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(value));
+    fs.renameSync(tempPath, filePath);
+    return true;
+  } catch {
+    try { fs.unlinkSync(tempPath); } catch { /* never written */ }
+    return false;
+  }
+}
+
+/**
+ * Take the lockfile of a state file, waiting briefly for other runs and
+ * breaking stale locks; the release function, or null when it stayed taken
+ */
+function acquireLock(filePath) {
+  const lockPath = `${filePath}.lock`;
+  const sleeper = new Int32Array(new SharedArrayBuffer(4));
+  for (let attempt = 0; attempt < LOCK_RETRIES; attempt++) {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      return () => { try { fs.unlinkSync(lockPath); } catch { /* already broken */ } };
+    } catch (error) {
+      if (error.code !== 'EEXIST') return null;
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS) fs.unlinkSync(lockPath);
+      } catch {
+        // Released meanwhile
+      }
+      Atomics.wait(sleeper, 0, 0, LOCK_RETRY_MS);
+    }
+  }
+  return null;
+}
+
+/**
+ * Read, change and write a JSON state file under its lock: update receives the
+ * current value (fallback when missing or invalid) and returns the new one.
+ * Returns the new value, or null when the lock or the write failed
+ */
+function updateState(name, update, fallback = null) {
+  const release = acquireLock(getStatePath(name));
+  if (!release) return null;
+  try {
+    const value = update(readState(name, fallback));
+    return writeState(name, value) ? value : null;
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Delete a state file (missing is fine)
+ */
+function removeState(name) {
+  try {
+    fs.unlinkSync(getStatePath(name));
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Delete files in a state subdirectory last written more than maxAgeMs ago
+ */
+function pruneState(dirName, maxAgeMs, now = Date.now()) {
+  const dir = getStatePath(dirName);
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return; // Nothing written yet
+  }
+  for (const name of names) {
+    try {
+      const filePath = path.join(dir, name);
+      if (now - fs.statSync(filePath).mtimeMs > maxAgeMs) fs.unlinkSync(filePath);
+    } catch {
+      // Removed by a concurrent run
+    }
+  }
+}
+
+module.exports = {
+  getStateDir,
+  getStatePath,
+  readState,
+  writeState,
+  updateState,
+  removeState,
+  pruneState,
+  STATE_DIR_ENV
+};
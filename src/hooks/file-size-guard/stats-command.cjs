@@ -0,0 +1,143 @@
+/**
+ * stats-command.cjs - `stats [dir] [--days N]` summarizes the event log
+ *
+ * Reads the log eventLog points to for dir (default: the working directory;
+ * see event-log.cjs) and prints, for the events of dir's project (the home
+ * log is shared by every project) over the last N days (default 14):
+ * - decisions by status, and the warn / block rate per day
+ * - the files blocked most often
+ * - files growing steadily: at least MIN_GROWTH_EVENTS edits, each estimate
+ *   at least the previous one, ending larger than they started
+ * - the overrides that let edits through
+ */
+
+const path = require('path');
+
+const { loadConfigWithSources } = require('./config-loader.cjs');
+const { getThresholdConfig } = require('./threshold-checker.cjs');
+const { getLogPath, readEvents } = require('./event-log.cjs');
+
+const DEFAULT_DAYS = 14;
+const MIN_GROWTH_EVENTS = 3;
+const TOP_COUNT = 10;
+const DECISION_ORDER = ['ok', 'legacy', 'baseline', 'warn', 'ask', 'block'];
+
+/**
+ * "12 (8%)"
+ */
+function formatShare(count, total) {
+  return `${count} (${Math.round((count / total) * 100)}%)`;
+}
+
+/**
+ * Count items by key: Map key → count, largest first
+ */
+function countBy(items, keyOf) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return new Map([...counts].sort((a, b) => b[1] - a[1]));
+}
+
+/**
+ * Files whose estimates only went up over the window: [{ path, from, to, edits }]
+ */
+function findGrowingFiles(events) {
+  const byPath = new Map();
+  for (const event of events) {
+    if (event.decision === 'block' || typeof event.estimatedLines !== 'number') continue;
+    if (!byPath.has(event.path)) byPath.set(event.path, []);
+    byPath.get(event.path).push(event.estimatedLines);
+  }
+
+  const growing = [];
+  for (const [filePath, sizes] of byPath) {
+    const steady = sizes.every((size, index) => index === 0 || size >= sizes[index - 1]);
+    if (sizes.length >= MIN_GROWTH_EVENTS && steady && sizes[sizes.length - 1] > sizes[0]) {
+      growing.push({ path: filePath, from: sizes[0], to: sizes[sizes.length - 1], edits: sizes.length });
+    }
+  }
+  return growing.sort((a, b) => (b.to - b.from) - (a.to - a.from)).slice(0, TOP_COUNT);
+}
+
+/**
+ * Print the per-day decision counts with warn and block rates
+ */
+function printDays(events) {
+  console.log('\nBy day:');
+  const days = new Map();
+  for (const event of events) {
+    const day = event.time.slice(0, 10);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(event);
+  }
+  for (const [day, dayEvents] of days) {
+    const count = status => dayEvents.filter(event => event.decision === status).length;
+    console.log(`  ${day}  ${String(dayEvents.length).padStart(5)} decisions  ` +
+      `warn ${formatShare(count('warn'), dayEvents.length)}  block ${formatShare(count('block'), dayEvents.length)}`);
+  }
+}
+
+/**
+ * Print "  count  label" lines under a heading (nothing when empty)
+ */
+function printTop(heading, counts) {
+  if (!counts.size) return;
+  console.log(`\n${heading}:`);
+  for (const [label, count] of [...counts].slice(0, TOP_COUNT)) {
+    console.log(`  ${String(count).padStart(5)}  ${label}`);
+  }
+}
+
+/**
+ * stats [dir] [--days N] - summarize the decisions in the event log
+ */
+function statsCommand(args = []) {
+  const daysIndex = args.indexOf('--days');
+  const days = daysIndex === -1 ? DEFAULT_DAYS : parseInt(args[daysIndex + 1], 10);
+  if (!(days > 0)) {
+    console.error('Usage: file-size-guard stats [dir] [--days N]');
+    return 1;
+  }
+  const dir = path.resolve(args.find((arg, index) => !arg.startsWith('--') && (daysIndex === -1 || index !== daysIndex + 1)) || '.');
+
+  const { config: ckConfig, bases, rootDir } = loadConfigWithSources(dir);
+  const options = getThresholdConfig(ckConfig, rootDir, bases).eventLog;
+  const logPath = getLogPath(options?.location || 'home', rootDir);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const events = readEvents(logPath, options?.maxFiles)
+    .filter(event => typeof event.time === 'string' && event.time >= since && event.root === rootDir);
+
+  if (!events.length) {
+    console.log(`No decisions for ${rootDir} in the last ${days} days in ${logPath}` +
+      (options ? '' : ' (set fileSizeGuard.eventLog to record them)'));
+    return 0;
+  }
+
+  console.log(`Event log:  ${logPath}`);
+  console.log(`Project:    ${rootDir}`);
+  console.log(`Decisions:  ${events.length} from ${events[0].time.slice(0, 10)} to ${events[events.length - 1].time.slice(0, 10)}`);
+  const decisions = countBy(events, event => event.decision);
+  console.log('            ' + DECISION_ORDER.filter(status => decisions.has(status))
+    .map(status => `${status} ${formatShare(decisions.get(status), events.length)}`).join(' | '));
+
+  printDays(events);
+  printTop('Most blocked files', countBy(events.filter(event => event.decision === 'block'), event => event.path));
+
+  const growing = findGrowingFiles(events);
+  if (growing.length) {
+    console.log('\nSteadily growing files:');
+    for (const file of growing) {
+      console.log(`  ${file.path}  ${file.from} → ${file.to} (${file.edits} edits)`);
+    }
+  }
+  printTop('Overrides used', countBy(events, event => event.override));
+  return 0;
+}
+
+module.exports = {
+  statsCommand,
+  findGrowingFiles
+};
@@ -0,0 +1,49 @@
+/**
+ * status-command.cjs - `status [path]`: is the guard on, and which thresholds apply
+ *
+ * Reads the merged config for path (default: the current directory) - the
+ * global ~/.claude/.ck.json, the project's .ck.json files and FILE_SIZE_GUARD_*
+ * env - so it shows what the hook will actually use there. Thresholds out of
+ * order (e.g. warnThreshold above blockThreshold), regex patterns without
+ * the 're:' prefix (see legacy-patterns.cjs) and a bashPolicy the hook is not
+ * registered for (Bash is matched only after `register` saw it on) are
+ * reported as warnings.
+ */
+
+const path = require('path');
+
+const { loadConfigWithSources } = require('./config-loader.cjs');
+const { getThresholdConfig } = require('./threshold-checker.cjs');
+const { getAskThreshold, describeBands, describeThresholdProblems } = require('./threshold-bands.cjs');
+const { describeLegacyPatterns } = require('./legacy-patterns.cjs');
+const { isBashRegistered } = require('./hook-registration.cjs');
+const { printField, configDirFor, formatSource } = require('./cli-helpers.cjs');
+
+/**
+ * status [path] - CLI command
+ */
+function statusCommand(args) {
+  const target = path.resolve(args[0] || '.');
+  const { config: ckConfig, sources, bases, rootDir } = loadConfigWithSources(configDirFor(target));
+  const config = getThresholdConfig(ckConfig, rootDir, bases);
+
+  printField('Enabled', ckConfig.fileSizeGuard?.enabled !== false ? '✅ Yes' : '❌ No');
+  printField('warnThreshold', config.warnThreshold);
+  printField('askThreshold', getAskThreshold(config) ?? 'off');
+  printField('blockThreshold', config.blockThreshold);
+  printField('mode', config.mode);
+  printField('countMode', config.countMode);
+  printField('legacyPolicy', config.legacyPolicy.name);
+  printField('outputFormat', config.outputFormat);
+  printField('Bands', describeBands(config));
+  describeThresholdProblems(config).forEach(problem => printField('Warning', problem));
+  describeLegacyPatterns(ckConfig.fileSizeGuard, sources, formatSource).forEach(problem => printField('Warning', problem));
+  if (config.bashPolicy !== 'off' && !isBashRegistered()) {
+    printField('Warning', `bashPolicy "${config.bashPolicy}" has no effect - the hook is not registered for Bash (set it in ~/.claude/.ck.json and run register)`);
+  }
+  return 0;
+}
+
+module.exports = {
+  statusCommand
+};
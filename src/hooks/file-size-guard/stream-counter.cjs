@@ -0,0 +1,158 @@
+/**
+ * stream-counter.cjs - Count and edit-simulate large files in chunks
+ *
+ * Files over largeFileBytes (see large-files.cjs) are read in 64 KB chunks
+ * instead of as one string:
+ * - lines are counted as newline bytes (physical lines, whatever countMode)
+ * - an Edit is simulated exactly by finding old_string across chunk
+ *   boundaries and adjusting the newline count, without building the result
+ */
+
+const fs = require('fs');
+
+const { isBinaryBuffer } = require('./content-sniffer.cjs');
+const { EDIT_STATUS } = require('./edit-simulator.cjs');
+
+const CHUNK_BYTES = 64 * 1024;
+const NEWLINE = 0x0a;
+
+/**
+ * Call onChunk(buffer, offset) for each chunk of a file; onChunk returns false to stop
+ */
+function readChunks(filePath, onChunk) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(CHUNK_BYTES);
+    let offset = 0;
+    let read;
+    while ((read = fs.readSync(fd, buffer, 0, CHUNK_BYTES, offset)) > 0) {
+      if (onChunk(buffer.subarray(0, read), offset) === false) return;
+      offset += read;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Newline bytes in a buffer
+ */
+function countNewlines(buffer) {
+  let count = 0;
+  let index = buffer.indexOf(NEWLINE);
+  while (index !== -1) {
+    count++;
+    index = buffer.indexOf(NEWLINE, index + 1);
+  }
+  return count;
+}
+
+/**
+ * Lines from a newline count and the last byte (`wc -l`, plus an unterminated last line)
+ */
+function toLines(bytes, newlines, lastByte) {
+  if (bytes === 0) return 0;
+  return lastByte === NEWLINE ? newlines : newlines + 1;
+}
+
+/**
+ * Newlines, size and last byte of a file (stops at binary content)
+ */
+function scanFile(filePath) {
+  let newlines = 0;
+  let bytes = 0;
+  let lastByte = null;
+  let isBinary = false;
+
+  readChunks(filePath, (chunk, offset) => {
+    if (offset === 0 && isBinaryBuffer(chunk)) {
+      isBinary = true;
+      return false;
+    }
+    newlines += countNewlines(chunk);
+    bytes += chunk.length;
+    lastByte = chunk[chunk.length - 1];
+    return true;
+  });
+
+  return { newlines, bytes, lastByte, isBinary };
+}
+
+/**
+ * Count a file's physical lines in chunks
+ * Returns { lines, physical, bytes, isBinary }
+ */
+function countFileLines(filePath) {
+  const { newlines, bytes, lastByte, isBinary } = scanFile(filePath);
+  const lines = isBinary ? 0 : toLines(bytes, newlines, lastByte);
+  return { lines, physical: lines, bytes, isBinary };
+}
+
+/**
+ * Simulate an Edit on a file in chunks, with the Edit tool's rules (see edit-simulator.cjs)
+ * Returns { status, occurrences, currentLines, estimatedLines, isBinary }
+ */
+function simulateFileEdit(filePath, oldString, newString, replaceAll = false) {
+  const needle = Buffer.from(oldString || '', 'utf-8');
+  const replacement = Buffer.from(newString || '', 'utf-8');
+  const current = scanFile(filePath);
+  const currentLines = current.isBinary ? 0 : toLines(current.bytes, current.newlines, current.lastByte);
+  const unchanged = { occurrences: 0, currentLines, estimatedLines: currentLines, isBinary: current.isBinary };
+
+  // Empty old_string only creates content for an empty file (large files are not empty)
+  if (!needle.length || current.isBinary) return { status: EDIT_STATUS.NOT_FOUND, ...unchanged };
+
+  let occurrences = 0;
+  let lastMatchEnd = -1;
+  let lastGapByte = null; // last byte kept before the latest match
+  let searchFrom = 0; // absolute offset where the next match may start
+  let carry = Buffer.alloc(0);
+  let carryOffset = 0;
+  let byteBefore = null; // byte just before the current window
+
+  readChunks(filePath, (chunk, offset) => {
+    const window = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+    const windowOffset = carry.length ? carryOffset : offset;
+    let index = window.indexOf(needle, Math.max(searchFrom - windowOffset, 0));
+    while (index !== -1) {
+      const start = windowOffset + index;
+      if (start > searchFrom) lastGapByte = index > 0 ? window[index - 1] : byteBefore;
+      occurrences++;
+      if (!replaceAll && occurrences > 1) return false;
+      lastMatchEnd = start + needle.length;
+      searchFrom = lastMatchEnd;
+      index = window.indexOf(needle, searchFrom - windowOffset);
+    }
+
+    // Keep the tail a match could still start in
+    const keepFrom = Math.max(searchFrom - windowOffset, window.length - needle.length + 1, 0);
+    byteBefore = keepFrom > 0 ? window[keepFrom - 1] : byteBefore;
+    carry = Buffer.from(window.subarray(keepFrom));
+    carryOffset = windowOffset + keepFrom;
+    return true;
+  });
+
+  if (occurrences === 0) return { status: EDIT_STATUS.NOT_FOUND, ...unchanged };
+  if (occurrences > 1 && !replaceAll) return { status: EDIT_STATUS.AMBIGUOUS, ...unchanged, occurrences };
+
+  const bytes = current.bytes + occurrences * (replacement.length - needle.length);
+  const newlines = current.newlines + occurrences * (countNewlines(replacement) - countNewlines(needle));
+  let lastByte = current.lastByte;
+  if (lastMatchEnd === current.bytes) {
+    lastByte = replacement.length ? replacement[replacement.length - 1] : lastGapByte;
+  }
+
+  return {
+    status: EDIT_STATUS.OK,
+    occurrences,
+    currentLines,
+    estimatedLines: toLines(bytes, newlines, lastByte),
+    isBinary: false
+  };
+}
+
+module.exports = {
+  readChunks,
+  countFileLines,
+  simulateFileEdit
+};
@@ -0,0 +1,89 @@
+/**
+ * stream-edits.cjs - Simulate a MultiEdit on a large file in chunks
+ *
+ * Each edit of a MultiEdit sees the previous edit's output, so a file over
+ * largeFileBytes (see large-files.cjs) cannot be simulated against the
+ * original alone. Every edit is simulated in chunks (see stream-counter.cjs)
+ * and, when more edits follow, streamed into a temporary copy the next edit
+ * reads - never holding the file, or several copies of it, in memory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { readChunks, countFileLines, simulateFileEdit } = require('./stream-counter.cjs');
+const { EDIT_STATUS } = require('./edit-simulator.cjs');
+
+/**
+ * Stream sourcePath into targetPath with an edit applied
+ * (only called for edits simulateFileEdit accepted: one match, or replaceAll)
+ */
+function writeFileEdit(sourcePath, targetPath, oldString, newString, replaceAll = false) {
+  const needle = Buffer.from(oldString, 'utf-8');
+  const replacement = Buffer.from(newString || '', 'utf-8');
+  const fd = fs.openSync(targetPath, 'w');
+  try {
+    let carry = Buffer.alloc(0);
+    let replaced = false;
+    readChunks(sourcePath, (chunk) => {
+      const window = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      let from = 0;
+      let index = replaced && !replaceAll ? -1 : window.indexOf(needle);
+      while (index !== -1) {
+        fs.writeSync(fd, window.subarray(from, index));
+        fs.writeSync(fd, replacement);
+        from = index + needle.length;
+        replaced = true;
+        index = replaceAll ? window.indexOf(needle, from) : -1;
+      }
+      // Keep the tail a match could still start in
+      const keepFrom = Math.max(from, window.length - needle.length + 1);
+      fs.writeSync(fd, window.subarray(from, keepFrom));
+      carry = Buffer.from(window.subarray(keepFrom));
+      return true;
+    });
+    fs.writeSync(fd, carry);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Simulate MultiEdit edits in order on a file, in chunks (all or nothing)
+ * Returns { status, failedEdit, currentLines, estimatedLines, isBinary }
+ */
+function simulateFileEdits(filePath, edits = []) {
+  if (!edits.length) {
+    const { lines, isBinary } = countFileLines(filePath);
+    return { status: EDIT_STATUS.OK, failedEdit: null, currentLines: lines, estimatedLines: lines, isBinary };
+  }
+
+  const tempDir = edits.length > 1 ? fs.mkdtempSync(path.join(os.tmpdir(), 'file-size-guard-')) : null;
+  try {
+    let source = filePath;
+    let currentLines = 0;
+    let result = null;
+    for (let i = 0; i < edits.length; i++) {
+      const edit = edits[i] || {};
+      result = simulateFileEdit(source, edit.old_string, edit.new_string, edit.replace_all);
+      if (i === 0) currentLines = result.currentLines;
+      if (result.status !== EDIT_STATUS.OK) {
+        return { status: result.status, failedEdit: i, currentLines, estimatedLines: currentLines, isBinary: result.isBinary };
+      }
+      if (i < edits.length - 1) {
+        const target = path.join(tempDir, `step-${i % 2}`);
+        writeFileEdit(source, target, edit.old_string, edit.new_string, edit.replace_all);
+        source = target;
+      }
+    }
+    return { status: EDIT_STATUS.OK, failedEdit: null, currentLines, estimatedLines: result.estimatedLines, isBinary: false };
+  } finally {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  simulateFileEdits,
+  writeFileEdit
+};
@@ -2,166 +2,164 @@
  * suggestion-generator.cjs - Generate micro-extract suggestions
  *
  * Provides actionable suggestions for splitting large files
- * following the micro-extract pattern (extract new code to new files)
+ * following the micro-extract pattern (extract new code to new files).
+ * Steps, new file names and examples come from the per-language
+ * definitions of suggestion-registry.cjs.
  */
 
 const path = require('path');
 
+const { getCountUnit } = require('./line-metrics.cjs');
+const { createPalette } = require('./terminal-colors.cjs');
+const { describePlan, detectNamingStyle, formatName, splitWords } = require('./extract-planner.cjs');
+const { findDefinition } = require('./suggestion-registry.cjs');
+
 /**
  * Generate file name suggestion for extracted module
+ * naming: 'auto' (the original file's style), 'kebab', 'snake', 'camel' or 'pascal'
  */
-function generateExtractedFileName(originalPath, suffix) {
+function generateExtractedFileName(originalPath, suffix, naming = 'auto') {
   const dir = path.dirname(originalPath);
   const ext = path.extname(originalPath);
   const base = path.basename(originalPath, ext);
+  const style = naming === 'auto' ? detectNamingStyle(base, ext) : naming;
 
-  return path.join(dir, `${base}-${suffix}${ext}`);
+  return path.join(dir, formatName([...splitWords(base), ...splitWords(suffix)], style) + ext);
 }
 
 /**
- * Generate micro-extract suggestion based on file type
+ * Fill {placeholders} from values (unknown ones, like Svelte's {title}, stay as they are)
  */
-function generateSuggestion(filePath, currentLines, estimatedLines) {
-  const ext = path.extname(filePath).toLowerCase();
+function renderTemplate(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (Object.hasOwn(values, key) ? values[key] : match));
+}
+
+/**
+ * Generate micro-extract suggestion from the file's language definition
+ * (see suggestion-registry.cjs; options.rootDir enables project-local ones)
+ */
+function generateSuggestion(filePath, currentLines, estimatedLines, options = {}) {
+  const definition = findDefinition(filePath, options.rootDir);
   const delta = estimatedLines - currentLines;
+  const dir = path.dirname(filePath);
+  const ext = path.extname(filePath);
+  const base = path.basename(filePath, ext);
+  const values = {
+    file: path.basename(filePath),
+    base,
+    Base: formatName(splitWords(base), 'pascal'),
+    ext,
+    dir: path.basename(dir)
+  };
 
-  const suggestion = {
+  const newFiles = definition.files
+    ? definition.files.map(template => path.join(dir, renderTemplate(template, values)))
+    : (definition.suffixes || []).map(suffix => generateExtractedFileName(filePath, suffix, definition.naming));
+  if (newFiles.length) {
+    values.newFile = path.basename(newFiles[0]);
+    values.newBase = path.basename(newFiles[0], path.extname(newFiles[0]));
+  }
+  const example = [].concat(definition.example || []).join('\n');
+
+  return {
     action: 'micro-extract',
+    language: definition.id,
     reason: `File will have ${estimatedLines} lines (adding ${delta} lines)`,
-    steps: [],
-    newFiles: []
+    steps: definition.steps.map(step => renderTemplate(step, values)),
+    newFiles,
+    example: example ? `\n${renderTemplate(example, values)}\n` : undefined
   };
+}
 
-  switch (ext) {
-    case '.ts':
-    case '.tsx':
-    case '.js':
-    case '.jsx':
-      suggestion.steps = [
-        'Extract the NEW function/component to a separate file',
-        'Keep existing code unchanged in original file',
-        'Add import statement to original file',
-        'Export from new file'
-      ];
-      suggestion.newFiles = [
-        generateExtractedFileName(filePath, 'utils'),
-        generateExtractedFileName(filePath, 'types'),
-        generateExtractedFileName(filePath, 'helpers')
-      ];
-      suggestion.example = `
-// Instead of adding to ${path.basename(filePath)}:
-// export function newFunction() { ... }
-
-// Create ${path.basename(filePath, ext)}-utils${ext}:
-export function newFunction() { ... }
-
-// Then import in ${path.basename(filePath)}:
-import { newFunction } from './${path.basename(filePath, ext)}-utils';
-`;
-      break;
-
-    case '.py':
-      suggestion.steps = [
-        'Extract the NEW function/class to a separate module',
-        'Keep existing code unchanged in original file',
-        'Add import statement to original file'
-      ];
-      suggestion.newFiles = [
-        generateExtractedFileName(filePath, 'utils'),
-        generateExtractedFileName(filePath, 'helpers')
-      ];
-      suggestion.example = `
-# Instead of adding to ${path.basename(filePath)}:
-# def new_function(): ...
-
-# Create ${path.basename(filePath, ext)}_utils${ext}:
-def new_function():
-    ...
-
-# Then import in ${path.basename(filePath)}:
-from .${path.basename(filePath, ext)}_utils import new_function
-`;
-      break;
-
-    case '.rs':
-      suggestion.steps = [
-        'Extract the NEW function/struct to a separate module',
-        'Add mod declaration to parent module',
-        'Use pub use for re-exports if needed'
-      ];
-      suggestion.newFiles = [
-        generateExtractedFileName(filePath, 'utils'),
-        generateExtractedFileName(filePath, 'types')
-      ];
-      break;
-
-    default:
-      suggestion.steps = [
-        'Extract new code to a separate file',
-        'Import/include in original file',
-        'Keep original file unchanged'
-      ];
-  }
+/**
+ * Format "after edit" count, adding physical lines when another mode is used
+ * metrics: { countMode, estimatedPhysical }
+ */
+function formatEstimatedCount(estimatedLines, metrics = {}) {
+  const unit = getCountUnit(metrics.countMode);
+  const showPhysical = unit !== 'lines' && metrics.estimatedPhysical !== undefined;
+  return `${estimatedLines} ${unit}${showPhysical ? ` (${metrics.estimatedPhysical} physical lines)` : ''}`;
+}
 
-  return suggestion;
+/**
+ * Format an optional note line shown under the counts (e.g. legacyPolicy)
+ */
+function formatNote(note, c) {
+  return note ? `\n${c.yellow(note)}\n` : '';
+}
+
+/**
+ * Format the generic new-file suggestions and example
+ */
+function formatNewFiles(suggestion, c) {
+  return `${c.cyan('Suggested new files:')}
+${suggestion.newFiles.map(f => `  - ${path.basename(f)}`).join('\n')}
+${suggestion.example ? `\n${c.cyan('Example:')}${suggestion.example}` : ''}`;
 }
 
 /**
  * Format warning message for console output
+ * metrics: { countMode, note, color, rootDir } - color defaults to stderr being a TTY
  */
-function formatWarningMessage(filePath, currentLines, estimatedLines, threshold) {
-  const suggestion = generateSuggestion(filePath, currentLines, estimatedLines);
+function formatWarningMessage(filePath, currentLines, estimatedLines, threshold, metrics = {}) {
+  const suggestion = generateSuggestion(filePath, currentLines, estimatedLines, { rootDir: metrics.rootDir });
+  const unit = getCountUnit(metrics.countMode);
+  const c = createPalette(metrics.color);
 
   return `
-\x1b[33m⚠️  FILE SIZE WARNING\x1b[0m
-
-\x1b[36mFile:\x1b[0m      ${filePath}
-\x1b[36mCurrent:\x1b[0m   ${currentLines} lines
-\x1b[36mAfter edit:\x1b[0m ${estimatedLines} lines
-\x1b[36mThreshold:\x1b[0m ${threshold} lines
-
-\x1b[33mRecommendation: Use MICRO-EXTRACT pattern\x1b[0m
+${c.yellow('⚠️  FILE SIZE WARNING')}
+
+${c.cyan('File:')}      ${filePath}
+${c.cyan('Current:')}   ${currentLines} ${unit}
+${c.cyan('After edit:')} ${estimatedLines} ${unit}
+${c.cyan('Threshold:')} ${threshold} ${unit}
+${formatNote(metrics.note, c)}
+${c.yellow('Recommendation: Use MICRO-EXTRACT pattern')}
 ${suggestion.steps.map((s, i) => `  ${i + 1}. ${s}`).join('\n')}
 
-\x1b[36mSuggested new files:\x1b[0m
+${c.cyan('Suggested new files:')}
 ${suggestion.newFiles.map(f => `  - ${path.basename(f)}`).join('\n')}
 
-\x1b[2mThis warning helps prevent large refactors later.\x1b[0m
-\x1b[2mOperation will continue - consider extracting new code to separate file.\x1b[0m
+${c.dim('This warning helps prevent large refactors later.')}
+${c.dim('Operation will continue - consider extracting new code to separate file.')}
 `;
 }
 
 /**
  * Format block message for console output
+ * metrics: { countMode, estimatedPhysical, note, plan, color, rootDir } - shows both counts for non-physical
+ * modes; an extraction plan replaces the generic new-file suggestions
  */
-function formatBlockMessage(filePath, currentLines, estimatedLines, threshold) {
-  const suggestion = generateSuggestion(filePath, currentLines, estimatedLines);
+function formatBlockMessage(filePath, currentLines, estimatedLines, threshold, metrics = {}) {
+  const suggestion = generateSuggestion(filePath, currentLines, estimatedLines, { rootDir: metrics.rootDir });
+  const unit = getCountUnit(metrics.countMode);
+  const c = createPalette(metrics.color);
 
   return `
-\x1b[31m🚫 FILE SIZE LIMIT EXCEEDED\x1b[0m
-
-\x1b[36mFile:\x1b[0m      ${filePath}
-\x1b[36mCurrent:\x1b[0m   ${currentLines} lines
-\x1b[36mAfter edit:\x1b[0m ${estimatedLines} lines
-\x1b[36mLimit:\x1b[0m     ${threshold} lines
+${c.red('🚫 FILE SIZE LIMIT EXCEEDED')}
 
-\x1b[31mOperation BLOCKED - File too large\x1b[0m
+${c.cyan('File:')}      ${filePath}
+${c.cyan('Current:')}   ${currentLines} ${unit}
+${c.cyan('After edit:')} ${formatEstimatedCount(estimatedLines, metrics)}
+${c.cyan('Limit:')}     ${threshold} ${unit}
+${formatNote(metrics.note, c)}
+${c.red('Operation BLOCKED - File too large')}
 
-\x1b[33mRequired action: MICRO-EXTRACT before adding code\x1b[0m
+${c.yellow('Required action: MICRO-EXTRACT before adding code')}
 ${suggestion.steps.map((s, i) => `  ${i + 1}. ${s}`).join('\n')}
 
-\x1b[36mSuggested new files:\x1b[0m
-${suggestion.newFiles.map(f => `  - ${path.basename(f)}`).join('\n')}
-${suggestion.example ? `\n\x1b[36mExample:\x1b[0m${suggestion.example}` : ''}
+${metrics.plan ? describePlan(metrics.plan, c.cyan).join('\n') : formatNewFiles(suggestion, c)}
 
-\x1b[2mThis block prevents large refactors later.\x1b[0m
-\x1b[2mExtract new code to a separate file, then retry.\x1b[0m
+${c.dim('This block prevents large refactors later.')}
+${c.dim('Extract new code to a separate file, then retry.')}
 `;
 }
 
 module.exports = {
   generateSuggestion,
   generateExtractedFileName,
+  renderTemplate,
+  formatEstimatedCount,
   formatWarningMessage,
   formatBlockMessage
 };
@@ -0,0 +1,104 @@
+/**
+ * suggestion-registry.cjs - Per-language suggestion definitions
+ *
+ * Built-in definitions (suggestion-templates.cjs) are extended by JSON files
+ * in, later ones winning:
+ * 1. ~/.claude/file-size-guard/suggestions/*.json
+ * 2. <project root>/.claude/file-size-guard/suggestions/*.json
+ *
+ * Each file holds one definition or an array of them. A definition with a
+ * built-in id replaces it; otherwise it is added, and for an extension
+ * claimed by several definitions the last one loaded wins. Invalid files
+ * and definitions are skipped.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BUILTIN_TEMPLATES, DEFAULT_TEMPLATE } = require('./suggestion-templates.cjs');
+
+const SUGGESTIONS_DIR = path.join('.claude', 'file-size-guard', 'suggestions');
+
+// Loaded registries per project root (a hook run checks a single file)
+const registryCache = new Map();
+
+/**
+ * Whether a value has the required shape of a definition
+ */
+function isValidDefinition(definition) {
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  return Boolean(
+    definition && typeof definition.id === 'string' &&
+    isStringList(definition.extensions) && isStringList(definition.steps) &&
+    (definition.example === undefined || typeof definition.example === 'string' || isStringList(definition.example))
+  );
+}
+
+/**
+ * Definitions from the *.json files of dir, in file name order
+ */
+function loadTemplateDir(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+  } catch {
+    return []; // No local templates
+  }
+
+  const definitions = [];
+  for (const name of names) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+      definitions.push(...[].concat(parsed).filter(isValidDefinition));
+    } catch {
+      // Invalid JSON - skip the file
+    }
+  }
+  return definitions;
+}
+
+/**
+ * Merge definitions by id (later ones replace earlier ones in place)
+ */
+function mergeDefinitions(...lists) {
+  const byId = new Map();
+  for (const definition of lists.flat()) {
+    byId.delete(definition.id); // Re-insert so the later definition also wins extension ties
+    byId.set(definition.id, definition);
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Registry for a project: built-ins + global + project-local definitions
+ */
+function getRegistry(rootDir) {
+  const key = rootDir || '';
+  if (!registryCache.has(key)) {
+    registryCache.set(key, mergeDefinitions(
+      BUILTIN_TEMPLATES,
+      loadTemplateDir(path.join(os.homedir(), SUGGESTIONS_DIR)),
+      rootDir ? loadTemplateDir(path.join(rootDir, SUGGESTIONS_DIR)) : []
+    ));
+  }
+  return registryCache.get(key);
+}
+
+/**
+ * Definition for a file (the default one when no extension matches)
+ */
+function findDefinition(filePath, rootDir) {
+  const ext = path.extname(filePath).toLowerCase();
+  const matches = getRegistry(rootDir).filter(definition =>
+    definition.extensions.some(candidate => candidate.toLowerCase() === ext));
+  return matches.length ? matches[matches.length - 1] : DEFAULT_TEMPLATE;
+}
+
+module.exports = {
+  findDefinition,
+  getRegistry,
+  loadTemplateDir,
+  isValidDefinition,
+  SUGGESTIONS_DIR
+};
@@ -0,0 +1,89 @@
+/**
+ * suggestion-templates-classes.cjs - Micro-extract suggestions for Java, Kotlin, C# and Swift
+ *
+ * Definitions as described in suggestion-templates.cjs: new code goes to a
+ * new class, or extends the type from a new file (partial classes, extensions).
+ */
+
+const CLASS_TEMPLATES = [
+  {
+    id: 'java',
+    extensions: ['.java'],
+    naming: 'pascal',
+    suffixes: ['Helper', 'Validator'],
+    steps: [
+      'Move the NEW logic to a new class in the same package',
+      'Name the file after its single top-level class',
+      'Call it from the original class (same package: no import needed)'
+    ],
+    example: [
+      '// Create {newFile}:',
+      'final class {newBase} {',
+      '    private {newBase}() {}',
+      '',
+      '    static Result newMethod(Input input) { ... }',
+      '}',
+      '',
+      '// Then in {base}:',
+      'Result result = {newBase}.newMethod(input);'
+    ]
+  },
+  {
+    id: 'kotlin',
+    extensions: ['.kt'],
+    naming: 'pascal',
+    suffixes: ['Extensions', 'Helpers'],
+    steps: [
+      'Move the NEW functions to a new file in the same package',
+      'Write them as extension or top-level functions',
+      'Keep the same package declaration - no import needed'
+    ],
+    example: [
+      '// Create {newFile} (same package declaration as {file}):',
+      'fun {Base}.newFunction(): Result { ... }',
+      '',
+      '// Then call it on any {Base} instance:',
+      'val result = item.newFunction()'
+    ]
+  },
+  {
+    id: 'csharp',
+    extensions: ['.cs'],
+    files: ['{Base}.Helpers{ext}', '{Base}.Validation{ext}'],
+    steps: [
+      'Mark the class partial in {file}',
+      'Move the NEW members to a partial class file ({Base}.Feature.cs)',
+      'Keep the same namespace and class name in both files'
+    ],
+    example: [
+      '// {file}:',
+      'public partial class {Base} { ... }',
+      '',
+      '// Create {newFile} (same namespace):',
+      'public partial class {Base}',
+      '{',
+      '    private void NewMethod() { ... }',
+      '}'
+    ]
+  },
+  {
+    id: 'swift',
+    extensions: ['.swift'],
+    files: ['{Base}+Helpers{ext}', '{Base}+Formatting{ext}'],
+    steps: [
+      'Move the NEW methods to an extension in a new file',
+      'Name the file Type+Feature.swift',
+      'Keep stored properties in the original type (extensions cannot add them)'
+    ],
+    example: [
+      '// Create {newFile}:',
+      'extension {Base} {',
+      '    func newMethod() { ... }',
+      '}'
+    ]
+  }
+];
+
+module.exports = {
+  CLASS_TEMPLATES
+};
@@ -0,0 +1,75 @@
+/**
+ * suggestion-templates-modules.cjs - Micro-extract suggestions for Python, Rust and Go
+ *
+ * Definitions as described in suggestion-templates.cjs: new code goes to a
+ * new module (or, in Go, a new file of the same package).
+ */
+
+const MODULE_TEMPLATES = [
+  {
+    id: 'python',
+    extensions: ['.py', '.pyi'],
+    naming: 'snake', // '-' is not valid in a module name
+    suffixes: ['utils', 'helpers'],
+    steps: [
+      'Extract the NEW function/class to a separate module',
+      'Keep existing code unchanged in original file',
+      'Add import statement to original file'
+    ],
+    example: [
+      '# Instead of adding to {file}:',
+      '# def new_function(): ...',
+      '',
+      '# Create {newFile}:',
+      'def new_function():',
+      '    ...',
+      '',
+      '# Then import in {file}:',
+      'from .{newBase} import new_function'
+    ]
+  },
+  {
+    id: 'rust',
+    extensions: ['.rs'],
+    naming: 'snake',
+    suffixes: ['utils', 'types'],
+    steps: [
+      'Extract the NEW function/struct to a separate module',
+      'Add mod declaration to parent module',
+      'Use pub use for re-exports if needed'
+    ],
+    example: [
+      '// Create {newFile}:',
+      'pub fn new_function() { ... }',
+      '',
+      '// Declare it next to {base} in the parent module (lib.rs, main.rs or mod.rs):',
+      'mod {newBase};',
+      '',
+      '// Then in {file}:',
+      'use super::{newBase}::new_function;'
+    ]
+  },
+  {
+    id: 'go',
+    extensions: ['.go'],
+    naming: 'snake',
+    suffixes: ['helpers', 'types'],
+    steps: [
+      'Move the NEW function/type to a new file in the same directory',
+      'Keep the same package clause - code in one package needs no import',
+      'Create a sub-package (new directory) only for a separate concern'
+    ],
+    example: [
+      '// Create {newFile} next to {file}:',
+      'package {dir} // same package clause as {file}',
+      '',
+      'func newFunction() { ... }',
+      '',
+      '// {file} calls newFunction() directly - no import needed'
+    ]
+  }
+];
+
+module.exports = {
+  MODULE_TEMPLATES
+};
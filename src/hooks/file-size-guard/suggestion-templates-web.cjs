@@ -0,0 +1,104 @@
+/**
+ * suggestion-templates-web.cjs - Micro-extract suggestions for JS/TS, CommonJS, Vue and Svelte
+ *
+ * Definitions as described in suggestion-templates.cjs.
+ */
+
+const WEB_TEMPLATES = [
+  {
+    id: 'javascript',
+    extensions: ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.mts'],
+    naming: 'auto',
+    suffixes: ['utils', 'types', 'helpers'],
+    steps: [
+      'Extract the NEW function/component to a separate file',
+      'Keep existing code unchanged in original file',
+      'Add import statement to original file',
+      'Export from new file'
+    ],
+    example: [
+      '// Instead of adding to {file}:',
+      '// export function newFunction() { ... }',
+      '',
+      '// Create {newFile}:',
+      'export function newFunction() { ... }',
+      '',
+      '// Then import in {file}:',
+      "import { newFunction } from './{newBase}';"
+    ]
+  },
+  {
+    id: 'commonjs',
+    extensions: ['.cjs'],
+    naming: 'auto',
+    suffixes: ['utils', 'helpers'],
+    steps: [
+      'Extract the NEW function to a separate module',
+      'Keep existing code unchanged in original file',
+      'Export it from the new module with module.exports',
+      'require() it in the original file'
+    ],
+    example: [
+      '// Create {newFile}:',
+      'function newFunction() { ... }',
+      '',
+      'module.exports = { newFunction };',
+      '',
+      '// Then in {file}:',
+      "const { newFunction } = require('./{newFile}');"
+    ]
+  },
+  {
+    id: 'vue',
+    extensions: ['.vue'],
+    files: ['{Base}Header{ext}', '{Base}Item{ext}', 'use{Base}.ts'],
+    steps: [
+      'Move a self-contained part of the template to a child component',
+      'Move reusable state and logic to a composable (use{Base}.ts)',
+      'Import both in the <script setup> of {file}'
+    ],
+    example: [
+      '<!-- Create {newFile}: -->',
+      '<script setup lang="ts">',
+      'defineProps<{ title: string }>()',
+      '</script>',
+      '',
+      '<template>',
+      '  <header>{{ title }}</header>',
+      '</template>',
+      '',
+      '<!-- Then in {file}: -->',
+      '<script setup lang="ts">',
+      "import {newBase} from './{newFile}'",
+      "import { use{Base} } from './use{Base}'",
+      '</script>'
+    ]
+  },
+  {
+    id: 'svelte',
+    extensions: ['.svelte'],
+    files: ['{Base}Header{ext}', '{Base}Item{ext}', '{base}.svelte.ts'],
+    steps: [
+      'Move a self-contained part of the markup to a child component',
+      'Move shared state and logic to a {base}.svelte.ts module',
+      'Import both in the <script> of {file}'
+    ],
+    example: [
+      '<!-- Create {newFile}: -->',
+      '<script lang="ts">',
+      '  let { title } = $props();',
+      '</script>',
+      '',
+      '<header>{title}</header>',
+      '',
+      '<!-- Then in {file}: -->',
+      '<script lang="ts">',
+      "  import {newBase} from './{newFile}';",
+      '</script>'
+    ]
+  }
+];
+
+module.exports = {
+  WEB_TEMPLATES
+};
@@ -0,0 +1,44 @@
+/**
+ * suggestion-templates.cjs - Built-in micro-extract suggestions per language
+ *
+ * Each definition (project-local ones use the same shape, see
+ * suggestion-registry.cjs):
+ * - id:         unique name (a local definition with the same id replaces it)
+ * - extensions: file extensions it applies to
+ * - naming:     how suffixes join the file name: 'auto' (the file's own
+ *               style), 'kebab', 'snake', 'camel' or 'pascal'
+ * - suffixes:   new file names as file name + suffix ('utils' → order-utils.ts)
+ * - files:      or explicit new file names ('{Base}+Helpers{ext}')
+ * - steps:      what to do, in order
+ * - example:    lines of example code (optional)
+ *
+ * Placeholders in files/steps/example: {file} (original file name), {base}
+ * (without extension), {Base} (PascalCase), {ext}, {dir} (parent directory
+ * name), {newFile} / {newBase} (first suggested file, with/without extension)
+ *
+ * The definitions themselves live in suggestion-templates-web.cjs (JS/TS,
+ * Vue, Svelte), -modules.cjs (Python, Rust, Go) and -classes.cjs (Java,
+ * Kotlin, C#, Swift).
+ */
+
+const { WEB_TEMPLATES } = require('./suggestion-templates-web.cjs');
+const { MODULE_TEMPLATES } = require('./suggestion-templates-modules.cjs');
+const { CLASS_TEMPLATES } = require('./suggestion-templates-classes.cjs');
+
+const BUILTIN_TEMPLATES = [...WEB_TEMPLATES, ...MODULE_TEMPLATES, ...CLASS_TEMPLATES];
+
+// Used for files no definition matches
+const DEFAULT_TEMPLATE = {
+  id: 'default',
+  extensions: [],
+  steps: [
+    'Extract new code to a separate file',
+    'Import/include in original file',
+    'Keep original file unchanged'
+  ]
+};
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  DEFAULT_TEMPLATE
+};
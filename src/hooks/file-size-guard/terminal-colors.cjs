@@ -0,0 +1,39 @@
+/**
+ * terminal-colors.cjs - ANSI colors for stderr messages
+ *
+ * Colors are used only when stderr is a TTY, so transcripts and logs that
+ * capture the hook's output get plain text. NO_COLOR disables and
+ * FORCE_COLOR (non-zero) enables colors regardless of the stream.
+ */
+
+const CODES = {
+  red: 31,
+  yellow: 33,
+  cyan: 36,
+  dim: 2
+};
+
+/**
+ * Whether messages written to stream should be colored
+ */
+function shouldUseColor(stream = process.stderr, env = process.env) {
+  if (env.NO_COLOR) return false;
+  if (env.FORCE_COLOR && env.FORCE_COLOR !== '0') return true;
+  return Boolean(stream && stream.isTTY);
+}
+
+/**
+ * Palette of color functions ({ red, yellow, cyan, dim }), identity when disabled
+ */
+function createPalette(enabled = shouldUseColor()) {
+  const palette = {};
+  for (const [name, code] of Object.entries(CODES)) {
+    palette[name] = enabled ? (text) => `\x1b[${code}m${text}\x1b[0m` : (text) => text;
+  }
+  return palette;
+}
+
+module.exports = {
+  shouldUseColor,
+  createPalette
+};
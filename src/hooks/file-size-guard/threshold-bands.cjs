@@ -0,0 +1,85 @@
+/**
+ * threshold-bands.cjs - Size bands between the thresholds
+ *
+ *   ok < warnThreshold ≤ warn < askThreshold ≤ ask < blockThreshold ≤ block
+ *
+ * askThreshold is optional (no ask band when unset). mode "ask" (globally or
+ * on a rule) turns the block band into an ask band: the edit is put to the
+ * human for approval instead of being rejected outright.
+ */
+
+const MODES = ['block', 'ask'];
+const DEFAULT_MODE = 'block';
+
+/**
+ * Normalize mode (unknown values fall back to block)
+ */
+function normalizeMode(mode) {
+  return MODES.includes(mode) ? mode : DEFAULT_MODE;
+}
+
+/**
+ * Status of the band at or above blockThreshold
+ */
+function overLimitStatus(config = {}) {
+  return normalizeMode(config.mode) === 'ask' ? 'ask' : 'block';
+}
+
+/**
+ * Active askThreshold (a positive number below blockThreshold), or null
+ */
+function getAskThreshold(config = {}) {
+  const ask = config.askThreshold;
+  return typeof ask === 'number' && ask > 0 && ask < config.blockThreshold ? ask : null;
+}
+
+/**
+ * Bands in size order: [{ status, from, to }] (to is null for the last band)
+ */
+function getBands(config) {
+  const ask = getAskThreshold(config);
+  const warn = Math.min(config.warnThreshold, ask ?? config.blockThreshold);
+  const bands = [
+    { status: 'ok', from: 0, to: warn - 1 },
+    { status: 'warn', from: warn, to: (ask ?? config.blockThreshold) - 1 }
+  ];
+  if (ask !== null) bands.push({ status: 'ask', from: ask, to: config.blockThreshold - 1 });
+  bands.push({ status: overLimitStatus(config), from: config.blockThreshold, to: null });
+  return bands.filter(band => band.to === null || band.to >= band.from);
+}
+
+/**
+ * Thresholds that are out of order, as explanations (empty when in order):
+ * the bands still follow getBands, but a band can disappear
+ */
+function describeThresholdProblems(config) {
+  const { warnThreshold: warn, askThreshold: ask, blockThreshold: block } = config;
+  const problems = [];
+  if (typeof ask === 'number' && ask > 0 && ask >= block) {
+    problems.push(`askThreshold ${ask} is not below blockThreshold ${block} - ignored`);
+  }
+  const active = getAskThreshold(config);
+  const next = active !== null ? `askThreshold ${active}` : `blockThreshold ${block}`;
+  if (warn >= (active ?? block)) problems.push(`warnThreshold ${warn} is not below ${next} - no warn band`);
+  return problems;
+}
+
+/**
+ * One-line summary, e.g. "ok 0-119 | warn 120-249 | ask 250-299 | block 300+"
+ */
+function describeBands(config) {
+  return getBands(config)
+    .map(({ status, from, to }) => `${status} ${to === null ? `${from}+` : `${from}-${to}`}`)
+    .join(' | ');
+}
+
+module.exports = {
+  normalizeMode,
+  overLimitStatus,
+  getAskThreshold,
+  getBands,
+  describeBands,
+  describeThresholdProblems,
+  MODES,
+  DEFAULT_MODE
+};
@@ -3,130 +3,86 @@
  *
  * Thresholds:
  * - warnThreshold (default 120): Inject warning, suggest micro-extract
+ * - askThreshold (optional): Ask the human to approve the edit
  * - blockThreshold (default 200): Block operation, require refactor first
+ * - countMode (default physical): how lines are counted (see line-metrics.cjs)
+ * - mode (default block): "ask" asks instead of blocking over blockThreshold
+ *   (see threshold-bands.cjs)
+ * - legacyPolicy (default block-any): edits allowed on files already over
+ *   blockThreshold (see legacy-policy.cjs)
+ * - maxBytes / maxLineLength / maxLongLines (optional): byte-size and
+ *   line-length limits (see content-limits.cjs)
+ * - maxFunctionLines / maxNestingDepth / maxFunctionsPerFile (optional):
+ *   per-function limits (see complexity-limits.cjs)
+ * - detectGenerated (default true): skip generated files (see content-sniffer.cjs)
+ * - bashPolicy (default off): how files written by Bash commands are
+ *   checked (see bash-analyzer.cjs)
+ * - sessionBudget (optional): lines added / new files / near-limit files
+ *   per session (see session-budget.cjs)
+ * - eventLog (optional): JSONL log of decisions (see event-log.cjs)
+ * - audit (default true): re-count files after Edit/MultiEdit/Write
+ *   (see post-tool-audit.cjs)
+ * - largeFileBytes (default 5 MB) / largeFilePolicy (default count): files
+ *   too large to read on every edit (see large-files.cjs)
+ * - rules: per-glob overrides of the above (see rule-resolver.cjs)
+ * - outputFormat (default text): how the hook reports (see hook-output.cjs)
+ * - messages: project message templates and docs (see message-templates.cjs)
  *
- * File-level overrides (inline comments):
- * - // @file-size-guard: max-lines=500
- * - // @file-size-guard: disabled
- * - # @file-size-guard: max-lines=500  (for Python/Shell)
+ * File-level overrides come from inline comments (see file-override.cjs).
+ *
+ * Custom excludePatterns are added to DEFAULT_EXCLUDE_PATTERNS
+ * ("extendDefaults": false replaces them instead; an empty list then
+ * excludes nothing).
+ *
+ * excludePatterns / whitelistPaths accept globs ('src/generated/**',
+ * '*.min.{js,css}', '!keep.json') and 're:' regexes (see path-filters.cjs)
  */
 
-const fs = require('fs');
-const path = require('path');
+const { normalizeCountMode } = require('./line-metrics.cjs');
+const { normalizeRules } = require('./rule-resolver.cjs');
+const { parseLegacyPolicy, allowsLegacyEdit } = require('./legacy-policy.cjs');
+const { compilePatternList } = require('./glob-matcher.cjs');
+const { shouldExclude, isWhitelisted, DEFAULT_EXCLUDE_PATTERNS } = require('./path-filters.cjs');
+const { getFileOverride, parseFileOverride, applyFileOverride } = require('./file-override.cjs');
+const { normalizeOutputFormat } = require('./hook-output.cjs');
+const { normalizeMessages } = require('./message-templates.cjs');
+const { normalizeContentLimits } = require('./content-limits.cjs');
+const { normalizeComplexityLimits } = require('./complexity-limits.cjs');
+const { normalizeLargeFiles } = require('./large-files.cjs');
+const { normalizeSessionBudget } = require('./session-budget.cjs');
+const { normalizeEventLog } = require('./event-log.cjs');
+const { normalizeBashPolicy } = require('./bash-analyzer.cjs');
+const { normalizeMode, overLimitStatus, getAskThreshold } = require('./threshold-bands.cjs');
 
 // Default thresholds
 const DEFAULT_WARN_THRESHOLD = 120;
 const DEFAULT_BLOCK_THRESHOLD = 200;
 
-// File patterns to exclude from checks
-const DEFAULT_EXCLUDE_PATTERNS = [
-  /package-lock\.json$/,
-  /pnpm-lock\.yaml$/,
-  /yarn\.lock$/,
-  /Cargo\.lock$/,
-  /poetry\.lock$/,
-  /\.min\.(js|css)$/,
-  /\.bundle\.(js|css)$/,
-  /\.generated\./,
-  /\.d\.ts$/,
-  /\.config\.(js|ts|cjs|mjs)$/,
-  /tsconfig.*\.json$/,
-  /\.eslintrc/,
-  /\.prettierrc/,
-  /\.json$/,
-  /\.yaml$/,
-  /\.yml$/,
-  /\.toml$/,
-  /\.xml$/,
-  /\.md$/,
-  /\.mdx$/,
-  /\.rst$/,
-  /\.txt$/,
-  /__fixtures__\//,
-  /__snapshots__\//,
-  /\.snap$/,
-  // Test file patterns
-  /\.test\.(ts|tsx|js|jsx|mjs|cjs)$/,
-  /\.spec\.(ts|tsx|js|jsx|mjs|cjs)$/,
-  /_test\.go$/,
-  /test_.*\.py$/,
-  /.*_test\.py$/
-];
-
-/**
- * Parse file-level override from inline comment
- * Supports: // @file-size-guard: max-lines=500
- *           // @file-size-guard: disabled
- *           # @file-size-guard: max-lines=500  (Python/Shell)
- *
- * Optimized: Only reads first 4KB (enough for ~50 lines)
- */
-function getFileOverride(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) return null;
-
-    // Check if it's a regular file (not symlink, directory, etc.)
-    const stats = fs.lstatSync(filePath);
-    if (!stats.isFile()) return null;
-
-    // Read only first 4KB for performance (directive must be near top)
-    const fd = fs.openSync(filePath, 'r');
-    const buffer = Buffer.alloc(4096);
-    const bytesRead = fs.readSync(fd, buffer, 0, 4096, 0);
-    fs.closeSync(fd);
-
-    if (bytesRead === 0) return null;
-
-    // Convert buffer to string, handling potential encoding issues
-    const content = buffer.slice(0, bytesRead).toString('utf-8');
-
-    // Match both // and # comment styles
-    const match = content.match(/@file-size-guard:\s*(max-lines=(\d+)|disabled)/i);
-
-    if (match) {
-      if (match[1].toLowerCase() === 'disabled') {
-        return { disabled: true };
-      }
-      if (match[2]) {
-        return { maxLines: parseInt(match[2], 10) };
-      }
-    }
-    return null;
-  } catch {
-    return null; // Fail-safe: return null on any error
-  }
-}
-
-/**
- * Check if file path matches any whitelist pattern
- */
-function isWhitelisted(filePath, whitelistPaths = []) {
-  if (!whitelistPaths.length) return false;
-  const normalizedPath = filePath.replace(/\\/g, '/');
-  return whitelistPaths.some(pattern => {
-    // Support glob-like patterns (simple prefix match)
-    const normalizedPattern = pattern.replace(/\\/g, '/');
-    return normalizedPath.includes(normalizedPattern);
-  });
-}
-
-/**
- * Check if file should be excluded from size checks
- */
-function shouldExclude(filePath, excludePatterns = DEFAULT_EXCLUDE_PATTERNS) {
-  const normalizedPath = filePath.replace(/\\/g, '/');
-  return excludePatterns.some(pattern => pattern.test(normalizedPath));
-}
-
 /**
  * Check lines against thresholds
+ * Over the limit, a baselined file may still reach its ceiling (config.baseline,
+ * 'baseline' status) and, with currentLines, files already over the limit
+ * follow config.legacyPolicy ('legacy' status). Between askThreshold and the
+ * limit, or over the limit with mode "ask", the status is 'ask'
  */
-function checkThreshold(lines, config = {}) {
+function checkThreshold(lines, config = {}, currentLines) {
   const warnThreshold = config.warnThreshold || DEFAULT_WARN_THRESHOLD;
   const blockThreshold = config.blockThreshold || DEFAULT_BLOCK_THRESHOLD;
+  const askThreshold = getAskThreshold({ ...config, blockThreshold });
 
   if (lines >= blockThreshold) {
-    return { status: 'block', threshold: blockThreshold, lines };
+    if (config.baseline !== undefined && lines <= config.baseline) {
+      return { status: 'baseline', threshold: config.baseline, lines };
+    }
+    if (currentLines !== undefined &&
+        allowsLegacyEdit(config.legacyPolicy, currentLines, lines, blockThreshold)) {
+      return { status: 'legacy', threshold: blockThreshold, lines };
+    }
+    return { status: overLimitStatus(config), threshold: blockThreshold, lines };
+  }
+
+  if (askThreshold !== null && lines >= askThreshold) {
+    return { status: 'ask', threshold: askThreshold, lines };
   }
 
   if (lines >= warnThreshold) {
@@ -136,42 +92,45 @@ function checkThreshold(lines, config = {}) {
   return { status: 'ok', threshold: warnThreshold, lines };
 }
 
-/**
- * Safely create RegExp from string, returns null if invalid
- */
-function safeRegExp(pattern) {
-  try {
-    return new RegExp(pattern);
-  } catch {
-    return null; // Invalid regex, skip it
-  }
-}
-
 /**
  * Get threshold config from .ck.json
- * Validates custom regex patterns to prevent crashes
+ * Compiles glob/regex patterns relative to baseDir (or, per item, to the dir
+ * recorded in bases by the config loader), dropping invalid ones
  */
-function getThresholdConfig(ckConfig) {
+function getThresholdConfig(ckConfig, baseDir = process.cwd(), bases = {}) {
   const fileSizeGuard = ckConfig?.fileSizeGuard || {};
 
-  // Parse custom exclude patterns with validation
+  // Custom exclude patterns extend the defaults unless extendDefaults is false
   let excludePatterns = DEFAULT_EXCLUDE_PATTERNS;
   if (Array.isArray(fileSizeGuard.excludePatterns)) {
-    const customPatterns = fileSizeGuard.excludePatterns
-      .map(p => safeRegExp(p))
-      .filter(p => p !== null); // Remove invalid patterns
-    if (customPatterns.length > 0) {
-      excludePatterns = customPatterns;
-    }
+    const customPatterns = compilePatternList(fileSizeGuard.excludePatterns, baseDir, bases['fileSizeGuard.excludePatterns']);
+    excludePatterns = fileSizeGuard.extendDefaults === false
+      ? customPatterns
+      : [...DEFAULT_EXCLUDE_PATTERNS, ...customPatterns];
   }
 
   return {
     warnThreshold: fileSizeGuard.warnThreshold || DEFAULT_WARN_THRESHOLD,
     blockThreshold: fileSizeGuard.blockThreshold || DEFAULT_BLOCK_THRESHOLD,
+    askThreshold: fileSizeGuard.askThreshold ?? null,
+    mode: normalizeMode(fileSizeGuard.mode),
+    countMode: normalizeCountMode(fileSizeGuard.countMode),
+    legacyPolicy: parseLegacyPolicy(fileSizeGuard.legacyPolicy),
+    ...normalizeContentLimits(fileSizeGuard),
+    ...normalizeComplexityLimits(fileSizeGuard),
+    outputFormat: normalizeOutputFormat(fileSizeGuard.outputFormat),
+    detectGenerated: fileSizeGuard.detectGenerated !== false,
+    ...normalizeLargeFiles(fileSizeGuard),
+    bashPolicy: normalizeBashPolicy(fileSizeGuard.bashPolicy),
+    audit: fileSizeGuard.audit !== false,
+    sessionBudget: normalizeSessionBudget(fileSizeGuard.sessionBudget),
+    eventLog: normalizeEventLog(fileSizeGuard.eventLog),
+    messages: normalizeMessages(fileSizeGuard.messages, { baseDir, bases }),
     excludePatterns,
     whitelistPaths: Array.isArray(fileSizeGuard.whitelistPaths)
-      ? fileSizeGuard.whitelistPaths
-      : []
+      ? compilePatternList(fileSizeGuard.whitelistPaths, baseDir, bases['fileSizeGuard.whitelistPaths'])
+      : [],
+    rules: normalizeRules(fileSizeGuard.rules, baseDir, bases['fileSizeGuard.rules'])
   };
 }
 
@@ -180,6 +139,8 @@ module.exports = {
   shouldExclude,
   getThresholdConfig,
   getFileOverride,
+  parseFileOverride,
+  applyFileOverride,
   isWhitelisted,
   DEFAULT_WARN_THRESHOLD,
   DEFAULT_BLOCK_THRESHOLD,
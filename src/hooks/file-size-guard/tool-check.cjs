@@ -0,0 +1,187 @@
+/**
+ * tool-check.cjs - Check one tool call against the project's limits
+ *
+ * The hook's decision for a file a tool is about to change: load the config
+ * layers and rule for the file, skip what is excluded, whitelisted, binary,
+ * generated or overridden, estimate the size after the tool runs and check
+ * thresholds, baseline, content, function and large-file limits (a bypass
+ * grant lets through an edit that would be blocked or asked).
+ *
+ * checkToolCall(toolName, toolInput, cwd) → null (allow silently) or
+ * { result, config }, result being what hook-output.cjs emitResult() reports:
+ * { status, filePath, currentLines, estimatedLines, threshold, metrics }
+ */
+
+const path = require('path');
+
+const { loadConfigWithSources } = require('./config-loader.cjs');
+const { estimateForTool, getToolFilePath, BASH_WRITE, AUDITED_TOOLS } = require('./tool-estimator.cjs');
+const { EDIT_STATUS } = require('./edit-simulator.cjs');
+const { checkThreshold, shouldExclude, getThresholdConfig, getFileOverride, applyFileOverride, isWhitelisted } = require('./threshold-checker.cjs');
+const { planForFile } = require('./extract-planner.cjs');
+const { resolveRule, applyRule } = require('./rule-resolver.cjs');
+const { getBaselineCeiling } = require('./baseline.cjs');
+const { statusNote, describeOverride } = require('./decision-notes.cjs');
+const { checkContentLimits, strongestStatus } = require('./content-limits.cjs');
+const { checkComplexity } = require('./complexity-limits.cjs');
+const { detectSkippedFile } = require('./content-sniffer.cjs');
+const { getLargeFileSize, checkLargeFile } = require('./large-files.cjs');
+const { findGrant, useGrant } = require('./bypass-grants.cjs');
+
+/**
+ * Resolve file path (relative paths resolve against the session cwd)
+ */
+function resolveFilePath(filePath, cwd = process.cwd()) {
+  if (!filePath) return null;
+  if (path.isAbsolute(filePath)) return filePath;
+  return path.join(cwd, filePath);
+}
+
+/**
+ * Result for a stopped edit a bypass grant lets through (see bypass-grants.cjs), or null
+ * (the grant is used up after the edit ran, see post-tool-audit.cjs, or now for other tools)
+ */
+function applyGrant(toolName, status, { filePath, currentLines, estimatedLines }, metrics, config) {
+  const grant = findGrant(filePath);
+  if (!grant) return null;
+  const bypass = { id: grant.id, reason: grant.reason, path: filePath, tool: toolName, decision: status };
+  if (!AUDITED_TOOLS.includes(toolName)) useGrant(bypass);
+  const override = `bypass #${grant.id}: ${grant.reason}`;
+  return {
+    status: 'ok',
+    filePath,
+    currentLines,
+    estimatedLines,
+    threshold: config.blockThreshold,
+    metrics: { ...metrics, limits: [], cause: 'lines', messages: config.messages, rule: config.rule, override, bypass }
+  };
+}
+
+/**
+ * Check a tool call (toolInput as in the hook payload; cwd: session working directory)
+ */
+function checkToolCall(toolName, toolInput = {}, cwd = process.cwd()) {
+  // Resolve target file (null = unsupported tool, allow)
+  const targetPath = resolveFilePath(getToolFilePath(toolName, toolInput), cwd);
+  if (!targetPath) {
+    return null;
+  }
+
+  // Load config from the .ck.json files between the project root and the file
+  const { config: ckConfig, bases, rootDir } = loadConfigWithSources(path.dirname(targetPath), { cwd });
+  const fileSizeGuard = ckConfig.fileSizeGuard || {};
+
+  // Check if hook is enabled (default: true)
+  if (fileSizeGuard.enabled === false) {
+    return null;
+  }
+
+  // Get threshold config (use let for potential file-level override)
+  let config = getThresholdConfig(ckConfig, rootDir, bases);
+
+  // Apply the most specific matching rule (per-glob thresholds)
+  config = applyRule(config, resolveRule(targetPath, config.rules, rootDir));
+
+  // bashPolicy "off": files written by Bash commands are not checked
+  if (toolName === BASH_WRITE && config.bashPolicy === 'off') {
+    return null;
+  }
+
+  // Check exclusions (before reading the file at all)
+  if (shouldExclude(targetPath, config.excludePatterns, rootDir)) {
+    return null;
+  }
+
+  // Check whitelist paths (from config)
+  if (isWhitelisted(targetPath, config.whitelistPaths, rootDir)) {
+    return null;
+  }
+
+  // Binary or generated files (by content, markers or .gitattributes) are left alone
+  if (detectSkippedFile(targetPath, rootDir, { detectGenerated: config.detectGenerated })) {
+    return null;
+  }
+
+  // Files over largeFileBytes: skipped, blocked, or counted in chunks (largeFilePolicy)
+  const largeFileSize = getLargeFileSize(targetPath, config.largeFileBytes);
+  if (largeFileSize !== null && config.largeFilePolicy === 'skip') {
+    return null;
+  }
+
+  // Estimate file size after the tool runs
+  const estimate = estimateForTool(toolName, toolInput, targetPath, config.countMode, config.largeFileBytes);
+  if (!estimate) {
+    return null;
+  }
+  // Edit would be rejected by the tool itself (old_string not found / ambiguous)
+  if (estimate.status && estimate.status !== EDIT_STATUS.OK) {
+    return null;
+  }
+  const { filePath, currentLines, estimatedLines } = estimate;
+  if (estimate.large) {
+    config = { ...config, countMode: 'physical' }; // Streamed counts are physical lines
+  }
+  const metrics = { countMode: config.countMode, estimatedPhysical: estimate.estimatedPhysical, rootDir };
+
+  // Check file-level override (inline comment)
+  const fileOverride = getFileOverride(filePath);
+  if (fileOverride) {
+    if (fileOverride.disabled) {
+      return null; // File has @file-size-guard: disabled
+    }
+    // Use file-specific max-lines as block threshold
+    config = applyFileOverride(config, fileOverride);
+  }
+
+  // Baseline ceiling (recorded by `baseline`), lowered if the file has shrunk since
+  // (the stored ceiling ratchets down after the edit ran, see post-tool-audit.cjs)
+  const ceiling = getBaselineCeiling(rootDir, filePath);
+  if (ceiling !== undefined) {
+    config = { ...config, baseline: Math.min(ceiling, currentLines) };
+  }
+
+  // Check thresholds (files already over the limit follow legacyPolicy),
+  // then byte-size / line-length and function limits on the content after the edit
+  const thresholdResult = checkThreshold(estimatedLines, config, currentLines);
+  const { currentContent, estimatedContent } = estimate;
+  const limits = [
+    ...checkLargeFile(config, largeFileSize),
+    ...checkContentLimits(config, estimatedContent, currentContent),
+    ...checkComplexity(config, filePath, estimatedContent, currentContent)
+  ];
+  const status = strongestStatus(thresholdResult.status, limits);
+  const granted = status === 'block' || status === 'ask' ? applyGrant(toolName, status, estimate, metrics, config) : null;
+  if (granted) {
+    return { result: granted, config };
+  }
+
+  // Blocked/asked edits name the file's own functions and classes to extract
+  // (when a content limit decided the status, the line limit shown is that status's own)
+  const plan = status === 'block' || status === 'ask' ? planForFile(filePath) : null;
+  const cause = status === thresholdResult.status ? 'lines' : 'content';
+  const contentThreshold = status === 'warn' ? config.warnThreshold : config.blockThreshold;
+  const result = {
+    status,
+    filePath,
+    currentLines,
+    estimatedLines,
+    threshold: status === 'baseline' ? config.blockThreshold : cause === 'content' ? contentThreshold : thresholdResult.threshold,
+    metrics: {
+      ...metrics,
+      note: [...limits.map(finding => finding.message), statusNote(status, config, currentLines, estimatedLines)].filter(Boolean).join('\n'),
+      plan,
+      limits,
+      cause,
+      messages: config.messages,
+      rule: config.rule,
+      // What let the edit past the plain thresholds, if anything (for the event log)
+      override: describeOverride(status, config, fileOverride)
+    }
+  };
+  return { result, config };
+}
+
+module.exports = {
+  checkToolCall,
+  resolveFilePath
+};
@@ -0,0 +1,183 @@
+/**
+ * tool-estimator.cjs - Estimate file size after a tool call
+ *
+ * Supported tools:
+ * - Edit:         single old_string → new_string replacement
+ * - MultiEdit:    edits[] applied in order to an in-memory copy
+ * - Write:        full file content
+ * - NotebookEdit: cell replace/insert/delete, counted by cell source lines
+ * - BashWrite:    internal, a file written by a Bash command (see bash-check.cjs)
+ *
+ * Returns null for any other tool (hook allows the operation). Files over
+ * largeFileBytes are counted in chunks, in physical lines (large: true).
+ */
+
+const fs = require('fs');
+
+const {
+  countLines,
+  isBinaryFile,
+  estimateLinesAfterEdit,
+  estimateLinesAfterMultiEdit
+} = require('./line-counter.cjs');
+const { isNotebookFile, countNotebookContent, estimateNotebookEdit } = require('./notebook-counter.cjs');
+const { measureContent } = require('./line-metrics.cjs');
+const { DEFAULT_LARGE_FILE_BYTES } = require('./large-files.cjs');
+
+// Tools the hook knows how to estimate (keep in sync with settings.json matcher)
+const SUPPORTED_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+// Tools re-counted after they ran (PostToolUse audit, see post-tool-audit.cjs)
+const AUDITED_TOOLS = ['Edit', 'MultiEdit', 'Write'];
+
+// Pseudo-tool for files written by Bash commands: { file_path, content?, append }
+const BASH_WRITE = 'BashWrite';
+
+/**
+ * Measure a file on disk; notebooks are measured by cell source lines
+ * Returns { lines, physical, exists, isBinary, error }
+ */
+function measureFile(filePath, countMode = 'physical', largeFileBytes = DEFAULT_LARGE_FILE_BYTES) {
+  if (!isNotebookFile(filePath)) {
+    return countLines(filePath, false, countMode, largeFileBytes);
+  }
+  try {
+    if (!fs.existsSync(filePath)) {
+      return { lines: 0, physical: 0, exists: false, isBinary: false, error: null };
+    }
+    const counted = countNotebookContent(fs.readFileSync(filePath, 'utf-8'), countMode);
+    return { lines: counted.lines, physical: counted.physical, exists: true, isBinary: false, error: null };
+  } catch {
+    // Unreadable notebook counts as empty
+    return { lines: 0, physical: 0, exists: true, isBinary: false, error: 'unreadable' };
+  }
+}
+
+/**
+ * Measure content that is not on disk (new Write content, staged blobs)
+ * Returns { lines, physical }
+ */
+function measureText(filePath, content, countMode = 'physical') {
+  return isNotebookFile(filePath)
+    ? countNotebookContent(content, countMode)
+    : measureContent(content || '', filePath, countMode);
+}
+
+/**
+ * Estimate Write result; notebooks are measured by cell source lines
+ */
+function estimateWrite(filePath, content, countMode, largeFileBytes) {
+  // For Write, check if file exists (update vs create)
+  const notebook = isNotebookFile(filePath);
+  const current = notebook ? measureFile(filePath, countMode) : countLines(filePath, true, countMode, largeFileBytes);
+  const estimated = measureText(filePath, content, current.large ? 'physical' : countMode);
+
+  return {
+    currentLines: current.lines,
+    estimatedLines: estimated.lines,
+    currentPhysical: current.physical || 0,
+    estimatedPhysical: estimated.physical,
+    ...(notebook ? {} : { currentContent: current.content, estimatedContent: content || '' }),
+    ...(current.large ? { large: true } : {})
+  };
+}
+
+/**
+ * Estimate a Bash write: known content overwrites or is appended; unknown
+ * content (sed -i, scripts) leaves the size as it is
+ */
+function estimateBashWrite(filePath, { content, append }, countMode, largeFileBytes) {
+  if (content !== undefined && !append) return estimateWrite(filePath, content, countMode, largeFileBytes);
+
+  const current = countLines(filePath, true, countMode, largeFileBytes);
+  let estimatedContent = current.content ?? undefined;
+  let estimated = { lines: current.lines, physical: current.physical || 0 };
+  if (content !== undefined && current.large) {
+    const added = measureText(filePath, content, 'physical');
+    estimated = { lines: current.lines + added.lines, physical: current.lines + added.lines };
+  } else if (content !== undefined) {
+    estimatedContent = (current.content || '') + content;
+    estimated = measureText(filePath, estimatedContent, countMode);
+  }
+
+  return {
+    currentLines: current.lines,
+    estimatedLines: estimated.lines,
+    currentPhysical: current.physical || 0,
+    estimatedPhysical: estimated.physical,
+    currentContent: current.content,
+    estimatedContent,
+    ...(current.large ? { large: true } : {})
+  };
+}
+
+/**
+ * Get the raw target path from a tool payload (null for unsupported tools)
+ */
+function getToolFilePath(toolName, toolInput = {}) {
+  if (toolName === BASH_WRITE) return isNotebookFile(toolInput.file_path || '') ? null : toolInput.file_path || null;
+  if (!SUPPORTED_TOOLS.includes(toolName)) return null;
+  if (toolName === 'NotebookEdit') return toolInput.notebook_path || toolInput.file_path || null;
+  return toolInput.file_path || null;
+}
+
+/**
+ * Estimate current/estimated lines for a tool call
+ * @param {string} toolName - tool_name from hook payload
+ * @param {object} toolInput - tool_input from hook payload
+ * @param {string} filePath - resolved absolute target path
+ * @param {string} countMode - physical | nonBlank | sloc (see line-metrics.cjs)
+ * @param {number} largeFileBytes - files over this size are counted in chunks
+ * @returns {{filePath: string, currentLines: number, estimatedLines: number,
+ *   currentPhysical: number, estimatedPhysical: number, status?: string,
+ *   currentContent?: string, estimatedContent?: string, large?: boolean}|null}
+ *   (content before/after for text files, for the content limits; not for
+ *   notebooks or binary files)
+ */
+function estimateForTool(toolName, toolInput = {}, filePath, countMode = 'physical', largeFileBytes = DEFAULT_LARGE_FILE_BYTES) {
+  if ((!SUPPORTED_TOOLS.includes(toolName) && toolName !== BASH_WRITE) || !filePath) return null;
+
+  let result;
+  switch (toolName) {
+    case 'Edit':
+      result = estimateLinesAfterEdit(
+        filePath,
+        toolInput.old_string || '',
+        toolInput.new_string || '',
+        toolInput.replace_all || false,
+        countMode,
+        largeFileBytes
+      );
+      break;
+    case 'MultiEdit':
+      result = estimateLinesAfterMultiEdit(
+        filePath,
+        Array.isArray(toolInput.edits) ? toolInput.edits : [],
+        countMode,
+        largeFileBytes
+      );
+      break;
+    case 'NotebookEdit':
+      result = estimateNotebookEdit(filePath, toolInput, countMode);
+      break;
+    case BASH_WRITE:
+      result = estimateBashWrite(filePath, toolInput, countMode, largeFileBytes);
+      break;
+    default:
+      result = estimateWrite(filePath, toolInput.content, countMode, largeFileBytes);
+  }
+
+  // Binary files (.svg is where inline SVG belongs) skip the content limits
+  if (isBinaryFile(filePath)) return { filePath, ...result, currentContent: undefined, estimatedContent: undefined };
+  return { filePath, ...result };
+}
+
+module.exports = {
+  estimateForTool,
+  getToolFilePath,
+  measureFile,
+  measureText,
+  SUPPORTED_TOOLS,
+  AUDITED_TOOLS,
+  BASH_WRITE
+};
@@ -18,7 +18,7 @@ Start-Job -ScriptBlock {
     $ClaudeDir = "$env:USERPROFILE\.claude"
     $HooksDir = "$ClaudeDir\hooks"
     $SettingsFile = "$ClaudeDir\settings.json"
-    $HookCommand = 'node %USERPROFILE%\.claude\hooks\file-size-guard.cjs'
+    $HookMatcher = 'Edit|MultiEdit|Write|NotebookEdit'
 
     function Test-Files {
         if (-not (Test-Path "$HooksDir\file-size-guard.cjs")) { return $false }
@@ -29,45 +29,12 @@ Start-Job -ScriptBlock {
     function Test-Registration {
         if (-not (Test-Path $SettingsFile)) { return $false }
         $content = Get-Content $SettingsFile -Raw -ErrorAction SilentlyContinue
-        return $content -match "file-size-guard\.cjs"
+        return ($content -match "file-size-guard\.cjs") -and $content.Contains($HookMatcher) -and $content.Contains('"PostToolUse"')
     }
 
     function Register-Hook {
-        if (-not (Test-Path $SettingsFile)) {
-            '{"hooks":{}}' | Out-File -FilePath $SettingsFile -Encoding utf8
-        }
-
-        $nodeScript = @"
-const fs = require('fs');
-const settingsPath = '$($SettingsFile -replace '\\', '\\\\')';
-let settings = {};
-
-try {
-  settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
-} catch(e) {
-  settings = { hooks: {} };
-}
-
-settings.hooks = settings.hooks || {};
-settings.hooks.PreToolUse = settings.hooks.PreToolUse || [];
-
-const hookCommand = '$($HookCommand -replace '\\', '\\\\')';
-const hookExists = settings.hooks.PreToolUse.some(entry =>
-  entry.hooks?.some(h => h.command === hookCommand)
-);
-
-if (!hookExists) {
-  let matcher = settings.hooks.PreToolUse.find(e => e.matcher === 'Edit|Write');
-  if (!matcher) {
-    matcher = { matcher: 'Edit|Write', hooks: [] };
-    settings.hooks.PreToolUse.push(matcher);
-  }
-  matcher.hooks.push({ type: 'command', command: hookCommand });
-  fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
-  console.log('[file-size-guard] Hook re-registered successfully');
-}
-"@
-        & node -e $nodeScript 2>$null
+        & node "$HooksDir\file-size-guard.cjs" register 2>$null | Out-Null
+        if ($LASTEXITCODE -eq 0) { Write-Host "[file-size-guard] Hook re-registered successfully" }
     }
 
     # Main check
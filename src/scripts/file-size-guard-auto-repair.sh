@@ -17,21 +17,23 @@
   HOOKS_DIR="$CLAUDE_DIR/hooks"
   SCRIPTS_DIR="$CLAUDE_DIR/scripts"
   SETTINGS_FILE="$CLAUDE_DIR/settings.json"
-  HOOK_COMMAND='node $HOME/.claude/hooks/file-size-guard.cjs'
+  HOOK_MATCHER='Edit|MultiEdit|Write|NotebookEdit'
+  MODULES_FILE="$HOOKS_DIR/file-size-guard/modules.txt"  # Installed module list, one file per line
   RAW_URL="https://raw.githubusercontent.com/hangocduong/claude-file-size-guard/main"
 
   # Check if all hook files exist
   check_files() {
-    [ -f "$HOOKS_DIR/file-size-guard.cjs" ] && \
-    [ -d "$HOOKS_DIR/file-size-guard" ] && \
-    [ -f "$HOOKS_DIR/file-size-guard/line-counter.cjs" ] && \
-    [ -f "$HOOKS_DIR/file-size-guard/threshold-checker.cjs" ] && \
-    [ -f "$HOOKS_DIR/file-size-guard/suggestion-generator.cjs" ]
+    [ -f "$HOOKS_DIR/file-size-guard.cjs" ] && [ -f "$MODULES_FILE" ] || return 1
+    while read -r module; do
+      [ -f "$HOOKS_DIR/file-size-guard/${module}" ] || return 1
+    done < "$MODULES_FILE"
   }
 
-  # Check if hook is registered in settings.json
+  # Check if hook is registered in settings.json (with the current matcher, and for PostToolUse)
   check_registration() {
-    [ -f "$SETTINGS_FILE" ] && grep -q "file-size-guard.cjs" "$SETTINGS_FILE" 2>/dev/null
+    [ -f "$SETTINGS_FILE" ] && grep -q "file-size-guard.cjs" "$SETTINGS_FILE" 2>/dev/null && \
+      grep -qF "$HOOK_MATCHER" "$SETTINGS_FILE" 2>/dev/null && \
+      grep -qF '"PostToolUse"' "$SETTINGS_FILE" 2>/dev/null
   }
 
   # Download and restore missing files
@@ -40,34 +42,18 @@
     mkdir -p "$HOOKS_DIR/file-size-guard" "$SCRIPTS_DIR"
 
     echo "[file-size-guard] Restoring missing files..."
-    curl -fsSL "$RAW_URL/src/hooks/file-size-guard.cjs" -o "$HOOKS_DIR/file-size-guard.cjs" 2>/dev/null && \
-    curl -fsSL "$RAW_URL/src/hooks/file-size-guard/line-counter.cjs" -o "$HOOKS_DIR/file-size-guard/line-counter.cjs" 2>/dev/null && \
-    curl -fsSL "$RAW_URL/src/hooks/file-size-guard/threshold-checker.cjs" -o "$HOOKS_DIR/file-size-guard/threshold-checker.cjs" 2>/dev/null && \
-    curl -fsSL "$RAW_URL/src/hooks/file-size-guard/suggestion-generator.cjs" -o "$HOOKS_DIR/file-size-guard/suggestion-generator.cjs" 2>/dev/null && \
+    curl -fsSL "$RAW_URL/src/hooks/file-size-guard.cjs" -o "$HOOKS_DIR/file-size-guard.cjs" 2>/dev/null || return 1
+    curl -fsSL "$RAW_URL/src/hooks/file-size-guard/modules.txt" -o "$MODULES_FILE" 2>/dev/null || return 1
+    while read -r module; do
+      curl -fsSL "$RAW_URL/src/hooks/file-size-guard/${module}" -o "$HOOKS_DIR/file-size-guard/${module}" 2>/dev/null || return 1
+    done < "$MODULES_FILE"
     echo "[file-size-guard] Files restored successfully"
   }
 
   # Register hook in settings.json
   register_hook() {
-    [ ! -f "$SETTINGS_FILE" ] && echo '{"hooks":{}}' > "$SETTINGS_FILE"
-
-    node -e "
-const fs = require('fs');
-const settingsPath = '$SETTINGS_FILE';
-let settings = {};
-try { settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8')); } catch(e) { settings = { hooks: {} }; }
-settings.hooks = settings.hooks || {};
-settings.hooks.PreToolUse = settings.hooks.PreToolUse || [];
-const hookCommand = '$HOOK_COMMAND';
-const hookExists = settings.hooks.PreToolUse.some(entry => entry.hooks?.some(h => h.command === hookCommand));
-if (!hookExists) {
-  let matcher = settings.hooks.PreToolUse.find(e => e.matcher === 'Edit|Write');
-  if (!matcher) { matcher = { matcher: 'Edit|Write', hooks: [] }; settings.hooks.PreToolUse.push(matcher); }
-  matcher.hooks.push({ type: 'command', command: hookCommand });
-  fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
-  console.log('[file-size-guard] Hook re-registered successfully');
-}
-" 2>/dev/null
+    node "$HOOKS_DIR/file-size-guard.cjs" register >/dev/null 2>&1 && \
+      echo "[file-size-guard] Hook re-registered successfully"
   }
 
   # Main repair logic
@@ -4,6 +4,11 @@
     Toggle file-size-guard hook on/off
 .EXAMPLE
     .\file-size-guard-toggle.ps1 status
+    .\file-size-guard-toggle.ps1 status src\components\Button.tsx
+    .\file-size-guard-toggle.ps1 config
+    .\file-size-guard-toggle.ps1 config packages\api
+    .\file-size-guard-toggle.ps1 stats
+    .\file-size-guard-toggle.ps1 bypass src\legacy --for 30m --reason "hotfix for release"
     .\file-size-guard-toggle.ps1 enable
     .\file-size-guard-toggle.ps1 disable
     .\file-size-guard-toggle.ps1 repair
@@ -11,116 +16,105 @@
 
 param(
     [Parameter(Position = 0)]
-    [ValidateSet("enable", "disable", "status", "repair")]
-    [string]$Action
+    [ValidateSet("enable", "disable", "status", "config", "stats", "bypass", "repair")]
+    [string]$Action,
+
+    [Parameter(Position = 1)]
+    [string]$Target,
+
+    # bypass options (--for 30m, --edits N, --reason "...", --list, --revoke <id>)
+    [Parameter(ValueFromRemainingArguments = $true)]
+    [string[]]$Rest
 )
 
 $ErrorActionPreference = "Stop"
 
 $ClaudeDir = "$env:USERPROFILE\.claude"
-$CkConfig = if ($env:CK_CONFIG) { $env:CK_CONFIG } else { "$ClaudeDir\.ck.json" }
 $SettingsFile = "$ClaudeDir\settings.json"
 $HooksDir = "$ClaudeDir\hooks"
-$HookCommand = 'node %USERPROFILE%\.claude\hooks\file-size-guard.cjs'
-
-function Ensure-Config {
-    if (-not (Test-Path $CkConfig)) {
-        $dir = Split-Path $CkConfig -Parent
-        if (-not (Test-Path $dir)) {
-            New-Item -ItemType Directory -Force -Path $dir | Out-Null
-        }
-        '{}' | Out-File -FilePath $CkConfig -Encoding utf8
-    }
-}
+$HookMatcher = 'Edit|MultiEdit|Write|NotebookEdit'
 
 function Test-Registration {
     if (-not (Test-Path $SettingsFile)) { return $false }
     $content = Get-Content $SettingsFile -Raw
-    return $content -match "file-size-guard\.cjs"
-}
-
-function Register-Hook {
-    $nodeScript = @"
-const fs = require('fs');
-const settingsPath = '$($SettingsFile -replace '\\', '\\\\')';
-let settings = {};
-try { settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8')); } catch(e) { settings = {hooks:{}}; }
-settings.hooks = settings.hooks || {};
-settings.hooks.PreToolUse = settings.hooks.PreToolUse || [];
-const cmd = '$($HookCommand -replace '\\', '\\\\')';
-const exists = settings.hooks.PreToolUse.some(e => e.hooks?.some(h => h.command === cmd));
-if (!exists) {
-  let m = settings.hooks.PreToolUse.find(e => e.matcher === 'Edit|Write');
-  if (!m) { m = {matcher:'Edit|Write',hooks:[]}; settings.hooks.PreToolUse.push(m); }
-  m.hooks.push({type:'command',command:cmd});
-  fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
-  console.log('✓ Hook registered in settings.json');
-} else { console.log('ℹ Hook already registered'); }
-"@
-    & node -e $nodeScript
+    return ($content -match "file-size-guard\.cjs") -and $content.Contains($HookMatcher) -and $content.Contains('"PostToolUse"')
 }
 
 switch ($Action) {
     "enable" {
-        Ensure-Config
-        $nodeScript = @"
-const fs = require('fs');
-const config = JSON.parse(fs.readFileSync('$($CkConfig -replace '\\', '\\\\')', 'utf-8'));
-config.fileSizeGuard = config.fileSizeGuard || {};
-config.fileSizeGuard.enabled = true;
-fs.writeFileSync('$($CkConfig -replace '\\', '\\\\')', JSON.stringify(config, null, 2));
-console.log('✓ file-size-guard ENABLED');
-"@
-        & node -e $nodeScript
+        & node "$HooksDir\file-size-guard.cjs" enable
     }
 
     "disable" {
-        Ensure-Config
-        $nodeScript = @"
-const fs = require('fs');
-const config = JSON.parse(fs.readFileSync('$($CkConfig -replace '\\', '\\\\')', 'utf-8'));
-config.fileSizeGuard = config.fileSizeGuard || {};
-config.fileSizeGuard.enabled = false;
-fs.writeFileSync('$($CkConfig -replace '\\', '\\\\')', JSON.stringify(config, null, 2));
-console.log('✗ file-size-guard DISABLED');
-"@
-        & node -e $nodeScript
+        & node "$HooksDir\file-size-guard.cjs" disable
+        Write-Host "For one file or directory, prefer: .\file-size-guard-toggle.ps1 bypass <path> --for 30m --reason `"...`""
     }
 
     "status" {
-        Ensure-Config
         Write-Host "=== File Size Guard Status ===" -ForegroundColor Cyan
         Write-Host ""
 
         # Check files
         if (Test-Path "$HooksDir\file-size-guard.cjs") {
-            Write-Host "Hook files:    ✓ Installed" -ForegroundColor Green
+            Write-Host "Hook files:     ✓ Installed" -ForegroundColor Green
         } else {
-            Write-Host "Hook files:    ✗ Missing" -ForegroundColor Red
+            Write-Host "Hook files:     ✗ Missing" -ForegroundColor Red
         }
 
         # Check registration
         if (Test-Registration) {
-            Write-Host "Registration:  ✓ Registered" -ForegroundColor Green
+            Write-Host "Registration:   ✓ Registered" -ForegroundColor Green
+        } else {
+            Write-Host "Registration:   ✗ Not registered" -ForegroundColor Red
+        }
+
+        # Enabled flag, thresholds and bands from the merged config (global, project, env)
+        if ($Target) {
+            & node "$HooksDir\file-size-guard.cjs" status $Target
         } else {
-            Write-Host "Registration:  ✗ Not registered" -ForegroundColor Red
+            & node "$HooksDir\file-size-guard.cjs" status
         }
 
-        # Check enabled status
-        $nodeScript = @"
-const fs = require('fs');
-const config = JSON.parse(fs.readFileSync('$($CkConfig -replace '\\', '\\\\')', 'utf-8'));
-const enabled = config.fileSizeGuard?.enabled !== false;
-console.log('Enabled:       ' + (enabled ? '✓ Yes' : '✗ No'));
-console.log('warnThreshold: ' + (config.fileSizeGuard?.warnThreshold || 120));
-console.log('blockThreshold:' + (config.fileSizeGuard?.blockThreshold || 200));
-"@
-        & node -e $nodeScript
+        # Show which rule applies to a given path
+        if ($Target) {
+            Write-Host ""
+            Write-Host "=== Rule for $Target ===" -ForegroundColor Cyan
+            & node "$HooksDir\file-size-guard.cjs" explain $Target
+        }
+
+        # Active bypass grants (expired ones are cleaned up on the way)
+        Write-Host ""
+        Write-Host "=== Bypass Grants ===" -ForegroundColor Cyan
+        & node "$HooksDir\file-size-guard.cjs" bypass --list
 
         Write-Host ""
         Write-Host "Run 'repair' if registration is missing after Claude Code update."
     }
 
+    "config" {
+        Write-Host "=== Effective Config ===" -ForegroundColor Cyan
+        Write-Host ""
+        if ($Target) {
+            & node "$HooksDir\file-size-guard.cjs" config $Target
+        } else {
+            & node "$HooksDir\file-size-guard.cjs" config
+        }
+    }
+    "bypass" {
+        $bypassArgs = @($Target) + @($Rest) | Where-Object { $_ }
+        & node "$HooksDir\file-size-guard.cjs" bypass @bypassArgs
+    }
+
+    "stats" {
+        Write-Host "=== File Size Guard Stats ===" -ForegroundColor Cyan
+        Write-Host ""
+        if ($Target) {
+            & node "$HooksDir\file-size-guard.cjs" stats $Target
+        } else {
+            & node "$HooksDir\file-size-guard.cjs" stats
+        }
+    }
+
     "repair" {
         Write-Host "=== Repairing file-size-guard ===" -ForegroundColor Cyan
 
@@ -130,30 +124,23 @@ console.log('blockThreshold:' + (config.fileSizeGuard?.blockThreshold || 200));
             exit 1
         }
 
-        Register-Hook
-
-        Ensure-Config
-        $nodeScript = @"
-const fs = require('fs');
-const config = JSON.parse(fs.readFileSync('$($CkConfig -replace '\\', '\\\\')', 'utf-8'));
-config.fileSizeGuard = config.fileSizeGuard || {};
-if (config.fileSizeGuard.enabled === undefined) {
-  config.fileSizeGuard.enabled = true;
-}
-fs.writeFileSync('$($CkConfig -replace '\\', '\\\\')', JSON.stringify(config, null, 2));
-"@
-        & node -e $nodeScript
+        # Register hook (and create the global config if missing)
+        & node "$HooksDir\file-size-guard.cjs" register
 
         Write-Host "✓ Repair complete. Restart Claude Code to apply." -ForegroundColor Green
     }
 
     default {
-        Write-Host "Usage: .\file-size-guard-toggle.ps1 [enable|disable|status|repair]"
+        Write-Host "Usage: .\file-size-guard-toggle.ps1 [enable|disable|status [path]|config [path]|stats [dir]|bypass <path> ...|repair]"
         Write-Host ""
         Write-Host "Commands:"
         Write-Host "  enable   - Enable file size guard"
         Write-Host "  disable  - Disable file size guard (temporary)"
-        Write-Host "  status   - Show current status and registration"
+        Write-Host "  status   - Show current status and registration (and the rule for [path])"
+        Write-Host "  config   - Show the merged config (for [path]) and where each value came from"
+        Write-Host "  stats    - Summarize the event log: block/warn rates, most blocked and growing files"
+        Write-Host "  bypass   - Let edits to <path|glob> past the limits: (--for 30m | --edits N) --reason `"...`""
+        Write-Host "             (--list shows active grants, --revoke <id>|all removes them)"
         Write-Host "  repair   - Re-register hook after Claude Code/Kit update"
         exit 1
     }
@@ -1,26 +1,18 @@
 #!/bin/bash
 # Toggle file-size-guard hook on/off
-# Usage: ./file-size-guard-toggle.sh [enable|disable|status|repair|verify]
+# Usage: ./file-size-guard-toggle.sh [enable|disable|status [path]|config [path]|stats [dir] [--days N]|bypass <path> ...|repair|verify]
 
 set -e
 
 CLAUDE_DIR="$HOME/.claude"
-CK_CONFIG="${CK_CONFIG:-$CLAUDE_DIR/.ck.json}"
 SETTINGS_FILE="$CLAUDE_DIR/settings.json"
 HOOKS_DIR="$CLAUDE_DIR/hooks"
 SCRIPTS_DIR="$CLAUDE_DIR/scripts"
-HOOK_COMMAND='node $HOME/.claude/hooks/file-size-guard.cjs'
+HOOK_MATCHER='Edit|MultiEdit|Write|NotebookEdit'
+MODULES_FILE="$HOOKS_DIR/file-size-guard/modules.txt"  # Installed module list, one file per line
 RAW_URL="https://raw.githubusercontent.com/hangocduong/claude-file-size-guard/main"
 
-# Ensure config file exists
-ensure_config() {
-  if [ ! -f "$CK_CONFIG" ]; then
-    mkdir -p "$(dirname "$CK_CONFIG")"
-    echo '{}' > "$CK_CONFIG"
-  fi
-}
-
-# Check if hook is registered
+# Check if hook is registered (with the current matcher, and for PostToolUse)
 check_registration() {
   if [ ! -f "$SETTINGS_FILE" ]; then
     return 1
@@ -28,106 +20,83 @@ check_registration() {
   if ! grep -q "file-size-guard.cjs" "$SETTINGS_FILE" 2>/dev/null; then
     return 1
   fi
+  if ! grep -qF "$HOOK_MATCHER" "$SETTINGS_FILE" 2>/dev/null; then
+    return 1
+  fi
+  if ! grep -qF '"PostToolUse"' "$SETTINGS_FILE" 2>/dev/null; then
+    return 1
+  fi
   return 0
 }
 
-# Register hook in settings.json
-register_hook() {
-  node -e "
-const fs = require('fs');
-const settingsPath = '$SETTINGS_FILE';
-let settings = {};
-try { settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8')); } catch(e) { settings = {hooks:{}}; }
-settings.hooks = settings.hooks || {};
-settings.hooks.PreToolUse = settings.hooks.PreToolUse || [];
-const cmd = '$HOOK_COMMAND';
-const exists = settings.hooks.PreToolUse.some(e => e.hooks?.some(h => h.command === cmd));
-if (!exists) {
-  let m = settings.hooks.PreToolUse.find(e => e.matcher === 'Edit|Write');
-  if (!m) { m = {matcher:'Edit|Write',hooks:[]}; settings.hooks.PreToolUse.push(m); }
-  m.hooks.push({type:'command',command:cmd});
-  fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
-  console.log('✅ Hook registered in settings.json');
-} else { console.log('ℹ️  Hook already registered'); }
-"
-}
-
 case "$1" in
   enable)
-    ensure_config
-    node -e "
-      const fs = require('fs');
-      const config = JSON.parse(fs.readFileSync('$CK_CONFIG', 'utf-8'));
-      config.fileSizeGuard = config.fileSizeGuard || {};
-      config.fileSizeGuard.enabled = true;
-      fs.writeFileSync('$CK_CONFIG', JSON.stringify(config, null, 2));
-      console.log('✅ file-size-guard ENABLED');
-    "
+    node "$HOOKS_DIR/file-size-guard.cjs" enable
     ;;
   disable)
-    ensure_config
-    node -e "
-      const fs = require('fs');
-      const config = JSON.parse(fs.readFileSync('$CK_CONFIG', 'utf-8'));
-      config.fileSizeGuard = config.fileSizeGuard || {};
-      config.fileSizeGuard.enabled = false;
-      fs.writeFileSync('$CK_CONFIG', JSON.stringify(config, null, 2));
-      console.log('❌ file-size-guard DISABLED');
-    "
+    node "$HOOKS_DIR/file-size-guard.cjs" disable
+    echo "For one file or directory, prefer: $0 bypass <path> --for 30m --reason \"...\""
     ;;
   status)
-    ensure_config
     echo "=== File Size Guard Status ==="
     echo ""
     # Check files
     if [ -f "$HOOKS_DIR/file-size-guard.cjs" ]; then
-      echo "Hook files:    ✅ Installed"
+      echo "Hook files:     ✅ Installed"
     else
-      echo "Hook files:    ❌ Missing"
+      echo "Hook files:     ❌ Missing"
     fi
     # Check registration
     if check_registration; then
-      echo "Registration:  ✅ Registered"
+      echo "Registration:   ✅ Registered"
     else
-      echo "Registration:  ❌ Not registered"
+      echo "Registration:   ❌ Not registered"
+    fi
+    # Enabled flag, thresholds and bands from the merged config (global, project, env)
+    node "$HOOKS_DIR/file-size-guard.cjs" status ${2:+"$2"}
+    # Show which rule applies to a given path
+    if [ -n "$2" ]; then
+      echo ""
+      echo "=== Rule for $2 ==="
+      node "$HOOKS_DIR/file-size-guard.cjs" explain "$2"
     fi
-    # Check enabled status
-    node -e "
-      const fs = require('fs');
-      const config = JSON.parse(fs.readFileSync('$CK_CONFIG', 'utf-8'));
-      const enabled = config.fileSizeGuard?.enabled !== false;
-      console.log('Enabled:       ' + (enabled ? '✅ Yes' : '❌ No'));
-      console.log('warnThreshold: ' + (config.fileSizeGuard?.warnThreshold || 120));
-      console.log('blockThreshold:' + (config.fileSizeGuard?.blockThreshold || 200));
-    "
+    # Active bypass grants (expired ones are cleaned up on the way)
+    echo ""
+    echo "=== Bypass Grants ==="
+    node "$HOOKS_DIR/file-size-guard.cjs" bypass --list
     echo ""
     echo "Run 'repair' if registration is missing after Claude Code update."
     ;;
+  config)
+    echo "=== Effective Config ==="
+    echo ""
+    node "$HOOKS_DIR/file-size-guard.cjs" config ${2:+"$2"}
+    ;;
+  bypass)
+    shift
+    node "$HOOKS_DIR/file-size-guard.cjs" bypass "$@"
+    ;;
+  stats)
+    echo "=== File Size Guard Stats ==="
+    echo ""
+    shift
+    node "$HOOKS_DIR/file-size-guard.cjs" stats "$@"
+    ;;
   repair)
     echo "=== Repairing file-size-guard ==="
     # Check and restore files if missing
-    if [ ! -f "$HOOKS_DIR/file-size-guard.cjs" ] || [ ! -d "$HOOKS_DIR/file-size-guard" ]; then
+    if [ ! -f "$HOOKS_DIR/file-size-guard.cjs" ] || [ ! -f "$MODULES_FILE" ]; then
       echo "📥 Downloading missing files..."
       mkdir -p "$HOOKS_DIR/file-size-guard" "$SCRIPTS_DIR"
       curl -fsSL "$RAW_URL/src/hooks/file-size-guard.cjs" -o "$HOOKS_DIR/file-size-guard.cjs"
-      curl -fsSL "$RAW_URL/src/hooks/file-size-guard/line-counter.cjs" -o "$HOOKS_DIR/file-size-guard/line-counter.cjs"
-      curl -fsSL "$RAW_URL/src/hooks/file-size-guard/threshold-checker.cjs" -o "$HOOKS_DIR/file-size-guard/threshold-checker.cjs"
-      curl -fsSL "$RAW_URL/src/hooks/file-size-guard/suggestion-generator.cjs" -o "$HOOKS_DIR/file-size-guard/suggestion-generator.cjs"
+      curl -fsSL "$RAW_URL/src/hooks/file-size-guard/modules.txt" -o "$MODULES_FILE"
+      while read -r module; do
+        curl -fsSL "$RAW_URL/src/hooks/file-size-guard/${module}" -o "$HOOKS_DIR/file-size-guard/${module}"
+      done < "$MODULES_FILE"
       echo "✅ Files restored"
     fi
-    # Register hook
-    register_hook
-    # Enable in config
-    ensure_config
-    node -e "
-      const fs = require('fs');
-      const config = JSON.parse(fs.readFileSync('$CK_CONFIG', 'utf-8'));
-      config.fileSizeGuard = config.fileSizeGuard || {};
-      if (config.fileSizeGuard.enabled === undefined) {
-        config.fileSizeGuard.enabled = true;
-      }
-      fs.writeFileSync('$CK_CONFIG', JSON.stringify(config, null, 2));
-    "
+    # Register hook (and create the global config if missing)
+    node "$HOOKS_DIR/file-size-guard.cjs" register
     echo "✅ Repair complete. Restart Claude Code to apply."
     ;;
   verify)
@@ -140,15 +109,20 @@ case "$1" in
       echo "❌ file-size-guard.cjs MISSING"
       errors=$((errors + 1))
     fi
-    # Check modules
-    for module in line-counter threshold-checker suggestion-generator; do
-      if [ -f "$HOOKS_DIR/file-size-guard/${module}.cjs" ]; then
-        echo "✅ file-size-guard/${module}.cjs"
-      else
-        echo "❌ file-size-guard/${module}.cjs MISSING"
-        errors=$((errors + 1))
-      fi
-    done
+    # Check modules (listed in the installed manifest)
+    if [ ! -f "$MODULES_FILE" ]; then
+      echo "❌ file-size-guard/modules.txt MISSING"
+      errors=$((errors + 1))
+    else
+      while read -r module; do
+        if [ -f "$HOOKS_DIR/file-size-guard/${module}" ]; then
+          echo "✅ file-size-guard/${module}"
+        else
+          echo "❌ file-size-guard/${module} MISSING"
+          errors=$((errors + 1))
+        fi
+      done < "$MODULES_FILE"
+    fi
     # Check toggle script
     if [ -f "$SCRIPTS_DIR/file-size-guard-toggle.sh" ]; then
       echo "✅ file-size-guard-toggle.sh"
@@ -171,12 +145,16 @@ case "$1" in
     fi
     ;;
   *)
-    echo "Usage: $0 [enable|disable|status|repair|verify]"
+    echo "Usage: $0 [enable|disable|status [path]|config [path]|stats [dir] [--days N]|bypass <path> ...|repair|verify]"
     echo ""
     echo "Commands:"
     echo "  enable   - Enable file size guard"
     echo "  disable  - Disable file size guard (temporary)"
-    echo "  status   - Show current status and thresholds"
+    echo "  status   - Show current status and thresholds (and the rule for [path])"
+    echo "  config   - Show the merged config (for [path]) and where each value came from"
+    echo "  stats    - Summarize the event log: block/warn rates, most blocked and growing files"
+    echo "  bypass   - Let edits to <path|glob> past the limits: (--for 30m | --edits N) --reason \"...\""
+    echo "             (--list shows active grants, --revoke <id>|all removes them)"
     echo "  repair   - Fix missing files and re-register hook"
     echo "  verify   - Check all files exist and are registered"
     exit 1
@@ -0,0 +1,173 @@
+/**
+ * PostToolUse audit, estimate accuracy and session budgets
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { TMP_DIR, project, runHook, runCli, test } = require('./helpers.js');
+
+async function auditBudgetTests() {
+  // Test 60: PostToolUse audit re-counts the file and reports crossed thresholds
+  const auditProject = project('audit-project', { warnThreshold: 10, blockThreshold: 20 });
+  const auditFile = path.join(auditProject, 'grown.ts');
+  fs.writeFileSync(auditFile, 'const a = 1;\n'.repeat(15));
+  await test('PostToolUse audit after a wrong estimate', async () => {
+    const write = { tool_name: 'Write', tool_input: { file_path: auditFile, content: 'const b = 2;\n'.repeat(18) }, cwd: auditProject };
+    const pre = await runHook({ ...write, hook_event_name: 'PreToolUse', tool_use_id: 'toolu_audit_1' });
+    if (pre.code !== 0) throw new Error(`Expected the write to be allowed, got ${pre.code}: ${pre.stderr}`);
+
+    // The write lands, then something else appends to the file
+    fs.writeFileSync(auditFile, 'const b = 2;\n'.repeat(18) + 'const c = 3;\n'.repeat(5));
+    const post = await runHook({ ...write, hook_event_name: 'PostToolUse', tool_use_id: 'toolu_audit_1' });
+    if (post.code !== 2 || !post.stderr.includes('has 23 lines after Write (estimated 18)') || !post.stderr.includes('block threshold of 20')) {
+      throw new Error(`Expected an audit message, got ${post.code}: ${post.stderr}`);
+    }
+
+    const again = await runHook({ ...write, hook_event_name: 'PostToolUse', tool_use_id: 'toolu_audit_1' });
+    if (again.code !== 0 || again.stderr) throw new Error(`Expected the estimate to be used once, got: ${again.stderr}`);
+
+    // Estimate right: nothing to report
+    const edit = { tool_name: 'Edit', tool_input: { file_path: auditFile, old_string: 'const c = 3;\n'.repeat(5), new_string: '' }, cwd: auditProject };
+    await runHook({ ...edit, hook_event_name: 'PreToolUse', tool_use_id: 'toolu_audit_2' });
+    fs.writeFileSync(auditFile, 'const b = 2;\n'.repeat(18));
+    const exact = await runHook({ ...edit, hook_event_name: 'PostToolUse', tool_use_id: 'toolu_audit_2' });
+    if (exact.code !== 0 || exact.stderr) throw new Error(`Expected an exact estimate to stay silent, got: ${exact.stderr}`);
+  });
+
+  // Test 61: audit JSON output, state dir override and the accuracy command
+  const stateDir = path.join(TMP_DIR, 'audit-state');
+  const auditJsonProject = project('audit-json-project', { warnThreshold: 10, blockThreshold: 20, outputFormat: 'json' });
+  const auditJsonFile = path.join(auditJsonProject, 'notes.py');
+  await test('PostToolUse audit JSON and accuracy', async () => {
+    const env = { CLAUDE_FILE_SIZE_GUARD_STATE_DIR: stateDir };
+    const write = { tool_name: 'Write', tool_input: { file_path: auditJsonFile, content: 'line\n'.repeat(8) }, cwd: auditJsonProject, session_id: 's1' };
+    await runHook({ ...write, hook_event_name: 'PreToolUse' }, { env });
+    fs.writeFileSync(auditJsonFile, 'line\n'.repeat(12));
+    const post = await runHook({ ...write, hook_event_name: 'PostToolUse' }, { env });
+    const output = JSON.parse(post.stdout);
+    if (post.code !== 0 || output.decision || output.hookSpecificOutput.hookEventName !== 'PostToolUse' ||
+        !output.hookSpecificOutput.additionalContext.includes('warn threshold of 10')) {
+      throw new Error(`Expected a PostToolUse warning, got ${post.code}: ${post.stdout}`);
+    }
+
+    const accuracy = await runCli(['accuracy'], { env });
+    if (!accuracy.stdout.includes('Audited edits: 0/1 exact (0%), mean error 4, max error 4') ||
+        !accuracy.stdout.includes('estimated 8, actual 12')) {
+      throw new Error(`Expected the estimate error to be recorded, got: ${accuracy.stdout}`);
+    }
+    if (!fs.existsSync(path.join(stateDir, 'estimate-accuracy.json')) || fs.readdirSync(path.join(stateDir, 'pending')).length) {
+      throw new Error('Expected the accuracy record, and no pending estimate, in CLAUDE_FILE_SIZE_GUARD_STATE_DIR');
+    }
+    const config = await runCli(['config', auditJsonProject], { env });
+    if (config.stdout.includes('stateDir')) throw new Error(`Expected the state dir to stay out of the config, got: ${config.stdout}`);
+  });
+
+  // Test 62: sessionBudget blocks the file past maxNewFiles, per session
+  const budgetProject = project('budget-project', { sessionBudget: { maxNewFiles: 2, action: 'block' } });
+  await test('sessionBudget maxNewFiles', async () => {
+    const writeNew = (name, sessionId, event = 'PreToolUse') => runHook({
+      hook_event_name: event,
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(budgetProject, name), content: 'a\nb\nc\n' },
+      cwd: budgetProject,
+      session_id: sessionId
+    });
+    for (const name of ['a.ts', 'b.ts']) {
+      const allowed = await writeNew(name, 'budget-session');
+      if (allowed.code !== 0) throw new Error(`Expected ${name} to be allowed, got ${allowed.code}: ${allowed.stderr}`);
+      fs.writeFileSync(path.join(budgetProject, name), 'a\nb\nc\n');
+      await writeNew(name, 'budget-session', 'PostToolUse');
+    }
+
+    const third = await writeNew('c.ts', 'budget-session');
+    if (third.code !== 2 || !third.stderr.includes('Session budget: 3 new files this session (budget 2)') ||
+        !third.stderr.includes('Created this session: a.ts (3), b.ts (3), c.ts (3)')) {
+      throw new Error(`Expected the third new file to be blocked, got ${third.code}: ${third.stderr}`);
+    }
+
+    const otherSession = await writeNew('c.ts', 'other-session');
+    if (otherSession.code !== 0) throw new Error(`Expected a new session to start a new budget, got: ${otherSession.stderr}`);
+
+    const shrink = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(budgetProject, 'a.ts'), content: 'a\n' },
+      cwd: budgetProject,
+      session_id: 'budget-session'
+    });
+    if (shrink.code !== 0 || shrink.stderr) throw new Error(`Expected shrinking a file to be allowed, got: ${shrink.stderr}`);
+  });
+
+  // Test 63: maxLinesAdded warns (JSON reason); explain shows the budget
+  const linesBudgetProject = project('lines-budget-project', { outputFormat: 'json', sessionBudget: { maxLinesAdded: 10 } });
+  const linesBudgetFile = path.join(linesBudgetProject, 'grow.ts');
+  fs.writeFileSync(linesBudgetFile, 'const a = 1;\n');
+  await test('sessionBudget maxLinesAdded', async () => {
+    const grow = (lines, event = 'PreToolUse') => runHook({
+      hook_event_name: event,
+      tool_name: 'Edit',
+      tool_input: { file_path: linesBudgetFile, old_string: 'const a = 1;\n', new_string: 'const a = 1;\n' + 'x();\n'.repeat(lines) },
+      cwd: linesBudgetProject,
+      session_id: 'lines-session'
+    });
+    const first = await grow(6);
+    if (first.code !== 0 || first.stdout) throw new Error(`Expected the first edit to be silent, got: ${first.stdout}`);
+    fs.writeFileSync(linesBudgetFile, 'const a = 1;\n' + 'x();\n'.repeat(6));
+    await grow(6, 'PostToolUse');
+    const second = await grow(6);
+    const output = JSON.parse(second.stdout).hookSpecificOutput;
+    if ('permissionDecision' in output ||
+        !output.additionalContext.startsWith('Session budget warning: 12 lines added this session (budget 10)')) {
+      throw new Error(`Expected a session budget warning, got: ${second.stdout}`);
+    }
+
+    const explained = await runCli(['explain', linesBudgetFile]);
+    if (!explained.stdout.includes('maxLinesAdded 10 (warn)')) throw new Error(`Expected the budget in explain, got: ${explained.stdout}`);
+  });
+
+  // Test 75: only edits that ran count towards the budget; bypassed edits count but are never stopped by it
+  const ranProject = project('budget-ran-project', { warnThreshold: 10, blockThreshold: 20, sessionBudget: { maxLinesAdded: 40 } });
+  await test('sessionBudget should count edits once they ran, bypassed edits included', async () => {
+    const env = { CLAUDE_FILE_SIZE_GUARD_STATE_DIR: path.join(TMP_DIR, 'budget-ran-state') }; // Own bypass log
+    const write = (name, lines, event = 'PreToolUse') => runHook({
+      hook_event_name: event,
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(ranProject, name), content: 'x();\n'.repeat(lines) },
+      cwd: ranProject,
+      session_id: 'ran-session'
+    }, { env });
+    for (let attempt = 0; attempt < 3; attempt++) await write('rejected.ts', 15); // Rejected or retried, never ran
+
+    await runCli(['bypass', 'big.ts', '--edits', '1', '--reason', 'generated fixture'], { cwd: ranProject, env });
+    const bypassed = await write('big.ts', 30);
+    if (bypassed.code !== 0) throw new Error(`Expected the bypassed edit to run, got ${bypassed.code}: ${bypassed.stderr}`);
+    fs.writeFileSync(path.join(ranProject, 'big.ts'), 'x();\n'.repeat(30));
+    await write('big.ts', 30, 'PostToolUse');
+
+    const next = await write('small.ts', 15);
+    if (!next.stderr.includes('Session budget: 45 lines added this session (budget 40)')) {
+      throw new Error(`Expected only the bypassed edit and this one to count, got: ${next.stderr}`);
+    }
+  });
+
+  // Test 79: audits finishing side by side all land in the accuracy record
+  const concurrentProject = project('audit-concurrent-project', { warnThreshold: 100, blockThreshold: 200 });
+  await test('concurrent PostToolUse audits should all be recorded', async () => {
+    const env = { CLAUDE_FILE_SIZE_GUARD_STATE_DIR: path.join(TMP_DIR, 'audit-concurrent-state') };
+    const writes = Array.from({ length: 6 }, (_, i) => ({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(concurrentProject, `file${i}.ts`), content: 'x();\n'.repeat(5) },
+      cwd: concurrentProject,
+      tool_use_id: `toolu_concurrent_${i}`
+    }));
+    for (const write of writes) await runHook({ ...write, hook_event_name: 'PreToolUse' }, { env });
+    writes.forEach(write => fs.writeFileSync(write.tool_input.file_path, write.tool_input.content));
+    await Promise.all(writes.map(write => runHook({ ...write, hook_event_name: 'PostToolUse' }, { env })));
+
+    const accuracy = await runCli(['accuracy'], { env });
+    if (!accuracy.stdout.includes('Audited edits: 6/6 exact')) throw new Error(`Expected six samples, got: ${accuracy.stdout}`);
+  });
+}
+
+module.exports = auditBudgetTests;
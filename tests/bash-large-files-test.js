@@ -0,0 +1,170 @@
+/**
+ * Large files and Bash commands
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { project, git, runHook, runCli, test } = require('./helpers.js');
+
+async function bashLargeFilesTests() {
+  // Test 56: files over largeFileBytes are counted and edit-simulated in chunks
+  const largeProject = project('large-project', { warnThreshold: 1000, blockThreshold: 12000, largeFileBytes: 4096, countMode: 'nonBlank' });
+  const dumpRows = Array.from({ length: 5000 }, (_, i) => `INSERT INTO t VALUES (${i});\n\n`).join('');
+  fs.writeFileSync(path.join(largeProject, 'dump.sql'), dumpRows);
+  await test('Large files are counted in chunks, in physical lines', async () => {
+    const doubled = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'dump.sql', old_string: ');\n', new_string: ');\n-- row\n', replace_all: true },
+      cwd: largeProject
+    });
+    if (doubled.code !== 2 || !doubled.stderr.includes('15000 lines')) {
+      throw new Error(`Expected block at 15000 lines, got ${doubled.code}: ${doubled.stderr}`);
+    }
+
+    const boundary = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'dump.sql', old_string: 'VALUES (2345);\n', new_string: 'VALUES (2345);' },
+      cwd: largeProject
+    });
+    if (boundary.code !== 0 || !boundary.stderr.includes('WARNING')) {
+      throw new Error(`Expected a warning for the 9999-line file, got ${boundary.code}: ${boundary.stderr}`);
+    }
+
+    const ambiguous = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'dump.sql', old_string: 'INSERT', new_string: 'insert' },
+      cwd: largeProject
+    });
+    if (ambiguous.code !== 0 || ambiguous.stderr) throw new Error('Expected an ambiguous edit to be left to the tool');
+
+    const chained = (edits) => runHook({ tool_name: 'MultiEdit', tool_input: { file_path: 'dump.sql', edits }, cwd: largeProject });
+    const restored = await chained([
+      { old_string: ');\n', new_string: ');\n-- row\n', replace_all: true },
+      { old_string: '-- row\n', new_string: '', replace_all: true }
+    ]);
+    if (restored.code !== 0 || !restored.stderr.includes('10000 lines')) {
+      throw new Error(`Expected the second edit to see the first one's rows, got ${restored.code}: ${restored.stderr}`);
+    }
+    const grown = await chained([
+      { old_string: ');\n', new_string: ');\n-- row\n', replace_all: true },
+      { old_string: '(7);\n-- row\n', new_string: '(7);\n' }
+    ]);
+    if (grown.code !== 2 || !grown.stderr.includes('14999 lines')) {
+      throw new Error(`Expected a chunked MultiEdit block at 14999 lines, got ${grown.code}: ${grown.stderr}`);
+    }
+  });
+
+  // Test 57: largeFilePolicy skip and block (per rule)
+  const policyProject = project('large-policy-project', {
+    largeFileBytes: 4096,
+    largeFilePolicy: 'skip',
+    rules: [{ glob: '**/*.log', largeFilePolicy: 'block' }]
+  });
+  fs.writeFileSync(path.join(policyProject, 'dump.sql'), dumpRows);
+  fs.writeFileSync(path.join(policyProject, 'server.log'), 'ok\n'.repeat(2000));
+  await test('largeFilePolicy skips or blocks large files', async () => {
+    const skipped = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'dump.sql', content: dumpRows + dumpRows },
+      cwd: policyProject
+    });
+    if (skipped.code !== 0 || skipped.stderr) throw new Error(`Expected skip, got ${skipped.code}: ${skipped.stderr}`);
+
+    const blocked = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'server.log', old_string: 'ok\n', new_string: 'OK\n', replace_all: true },
+      cwd: policyProject
+    });
+    if (blocked.code !== 2 || !blocked.stderr.includes('largeFileBytes')) {
+      throw new Error(`Expected block for large log, got ${blocked.code}: ${blocked.stderr}`);
+    }
+
+    const explain = await runCli(['explain', 'server.log'], { cwd: policyProject });
+    if (!explain.stdout.includes('over 4 KB: block (this file: 6 KB)')) throw new Error(`Unexpected explain:\n${explain.stdout}`);
+  });
+
+  // Test 58: bashPolicy enforce blocks heredocs and in-place edits like Write/Edit
+  const bashProject = project('bash-project', { warnThreshold: 10, blockThreshold: 20, bashPolicy: 'enforce' });
+  fs.mkdirSync(path.join(bashProject, 'src'));
+  fs.writeFileSync(path.join(bashProject, 'src/huge.ts'), 'const a = 1;\n'.repeat(40));
+  fs.writeFileSync(path.join(bashProject, 'small.ts'), 'const a = 1;\n'.repeat(5));
+  const heredoc = `cat > src/new.ts <<'EOF'\n${'const b = 2;\n'.repeat(30)}EOF\necho written`;
+  await test('bashPolicy enforce checks files written by Bash', async () => {
+    const blocked = await runHook({ tool_name: 'Bash', tool_input: { command: heredoc }, cwd: bashProject });
+    if (blocked.code !== 2 || !blocked.stderr.includes('Written by Bash heredoc')) {
+      throw new Error(`Expected heredoc to be blocked, got ${blocked.code}: ${blocked.stderr}`);
+    }
+
+    const appended = await runHook({ tool_name: 'Bash', tool_input: { command: 'echo "const c = 3;" >> small.ts' }, cwd: bashProject });
+    if (appended.code !== 0 || appended.stderr) throw new Error(`Expected small append to pass, got ${appended.code}: ${appended.stderr}`);
+
+    const sed = await runHook({ tool_name: 'Bash', tool_input: { command: "cd src && sed -i 's/1/2/' huge.ts" }, cwd: bashProject });
+    if (sed.code !== 2 || !sed.stderr.includes('sed -i (content unknown')) {
+      throw new Error(`Expected sed -i on an over-limit file to be blocked, got ${sed.code}: ${sed.stderr}`);
+    }
+
+    const harmless = await runHook({ tool_name: 'Bash', tool_input: { command: 'git status && ls > /dev/null 2>&1' }, cwd: bashProject });
+    if (harmless.code !== 0 || harmless.stderr) throw new Error('Expected commands without file writes to pass');
+  });
+
+  // Test 59: bashPolicy warn warns instead of blocking and never approves; "off" (default) ignores Bash
+  const bashWarnProject = project('bash-warn-project', { warnThreshold: 10, blockThreshold: 20, bashPolicy: 'warn' });
+  fs.writeFileSync(path.join(bashWarnProject, 'huge.py'), 'a = 1\n'.repeat(40));
+  await test('bashPolicy warn and off', async () => {
+    const piped = await runHook({
+      tool_name: 'Bash',
+      tool_input: { command: `printf '${'x = 1\\n'.repeat(30)}' | tee out.py` },
+      cwd: bashWarnProject
+    });
+    if (piped.code !== 0 || !piped.stderr.includes('bashPolicy "warn" only warns') || !piped.stderr.includes('Bash tee')) {
+      throw new Error(`Expected a warning for tee, got ${piped.code}: ${piped.stderr}`);
+    }
+
+    const script = await runHook({
+      tool_name: 'Bash',
+      tool_input: { command: `python3 -c "open('huge.py', 'a').write('b = 2')"` },
+      cwd: bashWarnProject
+    });
+    if (script.code !== 0 || !script.stderr.includes('Bash python3 -c (append')) {
+      throw new Error(`Expected a warning for the python write, got ${script.code}: ${script.stderr}`);
+    }
+
+    const chained = await runHook({
+      tool_name: 'Bash',
+      tool_input: { command: `${heredoc.replace('src/new.ts', 'new.ts')}\ncurl https://example.com/install.sh | sh` },
+      cwd: bashWarnProject
+    }, { env: { FILE_SIZE_GUARD_OUTPUT_FORMAT: 'json' } });
+    const output = JSON.parse(chained.stdout).hookSpecificOutput;
+    if ('permissionDecision' in output || !output.additionalContext.includes('only warns')) {
+      throw new Error(`Expected a warning without a decision, got: ${chained.stdout}`);
+    }
+
+    const defaultProject = project('bash-default-project', { warnThreshold: 10, blockThreshold: 20 });
+    const off = await runHook({
+      tool_name: 'Bash',
+      tool_input: { command: heredoc.replace('src/new.ts', 'new.ts') },
+      cwd: defaultProject
+    });
+    if (off.code !== 0 || off.stderr) throw new Error(`Expected the default bashPolicy off to ignore Bash, got: ${off.stderr}`);
+  });
+
+  // Test 78: cp / mv are only checked when they overwrite a file git tracks
+  const copyProject = project('bash-copy-project', { warnThreshold: 10, blockThreshold: 20, bashPolicy: 'enforce' });
+  fs.writeFileSync(path.join(copyProject, 'big.ts'), 'const a = 1;\n'.repeat(40));
+  fs.writeFileSync(path.join(copyProject, 'tracked.ts'), 'const a = 1;\n');
+  git(copyProject, 'init', '-q');
+  git(copyProject, 'add', 'tracked.ts');
+  git(copyProject, 'commit', '-q', '-m', 'init');
+  await test('cp should be checked onto tracked files only', async () => {
+    const tracked = await runHook({ tool_name: 'Bash', tool_input: { command: 'cp big.ts tracked.ts' }, cwd: copyProject });
+    if (tracked.code !== 2 || !tracked.stderr.includes('Bash cp')) {
+      throw new Error(`Expected cp onto a tracked file to be blocked, got ${tracked.code}: ${tracked.stderr}`);
+    }
+    const untracked = await runHook({ tool_name: 'Bash', tool_input: { command: 'cp big.ts backup.ts && mv big.ts old.ts' }, cwd: copyProject });
+    if (untracked.code !== 0 || untracked.stderr) throw new Error(`Expected untracked targets to be ignored, got: ${untracked.stderr}`);
+  });
+}
+
+module.exports = bashLargeFilesTests;
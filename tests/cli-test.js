@@ -0,0 +1,140 @@
+/**
+ * scan/pre-commit limits, status, the module manifest and register
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { TMP_DIR, project, git, runHook, runCli, test } = require('./helpers.js');
+
+async function cliTests() {
+  // Test 68: scan and pre-commit apply the content limits; a line HEAD already had only warns
+  const limitsProject = project('scan-limits', { maxLineLength: { warn: 200, block: 1000 } });
+  git(limitsProject, 'init', '-q');
+  fs.writeFileSync(path.join(limitsProject, 'min.js'), `const a = '${'x'.repeat(1500)}';\n`);
+  await test('scan and pre-commit should block a short file with a minified line', async () => {
+    const scan = await runCli(['scan'], { cwd: limitsProject });
+    if (scan.code !== 1) throw new Error(`Expected scan exit 1, got ${scan.code}`);
+    if (!/block\s+1\s+-\s+min\.js - longest line 1,513 characters \(limit 1,000\)/.test(scan.stdout)) {
+      throw new Error(`Expected the content limit in the report, got:\n${scan.stdout}`);
+    }
+
+    git(limitsProject, 'add', 'min.js');
+    const blocked = await runCli(['pre-commit'], { cwd: limitsProject });
+    if (blocked.code !== 1 || !blocked.stderr.includes('longest line')) throw new Error('Expected pre-commit to block min.js');
+
+    git(limitsProject, 'commit', '-q', '--no-verify', '-m', 'init');
+    fs.appendFileSync(path.join(limitsProject, 'min.js'), 'const b = 1;\n');
+    git(limitsProject, 'add', 'min.js');
+    const existing = await runCli(['pre-commit'], { cwd: limitsProject });
+    if (existing.code !== 0 || !/warn\s+2\s+-\s+min\.js/.test(existing.stderr)) {
+      throw new Error(`Expected a warning for the line already in HEAD, got ${existing.code}:\n${existing.stderr}`);
+    }
+  });
+
+  // Test 69: scan applies the function limits too
+  const functionsProject = project('scan-functions', { maxFunctionLines: { block: 100 } });
+  fs.writeFileSync(path.join(functionsProject, 'orders.ts'), [
+    'export function processOrders(orders) {', ...Array(150).fill('  orders = orders.filter(Boolean);'), '  return orders;', '}', ''
+  ].join('\n'));
+  await test('scan should block a file made of one long function', async () => {
+    const scan = await runCli(['scan', 'orders.ts', '--format', 'json'], { cwd: functionsProject });
+    const [finding] = JSON.parse(scan.stdout).files;
+    if (scan.code !== 1 || finding?.status !== 'block' || finding.cause !== 'limits') {
+      throw new Error(`Expected a function limit block, got ${scan.code}: ${scan.stdout}`);
+    }
+    if (!finding.limits.some(limit => limit.includes('processOrders'))) throw new Error(`Expected processOrders, got ${finding.limits}`);
+  });
+
+  // Test 70: status shows the merged thresholds (project and env layers) and flags misordered ones
+  const statusProject = project('status', { warnThreshold: 140, askThreshold: 130 });
+  await test('status should use the merged config and warn about misordered thresholds', async () => {
+    const result = await runCli(['status'], { cwd: statusProject, env: { FILE_SIZE_GUARD_BLOCK_THRESHOLD: '300' } });
+    if (!/blockThreshold:\s+300/.test(result.stdout)) throw new Error(`Expected the env blockThreshold:\n${result.stdout}`);
+    if (!result.stdout.includes('ok 0-129 | ask 130-299 | block 300+')) throw new Error(`Expected ordered bands:\n${result.stdout}`);
+    if (!result.stdout.includes('warnThreshold 140 is not below askThreshold 130')) throw new Error('Expected a threshold warning');
+  });
+
+  // Test 71: the module manifest the install and repair scripts download lists every module
+  await test('modules.txt should list exactly the hook modules', async () => {
+    const moduleDir = path.join(__dirname, '../src/hooks/file-size-guard');
+    const listed = fs.readFileSync(path.join(moduleDir, 'modules.txt'), 'utf-8').split('\n').filter(Boolean).sort();
+    const present = fs.readdirSync(moduleDir).filter(name => name.endsWith('.cjs')).sort();
+    if (listed.join() !== present.join()) throw new Error(`modules.txt is out of date: ${listed.length} listed, ${present.length} present`);
+  });
+
+  // Test 72: register adds both hook events once (replacing a narrower matcher); enable/disable flip the global flag
+  const registerHome = path.join(TMP_DIR, 'register-home');
+  fs.mkdirSync(path.join(registerHome, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(registerHome, '.claude', 'settings.json'), JSON.stringify({
+    hooks: { PreToolUse: [{ matcher: 'Edit|Write', hooks: [{ type: 'command', command: 'node $HOME/.claude/hooks/file-size-guard.cjs' }] }] }
+  }));
+  await test('register, enable and disable should edit settings.json and the global config', async () => {
+    const env = { HOME: registerHome, USERPROFILE: registerHome };
+    await runCli(['register'], { env });
+    const again = await runCli(['register'], { env });
+    if (!again.stdout.includes('already registered')) throw new Error(`Expected a no-op second run:\n${again.stdout}`);
+    const { hooks } = JSON.parse(fs.readFileSync(path.join(registerHome, '.claude', 'settings.json'), 'utf-8'));
+    const matchers = ['PreToolUse', 'PostToolUse'].map(event => hooks[event].map(entry => entry.matcher).join());
+    if (matchers.join(' / ') !== 'Edit|MultiEdit|Write|NotebookEdit / Edit|MultiEdit|Write') throw new Error(`Unexpected matchers ${matchers}`);
+
+    const configPath = path.join(registerHome, '.claude', '.ck.json');
+    await runCli(['disable'], { env });
+    if (JSON.parse(fs.readFileSync(configPath, 'utf-8')).fileSizeGuard.enabled !== false) throw new Error('Expected disabled');
+    const status = await runCli(['status'], { env, cwd: registerHome });
+    if (!/Enabled:\s+❌ No/.test(status.stdout)) throw new Error(`Expected status to show disabled:\n${status.stdout}`);
+    await runCli(['enable'], { env });
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8')).fileSizeGuard;
+    if (config.enabled !== true || config.blockThreshold !== 200) throw new Error('Expected enabled, keeping the created defaults');
+  });
+
+  // Test 74: register prefixes regexes from older global configs with re:; status warns about project ones
+  const legacyHome = path.join(TMP_DIR, 'legacy-pattern-home');
+  fs.mkdirSync(path.join(legacyHome, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(legacyHome, '.claude', '.ck.json'), JSON.stringify({
+    fileSizeGuard: { excludePatterns: ['\\.sh$', 'package-lock\\.json$', '!^keep\\.sh$', 'scripts/**'] }
+  }));
+  await test('register should migrate unprefixed regex patterns, status should flag them', async () => {
+    const env = { HOME: legacyHome, USERPROFILE: legacyHome };
+    const cwd = project('legacy-patterns', { whitelistPaths: ['^vendor/'] });
+    const registered = await runCli(['register'], { env });
+    const { excludePatterns } = JSON.parse(fs.readFileSync(path.join(legacyHome, '.claude', '.ck.json'), 'utf-8')).fileSizeGuard;
+    if (!registered.stdout.includes('Prefixed 3') ||
+        excludePatterns.join() !== 're:\\.sh$,re:package-lock\\.json$,!re:^keep\\.sh$,scripts/**') {
+      throw new Error(`Expected three migrated patterns, got ${excludePatterns}:\n${registered.stdout}`);
+    }
+    const result = await runHook({ tool_name: 'Write', tool_input: { file_path: path.join(cwd, 'deploy.sh'), content: 'echo\n'.repeat(250) }, cwd }, { env });
+    if (result.code !== 0) throw new Error(`Expected deploy.sh to stay excluded, got exit ${result.code}`);
+
+    const status = await runCli(['status'], { env, cwd });
+    if (!/Warning:\s+whitelistPaths "\^vendor\/" \(.*legacy-patterns.*\) is read as a glob/.test(status.stdout)) {
+      throw new Error(`Expected a warning about the project pattern:\n${status.stdout}`);
+    }
+  });
+
+  // Test 77: Bash is only registered while the global bashPolicy is on; status flags a project policy it cannot see
+  const bashHome = path.join(TMP_DIR, 'bash-register-home');
+  fs.mkdirSync(path.join(bashHome, '.claude'), { recursive: true });
+  await test('register should match Bash only when the global bashPolicy is on', async () => {
+    const env = { HOME: bashHome, USERPROFILE: bashHome };
+    const settingsPath = path.join(bashHome, '.claude', 'settings.json');
+    const configPath = path.join(bashHome, '.claude', '.ck.json');
+    const preToolMatchers = () => JSON.parse(fs.readFileSync(settingsPath, 'utf-8')).hooks.PreToolUse.map(entry => entry.matcher).join();
+    await runCli(['register'], { env });
+    if (preToolMatchers() !== 'Edit|MultiEdit|Write|NotebookEdit') throw new Error(`Expected no Bash matcher, got ${preToolMatchers()}`);
+
+    const cwd = project('bash-unregistered', { bashPolicy: 'enforce' });
+    const status = await runCli(['status'], { env, cwd });
+    if (!/Warning:\s+bashPolicy "enforce" has no effect/.test(status.stdout)) throw new Error(`Expected a warning:\n${status.stdout}`);
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    fs.writeFileSync(configPath, JSON.stringify({ fileSizeGuard: { ...config.fileSizeGuard, bashPolicy: 'warn' } }));
+    await runCli(['register'], { env });
+    if (preToolMatchers() !== 'Edit|MultiEdit|Write|NotebookEdit|Bash') throw new Error(`Expected a Bash matcher, got ${preToolMatchers()}`);
+    const registered = await runCli(['status'], { env, cwd });
+    if (registered.stdout.includes('has no effect')) throw new Error(`Expected no warning once registered:\n${registered.stdout}`);
+  });
+}
+
+module.exports = cliTests;
@@ -0,0 +1,199 @@
+/**
+ * Count modes, rules, exclude/whitelist patterns and config layers
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { TMP_DIR, project, runHook, runCli, test } = require('./helpers.js');
+
+async function configTests() {
+  // Test 15: sloc mode ignores comments and blank lines
+  await test('countMode sloc should not count comment lines', async () => {
+    const cwd = project('sloc', { countMode: 'sloc' });
+    const content = '/**\n' + ' * doc\n'.repeat(100) + ' */\n\n' + 'x();\n'.repeat(150);
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(cwd, 'documented.js'), content }
+    }, { cwd });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    if (!result.stderr.includes('150 code lines')) throw new Error('Expected count in code lines');
+  });
+
+  // Test 16: nonBlank mode ignores blank lines only
+  await test('countMode nonBlank should block on non-blank lines', async () => {
+    const cwd = project('non-blank', { countMode: 'nonBlank' });
+    const content = '# comment\n\n'.repeat(120) + 'x = 1\n'.repeat(90);
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(cwd, 'spaced.py'), content }
+    }, { cwd });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+  });
+
+  // Test 17: block message shows both counts
+  await test('Block message in sloc mode should show physical lines too', async () => {
+    const cwd = project('sloc-block', { countMode: 'sloc' });
+    const content = '// note\n'.repeat(50) + 'fn x() {}\n'.repeat(210);
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(cwd, 'lib.rs'), content }
+    }, { cwd });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+    if (!result.stderr.includes('210 code lines (260 physical lines)')) throw new Error('Expected both counts');
+  });
+
+  // Test 18: rule raises the limit for matching files
+  const rulesProject = project('rules', {
+    rules: [
+      { glob: '**/*.tsx', blockThreshold: 300 },
+      { glob: 'src/components/**/*.tsx', name: 'components', warnThreshold: 50, blockThreshold: 100 },
+      { glob: 'migrations/**', blockThreshold: 2000 }
+    ]
+  });
+  await test('Rule should raise block threshold for matching files', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(rulesProject, 'migrations/001_init.py'), content: 'x\n'.repeat(500) }
+    }, { cwd: rulesProject });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+  });
+
+  // Test 19: most specific rule wins
+  await test('Most specific rule should win', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(rulesProject, 'src/components/ui/Button.tsx'), content: 'x\n'.repeat(150) }
+    }, { cwd: rulesProject });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+  });
+
+  // Test 20: explain shows the applied rule
+  await test('explain should print the rule applied to a path', async () => {
+    const result = await runCli(['explain', 'src/pages/Home.tsx'], { cwd: rulesProject });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    if (!result.stdout.includes('**/*.tsx')) throw new Error('Expected rule glob in output');
+    if (!result.stdout.includes('300')) throw new Error('Expected rule blockThreshold in output');
+  });
+
+  // Test 21: whitelist entries match path segments, not substrings
+  const globProject = project('globs', {
+    whitelistPaths: ['lib'],
+    excludePatterns: ['*.{gen,auto}.ts', 're:/vendor/', 'src/**/*.ts', '!src/core/**', 'app/(auth)/**', 'c++/**']
+  });
+  await test('Whitelist "lib" should not match calibration.js', async () => {
+    const big = 'x\n'.repeat(250);
+    const skipped = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(globProject, 'lib/x.js'), content: big }
+    }, { cwd: globProject });
+    if (skipped.code !== 0) throw new Error(`Expected lib/x.js to be whitelisted, got ${skipped.code}`);
+    const checked = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(globProject, 'calibration.js'), content: big }
+    }, { cwd: globProject });
+    if (checked.code !== 2) throw new Error(`Expected calibration.js to be blocked, got ${checked.code}`);
+  });
+
+  // Test 22: brace sets, re: patterns and globs with regex characters exclude files
+  await test('Brace, re: and (auth) / c++ exclude patterns should skip files', async () => {
+    for (const file of ['api.gen.ts', 'vendor/pkg/index.js', 'app/(auth)/login.js', 'c++/main.js']) {
+      const result = await runHook({
+        tool_name: 'Write',
+        tool_input: { file_path: path.join(globProject, file), content: 'x\n'.repeat(250) }
+      }, { cwd: globProject });
+      if (result.code !== 0) throw new Error(`Expected ${file} to be excluded, got ${result.code}`);
+    }
+  });
+
+  // Test 23: negation re-includes files
+  await test('Negated exclude pattern should re-include files', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(globProject, 'src/core/engine.ts'), content: 'x\n'.repeat(250) }
+    }, { cwd: globProject });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+  });
+
+  // Test 24: project config merges over global config instead of replacing it
+  const layeredHome = path.join(TMP_DIR, 'layered-home');
+  fs.mkdirSync(path.join(layeredHome, '.claude'), { recursive: true });
+  fs.writeFileSync(path.join(layeredHome, '.claude', '.ck.json'),
+    JSON.stringify({ fileSizeGuard: { warnThreshold: 100, excludePatterns: ['vendor'] } }));
+  const layeredProject = project('layered', { blockThreshold: 300 });
+  const layeredEnv = { HOME: layeredHome, USERPROFILE: layeredHome };
+  await test('Project config should keep global exclusions', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(layeredProject, 'vendor/lib.js'), content: 'x\n'.repeat(400) }
+    }, { cwd: layeredProject, env: layeredEnv });
+    if (result.code !== 0) throw new Error(`Expected global exclusion to apply, got ${result.code}`);
+  });
+
+  // Test 25: custom excludePatterns extend the defaults unless extendDefaults is false
+  await test('Custom excludePatterns should extend defaults', async () => {
+    const extended = project('extend-defaults', { excludePatterns: ['vendor'] });
+    const replaced = project('replace-defaults', { excludePatterns: ['vendor'], extendDefaults: false });
+    const input = dir => ({ tool_name: 'Write', tool_input: { file_path: path.join(dir, 'notes.md'), content: 'x\n'.repeat(250) } });
+    const kept = await runHook(input(extended), { cwd: extended });
+    if (kept.code !== 0) throw new Error(`Expected default *.md exclusion, got ${kept.code}`);
+    const dropped = await runHook(input(replaced), { cwd: replaced });
+    if (dropped.code !== 2) throw new Error(`Expected defaults replaced, got ${dropped.code}`);
+  });
+
+  // Test 82: an empty excludePatterns with extendDefaults false drops every default exclusion
+  await test('Empty excludePatterns should replace the defaults with nothing', async () => {
+    const emptied = project('empty-excludes', { excludePatterns: [], extendDefaults: false });
+    const input = { tool_name: 'Write', tool_input: { file_path: path.join(emptied, 'notes.md'), content: 'x\n'.repeat(250) } };
+    const result = await runHook(input, { cwd: emptied });
+    if (result.code !== 2) throw new Error(`Expected *.md to be checked, got ${result.code}`);
+    const config = await runCli(['config'], { cwd: emptied });
+    if (!/excludePatterns \(replacing defaults\):\n\s+\(none\)/.test(config.stdout)) throw new Error(`Unexpected config:\n${config.stdout}`);
+  });
+
+  // Test 26: environment variables override config files
+  await test('FILE_SIZE_GUARD_* env should override config files', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(layeredProject, 'big.js'), content: 'x\n'.repeat(400) }
+    }, { cwd: layeredProject, env: { ...layeredEnv, FILE_SIZE_GUARD_BLOCK_THRESHOLD: '500' } });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    if (!result.stderr.includes('WARNING')) throw new Error('Expected warning from global warnThreshold');
+  });
+
+  // Test 27: config shows where each value came from
+  await test('config should print values with their source', async () => {
+    const result = await runCli(['config'], { cwd: layeredProject, env: layeredEnv });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    if (!/warnThreshold:\s+100\s+\(~[\/\\]\.claude[\/\\]\.ck\.json\)/.test(result.stdout)) throw new Error('Expected global source');
+    if (!/blockThreshold:\s+300\s+\(.*layered[\/\\]\.ck\.json\)/.test(result.stdout)) throw new Error('Expected project source');
+  });
+
+  // Test 28: nested package config applies to files below it
+  const monorepo = project('monorepo', { blockThreshold: 200 });
+  fs.mkdirSync(path.join(monorepo, '.git'));
+  const apiPackage = path.join(monorepo, 'packages', 'api');
+  fs.mkdirSync(apiPackage, { recursive: true });
+  fs.writeFileSync(path.join(apiPackage, '.ck.json'), JSON.stringify({
+    fileSizeGuard: { blockThreshold: 400, whitelistPaths: ['src/legacy/**'] }
+  }));
+  await test('Package .ck.json should apply to files in that package', async () => {
+    const input = file => ({ tool_name: 'Write', tool_input: { file_path: path.join(monorepo, file), content: 'x\n'.repeat(300) } });
+    const inPackage = await runHook(input('packages/api/src/x.ts'), { cwd: monorepo });
+    if (inPackage.code !== 0) throw new Error(`Expected package limit 400, got ${inPackage.code}`);
+    const atRoot = await runHook(input('src/y.ts'), { cwd: monorepo });
+    if (atRoot.code !== 2) throw new Error(`Expected root limit 200, got ${atRoot.code}`);
+  });
+
+  // Test 29: package globs resolve against the package dir, relative paths against payload cwd
+  await test('Package globs should resolve against the package directory', async () => {
+    const input = file => ({ cwd: monorepo, tool_name: 'Write', tool_input: { file_path: file, content: 'x\n'.repeat(500) } });
+    const whitelisted = await runHook(input('packages/api/src/legacy/old.ts'));
+    if (whitelisted.code !== 0) throw new Error(`Expected package whitelist to apply, got ${whitelisted.code}`);
+    const outside = await runHook(input('src/legacy/old.ts'));
+    if (outside.code !== 2) throw new Error(`Expected root file to be checked, got ${outside.code}`);
+  });
+}
+
+module.exports = configTests;
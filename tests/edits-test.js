@@ -0,0 +1,167 @@
+/**
+ * Thresholds, excluded files and edit simulation (Edit, MultiEdit, NotebookEdit)
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const { fixture, notebook, runHook, test } = require('./helpers.js');
+
+async function editsTests() {
+  // Test 1: Small file allowed
+  await test('Small file (10 lines) should be allowed', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: '/tmp/small.js', content: 'x\n'.repeat(10) }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+  });
+
+  // Test 2: Warning at threshold
+  await test('File at warn threshold (125 lines) should warn but allow', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: '/tmp/medium.js', content: 'x\n'.repeat(125) }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    if (!result.stderr.includes('WARNING')) throw new Error('Expected warning message');
+  });
+
+  // Test 3: Block at threshold
+  await test('File over block threshold (250 lines) should be blocked', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: '/tmp/large.js', content: 'x\n'.repeat(250) }
+    });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+    if (!result.stderr.includes('BLOCKED')) throw new Error('Expected block message');
+  });
+
+  // Test 4: Excluded file allowed
+  await test('JSON file (excluded) should be allowed regardless of size', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: '/tmp/large.json', content: 'x\n'.repeat(500) }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+  });
+
+  // Test 5: Markdown excluded
+  await test('Markdown file (excluded) should be allowed', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: '/tmp/large.md', content: 'x\n'.repeat(500) }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+  });
+
+  // Test 6: Non-Edit/Write allowed
+  await test('Non-Edit/Write tool should be allowed', async () => {
+    const result = await runHook({
+      tool_name: 'Read',
+      tool_input: { file_path: '/tmp/anything.js' }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+  });
+
+  // Test 7: MultiEdit applies all edits before checking
+  await test('MultiEdit growing file past block threshold should be blocked', async () => {
+    const filePath = fixture('multi.js', 'a\nb\n' + 'x\n'.repeat(150));
+    const result = await runHook({
+      tool_name: 'MultiEdit',
+      tool_input: {
+        file_path: filePath,
+        edits: [
+          { old_string: 'a\n', new_string: 'a\n' + 'y\n'.repeat(30) },
+          { old_string: 'b\n', new_string: 'b\n' + 'z\n'.repeat(30) }
+        ]
+      }
+    });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+  });
+
+  // Test 8: MultiEdit edits apply in order (second edit sees first edit's output)
+  await test('MultiEdit shrinking chained edits should be allowed', async () => {
+    const filePath = fixture('multi-shrink.js', 'a\n' + 'x\n'.repeat(190));
+    const result = await runHook({
+      tool_name: 'MultiEdit',
+      tool_input: {
+        file_path: filePath,
+        edits: [
+          { old_string: 'a\n', new_string: 'b\n' + 'y\n'.repeat(30) },
+          { old_string: 'y\n', new_string: '', replace_all: true },
+          { old_string: 'x\n', new_string: '', replace_all: true }
+        ]
+      }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    if (result.stderr.includes('WARNING')) throw new Error('Expected no warning');
+  });
+
+  // Test 9: NotebookEdit counts cell source lines
+  await test('NotebookEdit inserting large cell should be blocked', async () => {
+    const notebookPath = fixture('analysis.ipynb', notebook('x\n'.repeat(150)));
+    const result = await runHook({
+      tool_name: 'NotebookEdit',
+      tool_input: {
+        notebook_path: notebookPath,
+        cell_id: 'cell-0',
+        new_source: 'y\n'.repeat(80),
+        edit_mode: 'insert'
+      }
+    });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+  });
+
+  // Test 10: NotebookEdit delete shrinks notebook
+  await test('NotebookEdit deleting a cell should be allowed', async () => {
+    const notebookPath = fixture('cleanup.ipynb', notebook('x\n'.repeat(150), 'y\n'.repeat(100)));
+    const result = await runHook({
+      tool_name: 'NotebookEdit',
+      tool_input: { notebook_path: notebookPath, cell_id: 'cell-1', edit_mode: 'delete' }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+  });
+
+  // Test 11: Trailing newline does not count as an extra line
+  await test('199 lines with trailing newline should warn, not block', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: '/tmp/edge.js', content: 'x\n'.repeat(199) }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    if (!result.stderr.includes('199 lines')) throw new Error('Expected exact count of 199 lines');
+  });
+
+  // Test 12: old_string not found is not treated as growth
+  await test('Edit with missing old_string should be passed through', async () => {
+    const filePath = fixture('missing.js', 'x\n'.repeat(190));
+    const result = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: filePath, old_string: 'not-there', new_string: 'y\n'.repeat(50) }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    if (result.stderr) throw new Error('Expected no message');
+  });
+
+  // Test 13: ambiguous match without replace_all is not treated as growth
+  await test('Edit with ambiguous old_string should be passed through', async () => {
+    const filePath = fixture('ambiguous.js', 'dup\n' + 'x\n'.repeat(190) + 'dup\n');
+    const result = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: filePath, old_string: 'dup', new_string: 'y\n'.repeat(50) }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+  });
+
+  // Test 14: replace_all counts every occurrence exactly
+  await test('Edit with replace_all should count every occurrence', async () => {
+    const filePath = fixture('replace-all.js', 'dup\n'.repeat(5) + 'x\n'.repeat(150));
+    const result = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: filePath, old_string: 'dup\n', new_string: 'a\nb\nc\nd\ne\nf\nh\ni\nj\nk\n', replace_all: true }
+    });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+    if (!result.stderr.includes('200 lines')) throw new Error('Expected exact count of 200 lines');
+  });
+}
+
+module.exports = editsTests;
@@ -0,0 +1,137 @@
+/**
+ * Event log, stats and bypass grants
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { TMP_DIR, HOME_DIR, project, runHook, runCli, test } = require('./helpers.js');
+
+async function eventsBypassTests() {
+  // Test 64: eventLog records decisions in the project; stats summarizes them
+  const logProject = project('log-project', { warnThreshold: 10, blockThreshold: 20, eventLog: { location: 'project' } });
+  const logFile = path.join(logProject, 'grow.ts');
+  await test('eventLog and stats', async () => {
+    for (const lines of [5, 8, 12, 25]) {
+      const content = 'x();\n'.repeat(lines);
+      const result = await runHook({ tool_name: 'Write', tool_input: { file_path: logFile, content }, cwd: logProject, session_id: 'log-session' });
+      if (result.code === 0) fs.writeFileSync(logFile, content);
+    }
+    const events = fs.readFileSync(path.join(logProject, '.claude', 'file-size-guard', 'events.jsonl'), 'utf-8')
+      .trim().split('\n').map(line => JSON.parse(line));
+    const decisions = events.map(event => event.decision).join(',');
+    if (decisions !== 'ok,ok,warn,block' || events[3].path !== 'grow.ts' || events[3].session !== 'log-session' ||
+        events[3].currentLines !== 12 || events[3].estimatedLines !== 25) {
+      throw new Error(`Unexpected events: ${JSON.stringify(events)}`);
+    }
+    if (fs.readFileSync(path.join(logProject, '.claude', 'file-size-guard', '.gitignore'), 'utf-8') !== 'events*.jsonl\n.gitignore\n') {
+      throw new Error('Expected the project logs to be ignored for git');
+    }
+
+    const stats = await runCli(['stats'], { cwd: logProject });
+    const expected = ['Decisions:  4', 'block 1 (25%)', 'Most blocked files:', '1  grow.ts', 'Steadily growing files:', 'grow.ts  5 → 12 (3 edits)'];
+    const missing = expected.filter(text => !stats.stdout.includes(text));
+    if (stats.code !== 0 || missing.length) throw new Error(`Expected ${missing.join(', ')} in: ${stats.stdout}`);
+
+    const fromDir = await runCli(['stats', logProject]);
+    if (!fromDir.stdout.includes('Decisions:  4') || !fromDir.stdout.includes(path.join(logProject, '.claude', 'file-size-guard'))) {
+      throw new Error(`Expected stats <dir> to read the project log, got: ${fromDir.stdout}`);
+    }
+  });
+
+  // Test 76: the shared home log keeps projects apart (same relative path in two projects)
+  await test('stats should only count the events of its own project from the home log', async () => {
+    const env = { CLAUDE_FILE_SIZE_GUARD_STATE_DIR: path.join(TMP_DIR, 'shared-log-state') };
+    const projects = { big: 25, small: 5 };
+    for (const [name, lines] of Object.entries(projects)) {
+      const cwd = project(`shared-log-${name}`, { warnThreshold: 10, blockThreshold: 20, eventLog: true });
+      await runHook({ tool_name: 'Write', tool_input: { file_path: path.join(cwd, 'src', 'index.js'), content: 'x();\n'.repeat(lines) }, cwd }, { env });
+    }
+    const big = await runCli(['stats'], { cwd: path.join(TMP_DIR, 'shared-log-big'), env });
+    const small = await runCli(['stats'], { cwd: path.join(TMP_DIR, 'shared-log-small'), env });
+    if (!big.stdout.includes('Decisions:  1') || !big.stdout.includes('block 1 (100%)') ||
+        !small.stdout.includes('Decisions:  1') || !small.stdout.includes('ok 1 (100%)')) {
+      throw new Error(`Expected one decision per project:\n${big.stdout}\n${small.stdout}`);
+    }
+  });
+
+  // Test 65: event log rotation and recorded overrides; no log without eventLog
+  const rotateProject = project('rotate-project', {
+    warnThreshold: 10, blockThreshold: 20, legacyPolicy: 'allow-shrink', eventLog: { location: 'project', maxBytes: 100, maxFiles: 1 }
+  });
+  const legacyLogFile = path.join(rotateProject, 'legacy.ts');
+  fs.writeFileSync(legacyLogFile, Array.from({ length: 30 }, (_, i) => `f${i}();\n`).join(''));
+  await test('eventLog rotation and overrides', async () => {
+    for (let i = 0; i < 3; i++) {
+      await runHook({ tool_name: 'Edit', tool_input: { file_path: legacyLogFile, old_string: `f${i}();\n`, new_string: '' }, cwd: rotateProject });
+    }
+    const logDir = path.join(rotateProject, '.claude', 'file-size-guard');
+    const logs = fs.readdirSync(logDir).sort().join(',');
+    if (logs !== '.gitignore,events.1.jsonl,events.jsonl') throw new Error(`Expected one rotated log, got: ${logs}`);
+    const event = JSON.parse(fs.readFileSync(path.join(logDir, 'events.jsonl'), 'utf-8'));
+    if (event.decision !== 'legacy' || event.override !== 'legacyPolicy allow-shrink') {
+      throw new Error(`Expected the legacy override to be logged, got: ${JSON.stringify(event)}`);
+    }
+
+    const quietProject = project('no-event-log', { warnThreshold: 10, blockThreshold: 20 });
+    await runHook({ tool_name: 'Write', tool_input: { file_path: path.join(quietProject, 'quiet.py'), content: 'a = 1\n' }, cwd: quietProject });
+    if (fs.existsSync(path.join(quietProject, '.claude', 'file-size-guard')) || fs.existsSync(path.join(HOME_DIR, '.claude', 'file-size-guard', 'events.jsonl'))) {
+      throw new Error('Expected no event log without eventLog');
+    }
+  });
+
+  // Test 66: a bypass grant lets a blocked edit through; only an edit that ran and needed it uses it up
+  const bypassProject = project('bypass-project', { warnThreshold: 10, blockThreshold: 20, eventLog: { location: 'project' } });
+  const bypassFile = path.join(bypassProject, 'big.ts');
+  const bigWrite = { tool_name: 'Write', tool_input: { file_path: bypassFile, content: 'x();\n'.repeat(30) }, cwd: bypassProject };
+  await test('bypass grant covers one edit', async () => {
+    const granted = await runCli(['bypass', 'big.ts', '--edits', '1', '--reason', 'hotfix'], { cwd: bypassProject });
+    if (granted.code !== 0 || !granted.stdout.includes('Granted bypass #1 big.ts')) {
+      throw new Error(`Expected the grant to be stored, got: ${granted.stdout}${granted.stderr}`);
+    }
+    await runHook({ ...bigWrite, tool_input: { ...bigWrite.tool_input, content: 'x();\n' }, tool_use_id: 'toolu_small' });
+    const rejected = await runHook({ ...bigWrite, tool_use_id: 'toolu_rejected' });
+    const allowed = await runHook({ ...bigWrite, tool_use_id: 'toolu_bypass' });
+    if (rejected.code !== 0 || allowed.code !== 0) throw new Error(`Expected the bypass to allow the write, got exit ${allowed.code}`);
+    fs.writeFileSync(bypassFile, bigWrite.tool_input.content);
+    await runHook({ ...bigWrite, hook_event_name: 'PostToolUse', tool_use_id: 'toolu_small' });
+    await runHook({ ...bigWrite, hook_event_name: 'PostToolUse', tool_use_id: 'toolu_bypass', session_id: 'bypass-session' });
+    const blocked = await runHook({ ...bigWrite, tool_input: { ...bigWrite.tool_input, content: 'x();\n'.repeat(31) } });
+    if (blocked.code !== 2) throw new Error(`Expected the used-up grant to block again, got exit ${blocked.code}`);
+
+    const events = fs.readFileSync(path.join(bypassProject, '.claude', 'file-size-guard', 'events.jsonl'), 'utf-8')
+      .trim().split('\n').map(line => JSON.parse(line));
+    if (events[1].decision !== 'ok' || events[1].override !== 'bypass #1: hotfix' || events[3].decision !== 'block') {
+      throw new Error(`Expected the bypass reason in the event log, got: ${JSON.stringify(events)}`);
+    }
+    const uses = fs.readFileSync(path.join(HOME_DIR, '.claude', 'file-size-guard', 'bypass-log.jsonl'), 'utf-8')
+      .trim().split('\n').map(line => JSON.parse(line));
+    if (uses.length !== 1 || uses[0].reason !== 'hotfix' || uses[0].decision !== 'block' || uses[0].session !== 'bypass-session') {
+      throw new Error(`Expected one recorded use, got: ${JSON.stringify(uses)}`);
+    }
+  });
+
+  // Test 67: bypass requires a reason and a duration or edit count; --list and --revoke
+  await test('bypass validation, list and revoke', async () => {
+    const noReason = await runCli(['bypass', 'big.ts', '--for', '30m'], { cwd: bypassProject });
+    const noLimit = await runCli(['bypass', 'big.ts', '--reason', 'hotfix'], { cwd: bypassProject });
+    const badDuration = await runCli(['bypass', 'big.ts', '--for', 'soon', '--reason', 'hotfix'], { cwd: bypassProject });
+    if (noReason.code !== 1 || noLimit.code !== 1 || badDuration.code !== 1 || !noReason.stderr.includes('--reason is required')) {
+      throw new Error(`Expected invalid grants to be refused, got: ${noReason.stderr}${noLimit.stderr}${badDuration.stderr}`);
+    }
+
+    await runCli(['bypass', 'src', '--for', '30m', '--reason', 'regenerating'], { cwd: bypassProject });
+    const listed = await runCli(['bypass', '--list'], { cwd: bypassProject });
+    if (!listed.stdout.includes('src (in') || !listed.stdout.includes('30m left: regenerating') || listed.stdout.includes('hotfix')) {
+      throw new Error(`Expected only the active grant to be listed, got: ${listed.stdout}`);
+    }
+    const revoked = await runCli(['bypass', '--revoke', 'all'], { cwd: bypassProject });
+    const empty = await runCli(['bypass', '--list'], { cwd: bypassProject });
+    if (!revoked.stdout.includes('Revoked 1') || !empty.stdout.includes('No active bypass grants')) {
+      throw new Error(`Expected the grant to be revoked, got: ${revoked.stdout}${empty.stdout}`);
+    }
+  });
+}
+
+module.exports = eventsBypassTests;
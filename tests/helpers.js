@@ -0,0 +1,109 @@
+/**
+ * Shared helpers for the file-size-guard test suites: a temp dir with an
+ * isolated HOME, fixtures, and runners for the hook and the CLI
+ */
+
+const { spawn, execFileSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const HOOK_PATH = path.join(__dirname, '../src/hooks/file-size-guard.cjs');
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'file-size-guard-test-'));
+const HOME_DIR = path.join(TMP_DIR, 'home');
+fs.mkdirSync(HOME_DIR);
+
+const results = { passed: 0, failed: 0 };
+
+// Write a fixture file into the temp dir, return its absolute path
+function fixture(name, content) {
+  const filePath = path.join(TMP_DIR, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+// Create a project dir with a .ck.json containing the given fileSizeGuard config
+function project(name, fileSizeGuard) {
+  const dir = path.join(TMP_DIR, name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, '.ck.json'), JSON.stringify({ fileSizeGuard }));
+  return dir;
+}
+
+// Run git in dir with a fixed identity (for pre-commit tests)
+function git(dir, ...args) {
+  return execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: dir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 30000
+  });
+}
+
+// Build a notebook JSON string with one cell per source string
+function notebook(...sources) {
+  return JSON.stringify({
+    cells: sources.map((source, i) => ({ id: `cell-${i}`, cell_type: 'code', source })),
+    nbformat: 4,
+    nbformat_minor: 5
+  });
+}
+
+// Test utilities
+function runHook(input, options = {}) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', [HOOK_PATH], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      cwd: options.cwd || process.cwd(),
+      // Isolated HOME so the developer's ~/.claude/.ck.json never leaks in
+      env: { ...process.env, HOME: HOME_DIR, USERPROFILE: HOME_DIR, ...options.env }
+    });
+    let stdout = '';
+    let stderr = '';
+
+    proc.stdout.on('data', (d) => stdout += d);
+    proc.stderr.on('data', (d) => stderr += d);
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+    proc.stdin.write(JSON.stringify(input));
+    proc.stdin.end();
+  });
+}
+
+function runCli(args, options = {}) {
+  return new Promise((resolve) => {
+    const proc = spawn('node', [HOOK_PATH, ...args], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      cwd: options.cwd || process.cwd(),
+      env: { ...process.env, HOME: HOME_DIR, USERPROFILE: HOME_DIR, ...options.env }
+    });
+    let stdout = '';
+    let stderr = '';
+
+    proc.stdout.on('data', (d) => stdout += d);
+    proc.stderr.on('data', (d) => stderr += d);
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+// Run one test, print its result and count it in results
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    results.passed++;
+  } catch (err) {
+    console.log(`✗ ${name}: ${err.message}`);
+    results.failed++;
+  }
+}
+
+module.exports = {
+  HOOK_PATH,
+  TMP_DIR,
+  HOME_DIR,
+  results,
+  fixture,
+  project,
+  git,
+  notebook,
+  runHook,
+  runCli,
+  test
+};
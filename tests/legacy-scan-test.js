@@ -0,0 +1,195 @@
+/**
+ * legacyPolicy, baseline, scan and the pre-commit check
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+const { TMP_DIR, fixture, project, git, runHook, runCli, test } = require('./helpers.js');
+
+async function legacyScanTests() {
+  // Test 30: allow-shrink lets edits shrink a file already over the limit
+  const legacyContent = Array.from({ length: 300 }, (_, i) => `line ${i}`).join('\n') + '\n';
+  const legacyEdit = (dir, newString) => ({
+    tool_name: 'Edit',
+    tool_input: { file_path: path.join(dir, 'legacy.js'), old_string: 'line 1\nline 2\n', new_string: newString }
+  });
+  const shrinkProject = project('legacy-shrink', { legacyPolicy: 'allow-shrink' });
+  fs.writeFileSync(path.join(shrinkProject, 'legacy.js'), legacyContent);
+  await test('legacyPolicy allow-shrink should allow shrinking a legacy file', async () => {
+    const result = await runHook(legacyEdit(shrinkProject, ''), { cwd: shrinkProject });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    if (!result.stderr.includes('allow-shrink')) throw new Error('Expected legacyPolicy note');
+  });
+
+  // Test 31: allow-shrink still blocks growth, and says shrinking is allowed
+  await test('legacyPolicy allow-shrink should block growth with a clear message', async () => {
+    const result = await runHook(legacyEdit(shrinkProject, 'a\nb\nc\n'), { cwd: shrinkProject });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+    if (!result.stderr.includes('Shrinking edits are allowed')) throw new Error('Expected shrink hint in block message');
+  });
+
+  // Test 32: allow-delta-up-to N allows small growth only
+  await test('legacyPolicy allow-delta-up-to should cap growth', async () => {
+    const dir = project('legacy-delta', { legacyPolicy: 'allow-delta-up-to 5' });
+    fs.writeFileSync(path.join(dir, 'legacy.js'), legacyContent);
+    const small = await runHook(legacyEdit(dir, 'line 1\nline 2\na\nb\nc\n'), { cwd: dir });
+    if (small.code !== 0) throw new Error(`Expected +3 lines allowed, got ${small.code}`);
+    const large = await runHook(legacyEdit(dir, 'line 1\nline 2\n' + 'x\n'.repeat(10)), { cwd: dir });
+    if (large.code !== 2) throw new Error(`Expected +10 lines blocked, got ${large.code}`);
+  });
+
+  // Test 33: default block-any blocks even shrinking edits
+  await test('Default legacyPolicy should block shrinking edits', async () => {
+    const dir = project('legacy-default', {});
+    fs.writeFileSync(path.join(dir, 'legacy.js'), legacyContent);
+    const result = await runHook(legacyEdit(dir, ''), { cwd: dir });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+  });
+
+  // Test 34: baseline records files already over the limit
+  const baselineProject = project('baseline', {});
+  fs.mkdirSync(path.join(baselineProject, 'src'));
+  fs.writeFileSync(path.join(baselineProject, 'src', 'legacy.js'), legacyContent);
+  fs.writeFileSync(path.join(baselineProject, 'src', 'small.js'), 'x\n'.repeat(50));
+  fs.writeFileSync(path.join(baselineProject, '.gitignore'), 'dist/\n');
+  fs.mkdirSync(path.join(baselineProject, 'dist'));
+  fs.writeFileSync(path.join(baselineProject, 'dist', 'bundle.js'), 'x\n'.repeat(500));
+  const baselinePath = path.join(baselineProject, '.file-size-guard-baseline.json');
+  await test('baseline should record oversized files only', async () => {
+    const result = await runCli(['baseline'], { cwd: baselineProject });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}: ${result.stderr}`);
+    const { files } = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+    if (files['src/legacy.js'] !== 300) throw new Error('Expected src/legacy.js at 300 lines');
+    if (Object.keys(files).length !== 1) throw new Error(`Expected only src/legacy.js, got ${Object.keys(files)}`);
+  });
+
+  // Test 35: baselined file may shrink (ratcheting the ceiling after the edit ran) but not grow
+  await test('Baseline ceiling should ratchet down and block growth', async () => {
+    const shrinkEdit = { ...legacyEdit(path.join(baselineProject, 'src'), 'line 1\n'), tool_use_id: 'toolu_baseline_1' };
+    const shrink = await runHook(shrinkEdit, { cwd: baselineProject });
+    if (shrink.code !== 0) throw new Error(`Expected shrinking edit allowed, got ${shrink.code}`);
+    const ceilingOf = () => JSON.parse(fs.readFileSync(baselinePath, 'utf-8')).files['src/legacy.js'];
+    if (ceilingOf() !== 300) throw new Error(`Expected the ceiling kept until the edit ran, got ${ceilingOf()}`);
+    const legacyFile = shrinkEdit.tool_input.file_path;
+    fs.writeFileSync(legacyFile, fs.readFileSync(legacyFile, 'utf-8').replace('line 1\nline 2\n', 'line 1\n'));
+    await runHook({ ...shrinkEdit, hook_event_name: 'PostToolUse' }, { cwd: baselineProject });
+    if (ceilingOf() !== 299) throw new Error(`Expected ceiling 299, got ${ceilingOf()}`);
+    const grow = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: legacyFile, old_string: 'line 3\n', new_string: 'line 3\nx\n' }
+    }, { cwd: baselineProject });
+    if (grow.code !== 2) throw new Error(`Expected growth blocked, got ${grow.code}`);
+  });
+
+  // Test 36: scan reports files over the limits and fails on block
+  const scanProject = project('scan', { warnThreshold: 100 });
+  fs.mkdirSync(path.join(scanProject, 'src'));
+  fs.writeFileSync(path.join(scanProject, 'src', 'huge.ts'), 'x\n'.repeat(250));
+  fs.writeFileSync(path.join(scanProject, 'src', 'medium.ts'), 'x\n'.repeat(150));
+  fs.writeFileSync(path.join(scanProject, 'src', 'small.ts'), 'x\n'.repeat(20));
+  await test('scan should list oversized files and exit 1 on block', async () => {
+    const result = await runCli(['scan'], { cwd: scanProject });
+    if (result.code !== 1) throw new Error(`Expected exit 1, got ${result.code}`);
+    if (!/block\s+250\s+200\s+src\/huge\.ts/.test(result.stdout)) throw new Error('Expected huge.ts as block');
+    if (!/warn\s+150\s+100\s+src\/medium\.ts/.test(result.stdout)) throw new Error('Expected medium.ts as warn');
+    if (result.stdout.includes('small.ts')) throw new Error('Expected small.ts to be omitted');
+  });
+
+  // Test 37: scan JSON and SARIF output
+  await test('scan should emit JSON and SARIF reports', async () => {
+    const json = JSON.parse((await runCli(['scan', 'src/medium.ts', '--format', 'json'], { cwd: scanProject })).stdout);
+    if (json.summary.warn !== 1 || json.files[0].path !== 'src/medium.ts') throw new Error('Unexpected JSON report');
+    const sarifResult = await runCli(['scan', '--format=sarif'], { cwd: scanProject });
+    const sarif = JSON.parse(sarifResult.stdout);
+    if (sarif.version !== '2.1.0') throw new Error('Expected SARIF 2.1.0');
+    const ruleIds = sarif.runs[0].results.map(r => r.ruleId).sort();
+    if (ruleIds.join() !== 'file-size/block,file-size/warn') throw new Error(`Unexpected results ${ruleIds}`);
+  });
+
+  // Test 80: SARIF URIs are relative to the repository root, whatever directory scan runs in
+  const sarifProject = project('sarif-project', { warnThreshold: 100 });
+  fs.mkdirSync(path.join(sarifProject, 'src', 'data files'), { recursive: true });
+  fs.writeFileSync(path.join(sarifProject, 'src', 'data files', 'big #1.ts'), 'x\n'.repeat(150));
+  git(sarifProject, 'init', '-q');
+  await test('scan SARIF should locate files from the repository root', async () => {
+    const result = await runCli(['scan', '.', '--format', 'sarif'], { cwd: path.join(sarifProject, 'src') });
+    const run = JSON.parse(result.stdout).runs[0];
+    const location = run.results[0].locations[0].physicalLocation.artifactLocation;
+    if (location.uri !== 'src/data%20files/big%20%231.ts' || location.uriBaseId !== '%SRCROOT%') {
+      throw new Error(`Unexpected artifact location ${JSON.stringify(location)}`);
+    }
+    const root = run.originalUriBaseIds['%SRCROOT%'].uri;
+    if (!root.startsWith('file://') || !root.endsWith('/sarif-project/')) throw new Error(`Unexpected %SRCROOT% ${root}`);
+  });
+
+  // Test 38: pre-commit checks the staged blob, not the working tree
+  const commitProject = project('precommit', { warnThreshold: 100, blockThreshold: 200 });
+  git(commitProject, 'init', '-q');
+  fs.writeFileSync(path.join(commitProject, 'big.ts'), 'x\n'.repeat(250));
+  git(commitProject, 'add', 'big.ts');
+  await test('pre-commit should block a staged file over the limit', async () => {
+    const blocked = await runCli(['pre-commit'], { cwd: commitProject });
+    if (blocked.code !== 1) throw new Error(`Expected exit 1, got ${blocked.code}`);
+    if (!/block\s+250\s+200\s+big\.ts/.test(blocked.stderr)) throw new Error('Expected big.ts in report');
+
+    fs.writeFileSync(path.join(commitProject, 'big.ts'), 'x\n'.repeat(50));
+    git(commitProject, 'add', 'big.ts');
+    fs.writeFileSync(path.join(commitProject, 'big.ts'), 'x\n'.repeat(250)); // Unstaged growth
+    const allowed = await runCli(['pre-commit'], { cwd: commitProject });
+    if (allowed.code !== 0) throw new Error(`Expected exit 0 for staged 50 lines, got ${allowed.code}`);
+  });
+
+  // Test 39: install-pre-commit keeps an existing hook (chaining non-shell ones) and is idempotent
+  await test('install-pre-commit should add to an existing hook once', async () => {
+    const hookFile = path.join(commitProject, '.git', 'hooks', 'pre-commit');
+    fs.writeFileSync(hookFile, '#!/bin/sh\nnpm run lint\nexec npm test\n');
+    const options = { cwd: commitProject, env: { GIT_CONFIG_COUNT: '0' } }; // Ignore an inherited core.hooksPath
+    await runCli(['install-pre-commit'], options);
+    const result = await runCli(['install-pre-commit'], options);
+    if (!result.stdout.includes('unchanged')) throw new Error(`Expected unchanged, got ${result.stdout}`);
+    const content = fs.readFileSync(hookFile, 'utf-8');
+    if (!content.startsWith('#!/bin/sh\n\n# >>> file-size-guard >>>')) throw new Error('Expected the block right after the shebang');
+    if (content.split('# >>> file-size-guard >>>').length !== 2) throw new Error('Expected exactly one block');
+    if (!content.endsWith('\nnpm run lint\nexec npm test\n')) throw new Error('Existing hook content was lost');
+
+    const python = '#!/usr/bin/env python3\nprint("lint")\n';
+    fs.writeFileSync(hookFile, python);
+    const chained = await runCli(['install-pre-commit'], options);
+    const chainedFile = path.join(commitProject, '.git', 'hooks', 'pre-commit.chained');
+    const wrapper = fs.readFileSync(hookFile, 'utf-8');
+    if (!chained.stdout.includes('chained') || fs.readFileSync(chainedFile, 'utf-8') !== python ||
+        !wrapper.startsWith('#!/bin/sh\n') || !wrapper.trimEnd().endsWith('exec "$(dirname "$0")/pre-commit.chained" "$@"')) {
+      throw new Error(`Expected the Python hook to be chained, got: ${chained.stdout}\n${wrapper}`);
+    }
+    const again = await runCli(['install-pre-commit'], options);
+    if (!again.stdout.includes('unchanged')) throw new Error(`Expected the wrapper to be kept, got ${again.stdout}`);
+  });
+
+  // Test 73: the pre-commit block skips itself when the guard is gone; uninstall-pre-commit restores the hook
+  await test('pre-commit block should fail open, and uninstall-pre-commit should take it out', async () => {
+    const hookFile = path.join(commitProject, '.git', 'hooks', 'pre-commit');
+    const options = { cwd: commitProject, env: { GIT_CONFIG_COUNT: '0' } };
+    const moved = fixture('moved-pre-commit.sh', fs.readFileSync(hookFile, 'utf-8')
+      .replace(/"[^"]*file-size-guard\.cjs"/g, '"/nonexistent/file-size-guard.cjs"')
+      .replace(/^exec .*$/m, 'echo after-block'));
+    const output = execFileSync('sh', [moved], { cwd: commitProject, encoding: 'utf-8' });
+    if (output.trim() !== 'after-block') throw new Error(`Expected the block to be skipped, got: ${output}`);
+
+    const removed = await runCli(['uninstall-pre-commit'], options);
+    if (!removed.stdout.includes('restored') || fs.readFileSync(hookFile, 'utf-8') !== '#!/usr/bin/env python3\nprint("lint")\n' ||
+        fs.existsSync(`${hookFile}.chained`)) {
+      throw new Error(`Expected the chained hook to be moved back, got: ${removed.stdout}${removed.stderr}`);
+    }
+    fs.writeFileSync(hookFile, '#!/bin/sh\nnpm test\n');
+    await runCli(['install-pre-commit'], options);
+    const all = await runCli(['uninstall-pre-commit', '--all'], { cwd: TMP_DIR });
+    if (!all.stdout.includes('updated') || fs.readFileSync(hookFile, 'utf-8') !== '#!/bin/sh\nnpm test\n') {
+      throw new Error(`Expected --all to restore the shell hook, got: ${all.stdout}${all.stderr}`);
+    }
+  });
+}
+
+module.exports = legacyScanTests;
@@ -0,0 +1,183 @@
+/**
+ * Content and complexity limits, generated and binary files
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { fixture, project, runHook, runCli, test } = require('./helpers.js');
+
+async function limitsTests() {
+  // Test 50: a short file with a huge line is blocked by maxLineLength with its own explanation
+  const limitProject = project('content-limits', {
+    warnThreshold: 100,
+    blockThreshold: 200,
+    maxBytes: { warn: 2000, block: 8000 },
+    maxLineLength: { warn: 200, block: 1000 },
+    rules: [{ glob: 'fixtures/**', maxLineLength: null }]
+  });
+  await test('maxLineLength should block a short file with a minified line', async () => {
+    const content = 'const a = 1;\n' + `const icon = "${'A'.repeat(3000)}";\n`;
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'icon.ts', content },
+      cwd: limitProject
+    });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+    if (!result.stderr.includes('Longest line: 3,016 characters at line 2 (block over 1,000)')) {
+      throw new Error(`Expected the line length explanation:\n${result.stderr}`);
+    }
+    if (!result.stderr.includes('Size: 3,030 bytes after the edit (warn over 2,000)')) throw new Error('Expected the size warning');
+
+    const json = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'icon.ts', content },
+      cwd: limitProject
+    }, { env: { FILE_SIZE_GUARD_OUTPUT_FORMAT: 'json' } });
+    const reason = JSON.parse(json.stdout).hookSpecificOutput.permissionDecisionReason;
+    if (!reason.startsWith('File content limit exceeded:') || !reason.includes('longest line 3,016 characters (limit 1,000)')) {
+      throw new Error(`Unexpected reason: ${reason}`);
+    }
+
+    const fixture = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'fixtures/icon.ts', content },
+      cwd: limitProject
+    });
+    if (fixture.code !== 0) throw new Error('Expected the rule to turn maxLineLength off');
+  });
+
+  // Test 51: an existing long line only blocks edits that make it worse
+  fs.writeFileSync(path.join(limitProject, 'data.ts'), `export const data = "${'x'.repeat(1500)}";\nexport const b = 1;\n`);
+  await test('Pre-existing long lines should warn unless the edit adds more', async () => {
+    const unrelated = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'data.ts', old_string: 'const b = 1;', new_string: 'const b = 2;' },
+      cwd: limitProject
+    });
+    if (unrelated.code !== 0) throw new Error(`Expected exit 0, got ${unrelated.code}`);
+    if (!unrelated.stderr.includes('before this edit too - not made worse')) throw new Error('Expected a pre-existing note');
+
+    const worse = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'data.ts', old_string: 'const b = 1;', new_string: `const b = "${'y'.repeat(1200)}";` },
+      cwd: limitProject
+    });
+    if (worse.code !== 2) throw new Error(`Expected a new long line to block, got ${worse.code}`);
+  });
+
+  // Test 52: maxFunctionLines blocks a long function in a short file, naming it
+  const complexityProject = project('complexity', {
+    warnThreshold: 300,
+    blockThreshold: 400,
+    maxFunctionLines: { warn: 40, block: 100 },
+    maxNestingDepth: { block: 3 }
+  });
+  const longFunction = [
+    'export function helper() {', '  return 1;', '}', '',
+    'export function processOrders(orders) {', ...Array(170).fill('  orders = orders.filter(Boolean);'), '  return orders;', '}'
+  ].join('\n') + '\n';
+  await test('maxFunctionLines should block a file made of one long function', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'orders.ts', content: longFunction },
+      cwd: complexityProject
+    });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+    if (!result.stderr.includes('Function processOrders (lines 5-177): 173 lines (block over 100)')) {
+      throw new Error(`Expected the function to be named:\n${result.stderr}`);
+    }
+    if (result.stderr.includes('Function helper')) throw new Error('Short functions should not be reported');
+  });
+
+  // Test 53: nesting depth in Python; existing long functions only block when they grow
+  const nested = ['def load(rows):', '    for row in rows:', '        if row:', '            while row:',
+    '                if row.ok:', '                    return row', '    return None', ''].join('\n');
+  fs.writeFileSync(path.join(complexityProject, 'orders.ts'), longFunction);
+  await test('maxNestingDepth and pre-existing long functions', async () => {
+    const py = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'loader.py', content: nested },
+      cwd: complexityProject
+    }, { env: { FILE_SIZE_GUARD_OUTPUT_FORMAT: 'json' } });
+    const output = JSON.parse(py.stdout).hookSpecificOutput;
+    if (output.permissionDecision !== 'deny') throw new Error(`Expected deny, got ${output.permissionDecision}`);
+    if (!output.permissionDecisionReason.includes('function load nesting depth 4 (limit 3)')) {
+      throw new Error(`Unexpected reason: ${output.permissionDecisionReason}`);
+    }
+
+    const untouched = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'orders.ts', old_string: 'return 1;', new_string: 'return 2;' },
+      cwd: complexityProject
+    });
+    if (untouched.code !== 0 || !untouched.stderr.includes('not made worse')) {
+      throw new Error(`Expected a warning for the existing function, got ${untouched.code}`);
+    }
+    const grown = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'orders.ts', old_string: '  return orders;', new_string: '  orders.sort();\n  return orders;' },
+      cwd: complexityProject
+    });
+    if (grown.code !== 2) throw new Error(`Expected growing the function to block, got ${grown.code}`);
+  });
+
+  // Test 54: binary content and @generated markers are skipped whatever the file name
+  const sniffProject = project('sniff-project', { warnThreshold: 10, blockThreshold: 20 });
+  const manyLines = Array.from({ length: 40 }, (_, i) => `const v${i} = ${i};`).join('\n');
+  fs.writeFileSync(path.join(sniffProject, 'blob'), Buffer.concat([Buffer.from('PK'), Buffer.alloc(16), Buffer.from(manyLines)]));
+  fs.writeFileSync(path.join(sniffProject, 'api.ts'), `// @generated by protoc-gen-ts\n${manyLines}\n`);
+  fs.writeFileSync(path.join(sniffProject, 'handwritten.ts'), `${manyLines}\n`);
+  await test('Binary content and generated markers skip the check', async () => {
+    const binary = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'blob', content: manyLines },
+      cwd: sniffProject
+    });
+    if (binary.code !== 0 || binary.stderr) throw new Error(`Expected binary file to be skipped, got ${binary.code}`);
+
+    const generated = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'api.ts', old_string: 'const v0 = 0;', new_string: 'const v0 = 1;' },
+      cwd: sniffProject
+    });
+    if (generated.code !== 0 || generated.stderr) throw new Error(`Expected generated file to be skipped, got ${generated.code}`);
+
+    const marked = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'handwritten.ts', content: `// @generated\n${manyLines}\n` },
+      cwd: sniffProject
+    });
+    if (marked.code !== 2) throw new Error(`Expected adding a marker not to exempt the file, got ${marked.code}`);
+
+    const explain = await runCli(['explain', 'api.ts'], { cwd: sniffProject });
+    if (!explain.stdout.includes('generated file (@generated marker)')) throw new Error(`Unexpected explain:\n${explain.stdout}`);
+  });
+
+  // Test 55: .gitattributes linguist-generated files are skipped, and scan counts the reason
+  const attributesProject = project('attributes-project', { warnThreshold: 10, blockThreshold: 20 });
+  fs.mkdirSync(path.join(attributesProject, 'dist'));
+  fs.writeFileSync(path.join(attributesProject, '.gitattributes'), '# build output\ndist/** linguist-generated\n*.snap.ts -diff\n');
+  fs.writeFileSync(path.join(attributesProject, 'dist/bundle.ts'), `${manyLines}\n`);
+  fs.writeFileSync(path.join(attributesProject, 'view.snap.ts'), `${manyLines}\n`);
+  fs.writeFileSync(path.join(attributesProject, 'main.ts'), `${manyLines}\n`);
+  await test('.gitattributes marks generated files', async () => {
+    const result = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: 'dist/bundle.ts', old_string: 'const v0 = 0;', new_string: 'const v0 = 1;' },
+      cwd: attributesProject
+    });
+    if (result.code !== 0 || result.stderr) throw new Error(`Expected linguist-generated file to be skipped, got ${result.code}`);
+
+    const scan = await runCli(['scan', '--format', 'json'], { cwd: attributesProject });
+    const { summary, files } = JSON.parse(scan.stdout);
+    if (summary.skipped.generated !== 2) throw new Error(`Unexpected skipped counts: ${JSON.stringify(summary.skipped)}`);
+    if (files.length !== 1 || files[0].path !== 'main.ts') throw new Error(`Unexpected findings: ${JSON.stringify(files)}`);
+
+    const text = await runCli(['scan'], { cwd: attributesProject });
+    if (!text.stdout.includes('2 generated')) throw new Error(`Expected skip reasons in summary:\n${text.stdout}`);
+  });
+}
+
+module.exports = limitsTests;
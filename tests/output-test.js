@@ -0,0 +1,83 @@
+/**
+ * Hook output formats and ask mode
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const path = require('path');
+
+const { project, runHook, runCli, test } = require('./helpers.js');
+
+async function outputTests() {
+  // Test 40: outputFormat json denies blocked edits with a PreToolUse response
+  const jsonProject = project('json-output', { warnThreshold: 100, blockThreshold: 200, outputFormat: 'json' });
+  await test('outputFormat json should deny via permissionDecision', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(jsonProject, 'big.ts'), content: 'x\n'.repeat(250) }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    const output = JSON.parse(result.stdout).hookSpecificOutput;
+    if (output.permissionDecision !== 'deny') throw new Error(`Expected deny, got ${output.permissionDecision}`);
+    if (!output.permissionDecisionReason.includes('limit 200 lines')) throw new Error('Expected limit in reason');
+    if (!output.additionalContext.includes('MICRO-EXTRACT')) throw new Error('Expected suggestion in additionalContext');
+    if (result.stderr) throw new Error('Expected nothing on stderr');
+  });
+
+  // Test 41: warnings only add context (no decision); text output has no ANSI codes off a TTY
+  await test('Warnings should only add context in json and be uncolored in text off a TTY', async () => {
+    const input = {
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(jsonProject, 'medium.ts'), content: 'x\n'.repeat(150) }
+    };
+    const json = JSON.parse((await runHook(input)).stdout).hookSpecificOutput;
+    if ('permissionDecision' in json) throw new Error(`Expected no decision, got ${json.permissionDecision}`);
+    if (!json.additionalContext.startsWith('File size warning')) throw new Error('Expected warning reason in additionalContext');
+
+    const text = await runHook(input, { env: { FILE_SIZE_GUARD_OUTPUT_FORMAT: 'text', FORCE_COLOR: '' } });
+    if (!text.stderr.includes('FILE SIZE WARNING')) throw new Error('Expected text warning on stderr');
+    if (text.stderr.includes('\x1b[')) throw new Error('Expected no ANSI escape codes');
+  });
+
+  // Test 42: askThreshold asks for approval (as JSON, even with text output)
+  const askProject = project('ask', {
+    warnThreshold: 100,
+    askThreshold: 150,
+    blockThreshold: 200,
+    rules: [{ glob: 'legacy/**', mode: 'ask' }]
+  });
+  await test('askThreshold should return an ask permissionDecision', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(askProject, 'app.ts'), content: 'x\n'.repeat(160) }
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    const output = JSON.parse(result.stdout).hookSpecificOutput;
+    if (output.permissionDecision !== 'ask') throw new Error(`Expected ask, got ${output.permissionDecision}`);
+    if (!output.permissionDecisionReason.includes('ask threshold 150 lines')) throw new Error('Expected ask threshold in reason');
+
+    const blocked = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: path.join(askProject, 'app.ts'), content: 'x\n'.repeat(250) }
+    });
+    if (blocked.code !== 2) throw new Error(`Expected block over the limit, got ${blocked.code}`);
+  });
+
+  // Test 43: a rule with mode "ask" asks instead of blocking over the limit
+  await test('Rule mode ask should ask instead of blocking', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'legacy/old.ts', content: 'x\n'.repeat(250) },
+      cwd: askProject
+    });
+    if (result.code !== 0) throw new Error(`Expected exit 0, got ${result.code}`);
+    const output = JSON.parse(result.stdout).hookSpecificOutput;
+    if (output.permissionDecision !== 'ask') throw new Error(`Expected ask, got ${output.permissionDecision}`);
+
+    const explain = await runCli(['explain', 'legacy/old.ts'], { cwd: askProject });
+    if (!explain.stdout.includes('ok 0-99 | warn 100-149 | ask 150-199 | ask 200+')) {
+      throw new Error(`Unexpected bands:\n${explain.stdout}`);
+    }
+  });
+}
+
+module.exports = outputTests;
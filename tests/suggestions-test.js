@@ -0,0 +1,177 @@
+/**
+ * Extract plans, language suggestions and message templates
+ * Run with the rest of the suite: node tests/hook-test.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const { TMP_DIR, project, runHook, test } = require('./helpers.js');
+
+async function suggestionsTests() {
+  // Test 44: block messages name the file's largest functions and classes
+  const outlineProject = project('outline', { warnThreshold: 100, blockThreshold: 200 });
+  const jsSource = [
+    'export interface Order {', ...Array(10).fill('  id: string;'), '}',
+    'export class OrderStore {', ...Array(60).fill('  // storage'), '}',
+    'export function parseOrder(raw) {', ...Array(50).fill('  raw = raw.trim();'), '  return raw;', '}',
+    'function parseItems(raw) {', ...Array(70).fill('  raw = raw.trim();'), '  return raw;', '}'
+  ].join('\n') + '\n';
+  fs.writeFileSync(path.join(outlineProject, 'order-service.ts'), jsSource);
+  await test('Block message should propose extractions from the outline', async () => {
+    const result = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: path.join(outlineProject, 'order-service.ts'), old_string: 'export class', new_string: 'const a = 1;\n'.repeat(10) + 'export class' }
+    });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+    if (!result.stderr.includes('function parseItems (lines 128-200, 73 lines)')) throw new Error('Expected parseItems in outline');
+    if (!result.stderr.includes('order-service-parse.ts ← parseOrder, parseItems (126 lines)')) throw new Error('Expected parse group');
+    if (!result.stderr.includes('order-store.ts ← OrderStore')) throw new Error('Expected class extraction');
+  });
+
+  // Test 45: Python plans use snake_case names (JSON additionalContext)
+  const pySource = ['import os', '', ...['load_user', 'load_team', 'save_user'].flatMap(name => [
+    `def ${name}(data):`, ...Array(70).fill('    data = data.strip()'), '    return data', ''
+  ])].join('\n');
+  fs.writeFileSync(path.join(outlineProject, 'user_repo.py'), pySource);
+  await test('Python extraction plan should follow snake_case naming', async () => {
+    const result = await runHook({
+      tool_name: 'Edit',
+      tool_input: { file_path: path.join(outlineProject, 'user_repo.py'), old_string: 'import os', new_string: 'import os\nimport sys' }
+    }, { env: { FILE_SIZE_GUARD_OUTPUT_FORMAT: 'json' } });
+    const context = JSON.parse(result.stdout).hookSpecificOutput.additionalContext;
+    if (!context.includes('user_repo_load.py ← load_user, load_team (144 lines)')) throw new Error(`Unexpected plan:\n${context}`);
+    if (!context.includes('save_user.py ← save_user')) throw new Error('Expected save_user extraction');
+  });
+
+  // Test 46: language suggestions for Go and C# follow their naming rules
+  const langProject = project('languages', { warnThreshold: 100, blockThreshold: 200 });
+  await test('Warnings should suggest Go files and C# partials', async () => {
+    const write = (name) => runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: name, content: 'x\n'.repeat(150) },
+      cwd: langProject
+    });
+    const go = await write('server.go');
+    if (!go.stderr.includes('server_helpers.go')) throw new Error(`Expected server_helpers.go:\n${go.stderr}`);
+    if (!go.stderr.includes('same package clause')) throw new Error('Expected Go package step');
+    const cs = await write('UserService.cs');
+    if (!cs.stderr.includes('UserService.Helpers.cs')) throw new Error('Expected C# partial class file');
+    const py = await write('user_repo.py');
+    if (!py.stderr.includes('user_repo_utils.py') || py.stderr.includes('user_repo-utils.py')) {
+      throw new Error('Expected a valid Python module name');
+    }
+  });
+
+  // Test 47: project-local suggestion templates add languages
+  const templateDir = path.join(langProject, '.claude', 'file-size-guard', 'suggestions');
+  fs.mkdirSync(templateDir, { recursive: true });
+  fs.writeFileSync(path.join(templateDir, 'elixir.json'), JSON.stringify({
+    id: 'elixir',
+    extensions: ['.ex'],
+    naming: 'snake',
+    suffixes: ['helpers'],
+    steps: ['Move the NEW functions to {Base}.Helpers in {newFile}']
+  }));
+  await test('Project-local suggestion templates should be used', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'user_store.ex', content: 'x\n'.repeat(150) },
+      cwd: langProject
+    });
+    if (!result.stderr.includes('Move the NEW functions to UserStore.Helpers in user_store_helpers.ex')) {
+      throw new Error(`Expected the local template:\n${result.stderr}`);
+    }
+  });
+
+  // Test 48: project block template with placeholders replaces the built-in message
+  const messageProject = project('messages', {
+    warnThreshold: 100,
+    blockThreshold: 200,
+    messages: {
+      block: ['{file}: {estimated}/{limit} {unit} (rule {rule}).', 'Move code to {suggestedFiles}.'],
+      docs: { path: 'docs/ARCHITECTURE.md', section: 'Module layout' },
+      languages: { python: { block: 'Python: split {file} into {suggestedFiles}' } }
+    },
+    rules: [{ glob: 'api/**', name: 'api', messages: { block: 'API files stay small: {file} ({status})' } }]
+  });
+  fs.mkdirSync(path.join(messageProject, 'docs'));
+  fs.writeFileSync(path.join(messageProject, 'docs', 'ARCHITECTURE.md'), [
+    '# Architecture', 'Intro.', '', '## Module layout', '', 'One feature per module.', '### Naming', 'kebab-case files.',
+    '## Testing', 'Not in the snippet.'
+  ].join('\n'));
+  await test('Custom block template should render placeholders and the docs section', async () => {
+    const result = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'order-service.ts', content: 'x\n'.repeat(250) },
+      cwd: messageProject
+    });
+    if (result.code !== 2) throw new Error(`Expected exit 2, got ${result.code}`);
+    if (!result.stderr.includes('order-service.ts: 250/200 lines (rule none).\nMove code to order-service-utils.ts, ')) {
+      throw new Error(`Unexpected message:\n${result.stderr}`);
+    }
+    if (result.stderr.includes('MICRO-EXTRACT')) throw new Error('Expected the built-in message to be replaced');
+    if (!result.stderr.includes('Project conventions (docs/ARCHITECTURE.md - Module layout):\nOne feature per module.')) {
+      throw new Error('Expected the docs section');
+    }
+    if (!result.stderr.includes('kebab-case files.') || result.stderr.includes('Not in the snippet')) {
+      throw new Error('Expected the section to end at the next same-level heading');
+    }
+  });
+
+  // Test 49: rule and language templates override the global ones; warnings keep the default
+  await test('Rule and language message overrides should apply', async () => {
+    const api = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'api/routes.ts', content: 'x\n'.repeat(250) },
+      cwd: messageProject
+    }, { env: { FILE_SIZE_GUARD_OUTPUT_FORMAT: 'json' } });
+    const context = JSON.parse(api.stdout).hookSpecificOutput.additionalContext;
+    if (!context.startsWith('API files stay small: api/routes.ts (block)')) throw new Error(`Unexpected context:\n${context}`);
+    if (!context.includes('One feature per module.')) throw new Error('Expected the global docs to be kept');
+
+    const py = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'user_repo.py', content: 'x\n'.repeat(250) },
+      cwd: messageProject
+    });
+    if (!py.stderr.startsWith('Python: split user_repo.py into user_repo_utils.py, user_repo_helpers.py')) {
+      throw new Error(`Unexpected Python message:\n${py.stderr}`);
+    }
+
+    const warn = await runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: 'small.ts', content: 'x\n'.repeat(150) },
+      cwd: messageProject
+    });
+    if (!warn.stderr.includes('MICRO-EXTRACT') || warn.stderr.includes('Project conventions')) {
+      throw new Error('Expected the built-in warning without docs');
+    }
+  });
+
+  // Test 81: docs paths resolve from the declaring .ck.json and may not leave the project
+  const docsProject = project('docs-project', { warnThreshold: 100, blockThreshold: 200 });
+  fs.writeFileSync(path.join(docsProject, 'GUIDE.md'), 'Root guide.');
+  fs.writeFileSync(path.join(TMP_DIR, 'outside-guide.md'), 'Secret notes.');
+  const docsConfigs = { pkg: 'GUIDE.md', escape: '../../outside-guide.md', absolute: path.join(TMP_DIR, 'outside-guide.md') };
+  for (const [dir, docs] of Object.entries(docsConfigs)) {
+    fs.mkdirSync(path.join(docsProject, dir));
+    fs.writeFileSync(path.join(docsProject, dir, '.ck.json'), JSON.stringify({ fileSizeGuard: { messages: { docs } } }));
+  }
+  fs.writeFileSync(path.join(docsProject, 'pkg', 'GUIDE.md'), 'Package guide.');
+  await test('docs should resolve from their .ck.json and stay inside the project', async () => {
+    const block = dir => runHook({
+      tool_name: 'Write',
+      tool_input: { file_path: `${dir}/big.ts`, content: 'x\n'.repeat(250) },
+      cwd: docsProject
+    });
+    const pkg = await block('pkg');
+    if (!pkg.stderr.includes('Project conventions (GUIDE.md):\nPackage guide.')) throw new Error(`Expected the package guide:\n${pkg.stderr}`);
+    for (const dir of ['escape', 'absolute']) {
+      const result = await block(dir);
+      if (result.code !== 2 || result.stderr.includes('Secret notes')) throw new Error(`Expected no docs from outside the project:\n${result.stderr}`);
+    }
+  });
+}
+
+module.exports = suggestionsTests;
@@ -3,6 +3,9 @@
 # Claude File Size Guard - Uninstaller
 # Cleanly removes file-size-guard and restores settings
 #
+# Usage: uninstall.sh [--purge]
+#   --purge  also remove the state directory without asking
+#
 
 set -e
 
@@ -16,9 +19,19 @@ HOOKS_DIR="$CLAUDE_DIR/hooks"
 SCRIPTS_DIR="$CLAUDE_DIR/scripts"
 SETTINGS_FILE="$CLAUDE_DIR/settings.json"
 CK_CONFIG="$CLAUDE_DIR/.ck.json"
+STATE_DIR="${CLAUDE_FILE_SIZE_GUARD_STATE_DIR:-$CLAUDE_DIR/file-size-guard}"
+PURGE=false
+[ "$1" = "--purge" ] && PURGE=true
 
 echo -e "${BLUE}Claude File Size Guard - Uninstaller${NC}\n"
 
+# Remove the pre-commit blocks install-pre-commit added (while the CLI is still here)
+if [ -f "$HOOKS_DIR/file-size-guard.cjs" ]; then
+  echo -e "${BLUE}Removing pre-commit hooks...${NC}"
+  node "$HOOKS_DIR/file-size-guard.cjs" uninstall-pre-commit --all </dev/null || \
+    echo -e "${YELLOW}Could not clean up pre-commit hooks - remove the file-size-guard block from .git/hooks/pre-commit by hand${NC}"
+fi
+
 # Remove hook from settings.json
 echo -e "${BLUE}Removing hook registration...${NC}"
 if [ -f "$SETTINGS_FILE" ]; then
@@ -26,16 +39,17 @@ if [ -f "$SETTINGS_FILE" ]; then
 const fs = require('fs');
 const settingsPath = '$SETTINGS_FILE';
 let s = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
-if (s.hooks?.PreToolUse) {
-  s.hooks.PreToolUse = s.hooks.PreToolUse.map(entry => {
+for (const event of ['PreToolUse', 'PostToolUse']) {
+  if (!s.hooks?.[event]) continue;
+  s.hooks[event] = s.hooks[event].map(entry => {
     if (entry.hooks) {
       entry.hooks = entry.hooks.filter(h => !h.command?.includes('file-size-guard'));
     }
     return entry;
   }).filter(entry => entry.hooks?.length > 0);
-  fs.writeFileSync(settingsPath, JSON.stringify(s, null, 2));
-  console.log('Hook removed from settings.json');
 }
+fs.writeFileSync(settingsPath, JSON.stringify(s, null, 2));
+console.log('Hook removed from settings.json');
 "
 fi
 
@@ -61,5 +75,22 @@ rm -rf "$HOOKS_DIR/file-size-guard"
 rm -f "$SCRIPTS_DIR/file-size-guard-toggle.sh"
 rm -f "$SCRIPTS_DIR/file-size-guard-recovery.sh"
 
+# Remove hook state (estimates, accuracy, sessions, event log, bypass grants,
+# suggestion templates) - it may hold the user's own templates, so ask first
+if [ -d "$STATE_DIR" ]; then
+  if [ "$PURGE" = false ] && { exec 3</dev/tty; } 2>/dev/null; then
+    printf "Remove hook state and logs in %s? [y/N] " "$STATE_DIR"
+    read -r answer <&3 || answer=""
+    exec 3<&-
+    case "$answer" in [yY]*) PURGE=true ;; esac
+  fi
+  if [ "$PURGE" = true ]; then
+    rm -rf "$STATE_DIR"
+    echo "Hook state removed"
+  else
+    echo -e "${YELLOW}Hook state kept in $STATE_DIR (remove it by hand, or re-run with --purge)${NC}"
+  fi
+fi
+
 echo -e "\n${GREEN}✓ Uninstall complete${NC}"
 echo -e "${YELLOW}Note: Backups preserved in ~/.claude/backups/${NC}"
@@ -18,6 +18,8 @@ CLAUDE_DIR="$HOME/.claude"
 HOOKS_DIR="$CLAUDE_DIR/hooks"
 SCRIPTS_DIR="$CLAUDE_DIR/scripts"
 SETTINGS_FILE="$CLAUDE_DIR/settings.json"
+HOOK_MATCHER='Edit|MultiEdit|Write|NotebookEdit'
+MODULES_FILE="modules.txt"  # Files of src/hooks/file-size-guard/, one per line
 
 echo -e "${BLUE}Claude File Size Guard - Updater v${VERSION}${NC}\n"
 
@@ -43,6 +45,12 @@ check_status() {
   if ! grep -q "file-size-guard.cjs" "$SETTINGS_FILE" 2>/dev/null; then
     echo -e "${RED}✗${NC} Hook not registered in settings.json"
     issues=$((issues + 1))
+  elif ! grep -qF "$HOOK_MATCHER" "$SETTINGS_FILE" 2>/dev/null; then
+    echo -e "${RED}✗${NC} Hook registered with outdated matcher"
+    issues=$((issues + 1))
+  elif ! grep -qF '"PostToolUse"' "$SETTINGS_FILE" 2>/dev/null; then
+    echo -e "${RED}✗${NC} PostToolUse audit hook not registered"
+    issues=$((issues + 1))
   else
     echo -e "${GREEN}✓${NC} Hook registered"
   fi
@@ -56,9 +64,10 @@ download_latest() {
   mkdir -p "$HOOKS_DIR/file-size-guard" "$SCRIPTS_DIR"
 
   curl -fsSL "$RAW_URL/src/hooks/file-size-guard.cjs" -o "$HOOKS_DIR/file-size-guard.cjs"
-  curl -fsSL "$RAW_URL/src/hooks/file-size-guard/line-counter.cjs" -o "$HOOKS_DIR/file-size-guard/line-counter.cjs"
-  curl -fsSL "$RAW_URL/src/hooks/file-size-guard/threshold-checker.cjs" -o "$HOOKS_DIR/file-size-guard/threshold-checker.cjs"
-  curl -fsSL "$RAW_URL/src/hooks/file-size-guard/suggestion-generator.cjs" -o "$HOOKS_DIR/file-size-guard/suggestion-generator.cjs"
+  curl -fsSL "$RAW_URL/src/hooks/file-size-guard/$MODULES_FILE" -o "$HOOKS_DIR/file-size-guard/$MODULES_FILE"
+  while read -r module; do
+    curl -fsSL "$RAW_URL/src/hooks/file-size-guard/${module}" -o "$HOOKS_DIR/file-size-guard/${module}"
+  done < "$HOOKS_DIR/file-size-guard/$MODULES_FILE"
   curl -fsSL "$RAW_URL/src/scripts/file-size-guard-toggle.sh" -o "$SCRIPTS_DIR/file-size-guard-toggle.sh"
 
   chmod +x "$SCRIPTS_DIR/file-size-guard-toggle.sh"
@@ -68,23 +77,7 @@ download_latest() {
 # Repair registration
 repair_registration() {
   echo -e "\n${BLUE}Repairing hook registration...${NC}"
-  node -e "
-const fs = require('fs');
-const settingsPath = '$SETTINGS_FILE';
-let s = {};
-try { s = JSON.parse(fs.readFileSync(settingsPath, 'utf-8')); } catch(e) { s = {hooks:{}}; }
-s.hooks = s.hooks || {};
-s.hooks.PreToolUse = s.hooks.PreToolUse || [];
-const cmd = 'node \$HOME/.claude/hooks/file-size-guard.cjs';
-const exists = s.hooks.PreToolUse.some(e => e.hooks?.some(h => h.command === cmd));
-if (!exists) {
-  let m = s.hooks.PreToolUse.find(e => e.matcher === 'Edit|Write');
-  if (!m) { m = {matcher:'Edit|Write',hooks:[]}; s.hooks.PreToolUse.push(m); }
-  m.hooks.push({type:'command',command:cmd});
-  fs.writeFileSync(settingsPath, JSON.stringify(s, null, 2));
-  console.log('Registration repaired');
-} else { console.log('Registration OK'); }
-"
+  node "$HOOKS_DIR/file-size-guard.cjs" register
   echo -e "${GREEN}✓${NC} Registration verified"
 }
 